@@ -0,0 +1,46 @@
+/**
+ * Constants for parts of translation of the Pro plugins (the constants of the CE plugins are defined in
+ * `handsontable/i18n/constants`).
+ */
+import {
+  CONTEXT_MENU_ITEMS_NAMESPACE,
+  FILTERS_NAMESPACE,
+  FILTERS_CONDITIONS_NAMESPACE,
+} from 'handsontable/i18n/constants';
+
+export const CONTEXTMENU_ITEMS_EXPORT_SELECTION_AS_CSV = `${CONTEXT_MENU_ITEMS_NAMESPACE}.exportSelectionAsCsv`;
+
+export const FILTERS_CONDITIONS_MATCHES_REGEX = `${FILTERS_CONDITIONS_NAMESPACE}.matchesRegex`;
+export const FILTERS_CONDITIONS_NOT_MATCHES_REGEX = `${FILTERS_CONDITIONS_NAMESPACE}.notMatchesRegex`;
+export const FILTERS_CONDITIONS_LIKE = `${FILTERS_CONDITIONS_NAMESPACE}.isLike`;
+export const FILTERS_CONDITIONS_LAST_DAYS = `${FILTERS_CONDITIONS_NAMESPACE}.inTheLastDays`;
+export const FILTERS_CONDITIONS_NEXT_DAYS = `${FILTERS_CONDITIONS_NAMESPACE}.inTheNextDays`;
+export const FILTERS_CONDITIONS_LAST_MONTH = `${FILTERS_CONDITIONS_NAMESPACE}.lastMonth`;
+export const FILTERS_CONDITIONS_LAST_WEEK = `${FILTERS_CONDITIONS_NAMESPACE}.lastWeek`;
+export const FILTERS_CONDITIONS_THIS_MONTH = `${FILTERS_CONDITIONS_NAMESPACE}.thisMonth`;
+export const FILTERS_CONDITIONS_THIS_QUARTER = `${FILTERS_CONDITIONS_NAMESPACE}.thisQuarter`;
+export const FILTERS_CONDITIONS_THIS_WEEK = `${FILTERS_CONDITIONS_NAMESPACE}.thisWeek`;
+export const FILTERS_CONDITIONS_YEAR_TO_DATE = `${FILTERS_CONDITIONS_NAMESPACE}.yearToDate`;
+export const FILTERS_CONDITIONS_TOP_ITEMS = `${FILTERS_CONDITIONS_NAMESPACE}.topItems`;
+export const FILTERS_CONDITIONS_BOTTOM_ITEMS = `${FILTERS_CONDITIONS_NAMESPACE}.bottomItems`;
+export const FILTERS_CONDITIONS_TOP_PERCENT = `${FILTERS_CONDITIONS_NAMESPACE}.topPercent`;
+export const FILTERS_CONDITIONS_BOTTOM_PERCENT = `${FILTERS_CONDITIONS_NAMESPACE}.bottomPercent`;
+export const FILTERS_CONDITIONS_ABOVE_AVERAGE = `${FILTERS_CONDITIONS_NAMESPACE}.aboveAverage`;
+export const FILTERS_CONDITIONS_BELOW_AVERAGE = `${FILTERS_CONDITIONS_NAMESPACE}.belowAverage`;
+export const FILTERS_CONDITIONS_DUPLICATE = `${FILTERS_CONDITIONS_NAMESPACE}.duplicateValues`;
+export const FILTERS_CONDITIONS_UNIQUE = `${FILTERS_CONDITIONS_NAMESPACE}.uniqueValues`;
+
+export const FILTERS_LABELS_MATCH_CASE = `${FILTERS_NAMESPACE}labels.matchCase`;
+export const FILTERS_LABELS_INVALID_PATTERN = `${FILTERS_NAMESPACE}labels.invalidPattern`;
+export const FILTERS_LABELS_INVALID_NUMBER_OF_DAYS = `${FILTERS_NAMESPACE}labels.invalidNumberOfDays`;
+export const FILTERS_LABELS_INVALID_NUMBER_OF_ITEMS = `${FILTERS_NAMESPACE}labels.invalidNumberOfItems`;
+export const FILTERS_LABELS_INVALID_PERCENT = `${FILTERS_NAMESPACE}labels.invalidPercent`;
+
+export const FILTERS_BUTTONS_ADD_CONDITION = `${FILTERS_NAMESPACE}buttons.addCondition`;
+export const FILTERS_BUTTONS_ADD_GROUP = `${FILTERS_NAMESPACE}buttons.addGroup`;
+export const FILTERS_BUTTONS_REMOVE_CONDITION = `${FILTERS_NAMESPACE}buttons.removeCondition`;
+export const FILTERS_BUTTONS_REMOVE_GROUP = `${FILTERS_NAMESPACE}buttons.removeGroup`;
+export const FILTERS_BUTTONS_SORT_BY_COUNT = `${FILTERS_NAMESPACE}buttons.sortByCount`;
+export const FILTERS_BUTTONS_SORT_BY_VALUE = `${FILTERS_NAMESPACE}buttons.sortByValue`;
+export const FILTERS_BUTTONS_PLACEHOLDER_FROM = `${FILTERS_NAMESPACE}buttons.placeholder.from`;
+export const FILTERS_BUTTONS_PLACEHOLDER_TO = `${FILTERS_NAMESPACE}buttons.placeholder.to`;
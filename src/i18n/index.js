@@ -0,0 +1,24 @@
+import { arrayEach } from 'handsontable/helpers/array';
+import {
+  getLanguageDictionary,
+  getLanguagesDictionaries,
+  registerLanguageDictionary,
+} from 'handsontable/i18n/dictionariesManager';
+import { extendNotExistingKeys } from 'handsontable/i18n/utils';
+import * as constants from './constants';
+import enUS from './languages/en-US';
+
+/**
+ * Adds the phrases of the Pro plugins to the registered language dictionaries. The dictionaries which don't translate
+ * them get the English phrases. The dictionaries registered later are supplemented with the phrases of the default
+ * (`en-US`) dictionary by the dictionaries manager.
+ */
+export function registerPhrases() {
+  arrayEach(getLanguagesDictionaries(), ({ languageCode }) => {
+    registerLanguageDictionary(extendNotExistingKeys(getLanguageDictionary(languageCode), enUS));
+  });
+}
+
+export { constants as dictionaryKeys };
+
+registerPhrases();
@@ -0,0 +1,46 @@
+/**
+ * Phrases of the Pro plugins for English - United States language-country.
+ */
+import * as C from '../constants';
+
+const dictionary = {
+  languageCode: 'en-US',
+  [C.CONTEXTMENU_ITEMS_EXPORT_SELECTION_AS_CSV]: 'Export selection as CSV',
+
+  [C.FILTERS_CONDITIONS_MATCHES_REGEX]: 'Matches regular expression',
+  [C.FILTERS_CONDITIONS_NOT_MATCHES_REGEX]: 'Does not match regular expression',
+  [C.FILTERS_CONDITIONS_LIKE]: 'Is like',
+  [C.FILTERS_CONDITIONS_LAST_DAYS]: 'In the last N days',
+  [C.FILTERS_CONDITIONS_NEXT_DAYS]: 'In the next N days',
+  [C.FILTERS_CONDITIONS_LAST_MONTH]: 'Last month',
+  [C.FILTERS_CONDITIONS_LAST_WEEK]: 'Last week',
+  [C.FILTERS_CONDITIONS_THIS_MONTH]: 'This month',
+  [C.FILTERS_CONDITIONS_THIS_QUARTER]: 'This quarter',
+  [C.FILTERS_CONDITIONS_THIS_WEEK]: 'This week',
+  [C.FILTERS_CONDITIONS_YEAR_TO_DATE]: 'Year to date',
+  [C.FILTERS_CONDITIONS_TOP_ITEMS]: 'Top N items',
+  [C.FILTERS_CONDITIONS_BOTTOM_ITEMS]: 'Bottom N items',
+  [C.FILTERS_CONDITIONS_TOP_PERCENT]: 'Top N percent',
+  [C.FILTERS_CONDITIONS_BOTTOM_PERCENT]: 'Bottom N percent',
+  [C.FILTERS_CONDITIONS_ABOVE_AVERAGE]: 'Above average',
+  [C.FILTERS_CONDITIONS_BELOW_AVERAGE]: 'Below average',
+  [C.FILTERS_CONDITIONS_DUPLICATE]: 'Duplicate values',
+  [C.FILTERS_CONDITIONS_UNIQUE]: 'Unique values',
+
+  [C.FILTERS_LABELS_MATCH_CASE]: 'Match case',
+  [C.FILTERS_LABELS_INVALID_PATTERN]: 'Invalid pattern',
+  [C.FILTERS_LABELS_INVALID_NUMBER_OF_DAYS]: 'Invalid number of days',
+  [C.FILTERS_LABELS_INVALID_NUMBER_OF_ITEMS]: 'Invalid number of items',
+  [C.FILTERS_LABELS_INVALID_PERCENT]: 'Invalid percent',
+
+  [C.FILTERS_BUTTONS_ADD_CONDITION]: 'Add condition',
+  [C.FILTERS_BUTTONS_ADD_GROUP]: 'Add group',
+  [C.FILTERS_BUTTONS_REMOVE_CONDITION]: 'Remove',
+  [C.FILTERS_BUTTONS_REMOVE_GROUP]: 'Remove group',
+  [C.FILTERS_BUTTONS_SORT_BY_COUNT]: 'Sort by count',
+  [C.FILTERS_BUTTONS_SORT_BY_VALUE]: 'Sort by value',
+  [C.FILTERS_BUTTONS_PLACEHOLDER_FROM]: 'From',
+  [C.FILTERS_BUTTONS_PLACEHOLDER_TO]: 'To',
+};
+
+export default dictionary;
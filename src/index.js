@@ -1,5 +1,7 @@
 import 'babel-polyfill';
 import Handsontable from 'handsontable';
+import { extend } from 'handsontable/helpers/object';
+import { dictionaryKeys } from './i18n';
 
 /* eslint-disable no-unused-vars */
 import * as plugins from './plugins/index';
@@ -9,5 +11,6 @@ import BottomLeftCornerOverlay from './3rdparty/walkontable/src/overlay/bottomLe
 /* eslint-enable no-unused-vars */
 
 Handsontable.baseVersion = process.env.HOT_BASE_VERSION;
+Handsontable.languages.dictionaryKeys = extend(extend({}, Handsontable.languages.dictionaryKeys), dictionaryKeys);
 
 export default Handsontable;
@@ -0,0 +1,28 @@
+import * as C from '../../../i18n/constants';
+import { RANGE_SELECTION } from '../dataProvider';
+
+export const KEY = 'export_selection_as_csv';
+
+/**
+ * Creates the "Export selection as CSV" menu item (available for the `contextMenu` and `dropdownMenu` plugins under
+ * the `'export_selection_as_csv'` key). The item downloads the selected ranges as a CSV file.
+ *
+ * @returns {Object}
+ */
+export default function exportSelectionAsCsvItem() {
+  return {
+    key: KEY,
+    name() {
+      return this.getTranslatedPhrase(C.CONTEXTMENU_ITEMS_EXPORT_SELECTION_AS_CSV);
+    },
+    callback() {
+      this.getPlugin('exportFile').downloadFile('csv', {
+        range: RANGE_SELECTION,
+        columnHeaders: !!this.getSettings().colHeaders,
+      });
+    },
+    disabled() {
+      return !this.getSelected();
+    },
+  };
+}
@@ -1,4 +1,17 @@
+import { arrayEach, arrayFilter, arrayMap } from 'handsontable/helpers/array';
 import { rangeEach } from 'handsontable/helpers/number';
+import { extend, objectEach } from 'handsontable/helpers/object';
+import { isFormulaExpression } from '../formulas/utils';
+import { formatCellValue } from './utils/format';
+
+export const FORMULA_MODE_VALUES = 'values';
+export const FORMULA_MODE_EXPRESSIONS = 'expressions';
+export const FORMULA_MODE_BOTH = 'both';
+export const RANGE_SELECTION = 'selection';
+export const SOURCE_ORDER_VISUAL = 'visual';
+export const SOURCE_ORDER_PHYSICAL = 'physical';
+
+const CELL_STYLE_PROPERTIES = ['color', 'background-color', 'font-weight', 'font-style', 'text-align', 'text-decoration', 'vertical-align'];
 
 // Waiting for jshint >=2.9.0 where they added support for destructing
 // jshint ignore: start
@@ -33,32 +46,67 @@ class DataProvider {
   }
 
   /**
-   * Get table data based on provided settings to the class constructor.
+   * Get table data based on provided settings to the class constructor. When the `formulaMode` option is set to
+   * `'expressions'` the formula expressions are returned instead of their computed values. When the `applyFormatting`
+   * or `valueFormatter` options are defined the values are formatted.
    *
    * @returns {Array}
    */
   getData() {
-    const { startRow, startCol, endRow, endCol } = this._getDataRange();
-    const options = this.options;
-    const data = [];
+    const columns = this.getColumnIndexes();
 
-    rangeEach(startRow, endRow, (rowIndex) => {
-      const row = [];
+    return arrayMap(this.getRowIndexes(), rowIndex => this._getRowData(rowIndex, columns));
+  }
 
-      if (!options.exportHiddenRows && this._isHiddenRow(rowIndex)) {
-        return;
-      }
-      rangeEach(startCol, endCol, (colIndex) => {
-        if (!options.exportHiddenColumns && this._isHiddenColumn(colIndex)) {
-          return;
+  /**
+   * Creates an iterator over the exported rows. Rows data is collected lazily (on every `next` call), so huge tables
+   * can be exported without building the whole data array (returned by {@link DataProvider#getData}) at once.
+   *
+   * The iterator follows the iteration protocol - the `next` method returns an object with `done` and `value` keys,
+   * where `value` is an object with `index` (index of the exported row), `row` (visual row index) and `data` (array of
+   * the exported values) keys.
+   *
+   * @returns {Object} Returns an iterator object with `next` method and `length` property (number of exported rows).
+   */
+  createRowIterator() {
+    const rows = this.getRowIndexes();
+    const columns = this.getColumnIndexes();
+    let index = 0;
+
+    return {
+      length: rows.length,
+      next: () => {
+        if (index >= rows.length) {
+          return { done: true, value: void 0 };
         }
-        row.push(this.hot.getDataAtCell(rowIndex, colIndex));
-      });
+        const row = rows[index];
+        const value = {
+          index,
+          row,
+          data: this._getRowData(row, columns),
+        };
 
-      data.push(row);
-    });
+        index += 1;
 
-    return data;
+        return { done: false, value };
+      },
+    };
+  }
+
+  /**
+   * Gets formula expressions of the exported cells (when the `formulas` plugin is enabled).
+   *
+   * @returns {Array} Returns an array of arrays (matching the {@link DataProvider#getData} result) with the formula
+   *                  expressions (or `null` for cells without formula). When the `formulas` plugin is disabled an empty
+   *                  array is returned.
+   */
+  getFormulaExpressions() {
+    if (!this._isFormulasEnabled()) {
+      return [];
+    }
+    const columns = this.getColumnIndexes();
+
+    return arrayMap(this.getRowIndexes(), rowIndex => this._getRowFormulaExpressions(rowIndex, columns));
   }
 
   /**
@@ -70,14 +118,12 @@ class DataProvider {
     const headers = [];
 
     if (this.options.rowHeaders) {
-      const { startRow, endRow } = this._getDataRange();
       const rowHeaders = this.hot.getRowHeader();
 
-      rangeEach(startRow, endRow, (row) => {
-        if (!this.options.exportHiddenRows && this._isHiddenRow(row)) {
-          return;
-        }
-        headers.push(rowHeaders[row]);
+      arrayEach(this.getRowIndexes(), (row) => {
+        const visualRow = this._toVisualRow(row);
+
+        headers.push(visualRow === null ? this.hot.getRowHeader(this._toPhysicalRow(row)) : rowHeaders[visualRow]);
       });
     }
 
@@ -93,13 +139,9 @@ class DataProvider {
     const headers = [];
 
     if (this.options.columnHeaders) {
-      const { startCol, endCol } = this._getDataRange();
       const colHeaders = this.hot.getColHeader();
 
-      rangeEach(startCol, endCol, (column) => {
-        if (!this.options.exportHiddenColumns && this._isHiddenColumn(column)) {
-          return;
-        }
+      arrayEach(this.getColumnIndexes(), (column) => {
         headers.push(colHeaders[column]);
       });
     }
@@ -108,7 +150,346 @@ class DataProvider {
   }
 
   /**
-   * Get data range object based on settings provided in the class constructor.
+   * Gets list of nested column headers (built from the `nestedHeaders` setting) limited to the exported columns.
+   * Each level is represented as an array of objects with `label` and `colspan` keys.
+   *
+   * @return {Array}
+   */
+  getNestedHeaders() {
+    const nestedHeaders = this.hot.getSettings().nestedHeaders;
+    const headers = [];
+
+    if (!this.options.columnHeaders || !Array.isArray(nestedHeaders)) {
+      return headers;
+    }
+    const columns = this.getColumnIndexes();
+
+    arrayEach(nestedHeaders, (levelSettings) => {
+      const owners = [];
+      const level = [];
+
+      // Expand the level into a per-column list, where each column points to the header which covers it.
+      arrayEach(levelSettings, (header) => {
+        const isObject = header !== null && typeof header === 'object';
+        const colspan = isObject ? (header.colspan || 1) : 1;
+        const owner = { label: isObject ? (header.label || '') : header };
+
+        rangeEach(0, colspan - 1, () => owners.push(owner));
+      });
+
+      let lastOwner = null;
+
+      arrayEach(columns, (column) => {
+        const owner = owners[column] || null;
+
+        if (owner !== null && owner === lastOwner) {
+          level[level.length - 1].colspan += 1;
+
+        } else {
+          level.push({ label: owner === null ? '' : owner.label, colspan: 1 });
+        }
+        lastOwner = owner;
+      });
+
+      headers.push(level);
+    });
+
+    return headers;
+  }
+
+  /**
+   * Gets list of data properties (`columns[].data`) of the exported columns. For columns without defined property
+   * (or with property defined as a function) the visual column index is returned.
+   *
+   * @return {Array}
+   */
+  getColumnProps() {
+    return arrayMap(this.getColumnIndexes(), (column) => {
+      const prop = this.hot.colToProp(column);
+
+      return typeof prop === 'string' || typeof prop === 'number' ? prop : column;
+    });
+  }
+
+  /**
+   * Gets the nesting level of the row (when the `nestedRows` plugin is enabled).
+   *
+   * @param {Number} row Row index (as returned by {@link DataProvider#getRowIndexes}).
+   * @return {Number|null} Returns row level or `null` if the `nestedRows` plugin is disabled.
+   */
+  getRowLevel(row) {
+    const nestedRowsPlugin = this._getNestedRowsPlugin();
+
+    if (!nestedRowsPlugin) {
+      return null;
+    }
+
+    return nestedRowsPlugin.dataManager.getRowLevel(this._toPhysicalRow(row));
+  }
+
+  /**
+   * Gets cell meta object for the cell at specified coordinates. For rows which have no visual index (trimmed or
+   * collapsed rows) a new object inheriting the cell meta of the column is returned, with the `row` key set to the
+   * physical row index and the `visualRow` key set to `null`.
+   *
+   * @param {Number} row Row index (as returned by {@link DataProvider#getRowIndexes}).
+   * @param {Number} column Visual column index.
+   * @return {Object}
+   */
+  getCellMeta(row, column) {
+    const visualRow = this._toVisualRow(row);
+
+    if (visualRow !== null) {
+      return this.hot.getCellMeta(visualRow, column);
+    }
+    // The cell meta objects are created by the constructor which prototype holds the column settings.
+    const columnMeta = Object.getPrototypeOf(this.hot.getCellMeta(0, column));
+
+    return extend(Object.create(columnMeta), {
+      row: this._toPhysicalRow(row),
+      col: this.hot.toPhysicalColumn(column),
+      visualRow: null,
+      visualCol: column,
+      prop: this.hot.colToProp(column),
+      instance: this.hot,
+    });
+  }
+
+  /**
+   * Gets styles of the exported cells. Each cell is rendered (using its renderer and cell meta, so the `className`
+   * option is respected) into a hidden table placed inside the Handsontable root element and the computed styles
+   * which differ from the plain cell are returned.
+   *
+   * @param {Array} [properties] List of CSS properties to check.
+   * @return {Array} Returns an array of arrays (matching the {@link DataProvider#getData} result) with objects of CSS properties.
+   */
+  getCellStyles(properties = CELL_STYLE_PROPERTIES) {
+    const rows = this.getRowIndexes();
+    const columns = this.getColumnIndexes();
+    const sandbox = document.createElement('div');
+    const TR = document.createElement('tr');
+    const getStyles = (element) => {
+      const computedStyle = window.getComputedStyle(element);
+      const styles = {};
+
+      arrayEach(properties, (property) => {
+        styles[property] = computedStyle.getPropertyValue(property);
+      });
+
+      return styles;
+    };
+
+    sandbox.style.position = 'absolute';
+    sandbox.style.visibility = 'hidden';
+    sandbox.style.top = '0';
+    sandbox.style.left = '0';
+    sandbox.innerHTML = '<table class="htCore"><tbody></tbody></table>';
+    sandbox.firstChild.firstChild.appendChild(TR);
+    this.hot.rootElement.appendChild(sandbox);
+
+    try {
+      TR.appendChild(document.createElement('td'));
+
+      const defaultStyles = getStyles(TR.firstChild);
+
+      return arrayMap(rows, row => arrayMap(columns, (column) => {
+        if (this._toVisualRow(row) === null) {
+          return {};
+        }
+        const TD = document.createElement('td');
+        const cellProperties = this.hot.getCellMeta(row, column);
+        const renderer = this.hot.getCellRenderer(cellProperties);
+        const styles = {};
+
+        TR.replaceChild(TD, TR.firstChild);
+        renderer(this.hot, TD, row, column, this.hot.colToProp(column), this.hot.getDataAtCell(row, column), cellProperties);
+
+        objectEach(getStyles(TD), (value, property) => {
+          if (value !== '' && value !== defaultStyles[property]) {
+            styles[property] = value;
+          }
+        });
+
+        return styles;
+      }));
+
+    } finally {
+      this.hot.rootElement.removeChild(sandbox);
+    }
+  }
+
+  /**
+   * Gets list of widths (in pixels) of the exported columns.
+   *
+   * @return {Array}
+   */
+  getColumnWidths() {
+    return arrayMap(this.getColumnIndexes(), column => this.hot.getColWidth(column));
+  }
+
+  /**
+   * Gets list of merged cells limited to the exported range. The coordinates of the returned objects are relative
+   * to the exported data (hidden rows and columns are not counted in).
+   *
+   * @return {Array} Returns an array of objects with keys `row`, `col`, `rowspan` and `colspan`.
+   */
+  getMergedCells() {
+    const mergeCellsPlugin = this.hot.getPlugin('mergeCells');
+    const mergedCells = [];
+
+    if (!mergeCellsPlugin || !mergeCellsPlugin.isEnabled()) {
+      return mergedCells;
+    }
+    const rows = this.getRowIndexes();
+    const columns = this.getColumnIndexes();
+
+    arrayEach(mergeCellsPlugin.mergedCellsCollection.mergedCells, ({ row, col, rowspan, colspan }) => {
+      const coveredRows = arrayFilter(rows, rowIndex => rowIndex >= row && rowIndex < row + rowspan);
+      const coveredColumns = arrayFilter(columns, colIndex => colIndex >= col && colIndex < col + colspan);
+      // Rows exported in a different order (see the `sourceOrder` option) or interleaved with trimmed rows can't be merged.
+      const areRowsContiguous = coveredRows.length === 0 || rows.indexOf(coveredRows[coveredRows.length - 1]) - rows.indexOf(coveredRows[0]) === coveredRows.length - 1;
+
+      if (areRowsContiguous && coveredRows.length * coveredColumns.length > 1) {
+        mergedCells.push({
+          row: rows.indexOf(coveredRows[0]),
+          col: columns.indexOf(coveredColumns[0]),
+          rowspan: coveredRows.length,
+          colspan: coveredColumns.length,
+        });
+      }
+    });
+
+    return mergedCells;
+  }
+
+  /**
+   * Gets the number of exported rows which are fixed at the top of the table (`fixedRowsTop` setting).
+   *
+   * @return {Number}
+   */
+  getFixedRowsTop() {
+    const { fixedRowsTop } = this.hot.getSettings();
+    const rows = this.getRowIndexes();
+    let count = 0;
+
+    while (count < rows.length && rows[count] < fixedRowsTop) {
+      count += 1;
+    }
+
+    return count;
+  }
+
+  /**
+   * Gets the number of exported columns which are fixed on the left side of the table (`fixedColumnsLeft` setting).
+   *
+   * @return {Number}
+   */
+  getFixedColumnsLeft() {
+    const { fixedColumnsLeft } = this.hot.getSettings();
+
+    return arrayFilter(this.getColumnIndexes(), column => column < fixedColumnsLeft).length;
+  }
+
+  /**
+   * Gets list of the exported ranges. The `range` option can be defined as a single range (`[startRow, startColumn,
+   * endRow, endColumn]`), a list of ranges or `'selection'` (currently selected ranges). When nothing is selected the
+   * `'selection'` range resolves to an empty range.
+   *
+   * @returns {Array} Returns an array of ranges.
+   */
+  getRanges() {
+    const { range } = this.options;
+
+    if (range === RANGE_SELECTION) {
+      const selected = this.hot.getSelected();
+
+      if (!selected) {
+        return [[0, 0, -1, -1]];
+      }
+
+      return arrayMap(selected, ([fromRow, fromColumn, toRow, toColumn]) => [
+        Math.min(fromRow, toRow),
+        Math.min(fromColumn, toColumn),
+        Math.max(fromRow, toRow),
+        Math.max(fromColumn, toColumn),
+      ]);
+    }
+    if (Array.isArray(range) && Array.isArray(range[0])) {
+      return range;
+    }
+
+    return [range || []];
+  }
+
+  /**
+   * Creates data providers limited to the each of the exported ranges (see {@link DataProvider#getRanges}). When only
+   * one range is exported the list contains this data provider only.
+   *
+   * @returns {Array}
+   */
+  createRangeProviders() {
+    const ranges = this.getRanges();
+
+    if (ranges.length === 1) {
+      return [this];
+    }
+
+    return arrayMap(ranges, (range) => {
+      const dataProvider = new DataProvider(this.hot);
+
+      dataProvider.setOptions(extend(extend({}, this.options), { range }));
+
+      return dataProvider;
+    });
+  }
+
+  /**
+   * Gets list of row indexes which will be exported (respects `range`, `exportHiddenRows`, `exportTrimmedRows`,
+   * `exportCollapsedChildren` and `sourceOrder` options). The visible rows are identified by their visual indexes. Rows
+   * which have no visual index (trimmed by the `trimRows` or `filters` plugins or collapsed by the `nestedRows` plugin)
+   * are identified by indexes following the last visual row (the number of visual rows increased by the physical index).
+   *
+   * @return {Array}
+   */
+  getRowIndexes() {
+    const { startRow, endRow } = this._getDataRange();
+    const { exportTrimmedRows, exportCollapsedChildren, sourceOrder } = this.options;
+    const rows = [];
+
+    rangeEach(startRow, endRow, (row) => {
+      if (this.options.exportHiddenRows || !this._isHiddenRow(row)) {
+        rows.push(row);
+      }
+    });
+
+    if (exportTrimmedRows || exportCollapsedChildren || sourceOrder === SOURCE_ORDER_PHYSICAL) {
+      return this._arrangeRows(rows, startRow, endRow);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Gets list of visual column indexes which will be exported (respects `range` and `exportHiddenColumns` options).
+   *
+   * @return {Array}
+   */
+  getColumnIndexes() {
+    const { startCol, endCol } = this._getDataRange();
+    const columns = [];
+
+    rangeEach(startCol, endCol, (column) => {
+      if (this.options.exportHiddenColumns || !this._isHiddenColumn(column)) {
+        columns.push(column);
+      }
+    });
+
+    return columns;
+  }
+
+  /**
+   * Get data range object based on settings provided in the class constructor. When more than one range is defined the
+   * first one is used.
    *
    * @private
    * @returns {Object} Returns object with keys `startRow`, `startCol`, `endRow` and `endCol`.
@@ -116,7 +497,7 @@ class DataProvider {
   _getDataRange() {
     const cols = this.hot.countCols() - 1;
     const rows = this.hot.countRows() - 1;
-    let [startRow = 0, startCol = 0, endRow = rows, endCol = cols] = this.options.range;
+    let [startRow = 0, startCol = 0, endRow = rows, endCol = cols] = this.getRanges()[0];
 
     startRow = Math.max(startRow, 0);
     startCol = Math.max(startCol, 0);
@@ -126,6 +507,230 @@ class DataProvider {
     return { startRow, startCol, endRow, endCol };
   }
 
+  /**
+   * Adds rows which have no visual index (when the `exportTrimmedRows` or `exportCollapsedChildren` options are enabled)
+   * and orders the rows according to the `sourceOrder` option. In the `'visual'` order the trimmed rows are placed after
+   * the row which precedes them in the data source.
+   *
+   * @private
+   * @param {Array} rows List of the exported visual row indexes.
+   * @param {Number} startRow Visual index of the first row of the exported range.
+   * @param {Number} endRow Visual index of the last row of the exported range.
+   * @returns {Array}
+   */
+  _arrangeRows(rows, startRow, endRow) {
+    const { exportTrimmedRows, exportCollapsedChildren, sourceOrder } = this.options;
+    const visualRowsCount = this.hot.countRows();
+    const entries = arrayMap(rows, row => ({ row, physicalRow: this.hot.toPhysicalRow(row), position: row }));
+
+    if (exportTrimmedRows || exportCollapsedChildren) {
+      const visualRows = {};
+      let precedingRow = -1;
+
+      rangeEach(0, visualRowsCount - 1, (row) => {
+        visualRows[this.hot.toPhysicalRow(row)] = row;
+      });
+      rangeEach(0, this.hot.countSourceRows() - 1, (physicalRow) => {
+        if (visualRows[physicalRow] !== void 0) {
+          precedingRow = visualRows[physicalRow];
+
+          return;
+        }
+        const isExported = this._isCollapsedChildRow(physicalRow) ? exportCollapsedChildren : exportTrimmedRows;
+
+        if (isExported && Math.max(precedingRow, 0) >= startRow && precedingRow <= endRow) {
+          entries.push({ row: visualRowsCount + physicalRow, physicalRow, position: precedingRow + 0.5 });
+        }
+      });
+    }
+
+    entries.sort((a, b) => {
+      if (sourceOrder === SOURCE_ORDER_PHYSICAL) {
+        return a.physicalRow - b.physicalRow;
+      }
+
+      return (a.position - b.position) || (a.physicalRow - b.physicalRow);
+    });
+
+    return arrayMap(entries, ({ row }) => row);
+  }
+
+  /**
+   * Translates row index (as returned by {@link DataProvider#getRowIndexes}) into the visual row index.
+   *
+   * @private
+   * @param {Number} row Row index.
+   * @returns {Number|null} Returns `null` for rows which have no visual index.
+   */
+  _toVisualRow(row) {
+    return row < this.hot.countRows() ? row : null;
+  }
+
+  /**
+   * Translates row index (as returned by {@link DataProvider#getRowIndexes}) into the physical row index.
+   *
+   * @private
+   * @param {Number} row Row index.
+   * @returns {Number}
+   */
+  _toPhysicalRow(row) {
+    const visualRow = this._toVisualRow(row);
+
+    return visualRow === null ? row - this.hot.countRows() : this.hot.toPhysicalRow(visualRow);
+  }
+
+  /**
+   * Checks if the row is a child of the collapsed row (`nestedRows` plugin).
+   *
+   * @private
+   * @param {Number} physicalRow Physical row index.
+   * @returns {Boolean}
+   */
+  _isCollapsedChildRow(physicalRow) {
+    const nestedRowsPlugin = this._getNestedRowsPlugin();
+
+    if (!nestedRowsPlugin) {
+      return false;
+    }
+
+    return nestedRowsPlugin.collapsingUI.isAnyParentCollapsed(nestedRowsPlugin.dataManager.getDataObject(physicalRow));
+  }
+
+  /**
+   * Gets the `nestedRows` plugin instance if it's enabled.
+   *
+   * @private
+   * @returns {NestedRows|null}
+   */
+  _getNestedRowsPlugin() {
+    const nestedRowsPlugin = this.hot.getPlugin('nestedRows');
+
+    if (!nestedRowsPlugin || !nestedRowsPlugin.isEnabled() || !nestedRowsPlugin.dataManager) {
+      return null;
+    }
+
+    return nestedRowsPlugin;
+  }
+
+  /**
+   * Gets exported values of the row.
+   *
+   * @private
+   * @param {Number} row Row index (as returned by {@link DataProvider#getRowIndexes}).
+   * @param {Array} columns List of the exported visual column indexes.
+   * @returns {Array}
+   */
+  _getRowData(row, columns) {
+    const { applyFormatting, valueFormatter } = this.options;
+    const needsFormatting = applyFormatting || (valueFormatter !== null && valueFormatter !== void 0);
+    const visualRow = this._toVisualRow(row);
+    const physicalRow = visualRow === null ? this._toPhysicalRow(row) : null;
+    const data = arrayMap(columns, (column) => {
+      const value = visualRow === null ? this._getSourceDataAtCell(physicalRow, column) : this.hot.getDataAtCell(visualRow, column);
+
+      return needsFormatting ? this._formatValue(value, row, column) : value;
+    });
+
+    if (this.options.formulaMode === FORMULA_MODE_EXPRESSIONS && this._isFormulasEnabled()) {
+      arrayEach(this._getRowFormulaExpressions(row, columns), (expression, columnIndex) => {
+        if (expression !== null) {
+          data[columnIndex] = expression;
+        }
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Gets the value of the cell of the row which has no visual index (trimmed or collapsed row). The formulas are
+   * resolved into their computed values, as the `formulas` plugin does for the visible cells.
+   *
+   * @private
+   * @param {Number} physicalRow Physical row index.
+   * @param {Number} column Visual column index.
+   * @returns {*}
+   */
+  _getSourceDataAtCell(physicalRow, column) {
+    const value = this.hot.getSourceDataAtCell(physicalRow, column);
+
+    if (this._isFormulasEnabled()) {
+      const formulasPlugin = this.hot.getPlugin('formulas');
+      const physicalColumn = this.hot.toPhysicalColumn(column);
+
+      if (formulasPlugin.hasComputedCellValue(physicalRow, physicalColumn)) {
+        return formulasPlugin.getCellValue(physicalRow, physicalColumn);
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Gets formula expressions of the row cells (`null` for cells without formula).
+   *
+   * @private
+   * @param {Number} row Row index (as returned by {@link DataProvider#getRowIndexes}).
+   * @param {Array} columns List of the exported visual column indexes.
+   * @returns {Array}
+   */
+  _getRowFormulaExpressions(row, columns) {
+    const formulasDataProvider = this.hot.getPlugin('formulas').dataProvider;
+    const visualRow = this._toVisualRow(row);
+    const physicalRow = visualRow === null ? this._toPhysicalRow(row) : null;
+
+    return arrayMap(columns, (column) => {
+      const value = visualRow === null ?
+        formulasDataProvider.getSourceDataAtCell(physicalRow, this.hot.toPhysicalColumn(column)) :
+        formulasDataProvider.getRawDataAtCell(visualRow, column);
+
+      return isFormulaExpression(value) ? value : null;
+    });
+  }
+
+  /**
+   * Checks if the `formulas` plugin is enabled.
+   *
+   * @private
+   * @returns {Boolean}
+   */
+  _isFormulasEnabled() {
+    const formulasPlugin = this.hot.getPlugin('formulas');
+
+    return !!formulasPlugin && formulasPlugin.isEnabled();
+  }
+
+  /**
+   * Format cell value using the `valueFormatter` callback (defined globally or for the column) or, when the
+   * `applyFormatting` option is enabled, according to the cell display format.
+   *
+   * @private
+   * @param {*} value Cell value.
+   * @param {Number} row Row index (as returned by {@link DataProvider#getRowIndexes}).
+   * @param {Number} column Visual column index.
+   * @returns {*}
+   */
+  _formatValue(value, row, column) {
+    const { applyFormatting, valueFormatter } = this.options;
+    const cellMeta = this.getCellMeta(row, column);
+    let formatter = null;
+
+    if (typeof valueFormatter === 'function') {
+      formatter = valueFormatter;
+
+    } else if (valueFormatter !== null && typeof valueFormatter === 'object') {
+      const prop = this.hot.colToProp(column);
+
+      formatter = valueFormatter[prop] || valueFormatter[column] || null;
+    }
+
+    if (typeof formatter === 'function') {
+      return formatter(value, this._toVisualRow(row), column, cellMeta);
+    }
+
+    return applyFormatting ? formatCellValue(value, cellMeta) : value;
+  }
+
   /**
    * Check if row at specified row index is hidden.
    *
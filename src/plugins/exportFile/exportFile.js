@@ -1,7 +1,19 @@
 import BasePlugin from 'handsontable/plugins/_base';
 import { registerPlugin } from 'handsontable/plugins';
+import Hooks from 'handsontable/pluginHooks';
+import { addItem } from 'handsontable/plugins/contextMenu/predefinedItems';
+import { arrayEach } from 'handsontable/helpers/array';
+import { extend } from 'handsontable/helpers/object';
 import DataProvider from './dataProvider';
-import typeFactory, { EXPORT_TYPES } from './typeFactory';
+import typeFactory, { BaseType, EXPORT_TYPES, TYPE_CSV, TYPE_HTML, registerExportType } from './typeFactory';
+import { binaryStringToBytes } from './utils/zip';
+import exportSelectionAsCsvItem, { KEY as EXPORT_SELECTION_AS_CSV } from './contextMenuItem/exportSelectionAsCsv';
+
+Hooks.getSingleton().register('beforeExport');
+Hooks.getSingleton().register('exportProgress');
+Hooks.getSingleton().register('afterExport');
+
+addItem(EXPORT_SELECTION_AS_CSV, exportSelectionAsCsvItem);
 
 /**
  * @plugin ExportFile
@@ -9,7 +21,11 @@ import typeFactory, { EXPORT_TYPES } from './typeFactory';
  *
  * @description
  * The plugin enables exporting table data to file. It allows to export data as a string, blob or a downloadable file in
- * CSV format.
+ * CSV, HTML, JSON, NDJSON (newline delimited JSON) or XLSX (Office Open XML workbook) format. The data can also be copied to the system clipboard as a HTML
+ * table (with a plain text counterpart), ready to be pasted into e-mails or documents.
+ *
+ * The plugin provides also the `'export_selection_as_csv'` menu item which can be added to the `contextMenu` and
+ * `dropdownMenu` items (eq. `contextMenu: ['row_above', 'row_below', '---------', 'export_selection_as_csv']`).
  *
  * See [the export file demo](https://docs.handsontable.com/demo-export-file.html) for examples.
  *
@@ -29,9 +45,35 @@ import typeFactory, { EXPORT_TYPES } from './typeFactory';
  * // export as a blob object
  * exportPlugin.exportAsBlob('csv');
  *
+ * // export huge tables asynchronously (in batches of rows, without freezing the browser)
+ * exportPlugin.exportAsBlobAsync('csv', {batchSize: 5000}).then((blob) => {
+ *   // ...
+ * });
+ *
  * // export to downloadable file (named: MyFile.csv)
  * exportPlugin.downloadFile('csv', {filename: 'MyFile'});
  *
+ * // export to downloadable Excel workbook (named: MyFile.xlsx)
+ * exportPlugin.downloadFile('xlsx', {filename: 'MyFile', columnHeaders: true});
+ *
+ * // export as a JSON string (array of objects keyed by the `columns[].data` properties)
+ * exportPlugin.exportAsString('json');
+ *
+ * // export values formatted as they are displayed (eq. currency columns with `numericFormat`)
+ * exportPlugin.exportAsString('csv', {
+ *   applyFormatting: true,
+ *   valueFormatter: {
+ *     status: (value, row, column, cellMeta) => value.toUpperCase(),
+ *   },
+ * });
+ *
+ * // register custom export type (class which extends `ExportFile.BaseType`) and export data using it
+ * exportPlugin.registerExportType('fixedWidth', FixedWidth);
+ * exportPlugin.exportAsString('fixedWidth');
+ *
+ * // copy data to the clipboard as a HTML table (must be called from the user action handler, eq. click)
+ * exportPlugin.exportToClipboard('html', {columnHeaders: true, inlineStyles: true});
+ *
  * // export as a string (with specified data range):
  * exportPlugin.exportAsString('csv', {
  *   exportHiddenRows: true,     // default false
@@ -41,9 +83,43 @@ import typeFactory, { EXPORT_TYPES } from './typeFactory';
  *   columnDelimiter: ';',       // default ','
  *   range: [1, 1, 6, 6]         // [startRow, endRow, startColumn, endColumn]
  * });
+ *
+ * // export all rows of the data source (including rows trimmed by filters) in the data source order
+ * exportPlugin.exportAsString('csv', {
+ *   exportTrimmedRows: true,
+ *   exportCollapsedChildren: true,
+ *   sourceOrder: 'physical',
+ * });
+ *
+ * // export currently selected ranges (each range as a separate table in `html` or worksheet in `xlsx` format)
+ * exportPlugin.downloadFile('xlsx', {range: 'selection'});
+ *
+ * // export a list of ranges
+ * exportPlugin.exportAsString('csv', {range: [[0, 0, 2, 2], [5, 0, 6, 2]]});
  * ```
  */
 class ExportFile extends BasePlugin {
+  /**
+   * Base class of the export types. Custom export types registered by {@link ExportFile#registerExportType} should
+   * extend it.
+   *
+   * @returns {Function}
+   */
+  static get BaseType() {
+    return BaseType;
+  }
+
+  constructor(hotInstance) {
+    super(hotInstance);
+    /**
+     * List of the pending asynchronous exports (see {@link ExportFile#exportAsBlobAsync}).
+     *
+     * @private
+     * @type {Array}
+     */
+    this.pendingExports = [];
+  }
+
   /**
    * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
    * hook and if it returns `true` than the {@link ExportFile#enablePlugin} method is called.
@@ -60,14 +136,46 @@ class ExportFile extends BasePlugin {
    * @type {object}
    * @property {boolean} [exportHiddenRows=false] Include hidden rows in the exported file.
    * @property {boolean} [exportHiddenColumns=false] Include hidden columns in the exported file.
+   * @property {boolean} [exportTrimmedRows=false] Include rows trimmed by the `trimRows` or `filters` plugins.
+   * @property {boolean} [exportCollapsedChildren=false] Include child rows of the collapsed rows (`nestedRows` plugin).
+   * @property {string} [sourceOrder='visual'] Order of the exported rows: `'visual'` (as displayed, eq. sorted by the
+   *                                           `multiColumnSorting` plugin) or `'physical'` (as in the data source).
+   *                                           In the visual order the trimmed rows are placed after the row which
+   *                                           precedes them in the data source.
    * @property {boolean} [columnHeaders=false] Include column headers in the exported file.
    * @property {boolean} [rowHeaders=false] Include row headers in the exported file.
    * @property {string} [columnDelimiter=','] Column delimiter.
-   * @property {string} [range=[]] Cell range that will be exported to file.
+   * @property {Array|string} [range=[]] Cell range that will be exported to file (`[startRow, startColumn, endRow, endColumn]`),
+   *                                    a list of such ranges or `'selection'` (currently selected ranges). When more than
+   *                                    one range is exported, each range becomes a separate section (`csv`), table
+   *                                    (`html`) or worksheet (`xlsx`). The `json` and `ndjson` formats concatenate
+   *                                    the records of all ranges.
+   * @property {string} [formulaMode='values'] Defines how cells with formulas (`formulas` plugin) are exported:
+   *                                          `'values'` (computed values), `'expressions'` (formula expressions eq.
+   *                                          `'=SUM(A1:A5)'`) or `'both'` (computed values along with the expressions for
+   *                                          the formats which support it: `xlsx` and `html` as `data-formula` attributes).
+   * @property {boolean} [applyFormatting=false] Export values formatted as they are displayed in the table (according
+   *                                             to the `numericFormat`, `dateFormat` and `timeFormat` cell options).
+   * @property {function|object} [valueFormatter=null] Callback `(value, row, column, cellMeta) => string` used to format
+   *                                                   each exported value, or an object with such callbacks keyed by
+   *                                                   the column data property (or column index). The `row` and
+   *                                                   `column` arguments are the visual indexes. For the rows which
+   *                                                   have no visual index (trimmed or collapsed rows, see the
+   *                                                   `exportTrimmedRows` option) `row` is `null` and the physical row
+   *                                                   index is available as `cellMeta.row`.
+   * @property {number} [batchSize=1000] Number of rows processed at once by the asynchronous export
+   *                                     ({@link ExportFile#exportAsBlobAsync} only).
+   * @property {string} [sheetName='Sheet1'] Name of the worksheet (`xlsx` format only).
+   * @property {string} [structure='objects'] Structure of the exported records: `'objects'` (keyed by the columns `data`
+   *                                          properties, nested rows are exported as `__children` arrays) or `'arrays'`
+   *                                          (`json` and `ndjson` formats only).
+   * @property {boolean} [inlineStyles=false] Include cell styles (resulting from cell `className` and renderers) as
+   *                                          inline styles (`html` format only).
    */
 
   /**
-   * Exports table data as a string.
+   * Exports table data as a string. For binary formats (eq. `'xlsx'`) the result is a "binary string" where each
+   * char represents one byte of the file.
    *
    * @param {String} format Export format type eq. `'csv'`.
    * @param {ExportOptions} options Export options.
@@ -86,6 +194,114 @@ class ExportFile extends BasePlugin {
     return this._createBlob(this._createTypeFormatter(format, options));
   }
 
+  /**
+   * Exports table data as a blob object asynchronously. The rows are exported in batches (see the `batchSize` option)
+   * and the browser event loop is released between them, so exporting huge tables does not freeze the page. Formats
+   * which do not support chunked export (all except `csv`) are exported in a single step.
+   *
+   * The export can be cancelled by calling {@link ExportFile#cancelExport} or by returning `false` from the
+   * {@link Hooks#beforeExport} or {@link Hooks#exportProgress} hooks. In that case the returned promise is rejected.
+   *
+   * @param {String} format Export format type eq. `'csv'`.
+   * @param {ExportOptions} options Export options.
+   * @returns {Promise} Returns promise resolved with the blob object.
+   */
+  exportAsBlobAsync(format, options = {}) {
+    const task = { cancelled: false };
+
+    // The formatter is created in the executor, so the errors (eq. an unknown format) reject the promise.
+    return new Promise((resolve, reject) => {
+      const formatter = this._createTypeFormatter(format, options);
+      const parts = [];
+      const iterator = formatter.supportsChunks() ? formatter.dataProvider.createRowIterator() : null;
+      const total = iterator ? iterator.length : formatter.dataProvider.getRowIndexes().length;
+      let processed = 0;
+
+      const finish = (error) => {
+        this.pendingExports.splice(this.pendingExports.indexOf(task), 1);
+
+        if (error) {
+          reject(error);
+
+          return;
+        }
+        const blob = this._createBlobFromParts(parts, formatter.options);
+
+        this.hot.runHooks('afterExport', format, blob);
+        resolve(blob);
+      };
+      const processBatch = () => {
+        if (task.cancelled) {
+          finish(new Error('Export has been cancelled.'));
+
+          return;
+        }
+
+        try {
+          if (iterator) {
+            const batch = [];
+            const batchEnd = processed + formatter.options.batchSize;
+
+            if (!parts.length) {
+              batch.push(formatter.exportHeader());
+            }
+            while (processed < batchEnd) {
+              const step = iterator.next();
+
+              if (step.done) {
+                break;
+              }
+              batch.push(formatter.exportRow(step.value.data, step.value.index));
+              processed += 1;
+            }
+            // Checked by the number of rows, as the iterator isn't done yet when the last batch is full.
+            if (processed >= total) {
+              batch.push(formatter.exportFooter());
+            }
+            parts.push(batch.join(''));
+
+          } else {
+            parts.push(formatter.export());
+            processed = total;
+          }
+
+        } catch (error) {
+          finish(error);
+
+          return;
+        }
+
+        if (this.hot.runHooks('exportProgress', processed, total, format) === false) {
+          task.cancelled = true;
+        }
+        if (processed >= total && !task.cancelled) {
+          finish();
+
+        } else {
+          setTimeout(processBatch, 0);
+        }
+      };
+
+      if (this.hot.runHooks('beforeExport', format, formatter.options) === false) {
+        reject(new Error('Export has been cancelled.'));
+
+        return;
+      }
+      this.pendingExports.push(task);
+      setTimeout(processBatch, 0);
+    });
+  }
+
+  /**
+   * Cancels all pending asynchronous exports (see {@link ExportFile#exportAsBlobAsync}). The promises returned by the
+   * cancelled exports are rejected.
+   */
+  cancelExport() {
+    arrayEach(this.pendingExports, (task) => {
+      task.cancelled = true;
+    });
+  }
+
   /**
    * Exports table data as a downloadable file.
    *
@@ -119,6 +335,66 @@ class ExportFile extends BasePlugin {
     }
   }
 
+  /**
+   * Copies table data to the system clipboard. The clipboard is filled with two flavours: `text/html` (created by
+   * the `html` export type) and `text/plain` (created by the specified export type). For the `'html'` format the plain
+   * text flavour contains tab separated values, so it can be pasted directly into spreadsheet applications.
+   *
+   * This method has to be called from within the user action handler (eq. click) as browsers do not allow to
+   * access the clipboard otherwise.
+   *
+   * @param {String} [format='html'] Export format type eq. `'html'` or `'csv'`.
+   * @param {ExportOptions} options Export options.
+   * @returns {Boolean} Returns `true` if the data was copied successfully.
+   */
+  exportToClipboard(format = 'html', options = {}) {
+    const isHtml = format === TYPE_HTML;
+    const html = this._createTypeFormatter(TYPE_HTML, extend(extend({}, options), { bom: false })).export();
+    const plainTextOptions = isHtml ? { columnDelimiter: '\t', rowDelimiter: '\n' } : {};
+    const plainTextFormatter = this._createTypeFormatter(isHtml ? TYPE_CSV : format, extend(extend(plainTextOptions, options), { bom: false }));
+
+    if (plainTextFormatter.options.binary) {
+      throw new Error(`Export format type "${format}" cannot be copied to the clipboard.`);
+    }
+
+    const text = plainTextFormatter.export();
+    const onCopy = (event) => {
+      if (event.clipboardData) {
+        event.clipboardData.setData('text/html', html);
+        event.clipboardData.setData('text/plain', text);
+
+      } else if (window.clipboardData) { // IE
+        window.clipboardData.setData('Text', text);
+      }
+
+      event.preventDefault();
+    };
+    let result = false;
+
+    document.addEventListener('copy', onCopy);
+
+    try {
+      result = document.execCommand('copy');
+
+    } finally {
+      document.removeEventListener('copy', onCopy);
+    }
+
+    return result;
+  }
+
+  /**
+   * Registers custom export type. Once registered, the type name can be used as the `format` argument of all export
+   * methods (eq. `exportAsString`, `exportAsBlob` or `downloadFile`) of all Handsontable instances. Registering a type
+   * under the name of already existing type (eq. `'csv'`) replaces it.
+   *
+   * @param {String} name Export format type name eq. `'fixedWidth'`.
+   * @param {Function} TypeClass Export type class which extends {@link BaseType} (see `ExportFile.BaseType`).
+   */
+  registerExportType(name, TypeClass) {
+    registerExportType(name, TypeClass);
+  }
+
   /**
    * Creates and returns class formatter for specified export type.
    *
@@ -142,15 +418,42 @@ class ExportFile extends BasePlugin {
    * @returns {Blob}
    */
   _createBlob(typeFormatter) {
-    let formatter = null;
+    return this._createBlobFromParts([typeFormatter.export()], typeFormatter.options);
+  }
+
+  /**
+   * Creates blob object from the exported parts of the file.
+   *
+   * @private
+   * @param {Array} parts List of the exported strings (for binary formats "binary strings").
+   * @param {Object} options Type formatter options.
+   * @returns {Blob}
+   */
+  _createBlobFromParts(parts, options) {
+    let blob = null;
 
     if (typeof Blob !== 'undefined') {
-      formatter = new Blob([typeFormatter.export()], {
-        type: `${typeFormatter.options.mimeType};charset=${typeFormatter.options.encoding}`,
-      });
+      const { mimeType, encoding, binary } = options;
+
+      if (binary) {
+        blob = new Blob([binaryStringToBytes(parts.join(''))], { type: mimeType });
+
+      } else {
+        blob = new Blob(parts, {
+          type: `${mimeType};charset=${encoding}`,
+        });
+      }
     }
 
-    return formatter;
+    return blob;
+  }
+
+  /**
+   * Destroys the plugin instance.
+   */
+  destroy() {
+    this.cancelExport();
+    super.destroy();
   }
 }
 
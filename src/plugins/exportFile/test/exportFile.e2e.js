@@ -24,7 +24,27 @@ describe('exportFile', () => {
       expect(csv.options.rowHeaders).toBe(false);
       expect(csv.options.exportHiddenColumns).toBe(false);
       expect(csv.options.exportHiddenRows).toBe(false);
+      expect(csv.options.exportTrimmedRows).toBe(false);
+      expect(csv.options.exportCollapsedChildren).toBe(false);
+      expect(csv.options.sourceOrder).toBe('visual');
+      expect(csv.options.formulaMode).toBe('values');
       expect(csv.options.range).toEqual([]);
+      expect(csv.options.batchSize).toBe(1000);
+    });
+  });
+
+  describe('DataProvider', () => {
+    it('should iterate over the exported rows', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+      });
+      const dataProvider = getPlugin('exportFile')._createTypeFormatter('csv', { range: [1, 1, 2, 2] }).dataProvider;
+      const iterator = dataProvider.createRowIterator();
+
+      expect(iterator.length).toBe(2);
+      expect(iterator.next()).toEqual({ done: false, value: { index: 0, row: 1, data: ['B2', 'C2'] } });
+      expect(iterator.next()).toEqual({ done: false, value: { index: 1, row: 2, data: ['B3', 'C3'] } });
+      expect(iterator.next()).toEqual({ done: true, value: void 0 });
     });
   });
 
@@ -62,6 +82,406 @@ describe('exportFile', () => {
     });
   });
 
+  describe('`exportAsBlobAsync` method', () => {
+    function readBlob(blob) {
+      return new Promise((resolve) => {
+        const reader = new FileReader();
+
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blob);
+      });
+    }
+
+    it('should resolve the promise with blob object contains exported value', async() => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 3),
+        colHeaders: true,
+        rowHeaders: true,
+      });
+      const plugin = getPlugin('exportFile');
+      const options = { bom: false, columnHeaders: true, rowHeaders: true, batchSize: 3 };
+
+      const blob = await plugin.exportAsBlobAsync('csv', options);
+
+      expect(blob.type).toBe('text/csv;charset=utf-8');
+      expect(await readBlob(blob)).toBe(plugin.exportAsString('csv', options));
+    });
+
+    it('should export rows in batches and run the export hooks', async() => {
+      const beforeExport = jasmine.createSpy('beforeExport');
+      const exportProgress = jasmine.createSpy('exportProgress');
+      const afterExport = jasmine.createSpy('afterExport');
+
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 3),
+        beforeExport,
+        exportProgress,
+        afterExport,
+      });
+
+      const blob = await getPlugin('exportFile').exportAsBlobAsync('csv', { batchSize: 4 });
+
+      expect(beforeExport).toHaveBeenCalledWith('csv', jasmine.objectContaining({ batchSize: 4 }), void 0, void 0, void 0, void 0);
+      expect(exportProgress.calls.count()).toBe(3);
+      expect(exportProgress.calls.argsFor(0)).toEqual([4, 10, 'csv', void 0, void 0, void 0]);
+      expect(exportProgress.calls.argsFor(1)).toEqual([8, 10, 'csv', void 0, void 0, void 0]);
+      expect(exportProgress.calls.argsFor(2)).toEqual([10, 10, 'csv', void 0, void 0, void 0]);
+      expect(afterExport).toHaveBeenCalledWith('csv', blob, void 0, void 0, void 0, void 0);
+    });
+
+    it('should release the event loop between the batches', async() => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 3),
+      });
+      const exportProgress = jasmine.createSpy('exportProgress');
+
+      addHook('exportProgress', exportProgress);
+
+      const promise = getPlugin('exportFile').exportAsBlobAsync('csv', { batchSize: 5 });
+
+      expect(exportProgress).not.toHaveBeenCalled();
+
+      await promise;
+
+      expect(exportProgress.calls.count()).toBe(2);
+    });
+
+    it('should export the format type which does not support chunks in a single step', async() => {
+      const exportProgress = jasmine.createSpy('exportProgress');
+
+      handsontable({
+        data: [[1, 2], [3, 4]],
+        exportProgress,
+      });
+      const plugin = getPlugin('exportFile');
+
+      const blob = await plugin.exportAsBlobAsync('json', { structure: 'arrays', batchSize: 1 });
+
+      expect(exportProgress.calls.count()).toBe(1);
+      expect(exportProgress.calls.argsFor(0)).toEqual([2, 2, 'json', void 0, void 0, void 0]);
+      expect(await readBlob(blob)).toBe(plugin.exportAsString('json', { structure: 'arrays' }));
+    });
+
+    it('should reject the promise instead of throwing when the export format is not supported', (done) => {
+      handsontable();
+      let promise = null;
+
+      expect(() => {
+        promise = getPlugin('exportFile').exportAsBlobAsync('unknown');
+      }).not.toThrow();
+
+      promise.catch((error) => {
+        expect(error).toEqual(new Error('Export format type "unknown" is not supported.'));
+        done();
+      });
+    });
+
+    it('should reject the promise when the `beforeExport` hook returns `false`', async() => {
+      const afterExport = jasmine.createSpy('afterExport');
+
+      handsontable({
+        beforeExport: () => false,
+        afterExport,
+      });
+      let error = null;
+
+      try {
+        await getPlugin('exportFile').exportAsBlobAsync('csv');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toEqual(new Error('Export has been cancelled.'));
+      expect(afterExport).not.toHaveBeenCalled();
+    });
+
+    it('should reject the promise when the `exportProgress` hook returns `false`', async() => {
+      const exportProgress = jasmine.createSpy('exportProgress').and.returnValue(false);
+
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 3),
+        exportProgress,
+      });
+      let error = null;
+
+      try {
+        await getPlugin('exportFile').exportAsBlobAsync('csv', { batchSize: 2 });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toEqual(new Error('Export has been cancelled.'));
+      expect(exportProgress.calls.count()).toBe(1);
+    });
+
+    it('should reject the pending promises after calling the `cancelExport` method', async() => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(10, 3),
+      });
+      const plugin = getPlugin('exportFile');
+      const promise = plugin.exportAsBlobAsync('csv', { batchSize: 2 });
+      let error = null;
+
+      plugin.cancelExport();
+
+      try {
+        await promise;
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toEqual(new Error('Export has been cancelled.'));
+      expect(plugin.pendingExports.length).toBe(0);
+    });
+
+    function createChunkedType(BaseType, { header = () => '<rows>' } = {}) {
+      return class Chunked extends BaseType {
+        supportsChunks() {
+          return true;
+        }
+
+        exportHeader() {
+          return header();
+        }
+
+        exportRow(rowData) {
+          return `<row>${rowData.join(',')}</row>`;
+        }
+
+        exportFooter() {
+          return '</rows>';
+        }
+
+        export() {
+          return '';
+        }
+      };
+    }
+
+    it('should export the footer when the number of rows is a multiple of the batch size', async() => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(4, 2),
+      });
+      const plugin = getPlugin('exportFile');
+
+      plugin.registerExportType('chunked', createChunkedType(plugin.constructor.BaseType));
+
+      const blob = await plugin.exportAsBlobAsync('chunked', { bom: false, batchSize: 2 });
+
+      expect(await readBlob(blob))
+        .toBe('<rows><row>A1,B1</row><row>A2,B2</row><row>A3,B3</row><row>A4,B4</row></rows>');
+    });
+
+    it('should reject the promise and remove the pending export when exporting the header fails', async() => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(4, 2),
+      });
+      const plugin = getPlugin('exportFile');
+      let error = null;
+
+      plugin.registerExportType('chunked', createChunkedType(plugin.constructor.BaseType, {
+        header: () => {
+          throw new Error('Header error');
+        },
+      }));
+
+      try {
+        await plugin.exportAsBlobAsync('chunked');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toEqual(new Error('Header error'));
+      expect(plugin.pendingExports.length).toBe(0);
+    });
+  });
+
+  describe('`exportToClipboard` method', () => {
+    function mockCopyCommand(clipboardData) {
+      spyOn(document, 'execCommand').and.callFake(() => {
+        const event = document.createEvent('Event');
+
+        event.initEvent('copy', true, true);
+        event.clipboardData = clipboardData;
+        document.dispatchEvent(event);
+
+        return true;
+      });
+    }
+
+    it('should copy HTML table and tab separated values to the clipboard', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(2, 2),
+        colHeaders: true,
+      });
+      const clipboardData = jasmine.createSpyObj('clipboardData', ['setData']);
+
+      mockCopyCommand(clipboardData);
+
+      const result = getPlugin('exportFile').exportToClipboard('html', { columnHeaders: true });
+
+      expect(result).toBe(true);
+      expect(document.execCommand).toHaveBeenCalledWith('copy');
+      expect(clipboardData.setData).toHaveBeenCalledWith('text/html',
+        '<table><thead><tr><th>A</th><th>B</th></tr></thead><tbody><tr><td>A1</td><td>B1</td></tr><tr><td>A2</td><td>B2</td></tr></tbody></table>');
+      expect(clipboardData.setData).toHaveBeenCalledWith('text/plain', '"A"\t"B"\nA1\tB1\nA2\tB2');
+    });
+
+    it('should copy the plain text flavour in the specified format', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(2, 2),
+      });
+      const clipboardData = jasmine.createSpyObj('clipboardData', ['setData']);
+
+      mockCopyCommand(clipboardData);
+      getPlugin('exportFile').exportToClipboard('csv', { columnDelimiter: ';' });
+
+      expect(clipboardData.setData).toHaveBeenCalledWith('text/html',
+        '<table><tbody><tr><td>A1</td><td>B1</td></tr><tr><td>A2</td><td>B2</td></tr></tbody></table>');
+      expect(clipboardData.setData).toHaveBeenCalledWith('text/plain', 'A1;B1\r\nA2;B2');
+    });
+
+    it('should throw exception when specified format type is binary', () => {
+      handsontable();
+
+      expect(() => {
+        getPlugin('exportFile').exportToClipboard('xlsx');
+      }).toThrow();
+    });
+  });
+
+  describe('`registerExportType` method', () => {
+    function createFixedWidthType(BaseType) {
+      return class FixedWidth extends BaseType {
+        static get DEFAULT_OPTIONS() {
+          return {
+            mimeType: 'text/plain',
+            fileExtension: 'txt',
+            columnWidth: 4,
+          };
+        }
+
+        export() {
+          return this.dataProvider.getData()
+            .map(row => row.map(value => `${value}`.padEnd(this.options.columnWidth)).join(''))
+            .join('\n');
+        }
+      };
+    }
+
+    it('should register custom export type usable by the export methods', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(2, 3),
+      });
+      const plugin = getPlugin('exportFile');
+
+      plugin.registerExportType('fixedWidth', createFixedWidthType(plugin.constructor.BaseType));
+
+      expect(plugin.exportAsString('fixedWidth')).toBe('A1  B1  C1  \nA2  B2  C2  ');
+      expect(plugin.exportAsString('fixedWidth', { columnWidth: 3, range: [1, 1, 1, 2] })).toBe('B2 C2 ');
+      expect(plugin.exportAsBlob('fixedWidth').type).toBe('text/plain;charset=utf-8');
+    });
+
+    it('should merge options of the custom export type with the base defaults', () => {
+      handsontable();
+      const plugin = getPlugin('exportFile');
+
+      plugin.registerExportType('fixedWidth', createFixedWidthType(plugin.constructor.BaseType));
+
+      const formatter = plugin._createTypeFormatter('fixedWidth', { columnHeaders: true });
+
+      expect(formatter.options.fileExtension).toBe('txt');
+      expect(formatter.options.columnWidth).toBe(4);
+      expect(formatter.options.columnHeaders).toBe(true);
+      expect(formatter.options.encoding).toBe('utf-8');
+      expect(formatter.options.range).toEqual([]);
+    });
+
+    it('should throw exception when the type name or class is invalid', () => {
+      handsontable();
+      const plugin = getPlugin('exportFile');
+
+      expect(() => {
+        plugin.registerExportType('', createFixedWidthType(plugin.constructor.BaseType));
+      }).toThrow();
+      expect(() => {
+        plugin.registerExportType('foo', {});
+      }).toThrow();
+      expect(() => {
+        plugin.registerExportType('foo', class Foo {});
+      }).toThrow();
+    });
+  });
+
+  describe('"Export selection as CSV" menu item', () => {
+    it('should download the selected ranges as CSV file from the context menu', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        colHeaders: true,
+        contextMenu: ['export_selection_as_csv'],
+      });
+      const plugin = getPlugin('exportFile');
+
+      spyOn(plugin, 'downloadFile');
+
+      selectCell(1, 1, 2, 2);
+
+      const item = getPlugin('contextMenu').menu.menuItems.filter(menuItem => menuItem.key === 'export_selection_as_csv')[0];
+
+      expect(item.name.call(hot())).toBe('Export selection as CSV');
+
+      getPlugin('contextMenu').executeCommand('export_selection_as_csv');
+
+      expect(plugin.downloadFile).toHaveBeenCalledWith('csv', { range: 'selection', columnHeaders: true });
+    });
+
+    it('should translate the name using the language dictionary', () => {
+      Handsontable.languages.registerLanguageDictionary({
+        languageCode: 'exportFileForTests',
+        [Handsontable.languages.dictionaryKeys.CONTEXTMENU_ITEMS_EXPORT_SELECTION_AS_CSV]: 'Exportuj zaznaczenie do CSV',
+      });
+      handsontable({
+        contextMenu: ['export_selection_as_csv'],
+        language: 'exportFileForTests',
+      });
+
+      const item = getPlugin('contextMenu').menu.menuItems.filter(menuItem => menuItem.key === 'export_selection_as_csv')[0];
+
+      expect(item.name.call(hot())).toBe('Exportuj zaznaczenie do CSV');
+    });
+
+    it('should be disabled when nothing is selected', () => {
+      handsontable({
+        contextMenu: ['export_selection_as_csv'],
+      });
+
+      const item = getPlugin('contextMenu').menu.menuItems.filter(menuItem => menuItem.key === 'export_selection_as_csv')[0];
+
+      expect(item.disabled.call(hot())).toBe(true);
+
+      selectCell(0, 0);
+
+      expect(item.disabled.call(hot())).toBe(false);
+    });
+
+    it('should be available for the dropdown menu', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        colHeaders: true,
+        dropdownMenu: ['export_selection_as_csv'],
+      });
+      const plugin = getPlugin('exportFile');
+
+      spyOn(plugin, 'downloadFile');
+
+      hot().selectColumns(1);
+      getPlugin('dropdownMenu').executeCommand('export_selection_as_csv');
+
+      expect(plugin.downloadFile).toHaveBeenCalledWith('csv', { range: 'selection', columnHeaders: true });
+      expect(plugin._createTypeFormatter('csv', { bom: false, range: 'selection' }).export()).toBe('B1\r\nB2\r\nB3\r\nB4\r\nB5');
+    });
+  });
+
   describe('`_createTypeFormatter` method', () => {
     it('should create formatter type object', () => {
       const hot = handsontable();
@@ -408,4 +408,234 @@ describe('exportFile CSV type', () => {
       expect(csv._escapeCell('12;4')).toBe('"12;4"');
     });
   });
+
+  describe('formulas', () => {
+    it('should export computed values by default', () => {
+      handsontable({
+        data: [[1, 2, '=SUM(A1:B1)']],
+        formulas: true,
+      });
+
+      const csv = getPlugin('exportFile')._createTypeFormatter('csv', { bom: false }).export();
+
+      expect(csv).toBe('1,2,3');
+    });
+
+    it('should export formula expressions when `formulaMode` option is set to `expressions`', () => {
+      handsontable({
+        data: [[1, 2, '=SUM(A1:B1)']],
+        formulas: true,
+      });
+
+      const csv = getPlugin('exportFile')._createTypeFormatter('csv', { bom: false, formulaMode: 'expressions' }).export();
+
+      expect(csv).toBe('1,2,=SUM(A1:B1)');
+    });
+  });
+
+  describe('formatting', () => {
+    it('should export raw values by default', () => {
+      handsontable({
+        data: [[1234.5, 'foo']],
+        columns: [{ type: 'numeric', numericFormat: { pattern: '$0,0.00' } }, {}],
+      });
+
+      const csv = getPlugin('exportFile')._createTypeFormatter('csv', { bom: false }).export();
+
+      expect(csv).toBe('1234.5,foo');
+    });
+
+    it('should export values formatted according to the `numericFormat` option when `applyFormatting` is enabled', () => {
+      handsontable({
+        data: [[1234.5, 'foo'], [null, 'bar']],
+        columns: [{ type: 'numeric', numericFormat: { pattern: '$0,0.00' } }, {}],
+      });
+
+      const csv = getPlugin('exportFile')._createTypeFormatter('csv', { bom: false, applyFormatting: true }).export();
+
+      expect(csv).toBe('"$1,234.50",foo\r\n,bar');
+    });
+
+    it('should export values formatted by the `valueFormatter` callback', () => {
+      handsontable({
+        data: [[1, 'foo'], [2, 'bar']],
+      });
+
+      const valueFormatter = jasmine.createSpy('valueFormatter').and.callFake((value, row, column) => `${value}@${row}:${column}`);
+      const csv = getPlugin('exportFile')._createTypeFormatter('csv', { bom: false, valueFormatter }).export();
+
+      expect(csv).toBe('1@0:0,foo@0:1\r\n2@1:0,bar@1:1');
+      expect(valueFormatter.calls.count()).toBe(4);
+      expect(valueFormatter.calls.argsFor(0)[3]).toBe(getCellMeta(0, 0));
+    });
+
+    it('should export values formatted by the `valueFormatter` callbacks defined per column', () => {
+      handsontable({
+        data: [{ id: 1, name: 'foo', price: 10 }, { id: 2, name: 'bar', price: 20 }],
+        columns: [{ data: 'id' }, { data: 'name' }, { data: 'price', type: 'numeric', numericFormat: { pattern: '0.00' } }],
+      });
+
+      const csv = getPlugin('exportFile')._createTypeFormatter('csv', {
+        bom: false,
+        applyFormatting: true,
+        valueFormatter: {
+          name: value => value.toUpperCase(),
+        },
+      }).export();
+
+      expect(csv).toBe('1,FOO,10.00\r\n2,BAR,20.00');
+    });
+  });
+
+  describe('ranges', () => {
+    it('should export the selected range when the `range` option is set to `selection`', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+      });
+
+      selectCell(3, 2, 1, 1);
+
+      const csv = getPlugin('exportFile')._createTypeFormatter('csv', { bom: false, range: 'selection' }).export();
+
+      expect(csv).toBe('B2,C2\r\nB3,C3\r\nB4,C4');
+    });
+
+    it('should export nothing when the `range` option is set to `selection` and nothing is selected', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+      });
+
+      const csv = getPlugin('exportFile')._createTypeFormatter('csv', { bom: false, columnHeaders: true, range: 'selection' }).export();
+
+      expect(csv).toBe('');
+    });
+
+    it('should export each of the selected ranges as separate section', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        colHeaders: true,
+      });
+
+      hot().selectCells([[0, 0, 1, 1], [3, 3, 4, 4]]);
+
+      const csv = getPlugin('exportFile')._createTypeFormatter('csv', { columnHeaders: true, range: 'selection' }).export();
+
+      expect(csv).toBe('\uFEFF"A","B"\r\nA1,B1\r\nA2,B2\r\n\r\n"D","E"\r\nD4,E4\r\nD5,E5');
+    });
+
+    it('should export list of ranges defined in the `range` option', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+      });
+
+      const csv = getPlugin('exportFile')._createTypeFormatter('csv', { bom: false, range: [[0, 0, 0, 1], [2, 2, 2, 4]] }).export();
+
+      expect(csv).toBe('A1,B1\r\n\r\nC3,D3,E3');
+    });
+  });
+
+  describe('row sources', () => {
+    function exportCsv(options = {}) {
+      return getPlugin('exportFile')._createTypeFormatter('csv', Object.assign({ bom: false, rowDelimiter: '|' }, options)).export();
+    }
+
+    it('should skip the trimmed rows by default', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 1),
+        trimRows: [1, 3],
+      });
+
+      expect(exportCsv()).toBe('A1|A3|A5');
+    });
+
+    it('should export the trimmed rows in their source positions when the `exportTrimmedRows` option is enabled', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 1),
+        trimRows: [0, 3],
+      });
+
+      expect(exportCsv({ exportTrimmedRows: true })).toBe('A1|A2|A3|A4|A5');
+      expect(exportCsv({ exportTrimmedRows: true, range: [1, 0, 2, 0] })).toBe('A3|A4|A5');
+    });
+
+    it('should pass the visual row index (or `null` with the physical index in the cell meta for the trimmed rows) to the `valueFormatter` callback', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 1),
+        trimRows: [0, 3],
+      });
+      const valueFormatter = (value, row, column, cellMeta) => `${value}@${row}:${cellMeta.row}`;
+
+      expect(exportCsv({ exportTrimmedRows: true, valueFormatter })).toBe('A1@null:0|A2@0:1|A3@1:2|A4@null:3|A5@2:4');
+    });
+
+    it('should export the computed values of the formulas in the trimmed rows according to the `formulaMode` option', () => {
+      handsontable({
+        data: [[1, '=1+1'], [2, '=2*3'], [3, '=3*3']],
+        trimRows: [1],
+        formulas: true,
+      });
+
+      expect(exportCsv({ exportTrimmedRows: true })).toBe('1,2|2,6|3,9');
+      expect(exportCsv({ exportTrimmedRows: true, formulaMode: 'expressions' })).toBe('1,=1+1|2,=2*3|3,=3*3');
+    });
+
+    it('should export the rows filtered out by the `filters` plugin when the `exportTrimmedRows` option is enabled', () => {
+      handsontable({
+        data: [[1], [2], [3], [4]],
+        filters: true,
+      });
+      const filters = getPlugin('filters');
+
+      filters.addCondition(0, 'gt', [2]);
+      filters.filter();
+
+      expect(exportCsv()).toBe('3|4');
+      expect(exportCsv({ exportTrimmedRows: true })).toBe('1|2|3|4');
+    });
+
+    it('should export the rows in the physical order when the `sourceOrder` option is set to `physical`', () => {
+      handsontable({
+        data: [[2], [1], [3]],
+        multiColumnSorting: true,
+      });
+
+      getPlugin('multiColumnSorting').sort({ column: 0, sortOrder: 'desc' });
+
+      expect(exportCsv()).toBe('3|2|1');
+      expect(exportCsv({ sourceOrder: 'visual' })).toBe('3|2|1');
+      expect(exportCsv({ sourceOrder: 'physical' })).toBe('2|1|3');
+    });
+
+    it('should export the trimmed rows of the sorted table in the physical order', () => {
+      handsontable({
+        data: [[2], [1], [4], [3]],
+        multiColumnSorting: true,
+        trimRows: [2],
+      });
+
+      getPlugin('multiColumnSorting').sort({ column: 0, sortOrder: 'asc' });
+
+      expect(exportCsv()).toBe('1|2|3');
+      expect(exportCsv({ sourceOrder: 'physical' })).toBe('2|1|3');
+      expect(exportCsv({ sourceOrder: 'physical', exportTrimmedRows: true })).toBe('2|1|4|3');
+    });
+
+    it('should export the children of the collapsed rows only when the `exportCollapsedChildren` option is enabled', () => {
+      handsontable({
+        data: [
+          { a: 'parent 1', __children: [{ a: 'child 1.1' }, { a: 'child 1.2' }] },
+          { a: 'parent 2', __children: [{ a: 'child 2.1' }] },
+        ],
+        columns: [{ data: 'a' }],
+        nestedRows: true,
+        trimRows: true,
+      });
+
+      getPlugin('nestedRows').collapsingUI.collapseChildren(0);
+
+      expect(exportCsv()).toBe('parent 1|parent 2|child 2.1');
+      expect(exportCsv({ exportTrimmedRows: true })).toBe('parent 1|parent 2|child 2.1');
+      expect(exportCsv({ exportCollapsedChildren: true })).toBe('parent 1|child 1.1|child 1.2|parent 2|child 2.1');
+    });
+  });
 });
@@ -0,0 +1,186 @@
+describe('exportFile HTML type', () => {
+  const id = 'testContainer';
+
+  function data(x, y) {
+    return Handsontable.helper.createSpreadsheetData(x, y);
+  }
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  it('should export table when data source is defined as array of arrays', () => {
+    handsontable({
+      data: [[1, 'Foo <b>"s</b>', 'He\nis\nkind'], [2, 'Bar & Baz', null]],
+    });
+
+    const html = getPlugin('exportFile')._createTypeFormatter('html').export();
+
+    expect(html).toBe('<table><tbody>' +
+      '<tr><td>1</td><td>Foo &lt;b&gt;&quot;s&lt;/b&gt;</td><td>He<br>is<br>kind</td></tr>' +
+      '<tr><td>2</td><td>Bar &amp; Baz</td><td></td></tr>' +
+      '</tbody></table>');
+  });
+
+  it('should returns HTML type formatter object', () => {
+    handsontable();
+    const type = getPlugin('exportFile')._createTypeFormatter('html');
+
+    expect(type).toBeDefined();
+  });
+
+  describe('export options', () => {
+    it('should have prepared default options', () => {
+      handsontable();
+      const html = getPlugin('exportFile')._createTypeFormatter('html');
+
+      expect(html.options.mimeType).toBe('text/html');
+      expect(html.options.fileExtension).toBe('html');
+      expect(html.options.bom).toBe(false);
+      expect(html.options.inlineStyles).toBe(false);
+    });
+  });
+
+  describe('`export` method', () => {
+    it('should export column headers and row headers', () => {
+      handsontable({
+        data: data(2, 2),
+        colHeaders: true,
+        rowHeaders: true,
+      });
+
+      const html = getPlugin('exportFile')._createTypeFormatter('html', { columnHeaders: true, rowHeaders: true }).export();
+
+      expect(html).toBe('<table>' +
+        '<thead><tr><th></th><th>A</th><th>B</th></tr></thead>' +
+        '<tbody><tr><th>1</th><td>A1</td><td>B1</td></tr><tr><th>2</th><td>A2</td><td>B2</td></tr></tbody>' +
+        '</table>');
+    });
+
+    it('should export nested headers with colspans', () => {
+      handsontable({
+        data: data(1, 4),
+        colHeaders: true,
+        rowHeaders: true,
+        nestedHeaders: [
+          ['A', { label: 'B', colspan: 2 }, 'C'],
+          ['a', 'b', 'c', 'd'],
+        ],
+      });
+
+      const html = getPlugin('exportFile')._createTypeFormatter('html', { columnHeaders: true, rowHeaders: true }).export();
+
+      expect(html).toBe('<table>' +
+        '<thead>' +
+        '<tr><th rowspan="2"></th><th>A</th><th colspan="2">B</th><th>C</th></tr>' +
+        '<tr><th>a</th><th>b</th><th>c</th><th>d</th></tr>' +
+        '</thead>' +
+        '<tbody><tr><th>1</th><td>A1</td><td>B1</td><td>C1</td><td>D1</td></tr></tbody>' +
+        '</table>');
+    });
+
+    it('should recalculate nested headers colspans for the exported range', () => {
+      handsontable({
+        data: data(1, 4),
+        colHeaders: true,
+        nestedHeaders: [
+          ['A', { label: 'B', colspan: 3 }],
+        ],
+      });
+
+      const html = getPlugin('exportFile')._createTypeFormatter('html', { columnHeaders: true, range: [0, 0, 0, 1] }).export();
+
+      expect(html).toBe('<table><thead><tr><th>A</th><th>B</th></tr></thead><tbody><tr><td>A1</td><td>B1</td></tr></tbody></table>');
+    });
+
+    it('should export merged cells as spanned cells', () => {
+      handsontable({
+        data: data(3, 3),
+        mergeCells: [{ row: 0, col: 0, rowspan: 2, colspan: 2 }],
+      });
+
+      const html = getPlugin('exportFile')._createTypeFormatter('html').export();
+
+      expect(html).toBe('<table><tbody>' +
+        '<tr><td rowspan="2" colspan="2">A1</td><td>C1</td></tr>' +
+        '<tr><td>C2</td></tr>' +
+        '<tr><td>A3</td><td>B3</td><td>C3</td></tr>' +
+        '</tbody></table>');
+    });
+
+    it('should export cell styles as inline styles when `inlineStyles` option is enabled', () => {
+      handsontable({
+        data: data(1, 2),
+        cells(row, column) {
+          return column === 1 ? { renderer(instance, TD) { TD.style.fontWeight = 'bold'; TD.innerHTML = 'Foo'; } } : {};
+        },
+      });
+
+      const html = getPlugin('exportFile')._createTypeFormatter('html', { inlineStyles: true }).export();
+
+      expect(html).toMatch(/^<table><tbody><tr><td>A1<\/td><td style="[^"]*font-weight: (bold|700)[^"]*">B1<\/td><\/tr><\/tbody><\/table>$/);
+    });
+
+    it('should not export cell styles by default', () => {
+      handsontable({
+        data: data(1, 2),
+        cells() {
+          return { renderer(instance, TD) { TD.style.fontWeight = 'bold'; } };
+        },
+      });
+
+      const html = getPlugin('exportFile')._createTypeFormatter('html').export();
+
+      expect(html).toBe('<table><tbody><tr><td>A1</td><td>B1</td></tr></tbody></table>');
+    });
+  });
+
+  describe('formulas', () => {
+    it('should export formula expressions as data attributes when `formulaMode` option is set to `both`', () => {
+      handsontable({
+        data: [[1, 2, '=SUM(A1:B1)']],
+        formulas: true,
+      });
+
+      const html = getPlugin('exportFile')._createTypeFormatter('html', { formulaMode: 'both' }).export();
+
+      expect(html).toBe('<table><tbody><tr><td>1</td><td>2</td><td data-formula="=SUM(A1:B1)">3</td></tr></tbody></table>');
+    });
+
+    it('should export formula expressions as cell content when `formulaMode` option is set to `expressions`', () => {
+      handsontable({
+        data: [[1, 2, '=SUM(A1:B1)']],
+        formulas: true,
+      });
+
+      const html = getPlugin('exportFile')._createTypeFormatter('html', { formulaMode: 'expressions' }).export();
+
+      expect(html).toBe('<table><tbody><tr><td>1</td><td>2</td><td>=SUM(A1:B1)</td></tr></tbody></table>');
+    });
+  });
+
+  describe('ranges', () => {
+    it('should export each of the ranges as separate table', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+        colHeaders: true,
+      });
+
+      hot().selectCells([[0, 0, 0, 1], [2, 2, 2, 2]]);
+
+      const html = getPlugin('exportFile')._createTypeFormatter('html', { columnHeaders: true, range: 'selection' }).export();
+
+      expect(html).toBe([
+        '<table><thead><tr><th>A</th><th>B</th></tr></thead><tbody><tr><td>A1</td><td>B1</td></tr></tbody></table>',
+        '<table><thead><tr><th>C</th></tr></thead><tbody><tr><td>C3</td></tr></tbody></table>',
+      ].join(''));
+    });
+  });
+});
@@ -0,0 +1,140 @@
+describe('exportFile JSON type', () => {
+  const id = 'testContainer';
+
+  function data(x, y) {
+    return Handsontable.helper.createSpreadsheetData(x, y);
+  }
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  it('should export table as array of objects keyed by the columns data properties', () => {
+    handsontable({
+      data: [
+        { id: 1, name: 'Foo"s', address: { city: 'Zürich', zip: '8001' } },
+        { id: 2, name: 'Bar', address: { city: 'Berlin', zip: void 0 } },
+      ],
+      columns: [
+        { data: 'id' },
+        { data: 'name' },
+        { data: 'address.city' },
+        { data: 'address.zip' },
+      ]
+    });
+
+    const json = getPlugin('exportFile')._createTypeFormatter('json').export();
+
+    expect(json).toBe('[{"id":1,"name":"Foo\\"s","address":{"city":"Zürich","zip":"8001"}},' +
+      '{"id":2,"name":"Bar","address":{"city":"Berlin","zip":null}}]');
+  });
+
+  it('should export table as array of objects keyed by the column indexes when data source is defined as array of arrays', () => {
+    handsontable({
+      data: data(2, 2),
+    });
+
+    const json = getPlugin('exportFile')._createTypeFormatter('json').export();
+
+    expect(JSON.parse(json)).toEqual([{ 0: 'A1', 1: 'B1' }, { 0: 'A2', 1: 'B2' }]);
+  });
+
+  it('should returns JSON type formatter object', () => {
+    handsontable();
+    const type = getPlugin('exportFile')._createTypeFormatter('json');
+
+    expect(type).toBeDefined();
+  });
+
+  describe('export options', () => {
+    it('should have prepared default options', () => {
+      handsontable();
+      const json = getPlugin('exportFile')._createTypeFormatter('json');
+
+      expect(json.options.mimeType).toBe('application/json');
+      expect(json.options.fileExtension).toBe('json');
+      expect(json.options.structure).toBe('objects');
+    });
+
+    it('should export as array of arrays when `structure` option is set to `arrays`', () => {
+      handsontable({
+        data: [{ id: 1, name: 'Foo' }, { id: 2, name: 'Bar' }],
+        columns: [{ data: 'id' }, { data: 'name' }],
+        colHeaders: ['ID', 'Name'],
+        rowHeaders: true,
+      });
+
+      const plugin = getPlugin('exportFile');
+
+      expect(plugin._createTypeFormatter('json', { structure: 'arrays' }).export()).toBe('[[1,"Foo"],[2,"Bar"]]');
+      expect(plugin._createTypeFormatter('json', { structure: 'arrays', columnHeaders: true, rowHeaders: true }).export())
+        .toBe('[[null,"ID","Name"],[1,1,"Foo"],[2,2,"Bar"]]');
+    });
+
+    it('should export only specified range', () => {
+      handsontable({
+        data: data(5, 5),
+        columns: [{ data: 0 }, { data: 1 }, { data: 2 }, { data: 3 }, { data: 4 }],
+      });
+
+      const json = getPlugin('exportFile')._createTypeFormatter('json', { range: [1, 1, 2, 2] }).export();
+
+      expect(JSON.parse(json)).toEqual([{ 1: 'B2', 2: 'C2' }, { 1: 'B3', 2: 'C3' }]);
+    });
+
+    it('should export regarding to exportHiddenRows and exportHiddenColumns options', () => {
+      handsontable({
+        data: [{ a: 1, b: 2, c: 3 }, { a: 4, b: 5, c: 6 }],
+        columns: [{ data: 'a' }, { data: 'b' }, { data: 'c' }],
+        hiddenRows: { rows: [0] },
+        hiddenColumns: { columns: [1] },
+      });
+
+      const plugin = getPlugin('exportFile');
+
+      expect(plugin._createTypeFormatter('json').export()).toBe('[{"a":4,"c":6}]');
+      expect(plugin._createTypeFormatter('json', { exportHiddenRows: true, exportHiddenColumns: true }).export())
+        .toBe('[{"a":1,"b":2,"c":3},{"a":4,"b":5,"c":6}]');
+    });
+  });
+
+  describe('nested rows', () => {
+    it('should export the tree structure of the nested rows', () => {
+      const tree = [
+        { a: 'a0', b: 'b0', __children: [{ a: 'a0-a0', b: 'b0-b0', __children: [{ a: 'a0-a0-a0', b: 'b0-b0-b0' }] }, { a: 'a0-a1', b: 'b0-b1' }] },
+        { a: 'a1', b: 'b1' },
+        { a: 'a2', b: 'b2', __children: [{ a: 'a2-a0', b: 'b2-b0' }] },
+      ];
+
+      handsontable({
+        data: JSON.parse(JSON.stringify(tree)),
+        columns: [{ data: 'a' }, { data: 'b' }],
+        nestedRows: true,
+      });
+
+      const json = getPlugin('exportFile')._createTypeFormatter('json').export();
+
+      expect(JSON.parse(json)).toEqual(tree);
+    });
+
+    it('should export nested rows as flat list when `structure` option is set to `arrays`', () => {
+      handsontable({
+        data: getDataForNestedRows(),
+        columns: [{ data: 'a' }, { data: 'b' }],
+        nestedRows: true,
+      });
+
+      const json = JSON.parse(getPlugin('exportFile')._createTypeFormatter('json', { structure: 'arrays' }).export());
+
+      expect(json.length).toBe(countRows());
+      expect(json[1]).toEqual(['a0-a0', 'b0-b0']);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+describe('exportFile NDJSON type', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  it('should export each record as a separate line', () => {
+    handsontable({
+      data: [{ id: 1, meta: { tag: 'a' } }, { id: 2, meta: { tag: 'b\nc' } }],
+      columns: [{ data: 'id' }, { data: 'meta.tag' }],
+    });
+
+    const ndjson = getPlugin('exportFile')._createTypeFormatter('ndjson').export();
+
+    expect(ndjson).toBe('{"id":1,"meta":{"tag":"a"}}\n{"id":2,"meta":{"tag":"b\\nc"}}');
+  });
+
+  it('should have prepared default options', () => {
+    handsontable();
+    const ndjson = getPlugin('exportFile')._createTypeFormatter('ndjson');
+
+    expect(ndjson.options.mimeType).toBe('application/x-ndjson');
+    expect(ndjson.options.fileExtension).toBe('ndjson');
+    expect(ndjson.options.structure).toBe('objects');
+    expect(ndjson.options.rowDelimiter).toBe('\n');
+  });
+
+  it('should export records as arrays when `structure` option is set to `arrays`', () => {
+    handsontable({
+      data: Handsontable.helper.createSpreadsheetData(2, 2),
+    });
+
+    const ndjson = getPlugin('exportFile')._createTypeFormatter('ndjson', { structure: 'arrays', rowDelimiter: '\r\n' }).export();
+
+    expect(ndjson).toBe('["A1","B1"]\r\n["A2","B2"]');
+  });
+
+  it('should export the top-level nested rows as separate lines', () => {
+    handsontable({
+      data: getDataForNestedRows(),
+      columns: [{ data: 'a' }, { data: 'b' }],
+      nestedRows: true,
+    });
+
+    const lines = getPlugin('exportFile')._createTypeFormatter('ndjson').export().split('\n');
+
+    expect(lines.length).toBe(getDataForNestedRows().length);
+    expect(JSON.parse(lines[0])).toEqual(getDataForNestedRows()[0]);
+  });
+});
@@ -0,0 +1,350 @@
+describe('exportFile XLSX type', () => {
+  const id = 'testContainer';
+
+  function data(x, y) {
+    return Handsontable.helper.createSpreadsheetData(x, y);
+  }
+
+  // Reads files stored (without compression) inside the ZIP archive represented as "binary string".
+  function unzip(binary) {
+    const files = {};
+    let offset = 0;
+
+    function readUint(position, size) {
+      let result = 0;
+
+      for (let i = size - 1; i >= 0; i--) {
+        result = (result * 256) + binary.charCodeAt(position + i);
+      }
+
+      return result;
+    }
+
+    while (readUint(offset, 4) === 0x04034B50) {
+      const size = readUint(offset + 18, 4);
+      const nameLength = readUint(offset + 26, 2);
+      const name = binary.substr(offset + 30, nameLength);
+      const content = binary.substr(offset + 30 + nameLength, size);
+
+      files[name] = decodeURIComponent(escape(content));
+      offset += 30 + nameLength + size;
+    }
+
+    return files;
+  }
+
+  function getSheet(options) {
+    const xlsx = getPlugin('exportFile')._createTypeFormatter('xlsx', options).export();
+
+    return unzip(xlsx)['xl/worksheets/sheet1.xml'];
+  }
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  it('should returns XLSX type formatter object', () => {
+    handsontable();
+    const type = getPlugin('exportFile')._createTypeFormatter('xlsx');
+
+    expect(type).toBeDefined();
+  });
+
+  describe('export options', () => {
+    it('should have prepared default options', () => {
+      handsontable();
+      const xlsx = getPlugin('exportFile')._createTypeFormatter('xlsx');
+
+      expect(xlsx.options.mimeType).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      expect(xlsx.options.fileExtension).toBe('xlsx');
+      expect(xlsx.options.binary).toBe(true);
+      expect(xlsx.options.bom).toBe(false);
+      expect(xlsx.options.sheetName).toBe('Sheet1');
+    });
+
+    it('should export sheet named according to the sheetName option', () => {
+      handsontable();
+      const xlsx = getPlugin('exportFile')._createTypeFormatter('xlsx', { sheetName: 'Report: 2018/Q1' }).export();
+
+      expect(unzip(xlsx)['xl/workbook.xml']).toContain('<sheet name="Report  2018 Q1" sheetId="1" r:id="rId1"/>');
+    });
+  });
+
+  describe('`export` method', () => {
+    it('should create all required parts of the workbook', () => {
+      handsontable({
+        data: data(2, 2),
+      });
+
+      const files = unzip(getPlugin('exportFile')._createTypeFormatter('xlsx').export());
+
+      expect(Object.keys(files)).toEqual([
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/_rels/workbook.xml.rels',
+        'xl/worksheets/sheet1.xml',
+        'xl/styles.xml',
+      ]);
+    });
+
+    it('should export cells according to the value types', () => {
+      handsontable({
+        data: [[1, 'Foo & <Bar>', true, '', '2.5']],
+        columns: [{}, {}, { type: 'checkbox' }, {}, { type: 'numeric' }],
+      });
+
+      const sheet = getSheet();
+
+      expect(sheet).toContain('<c r="A1"><v>1</v></c>');
+      expect(sheet).toContain('<c r="B1" t="inlineStr"><is><t xml:space="preserve">Foo &amp; &lt;Bar&gt;</t></is></c>');
+      expect(sheet).toContain('<c r="C1" t="b"><v>1</v></c>');
+      expect(sheet).not.toContain('r="D1"');
+      expect(sheet).toContain('<c r="E1"><v>2.5</v></c>');
+    });
+
+    it('should export dates as serial numbers formatted according to the `dateFormat`', () => {
+      handsontable({
+        data: [['12/05/2018'], ['not a date']],
+        columns: [{ type: 'date', dateFormat: 'MM/DD/YYYY' }],
+      });
+
+      const files = unzip(getPlugin('exportFile')._createTypeFormatter('xlsx').export());
+
+      expect(files['xl/worksheets/sheet1.xml']).toContain('<c r="A1" s="2"><v>43439</v></c>');
+      expect(files['xl/worksheets/sheet1.xml']).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">not a date</t></is></c>');
+      expect(files['xl/styles.xml']).toContain('<numFmt numFmtId="164" formatCode="mm/dd/yyyy"/>');
+    });
+
+    it('should convert the weekday names and the AM/PM markers of the `dateFormat` into the Excel format codes', () => {
+      handsontable({
+        data: [['12/05/2018 3:30 PM', 'Wednesday, 12/05/2018']],
+        columns: [
+          { type: 'date', dateFormat: 'MM/DD/YYYY h:mm A' },
+          { type: 'date', dateFormat: 'dddd, MM/DD/YYYY' },
+        ],
+      });
+
+      const formatter = getPlugin('exportFile')._createTypeFormatter('xlsx');
+      const files = unzip(formatter.export());
+
+      expect(files['xl/styles.xml']).toContain('<numFmt numFmtId="164" formatCode="mm/dd/yyyy h:mm AM/PM"/>');
+      expect(files['xl/styles.xml']).toContain('<numFmt numFmtId="165" formatCode="dddd, mm/dd/yyyy"/>');
+      expect(formatter._toExcelDateFormat('ddd DD.MM.YY h:mm a')).toBe('ddd dd.mm.yy h:mm AM/PM');
+      expect(formatter._toExcelDateFormat('YYYY-MM-DD [at] HH:mm:ss.SSS')).toBe('yyyy-mm-dd "at" hh:mm:ss.000');
+    });
+
+    it('should fall back to the default Excel date format when the `dateFormat` has tokens without Excel equivalent', () => {
+      handsontable();
+
+      const formatter = getPlugin('exportFile')._createTypeFormatter('xlsx');
+
+      expect(formatter._toExcelDateFormat('dd DD/MM')).toBe('yyyy-mm-dd');
+      expect(formatter._toExcelDateFormat('Do MMMM YYYY')).toBe('yyyy-mm-dd');
+      expect(formatter._toExcelDateFormat('[Q]Q YYYY')).toBe('yyyy-mm-dd');
+      expect(formatter._toExcelDateFormat('hh:mm')).toBe('yyyy-mm-dd');
+    });
+
+    it('should export column headers and row headers', () => {
+      handsontable({
+        data: data(2, 2),
+        colHeaders: ['Foo', 'Bar'],
+        rowHeaders: true,
+      });
+
+      const sheet = getSheet({ columnHeaders: true, rowHeaders: true });
+
+      expect(sheet).toContain('<c r="B1" s="1" t="inlineStr"><is><t xml:space="preserve">Foo</t></is></c>');
+      expect(sheet).toContain('<c r="C1" s="1" t="inlineStr"><is><t xml:space="preserve">Bar</t></is></c>');
+      expect(sheet).toContain('<c r="A2" s="1" t="inlineStr"><is><t xml:space="preserve">1</t></is></c>');
+      expect(sheet).toContain('<c r="B2" t="inlineStr"><is><t xml:space="preserve">A1</t></is></c>');
+    });
+
+    it('should export multi-row column headers defined by the `nestedHeaders` option', () => {
+      handsontable({
+        data: data(2, 4),
+        colHeaders: true,
+        nestedHeaders: [
+          ['A', { label: 'B', colspan: 3 }],
+          ['a', 'b', 'c', 'd'],
+        ],
+      });
+
+      const sheet = getSheet({ columnHeaders: true });
+
+      expect(sheet).toContain('<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">A</t></is></c>');
+      expect(sheet).toContain('<c r="B1" s="1" t="inlineStr"><is><t xml:space="preserve">B</t></is></c>');
+      expect(sheet).toContain('<c r="D2" s="1" t="inlineStr"><is><t xml:space="preserve">d</t></is></c>');
+      expect(sheet).toContain('<c r="A3" t="inlineStr"><is><t xml:space="preserve">A1</t></is></c>');
+      expect(sheet).toContain('<mergeCells count="1"><mergeCell ref="B1:D1"/></mergeCells>');
+    });
+
+    it('should export merged cells', () => {
+      handsontable({
+        data: data(4, 4),
+        mergeCells: [{ row: 1, col: 1, rowspan: 2, colspan: 2 }],
+      });
+
+      expect(getSheet()).toContain('<mergeCells count="1"><mergeCell ref="B2:C3"/></mergeCells>');
+    });
+
+    it('should export merged cells shrunk to the exported range', () => {
+      handsontable({
+        data: data(4, 4),
+        mergeCells: [{ row: 1, col: 1, rowspan: 2, colspan: 2 }],
+      });
+
+      expect(getSheet({ range: [2, 0, 3, 3] })).toContain('<mergeCells count="1"><mergeCell ref="B1:C1"/></mergeCells>');
+    });
+
+    it('should export frozen panes based on the `fixedRowsTop` and `fixedColumnsLeft` options', () => {
+      handsontable({
+        data: data(4, 4),
+        colHeaders: true,
+        fixedRowsTop: 1,
+        fixedColumnsLeft: 2,
+      });
+
+      expect(getSheet()).toContain('<pane xSplit="2" ySplit="1" topLeftCell="C2" activePane="bottomRight" state="frozen"/>');
+      expect(getSheet({ columnHeaders: true })).toContain('<pane xSplit="2" ySplit="2" topLeftCell="C3" activePane="bottomRight" state="frozen"/>');
+    });
+
+    it('should not export frozen panes when there is no fixed rows and columns', () => {
+      handsontable({
+        data: data(4, 4),
+      });
+
+      expect(getSheet()).not.toContain('<pane');
+    });
+
+    it('should export column widths', () => {
+      handsontable({
+        data: data(2, 2),
+        colWidths: [70, 140],
+      });
+
+      expect(getSheet()).toContain('<cols><col min="1" max="1" width="10" customWidth="1"/><col min="2" max="2" width="20" customWidth="1"/></cols>');
+    });
+
+    it('should export only not hidden columns', () => {
+      handsontable({
+        data: data(2, 3),
+        hiddenColumns: { columns: [1] },
+      });
+
+      const sheet = getSheet();
+
+      expect(sheet).toContain('<c r="B1" t="inlineStr"><is><t xml:space="preserve">C1</t></is></c>');
+      expect(sheet).not.toContain('B1</t>');
+    });
+  });
+
+  describe('`exportAsBlob` method', () => {
+    it('should create binary blob object', () => {
+      handsontable({
+        data: data(2, 2),
+      });
+
+      const plugin = getPlugin('exportFile');
+      const blob = plugin.exportAsBlob('xlsx');
+
+      if (!Handsontable.helper.isIE9()) {
+        expect(blob.type).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        expect(blob.size).toBe(plugin.exportAsString('xlsx').length);
+      }
+    });
+  });
+
+  describe('formulas', () => {
+    it('should export only computed values by default', () => {
+      handsontable({
+        data: [[1, 2, '=SUM(A1:B1)']],
+        formulas: true,
+      });
+
+      expect(getSheet()).toContain('<c r="C1"><v>3</v></c>');
+    });
+
+    it('should export formulas along with the computed values when `formulaMode` option is set to `both`', () => {
+      handsontable({
+        data: [[1, 'foo', '=SUM(A1:A2)', '=B1', '=A1>0'], [2]],
+        formulas: true,
+      });
+
+      const sheet = getSheet({ formulaMode: 'both' });
+
+      expect(sheet).toContain('<c r="C1"><f>SUM(A1:A2)</f><v>3</v></c>');
+      expect(sheet).toContain('<c r="D1" t="str"><f>B1</f><v>foo</v></c>');
+      expect(sheet).toContain('<c r="E1" t="b"><f>A1&gt;0</f><v>1</v></c>');
+    });
+
+    it('should export formulas without values when `formulaMode` option is set to `expressions`', () => {
+      handsontable({
+        data: [[1, 2, '=SUM(A1:B1)']],
+        formulas: true,
+      });
+
+      expect(getSheet({ formulaMode: 'expressions' })).toContain('<c r="C1"><f>SUM(A1:B1)</f></c>');
+    });
+
+    it('should translate formulas references according to the headers and exported range', () => {
+      handsontable({
+        data: [[0, 0, 0], [0, 1, 2], [0, '=SUM($B$2:C2)', 0]],
+        formulas: true,
+        colHeaders: true,
+        rowHeaders: true,
+      });
+
+      const sheet = getSheet({ formulaMode: 'both', columnHeaders: true, rowHeaders: true, range: [1, 1, 2, 2] });
+
+      expect(sheet).toContain('<c r="B3"><f>SUM($B$2:C2)</f><v>3</v></c>');
+    });
+
+    it('should export only computed value when formula references not exported cells', () => {
+      handsontable({
+        data: [[1, 2, '=SUM(A1:B1)']],
+        formulas: true,
+      });
+
+      expect(getSheet({ formulaMode: 'both', range: [0, 1, 0, 2] })).toContain('<c r="B1"><v>3</v></c>');
+    });
+  });
+
+  describe('ranges', () => {
+    it('should export each of the ranges as separate worksheet', () => {
+      handsontable({
+        data: data(5, 5),
+      });
+
+      hot().selectCells([[0, 0, 0, 1], [2, 2, 3, 2]]);
+
+      const files = unzip(getPlugin('exportFile')._createTypeFormatter('xlsx', { sheetName: 'Report', range: 'selection' }).export());
+
+      expect(files['xl/workbook.xml']).toContain('<sheet name="Report (1)" sheetId="1" r:id="rId1"/><sheet name="Report (2)" sheetId="2" r:id="rId2"/>');
+      expect(files['xl/worksheets/sheet1.xml']).toContain('>A1</t>');
+      expect(files['xl/worksheets/sheet1.xml']).toContain('>B1</t>');
+      expect(files['xl/worksheets/sheet1.xml']).not.toContain('>C3</t>');
+      expect(files['xl/worksheets/sheet2.xml']).toContain('>C3</t>');
+      expect(files['xl/worksheets/sheet2.xml']).toContain('>C4</t>');
+      expect(files['xl/worksheets/sheet2.xml']).not.toContain('>A1</t>');
+      expect(files['[Content_Types].xml']).toContain('/xl/worksheets/sheet2.xml');
+    });
+
+    it('should keep the sheet names of the exported ranges unique when the `sheetName` option is long', () => {
+      handsontable({
+        data: data(5, 5),
+      });
+
+      const xlsx = getPlugin('exportFile')._createTypeFormatter('xlsx', { sheetName: 'A'.repeat(40), range: [[0, 0, 0, 0], [1, 1, 1, 1]] }).export();
+
+      expect(unzip(xlsx)['xl/workbook.xml']).toContain(`<sheet name="${'A'.repeat(27)} (2)"`);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import ZipArchive, {
+  crc32,
+  encodeUtf8,
+  bytesToBinaryString,
+  binaryStringToBytes,
+} from 'handsontable-pro/plugins/exportFile/utils/zip';
+
+describe('ExportFile', () => {
+  describe('zip utils', () => {
+    it('crc32', () => {
+      expect(crc32(encodeUtf8(''))).toBe(0);
+      expect(crc32(encodeUtf8('123456789'))).toBe(0xCBF43926);
+      expect(crc32(encodeUtf8('The quick brown fox jumps over the lazy dog'))).toBe(0x414FA339);
+    });
+
+    it('encodeUtf8', () => {
+      expect(Array.from(encodeUtf8('abc'))).toEqual([97, 98, 99]);
+      expect(Array.from(encodeUtf8('ż'))).toEqual([0xC5, 0xBC]);
+      expect(Array.from(encodeUtf8('€'))).toEqual([0xE2, 0x82, 0xAC]);
+    });
+
+    it('bytesToBinaryString and binaryStringToBytes', () => {
+      const bytes = new Uint8Array([0, 1, 127, 128, 255]);
+      const string = bytesToBinaryString(bytes);
+
+      expect(string.length).toBe(5);
+      expect(string.charCodeAt(4)).toBe(255);
+      expect(Array.from(binaryStringToBytes(string))).toEqual([0, 1, 127, 128, 255]);
+    });
+  });
+
+  describe('ZipArchive', () => {
+    it('should generate an empty archive', () => {
+      const bytes = new ZipArchive().generate();
+
+      expect(bytes.length).toBe(22);
+      expect(new DataView(bytes.buffer).getUint32(0, true)).toBe(0x06054B50);
+    });
+
+    it('should generate archive with stored files', () => {
+      const zip = new ZipArchive();
+      const bytes = zip
+        .addFile('a.txt', 'foo')
+        .addFile('dir/b.txt', 'barbaz')
+        .generate(new Date(2018, 0, 1));
+      const view = new DataView(bytes.buffer);
+      const localHeaderSize = 30;
+      const secondLocalHeader = localHeaderSize + 'a.txt'.length + 'foo'.length;
+      const centralDirectory = secondLocalHeader + localHeaderSize + 'dir/b.txt'.length + 'barbaz'.length;
+      const endRecord = bytes.length - 22;
+
+      expect(view.getUint32(0, true)).toBe(0x04034B50);
+      expect(view.getUint32(14, true)).toBe(crc32(encodeUtf8('foo')));
+      expect(view.getUint32(18, true)).toBe(3);
+      expect(bytesToBinaryString(bytes.subarray(30, 38))).toBe('a.txtfoo');
+
+      expect(view.getUint32(secondLocalHeader, true)).toBe(0x04034B50);
+      expect(view.getUint32(centralDirectory, true)).toBe(0x02014B50);
+      expect(view.getUint32(centralDirectory + 46 + 'a.txt'.length, true)).toBe(0x02014B50);
+      expect(view.getUint32(centralDirectory + 46 + 'a.txt'.length + 42, true)).toBe(secondLocalHeader);
+
+      expect(view.getUint32(endRecord, true)).toBe(0x06054B50);
+      expect(view.getUint16(endRecord + 10, true)).toBe(2);
+      expect(view.getUint32(endRecord + 16, true)).toBe(centralDirectory);
+    });
+  });
+});
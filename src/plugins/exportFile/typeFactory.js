@@ -1,13 +1,46 @@
+import BaseType from './types/_base.js';
 import Csv from './types/csv.js';
+import Html from './types/html.js';
+import Json from './types/json.js';
+import Ndjson from './types/ndjson.js';
+import Xlsx from './types/xlsx.js';
 
 export const TYPE_CSV = 'csv';
 export const TYPE_EXCEL = 'excel'; // TODO
+export const TYPE_XLSX = 'xlsx';
+export const TYPE_HTML = 'html';
+export const TYPE_JSON = 'json';
+export const TYPE_NDJSON = 'ndjson';
 export const TYPE_PDF = 'pdf'; // TODO
 
 export const EXPORT_TYPES = {
   [TYPE_CSV]: Csv,
+  [TYPE_XLSX]: Xlsx,
+  [TYPE_HTML]: Html,
+  [TYPE_JSON]: Json,
+  [TYPE_NDJSON]: Ndjson,
 };
 
+/**
+ * Registers export type under the given name. The type class has to extend the `BaseType` class (or at least
+ * implement the same interface). Registering a type under the already used name replaces the previous type.
+ *
+ * @param {String} name Export format type name eq. `'fixedWidth'`.
+ * @param {Function} TypeClass Export type class.
+ */
+export function registerExportType(name, TypeClass) {
+  if (typeof name !== 'string' || name === '') {
+    throw new Error('Export format type name has to be a non-empty string.');
+  }
+  if (typeof TypeClass !== 'function' || !TypeClass.prototype || typeof TypeClass.prototype.export !== 'function') {
+    throw new Error(`Export format type "${name}" has to be a class which implements the \`export\` method (eq. extends \`BaseType\`).`);
+  }
+
+  EXPORT_TYPES[name] = TypeClass;
+}
+
+export { BaseType };
+
 export default function typeFactory(type, dataProvider, options) {
   if (typeof EXPORT_TYPES[type] === 'function') {
     return new EXPORT_TYPES[type](dataProvider, options);
@@ -1,13 +1,51 @@
 import { extend, clone } from 'handsontable/helpers/object';
 import { substitute } from 'handsontable/helpers/string';
+import { FORMULA_MODE_VALUES, SOURCE_ORDER_VISUAL } from '../dataProvider';
 
 /**
  * @plugin ExportFile
- * @private
+ *
+ * @description
+ * Base class of all export types. Custom export types extend this class and are registered using the
+ * {@link ExportFile#registerExportType} method. The extending classes:
+ *  - define their own defaults in the static `DEFAULT_OPTIONS` getter. They are merged (by {@link BaseType#_mergeOptions})
+ *    over the defaults of this class and then over the options passed by the user, so only the type specific
+ *    options (eq. `mimeType`, `fileExtension`) have to be defined;
+ *  - implement the `export` method which returns the file content as a string (or a "binary string" when the `binary`
+ *    option is enabled);
+ *  - read the table data through the `dataProvider` property ({@link DataProvider}), which already respects the export
+ *    options (`range`, `exportHiddenRows`, `formulaMode`, `applyFormatting` etc.);
+ *  - optionally implement the chunked export ({@link BaseType#supportsChunks}, {@link BaseType#exportHeader},
+ *    {@link BaseType#exportRow} and {@link BaseType#exportFooter}) used by {@link ExportFile#exportAsBlobAsync}.
+ *
+ * @example
+ * ```js
+ * import BaseType from 'handsontable-pro/es/plugins/exportFile/types/_base';
+ * // or without modules: const BaseType = hot.getPlugin('exportFile').constructor.BaseType;
+ *
+ * class FixedWidth extends BaseType {
+ *   static get DEFAULT_OPTIONS() {
+ *     return {
+ *       mimeType: 'text/plain',
+ *       fileExtension: 'txt',
+ *       columnWidth: 10,
+ *     };
+ *   }
+ *
+ *   export() {
+ *     return this.dataProvider.getData()
+ *       .map(row => row.map(value => String(value).padEnd(this.options.columnWidth)).join(''))
+ *       .join('\n');
+ *   }
+ * }
+ *
+ * hot.getPlugin('exportFile').registerExportType('fixedWidth', FixedWidth);
+ * hot.getPlugin('exportFile').downloadFile('fixedWidth', {columnWidth: 12});
+ * ```
  */
 class BaseType {
   /**
-   * Default options.
+   * Default options. The extending classes override this getter to define their own defaults.
    *
    * @returns {Object}
    */
@@ -17,18 +55,26 @@ class BaseType {
       fileExtension: 'txt',
       filename: 'Handsontable [YYYY]-[MM]-[DD]',
       encoding: 'utf-8',
+      binary: false,
       bom: false,
       columnHeaders: false,
       rowHeaders: false,
       exportHiddenColumns: false,
       exportHiddenRows: false,
+      exportTrimmedRows: false,
+      exportCollapsedChildren: false,
+      sourceOrder: SOURCE_ORDER_VISUAL,
+      formulaMode: FORMULA_MODE_VALUES,
+      applyFormatting: false,
+      valueFormatter: null,
       range: [],
+      batchSize: 1000,
     };
   }
 
   constructor(dataProvider, options) {
     /**
-     * Data provider.
+     * Data provider which gives access to the exported table data.
      *
      * @type {DataProvider}
      */
@@ -44,8 +90,51 @@ class BaseType {
   }
 
   /**
-   * Merge options provided by users with defaults.
+   * Checks if the type can be exported in chunks (row by row). Types which support it implement the
+   * {@link BaseType#exportHeader}, {@link BaseType#exportRow} and {@link BaseType#exportFooter} methods, the others are
+   * exported at once using the `export` method.
    *
+   * @returns {Boolean}
+   */
+  supportsChunks() {
+    return false;
+  }
+
+  /**
+   * Create the part of the file which precedes the data rows. Called once, before any {@link BaseType#exportRow} call.
+   *
+   * @returns {String}
+   */
+  exportHeader() {
+    return '';
+  }
+
+  /**
+   * Create the part of the file for a single data row.
+   *
+   * @param {Array} rowData Exported values of the row.
+   * @param {Number} index Index of the exported row.
+   * @returns {String}
+   */
+  exportRow() {
+    throw new Error('The export type does not support chunked export.');
+  }
+
+  /**
+   * Create the part of the file which follows the data rows.
+   *
+   * @returns {String}
+   */
+  exportFooter() {
+    return '';
+  }
+
+  /**
+   * Merge options provided by users with defaults (this class defaults extended by the `DEFAULT_OPTIONS` of the
+   * extending class). The `[YYYY]`, `[MM]` and `[DD]` placeholders of the `filename` option are replaced with the
+   * current date.
+   *
+   * @param {Object} options Options provided by the user.
    * @return {Object} Returns new options object.
    */
   _mergeOptions(options) {
@@ -1,5 +1,6 @@
-import { arrayEach, arrayMap } from 'handsontable/helpers/array';
+import { arrayMap } from 'handsontable/helpers/array';
 import { stringify } from 'handsontable/helpers/mixed';
+import { extend } from 'handsontable/helpers/object';
 import BaseType from './_base.js';
 
 const CHAR_CARRIAGE_RETURN = String.fromCharCode(13);
@@ -26,39 +27,96 @@ class Csv extends BaseType {
     };
   }
 
+  constructor(dataProvider, options) {
+    super(dataProvider, options);
+    /**
+     * List of the row headers collected for the exported rows (see {@link Csv#exportHeader}).
+     *
+     * @type {Array}
+     */
+    this.rowHeaders = [];
+  }
+
   /**
-   * Create string body in desired format.
+   * Create string body in desired format. When more than one range is exported, the ranges are exported as separate
+   * sections divided by an empty row.
    *
    * @return {String}
   */
   export() {
+    const dataProviders = this.dataProvider.createRangeProviders();
+
+    if (dataProviders.length > 1) {
+      const options = this.options;
+      const sections = arrayMap(dataProviders, (dataProvider) => {
+        const sectionOptions = extend(extend({}, options), { bom: false, range: dataProvider.options.range });
+
+        return new this.constructor(dataProvider, sectionOptions).export();
+      });
+
+      return (options.bom ? String.fromCharCode(0xFEFF) : '') + sections.join(options.rowDelimiter + options.rowDelimiter);
+    }
+    const iterator = this.dataProvider.createRowIterator();
+    let result = this.exportHeader();
+    let step = iterator.next();
+
+    while (!step.done) {
+      result += this.exportRow(step.value.data, step.value.index);
+      step = iterator.next();
+    }
+
+    return result + this.exportFooter();
+  }
+
+  /**
+   * CSV can be exported row by row (unless more than one range is exported).
+   *
+   * @returns {Boolean}
+   */
+  supportsChunks() {
+    return this.dataProvider.getRanges().length === 1;
+  }
+
+  /**
+   * Create the beginning of the file (BOM and column headers).
+   *
+   * @returns {String}
+   */
+  exportHeader() {
     const options = this.options;
-    const data = this.dataProvider.getData();
     let columnHeaders = this.dataProvider.getColumnHeaders();
-    const hasColumnHeaders = columnHeaders.length > 0;
-    const rowHeaders = this.dataProvider.getRowHeaders();
-    const hasRowHeaders = rowHeaders.length > 0;
     let result = options.bom ? String.fromCharCode(0xFEFF) : '';
 
-    if (hasColumnHeaders) {
+    this.rowHeaders = this.dataProvider.getRowHeaders();
+
+    if (columnHeaders.length > 0) {
       columnHeaders = arrayMap(columnHeaders, value => this._escapeCell(value, true));
 
-      if (hasRowHeaders) {
+      if (this.rowHeaders.length > 0) {
         result += options.columnDelimiter;
       }
       result += columnHeaders.join(options.columnDelimiter);
       result += options.rowDelimiter;
     }
 
-    arrayEach(data, (value, index) => {
-      if (index > 0) {
-        result += options.rowDelimiter;
-      }
-      if (hasRowHeaders) {
-        result += this._escapeCell(rowHeaders[index]) + options.columnDelimiter;
-      }
-      result += value.map(cellValue => this._escapeCell(cellValue)).join(options.columnDelimiter);
-    });
+    return result;
+  }
+
+  /**
+   * Create single data row.
+   *
+   * @param {Array} rowData Exported values of the row.
+   * @param {Number} index Index of the exported row.
+   * @returns {String}
+   */
+  exportRow(rowData, index) {
+    const options = this.options;
+    let result = index > 0 ? options.rowDelimiter : '';
+
+    if (this.rowHeaders.length > 0) {
+      result += this._escapeCell(this.rowHeaders[index]) + options.columnDelimiter;
+    }
+    result += arrayMap(rowData, cellValue => this._escapeCell(cellValue)).join(options.columnDelimiter);
 
     return result;
   }
@@ -0,0 +1,185 @@
+import { arrayEach, arrayMap } from 'handsontable/helpers/array';
+import { objectEach } from 'handsontable/helpers/object';
+import { rangeEach } from 'handsontable/helpers/number';
+import BaseType from './_base.js';
+import { FORMULA_MODE_BOTH } from '../dataProvider';
+import { escapeXml } from '../utils/xml';
+
+/**
+ * @plugin ExportFile
+ * @private
+ */
+class Html extends BaseType {
+  /**
+   * Default options for exporting HTML format.
+   *
+   * @returns {Object}
+   */
+  static get DEFAULT_OPTIONS() {
+    return {
+      mimeType: 'text/html',
+      fileExtension: 'html',
+      inlineStyles: false,
+    };
+  }
+
+  /**
+   * Create `<table>` element markup in desired format. When more than one range is exported, each range is placed in
+   * a separate `<table>` element.
+   *
+   * @return {String}
+   */
+  export() {
+    const result = this.options.bom ? String.fromCharCode(0xFEFF) : '';
+
+    return result + arrayMap(this.dataProvider.createRangeProviders(), dataProvider => this._createTable(dataProvider)).join('');
+  }
+
+  /**
+   * Create `<table>` element markup for the range of the data provider.
+   *
+   * @private
+   * @param {DataProvider} dataProvider Data provider of the exported range.
+   * @returns {String}
+   */
+  _createTable(dataProvider) {
+    const options = this.options;
+    const data = dataProvider.getData();
+    const rowHeaders = dataProvider.getRowHeaders();
+    const hasRowHeaders = rowHeaders.length > 0;
+    const headerRows = this._getHeaderRows(dataProvider);
+    const styles = options.inlineStyles ? dataProvider.getCellStyles() : [];
+    const spans = this._getSpans(data, dataProvider);
+    const expressions = options.formulaMode === FORMULA_MODE_BOTH ? dataProvider.getFormulaExpressions() : [];
+    let result = '<table>';
+
+    if (headerRows.length > 0) {
+      result += '<thead>';
+
+      arrayEach(headerRows, (level, levelIndex) => {
+        result += '<tr>';
+
+        if (hasRowHeaders && levelIndex === 0) {
+          result += this._createCell('th', '', { rowspan: headerRows.length > 1 ? headerRows.length : null });
+        }
+        arrayEach(level, ({ label, colspan }) => {
+          result += this._createCell('th', label, { colspan: colspan > 1 ? colspan : null });
+        });
+
+        result += '</tr>';
+      });
+
+      result += '</thead>';
+    }
+
+    result += '<tbody>';
+
+    arrayEach(data, (row, rowIndex) => {
+      result += '<tr>';
+
+      if (hasRowHeaders) {
+        result += this._createCell('th', rowHeaders[rowIndex]);
+      }
+      arrayEach(row, (value, columnIndex) => {
+        const span = spans[rowIndex][columnIndex];
+
+        if (span === null) {
+          return;
+        }
+        result += this._createCell('td', value, {
+          rowspan: span.rowspan > 1 ? span.rowspan : null,
+          colspan: span.colspan > 1 ? span.colspan : null,
+          style: styles.length > 0 ? this._stringifyStyle(styles[rowIndex][columnIndex]) : null,
+          'data-formula': expressions.length > 0 ? expressions[rowIndex][columnIndex] : null,
+        });
+      });
+
+      result += '</tr>';
+    });
+
+    result += '</tbody></table>';
+
+    return result;
+  }
+
+  /**
+   * Get column header rows. When the `nestedHeaders` setting is defined all of its levels are returned.
+   *
+   * @private
+   * @param {DataProvider} [dataProvider] Data provider of the exported range.
+   * @returns {Array} Returns an array of levels where each level is an array of objects with keys `label` and `colspan`.
+   */
+  _getHeaderRows(dataProvider = this.dataProvider) {
+    const nestedHeaders = dataProvider.getNestedHeaders();
+
+    if (nestedHeaders.length > 0) {
+      return nestedHeaders;
+    }
+    const columnHeaders = dataProvider.getColumnHeaders();
+
+    return columnHeaders.length > 0 ? [arrayMap(columnHeaders, label => ({ label, colspan: 1 }))] : [];
+  }
+
+  /**
+   * Create a matrix which describes how the cells are spanned. Cells covered by merged cells are marked as `null`.
+   *
+   * @private
+   * @param {Array} data Exported data.
+   * @param {DataProvider} [dataProvider] Data provider of the exported range.
+   * @returns {Array}
+   */
+  _getSpans(data, dataProvider = this.dataProvider) {
+    const spans = arrayMap(data, row => arrayMap(row, () => ({ rowspan: 1, colspan: 1 })));
+
+    arrayEach(dataProvider.getMergedCells(), ({ row, col, rowspan, colspan }) => {
+      rangeEach(row, row + rowspan - 1, (rowIndex) => {
+        rangeEach(col, col + colspan - 1, (columnIndex) => {
+          spans[rowIndex][columnIndex] = null;
+        });
+      });
+      spans[row][col] = { rowspan, colspan };
+    });
+
+    return spans;
+  }
+
+  /**
+   * Create table cell markup.
+   *
+   * @private
+   * @param {String} tagName Cell tag name (`td` or `th`).
+   * @param {*} value Cell value.
+   * @param {Object} [attributes={}] Cell attributes. Attributes with `null` or `undefined` values are skipped.
+   * @returns {String}
+   */
+  _createCell(tagName, value, attributes = {}) {
+    let result = `<${tagName}`;
+
+    objectEach(attributes, (attributeValue, name) => {
+      if (attributeValue !== null && attributeValue !== void 0 && attributeValue !== '') {
+        result += ` ${name}="${escapeXml(attributeValue)}"`;
+      }
+    });
+
+    return `${result}>${escapeXml(value).replace(/\r?\n/g, '<br>')}</${tagName}>`;
+  }
+
+  /**
+   * Convert object with CSS properties into the inline style declaration.
+   *
+   * @private
+   * @param {Object} style Object with CSS properties.
+   * @returns {String}
+   */
+  _stringifyStyle(style) {
+    const declarations = [];
+
+    objectEach(style, (value, property) => {
+      declarations.push(`${property}: ${value}`);
+    });
+
+    return declarations.join('; ');
+  }
+}
+
+export default Html;
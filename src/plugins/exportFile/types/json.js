@@ -0,0 +1,149 @@
+import { arrayEach, arrayMap } from 'handsontable/helpers/array';
+import BaseType from './_base.js';
+
+export const STRUCTURE_OBJECTS = 'objects';
+export const STRUCTURE_ARRAYS = 'arrays';
+export const CHILDREN_KEY = '__children';
+
+/**
+ * @plugin ExportFile
+ * @private
+ */
+class Json extends BaseType {
+  /**
+   * Default options for exporting JSON format.
+   *
+   * @returns {Object}
+   */
+  static get DEFAULT_OPTIONS() {
+    return {
+      mimeType: 'application/json',
+      fileExtension: 'json',
+      structure: STRUCTURE_OBJECTS,
+    };
+  }
+
+  /**
+   * Create string body in desired format.
+   *
+   * @return {String}
+  */
+  export() {
+    return JSON.stringify(this._getRecords());
+  }
+
+  /**
+   * Create list of records based on the exported data. Depending on the `structure` option, each record is an object
+   * (keyed by the columns data properties) or an array of values. When the `nestedRows` plugin is enabled the records
+   * created as objects keep the tree structure (children are placed in the `__children` arrays). When more than one
+   * range is exported, the records of all ranges are concatenated.
+   *
+   * @private
+   * @returns {Array}
+   */
+  _getRecords() {
+    const records = [];
+
+    arrayEach(this.dataProvider.createRangeProviders(), (dataProvider) => {
+      records.push(...this._getRangeRecords(dataProvider));
+    });
+
+    return records;
+  }
+
+  /**
+   * Create list of records for the range of the data provider (see {@link Json#_getRecords}).
+   *
+   * @private
+   * @param {DataProvider} dataProvider Data provider of the exported range.
+   * @returns {Array}
+   */
+  _getRangeRecords(dataProvider) {
+    const asObjects = this.options.structure !== STRUCTURE_ARRAYS;
+    const rows = dataProvider.getRowIndexes();
+    const props = dataProvider.getColumnProps();
+    const rowHeaders = dataProvider.getRowHeaders();
+    const hasRowHeaders = rowHeaders.length > 0;
+    const records = [];
+    const parents = [];
+
+    if (!asObjects) {
+      const columnHeaders = dataProvider.getColumnHeaders();
+
+      if (columnHeaders.length > 0) {
+        records.push(hasRowHeaders ? [null, ...columnHeaders] : columnHeaders);
+      }
+    }
+
+    arrayEach(dataProvider.getData(), (row, rowIndex) => {
+      const values = arrayMap(row, value => (value === void 0 ? null : value));
+      let record = null;
+
+      if (asObjects) {
+        record = this._createObject(props, values);
+
+      } else {
+        record = hasRowHeaders ? [rowHeaders[rowIndex], ...values] : values;
+      }
+
+      const level = asObjects ? dataProvider.getRowLevel(rows[rowIndex]) : null;
+
+      if (level === null) {
+        records.push(record);
+
+        return;
+      }
+
+      while (parents.length > 0 && parents[parents.length - 1].level >= level) {
+        parents.pop();
+      }
+
+      if (parents.length === 0) {
+        records.push(record);
+
+      } else {
+        const parent = parents[parents.length - 1].record;
+
+        if (!parent[CHILDREN_KEY]) {
+          parent[CHILDREN_KEY] = [];
+        }
+        parent[CHILDREN_KEY].push(record);
+      }
+
+      parents.push({ level, record });
+    });
+
+    return records;
+  }
+
+  /**
+   * Create object where the values are assigned to the keys according to the data properties. Properties defined
+   * as paths (eq. `'address.city'`) are converted into the nested objects.
+   *
+   * @private
+   * @param {Array} props List of data properties.
+   * @param {Array} values List of values.
+   * @returns {Object}
+   */
+  _createObject(props, values) {
+    const object = {};
+
+    arrayEach(props, (prop, index) => {
+      const path = `${prop}`.split('.');
+      let target = object;
+
+      arrayEach(path.slice(0, -1), (key) => {
+        if (target[key] === null || typeof target[key] !== 'object') {
+          target[key] = {};
+        }
+        target = target[key];
+      });
+
+      target[path[path.length - 1]] = values[index];
+    });
+
+    return object;
+  }
+}
+
+export default Json;
@@ -0,0 +1,33 @@
+import { arrayMap } from 'handsontable/helpers/array';
+import Json, { STRUCTURE_OBJECTS } from './json.js';
+
+/**
+ * @plugin ExportFile
+ * @private
+ */
+class Ndjson extends Json {
+  /**
+   * Default options for exporting NDJSON (newline delimited JSON) format.
+   *
+   * @returns {Object}
+   */
+  static get DEFAULT_OPTIONS() {
+    return {
+      mimeType: 'application/x-ndjson',
+      fileExtension: 'ndjson',
+      structure: STRUCTURE_OBJECTS,
+      rowDelimiter: '\n',
+    };
+  }
+
+  /**
+   * Create string body in desired format. Each top-level record is written as a separate line.
+   *
+   * @return {String}
+  */
+  export() {
+    return arrayMap(this._getRecords(), record => JSON.stringify(record)).join(this.options.rowDelimiter);
+  }
+}
+
+export default Ndjson;
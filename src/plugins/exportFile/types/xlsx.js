@@ -0,0 +1,643 @@
+import moment from 'moment';
+import { toLabel, error as isFormulaError } from 'hot-formula-parser';
+import { arrayEach, arrayMap } from 'handsontable/helpers/array';
+import { isNumeric } from 'handsontable/helpers/number';
+import BaseType from './_base.js';
+import ExpressionModifier from '../../formulas/expressionModifier';
+import { FORMULA_MODE_VALUES, FORMULA_MODE_BOTH } from '../dataProvider';
+import ZipArchive, { bytesToBinaryString } from '../utils/zip';
+import { escapeXml, xmlNode } from '../utils/xml';
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PACKAGE_RELATIONSHIPS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const NS_CONTENT_TYPES = 'http://schemas.openxmlformats.org/package/2006/content-types';
+const CONTENT_TYPE_PREFIX = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+
+const STYLE_DEFAULT = 0;
+const STYLE_HEADER = 1;
+const FIRST_CUSTOM_NUMBER_FORMAT_ID = 164;
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MILLISECONDS_IN_DAY = 86400000;
+const DEFAULT_CHAR_WIDTH = 7;
+const DEFAULT_ROW_HEADER_WIDTH = 50;
+const DEFAULT_DATE_FORMAT = 'yyyy-mm-dd';
+// Moment.js tokens (the longest first) and the escaped texts of the date formats.
+const DATE_FORMAT_TOKENS_REGEXP = /\[[^\]]*]|YYYY|YY|MMMM|MMM|MM|M|Do|DDDD|DDD|DD|D|dddd|ddd|dd|d|HH|H|hh|h|mm|m|ss|s|S+|a|A|[a-zA-Z]|./g;
+// Excel equivalents of the Moment.js tokens. The tokens which are not listed (eq. `Do`, `dd`, `Q`, `X`) can't be
+// converted.
+const EXCEL_DATE_TOKENS = {
+  YYYY: 'yyyy',
+  YY: 'yy',
+  MMMM: 'mmmm',
+  MMM: 'mmm',
+  MM: 'mm',
+  M: 'm',
+  DD: 'dd',
+  D: 'd',
+  dddd: 'dddd',
+  ddd: 'ddd',
+  HH: 'hh',
+  H: 'h',
+  hh: 'hh',
+  h: 'h',
+  mm: 'mm',
+  m: 'm',
+  ss: 'ss',
+  s: 's',
+  a: 'AM/PM',
+  A: 'AM/PM',
+};
+
+/**
+ * @plugin ExportFile
+ * @private
+ */
+class Xlsx extends BaseType {
+  /**
+   * Default options for exporting XLSX format.
+   *
+   * @returns {Object}
+   */
+  static get DEFAULT_OPTIONS() {
+    return {
+      mimeType: `${CONTENT_TYPE_PREFIX}.sheet`,
+      fileExtension: 'xlsx',
+      binary: true,
+      sheetName: 'Sheet1',
+    };
+  }
+
+  constructor(dataProvider, options) {
+    super(dataProvider, options);
+    /**
+     * List of date formats (Excel format codes) used by the exported cells. The position in the array determines
+     * the custom number format id.
+     *
+     * @type {Array}
+     */
+    this.dateFormats = [];
+  }
+
+  /**
+   * Create workbook in Office Open XML format. The result is returned as a "binary string" (each char of the string
+   * represents one byte of the zipped workbook). When more than one range is exported, each range is placed in
+   * a separate worksheet.
+   *
+   * @return {String}
+   */
+  export() {
+    const zip = new ZipArchive();
+    const dataProviders = this.dataProvider.createRangeProviders();
+    const sheets = arrayMap(dataProviders, (dataProvider, index) => {
+      let name = this.options.sheetName;
+
+      if (dataProviders.length > 1) {
+        const suffix = ` (${index + 1})`;
+
+        name = `${this._sanitizeSheetName(name).substr(0, 31 - suffix.length)}${suffix}`;
+      }
+
+      return this._createSheet(name, dataProvider);
+    });
+
+    zip
+      .addFile('[Content_Types].xml', this._createContentTypes(sheets))
+      .addFile('_rels/.rels', this._createRootRelationships())
+      .addFile('xl/workbook.xml', this._createWorkbook(sheets))
+      .addFile('xl/_rels/workbook.xml.rels', this._createWorkbookRelationships(sheets));
+
+    arrayEach(sheets, (sheet, index) => {
+      zip.addFile(`xl/worksheets/sheet${index + 1}.xml`, sheet.xml);
+    });
+
+    zip.addFile('xl/styles.xml', this._createStyles());
+
+    return bytesToBinaryString(zip.generate());
+  }
+
+  /**
+   * Create worksheet based on the data provided by the data provider.
+   *
+   * @private
+   * @param {String} name Sheet name.
+   * @param {DataProvider} [dataProvider] Data provider of the exported range.
+   * @returns {Object} Returns object with keys `name` and `xml`.
+   */
+  _createSheet(name, dataProvider = this.dataProvider) {
+    const data = dataProvider.getData();
+    const rows = dataProvider.getRowIndexes();
+    const columns = dataProvider.getColumnIndexes();
+    const rowHeaders = dataProvider.getRowHeaders();
+    const columnOffset = rowHeaders.length > 0 ? 1 : 0;
+    const headerRows = this._getHeaderRows(dataProvider);
+    const rowOffset = headerRows.length;
+    const mergedCells = [];
+    const sheetRows = [];
+    const formulaMode = this.options.formulaMode;
+    const expressions = formulaMode === FORMULA_MODE_VALUES ? [] : dataProvider.getFormulaExpressions();
+    const rowsMap = {};
+    const columnsMap = {};
+
+    arrayEach(rows, (row, index) => {
+      rowsMap[row] = index + rowOffset;
+    });
+    arrayEach(columns, (column, index) => {
+      columnsMap[column] = index + columnOffset;
+    });
+
+    arrayEach(headerRows, (level, levelIndex) => {
+      const cells = [];
+      let column = columnOffset;
+
+      arrayEach(level, ({ label, colspan }) => {
+        cells.push(this._createCell(levelIndex, column, label, STYLE_HEADER));
+
+        if (colspan > 1) {
+          mergedCells.push({ row: levelIndex, col: column, rowspan: 1, colspan });
+        }
+        column += colspan;
+      });
+
+      sheetRows.push(this._createRow(levelIndex, cells));
+    });
+
+    arrayEach(data, (rowData, rowIndex) => {
+      const sheetRow = rowIndex + rowOffset;
+      const cells = [];
+
+      if (columnOffset > 0) {
+        cells.push(this._createCell(sheetRow, 0, rowHeaders[rowIndex], STYLE_HEADER));
+      }
+
+      arrayEach(rowData, (value, columnIndex) => {
+        const expression = expressions.length > 0 ? expressions[rowIndex][columnIndex] : null;
+        const formula = expression === null ? null : this._translateFormula(expression, rowsMap, columnsMap);
+
+        if (formula === null) {
+          const cellMeta = dataProvider.getCellMeta(rows[rowIndex], columns[columnIndex]);
+
+          cells.push(this._createDataCell(sheetRow, columnIndex + columnOffset, value, cellMeta));
+
+        } else {
+          cells.push(this._createFormulaCell(sheetRow, columnIndex + columnOffset, formula, formulaMode === FORMULA_MODE_BOTH ? value : null));
+        }
+      });
+
+      sheetRows.push(this._createRow(sheetRow, cells));
+    });
+
+    arrayEach(dataProvider.getMergedCells(), ({ row, col, rowspan, colspan }) => {
+      mergedCells.push({ row: row + rowOffset, col: col + columnOffset, rowspan, colspan });
+    });
+
+    const columnWidths = dataProvider.getColumnWidths();
+
+    if (columnOffset > 0) {
+      columnWidths.unshift(DEFAULT_ROW_HEADER_WIDTH);
+    }
+
+    const xml = XML_HEADER + xmlNode('worksheet', { xmlns: NS_MAIN, 'xmlns:r': NS_RELATIONSHIPS }, [
+      this._createSheetViews(rowOffset + dataProvider.getFixedRowsTop(), columnOffset + dataProvider.getFixedColumnsLeft()),
+      this._createColumns(columnWidths),
+      xmlNode('sheetData', {}, sheetRows.join('')),
+      this._createMergedCells(mergedCells),
+    ].join(''));
+
+    return { name: this._sanitizeSheetName(name), xml };
+  }
+
+  /**
+   * Get column header rows. When the `nestedHeaders` setting is defined all of its levels are returned.
+   *
+   * @private
+   * @param {DataProvider} [dataProvider] Data provider of the exported range.
+   * @returns {Array} Returns an array of levels where each level is an array of objects with keys `label` and `colspan`.
+   */
+  _getHeaderRows(dataProvider = this.dataProvider) {
+    const nestedHeaders = dataProvider.getNestedHeaders();
+
+    if (nestedHeaders.length > 0) {
+      return nestedHeaders;
+    }
+    const columnHeaders = dataProvider.getColumnHeaders();
+
+    return columnHeaders.length > 0 ? [arrayMap(columnHeaders, label => ({ label, colspan: 1 }))] : [];
+  }
+
+  /**
+   * Create worksheet row node.
+   *
+   * @private
+   * @param {Number} row Zero-based row index.
+   * @param {Array} cells List of cell nodes.
+   * @returns {String}
+   */
+  _createRow(row, cells) {
+    return xmlNode('row', { r: row + 1 }, cells.join(''));
+  }
+
+  /**
+   * Create worksheet cell node for the data cell. The cell type is determined based on the value and the cell meta.
+   *
+   * @private
+   * @param {Number} row Zero-based row index.
+   * @param {Number} column Zero-based column index.
+   * @param {*} value Cell value.
+   * @param {Object} cellMeta Cell meta object.
+   * @returns {String}
+   */
+  _createDataCell(row, column, value, cellMeta) {
+    const reference = toLabel({ index: row }, { index: column });
+
+    if (value === null || value === void 0 || value === '') {
+      return '';
+    }
+    if (typeof value === 'boolean') {
+      return xmlNode('c', { r: reference, t: 'b' }, xmlNode('v', {}, value ? '1' : '0'));
+    }
+    if (typeof value === 'number' && isFinite(value)) {
+      return xmlNode('c', { r: reference }, xmlNode('v', {}, `${value}`));
+    }
+    if (cellMeta.type === 'numeric' && isNumeric(value)) {
+      return xmlNode('c', { r: reference }, xmlNode('v', {}, `${parseFloat(value)}`));
+    }
+    if (cellMeta.type === 'date' || value instanceof Date) {
+      const date = value instanceof Date ? moment(value) : moment(value, cellMeta.dateFormat, true);
+
+      if (date.isValid()) {
+        const style = this._getDateStyle(cellMeta.dateFormat);
+
+        return xmlNode('c', { r: reference, s: style }, xmlNode('v', {}, `${this._toSerialDate(date)}`));
+      }
+    }
+
+    return this._createCell(row, column, value, STYLE_DEFAULT);
+  }
+
+  /**
+   * Create worksheet cell node which contains a formula (and optionally its cached, computed value).
+   *
+   * @private
+   * @param {Number} row Zero-based row index.
+   * @param {Number} column Zero-based column index.
+   * @param {String} formula Formula expression (without leading `=`).
+   * @param {*} [value] Computed value of the formula.
+   * @returns {String}
+   */
+  _createFormulaCell(row, column, formula, value) {
+    const attributes = { r: toLabel({ index: row }, { index: column }) };
+    let content = xmlNode('f', {}, escapeXml(formula));
+
+    if (value !== null && value !== void 0 && value !== '') {
+      if (typeof value === 'boolean') {
+        attributes.t = 'b';
+        content += xmlNode('v', {}, value ? '1' : '0');
+
+      } else if (typeof value === 'number' && isFinite(value)) {
+        content += xmlNode('v', {}, `${value}`);
+
+      } else {
+        attributes.t = isFormulaError(value) ? 'e' : 'str';
+        content += xmlNode('v', {}, escapeXml(value));
+      }
+    }
+
+    return xmlNode('c', attributes, content);
+  }
+
+  /**
+   * Translate formula expression, so its cell references point to the cells positions in the exported sheet. Returns
+   * `null` if any of the referenced cells (or part of the referenced range) is not exported.
+   *
+   * @private
+   * @param {String} expression Formula expression.
+   * @param {Object} rowsMap Map of visual row indexes to the sheet row indexes.
+   * @param {Object} columnsMap Map of visual column indexes to the sheet column indexes.
+   * @returns {String|null} Returns translated formula (without leading `=`) or `null`.
+   */
+  _translateFormula(expression, rowsMap, columnsMap) {
+    const modifier = new ExpressionModifier(expression);
+    let isTranslatable = true;
+
+    modifier.useCustomModifier((cell, axis) => {
+      const map = axis === 'row' ? rowsMap : columnsMap;
+      const startIndex = cell.start[axis].index;
+      const endIndex = cell.end[axis].index;
+      const start = map[startIndex];
+      const end = map[endIndex];
+
+      if (start === void 0 || end === void 0 || end - start !== endIndex - startIndex) {
+        isTranslatable = false;
+
+        return [0, 0, true];
+      }
+
+      return [start - startIndex, end - endIndex, false];
+    });
+    modifier.translate({ row: 0, column: 0 });
+
+    return isTranslatable ? modifier.toString().substr(1) : null;
+  }
+
+  /**
+   * Create worksheet cell node which contains a text.
+   *
+   * @private
+   * @param {Number} row Zero-based row index.
+   * @param {Number} column Zero-based column index.
+   * @param {*} value Cell value.
+   * @param {Number} style Style index.
+   * @returns {String}
+   */
+  _createCell(row, column, value, style) {
+    return xmlNode('c', {
+      r: toLabel({ index: row }, { index: column }),
+      s: style === STYLE_DEFAULT ? null : style,
+      t: 'inlineStr',
+    }, xmlNode('is', {}, xmlNode('t', { 'xml:space': 'preserve' }, escapeXml(value))));
+  }
+
+  /**
+   * Create node which describes the frozen panes.
+   *
+   * @private
+   * @param {Number} frozenRows Number of the frozen rows.
+   * @param {Number} frozenColumns Number of the frozen columns.
+   * @returns {String}
+   */
+  _createSheetViews(frozenRows, frozenColumns) {
+    let pane = '';
+
+    if (frozenRows > 0 || frozenColumns > 0) {
+      let activePane = 'bottomRight';
+
+      if (frozenColumns === 0) {
+        activePane = 'bottomLeft';
+
+      } else if (frozenRows === 0) {
+        activePane = 'topRight';
+      }
+
+      pane = xmlNode('pane', {
+        xSplit: frozenColumns > 0 ? frozenColumns : null,
+        ySplit: frozenRows > 0 ? frozenRows : null,
+        topLeftCell: toLabel({ index: frozenRows }, { index: frozenColumns }),
+        activePane,
+        state: 'frozen',
+      });
+    }
+
+    return xmlNode('sheetViews', {}, xmlNode('sheetView', { workbookViewId: 0 }, pane));
+  }
+
+  /**
+   * Create node which describes the columns widths.
+   *
+   * @private
+   * @param {Array} widths List of columns widths in pixels.
+   * @returns {String}
+   */
+  _createColumns(widths) {
+    if (widths.length === 0) {
+      return '';
+    }
+    const columns = arrayMap(widths, (width, index) => xmlNode('col', {
+      min: index + 1,
+      max: index + 1,
+      width: Math.round((width / DEFAULT_CHAR_WIDTH) * 100) / 100,
+      customWidth: 1,
+    }));
+
+    return xmlNode('cols', {}, columns.join(''));
+  }
+
+  /**
+   * Create node which describes the merged cells.
+   *
+   * @private
+   * @param {Array} mergedCells List of objects with keys `row`, `col`, `rowspan` and `colspan`.
+   * @returns {String}
+   */
+  _createMergedCells(mergedCells) {
+    if (mergedCells.length === 0) {
+      return '';
+    }
+    const nodes = arrayMap(mergedCells, ({ row, col, rowspan, colspan }) => {
+      const from = toLabel({ index: row }, { index: col });
+      const to = toLabel({ index: row + rowspan - 1 }, { index: col + colspan - 1 });
+
+      return xmlNode('mergeCell', { ref: `${from}:${to}` });
+    });
+
+    return xmlNode('mergeCells', { count: nodes.length }, nodes.join(''));
+  }
+
+  /**
+   * Create the workbook part.
+   *
+   * @private
+   * @param {Array} sheets List of sheets.
+   * @returns {String}
+   */
+  _createWorkbook(sheets) {
+    const nodes = arrayMap(sheets, ({ name }, index) => xmlNode('sheet', { name, sheetId: index + 1, 'r:id': `rId${index + 1}` }));
+
+    return XML_HEADER + xmlNode('workbook', { xmlns: NS_MAIN, 'xmlns:r': NS_RELATIONSHIPS }, xmlNode('sheets', {}, nodes.join('')));
+  }
+
+  /**
+   * Create the workbook relationships part.
+   *
+   * @private
+   * @param {Array} sheets List of sheets.
+   * @returns {String}
+   */
+  _createWorkbookRelationships(sheets) {
+    const nodes = arrayMap(sheets, (sheet, index) => xmlNode('Relationship', {
+      Id: `rId${index + 1}`,
+      Type: `${NS_RELATIONSHIPS}/worksheet`,
+      Target: `worksheets/sheet${index + 1}.xml`,
+    }));
+
+    nodes.push(xmlNode('Relationship', {
+      Id: `rId${sheets.length + 1}`,
+      Type: `${NS_RELATIONSHIPS}/styles`,
+      Target: 'styles.xml',
+    }));
+
+    return XML_HEADER + xmlNode('Relationships', { xmlns: NS_PACKAGE_RELATIONSHIPS }, nodes.join(''));
+  }
+
+  /**
+   * Create the package relationships part.
+   *
+   * @private
+   * @returns {String}
+   */
+  _createRootRelationships() {
+    return XML_HEADER + xmlNode('Relationships', { xmlns: NS_PACKAGE_RELATIONSHIPS }, xmlNode('Relationship', {
+      Id: 'rId1',
+      Type: `${NS_RELATIONSHIPS}/officeDocument`,
+      Target: 'xl/workbook.xml',
+    }));
+  }
+
+  /**
+   * Create the content types part.
+   *
+   * @private
+   * @param {Array} sheets List of sheets.
+   * @returns {String}
+   */
+  _createContentTypes(sheets) {
+    const nodes = [
+      xmlNode('Default', { Extension: 'rels', ContentType: 'application/vnd.openxmlformats-package.relationships+xml' }),
+      xmlNode('Default', { Extension: 'xml', ContentType: 'application/xml' }),
+      xmlNode('Override', { PartName: '/xl/workbook.xml', ContentType: `${CONTENT_TYPE_PREFIX}.sheet.main+xml` }),
+      xmlNode('Override', { PartName: '/xl/styles.xml', ContentType: `${CONTENT_TYPE_PREFIX}.styles+xml` }),
+    ];
+
+    arrayEach(sheets, (sheet, index) => {
+      nodes.push(xmlNode('Override', {
+        PartName: `/xl/worksheets/sheet${index + 1}.xml`,
+        ContentType: `${CONTENT_TYPE_PREFIX}.worksheet+xml`,
+      }));
+    });
+
+    return XML_HEADER + xmlNode('Types', { xmlns: NS_CONTENT_TYPES }, nodes.join(''));
+  }
+
+  /**
+   * Create the styles part. It contains the default style, the header style and the styles for all used date formats.
+   *
+   * @private
+   * @returns {String}
+   */
+  _createStyles() {
+    const numberFormats = arrayMap(this.dateFormats, (formatCode, index) => xmlNode('numFmt', {
+      numFmtId: FIRST_CUSTOM_NUMBER_FORMAT_ID + index,
+      formatCode,
+    }));
+    const cellFormats = [
+      xmlNode('xf', { numFmtId: 0, fontId: 0, fillId: 0, borderId: 0, xfId: 0 }),
+      xmlNode('xf', { numFmtId: 0, fontId: 1, fillId: 0, borderId: 0, xfId: 0, applyFont: 1, applyAlignment: 1 },
+        xmlNode('alignment', { horizontal: 'center', vertical: 'center' })),
+    ];
+
+    arrayEach(this.dateFormats, (formatCode, index) => {
+      cellFormats.push(xmlNode('xf', {
+        numFmtId: FIRST_CUSTOM_NUMBER_FORMAT_ID + index,
+        fontId: 0,
+        fillId: 0,
+        borderId: 0,
+        xfId: 0,
+        applyNumberFormat: 1,
+      }));
+    });
+
+    return XML_HEADER + xmlNode('styleSheet', { xmlns: NS_MAIN }, [
+      numberFormats.length > 0 ? xmlNode('numFmts', { count: numberFormats.length }, numberFormats.join('')) : '',
+      xmlNode('fonts', { count: 2 }, [
+        xmlNode('font', {}, xmlNode('sz', { val: 11 }) + xmlNode('name', { val: 'Calibri' })),
+        xmlNode('font', {}, xmlNode('b') + xmlNode('sz', { val: 11 }) + xmlNode('name', { val: 'Calibri' })),
+      ].join('')),
+      xmlNode('fills', { count: 2 }, [
+        xmlNode('fill', {}, xmlNode('patternFill', { patternType: 'none' })),
+        xmlNode('fill', {}, xmlNode('patternFill', { patternType: 'gray125' })),
+      ].join('')),
+      xmlNode('borders', { count: 1 }, xmlNode('border', {}, '<left/><right/><top/><bottom/><diagonal/>')),
+      xmlNode('cellStyleXfs', { count: 1 }, xmlNode('xf', { numFmtId: 0, fontId: 0, fillId: 0, borderId: 0 })),
+      xmlNode('cellXfs', { count: cellFormats.length }, cellFormats.join('')),
+      xmlNode('cellStyles', { count: 1 }, xmlNode('cellStyle', { name: 'Normal', xfId: 0, builtinId: 0 })),
+    ].join(''));
+  }
+
+  /**
+   * Get style index for the date cells formatted according to the provided Moment.js date format.
+   *
+   * @private
+   * @param {String} [dateFormat] Moment.js date format.
+   * @returns {Number}
+   */
+  _getDateStyle(dateFormat) {
+    const formatCode = this._toExcelDateFormat(dateFormat);
+    let index = this.dateFormats.indexOf(formatCode);
+
+    if (index === -1) {
+      index = this.dateFormats.push(formatCode) - 1;
+    }
+
+    return STYLE_HEADER + 1 + index;
+  }
+
+  /**
+   * Convert Moment.js date format into the Excel number format code. The formats with the tokens which have no Excel
+   * equivalent (eq. `Do`, `dd` or the 12-hour clock without `a`/`A`, as Excel uses it only along with `AM/PM`) fall
+   * back to the `yyyy-mm-dd` format.
+   *
+   * @private
+   * @param {String} [dateFormat] Moment.js date format.
+   * @returns {String}
+   */
+  _toExcelDateFormat(dateFormat) {
+    if (typeof dateFormat !== 'string' || dateFormat === '') {
+      return DEFAULT_DATE_FORMAT;
+    }
+    const tokens = dateFormat.match(DATE_FORMAT_TOKENS_REGEXP);
+    const hasMeridiem = tokens.indexOf('a') !== -1 || tokens.indexOf('A') !== -1;
+    let isConvertible = true;
+
+    const formatCode = arrayMap(tokens, (token) => {
+      if (token.charAt(0) === '[') {
+        return `"${token.slice(1, -1)}"`;
+      }
+      if (token.charAt(0) === 'S') {
+        return '0'.repeat(token.length);
+      }
+      if (/[a-zA-Z]/.test(token)) {
+        const isTwelveHourClock = token === 'h' || token === 'hh';
+        const isTwentyFourHourClock = token === 'H' || token === 'HH';
+
+        if (!EXCEL_DATE_TOKENS[token] || (isTwelveHourClock && !hasMeridiem) || (isTwentyFourHourClock && hasMeridiem)) {
+          isConvertible = false;
+        }
+
+        return EXCEL_DATE_TOKENS[token];
+      }
+
+      return /[\s\-/:.,()]/.test(token) ? token : `\\${token}`;
+    }).join('');
+
+    return isConvertible ? formatCode : DEFAULT_DATE_FORMAT;
+  }
+
+  /**
+   * Convert date into the Excel serial date number.
+   *
+   * @private
+   * @param {moment} date Moment.js object.
+   * @returns {Number}
+   */
+  _toSerialDate(date) {
+    const utc = Date.UTC(date.year(), date.month(), date.date(), date.hours(), date.minutes(), date.seconds(), date.milliseconds());
+
+    return (utc - EXCEL_EPOCH) / MILLISECONDS_IN_DAY;
+  }
+
+  /**
+   * Remove chars which are not allowed in the sheet names and truncate the name to 31 chars.
+   *
+   * @private
+   * @param {String} name Sheet name.
+   * @returns {String}
+   */
+  _sanitizeSheetName(name) {
+    const sanitized = `${name}`.replace(/[[\]:*?/\\]/g, ' ').substr(0, 31).trim();
+
+    return sanitized === '' ? 'Sheet' : sanitized;
+  }
+}
+
+export default Xlsx;
@@ -0,0 +1,55 @@
+import moment from 'moment';
+import numbro from 'numbro';
+import { isNumeric } from 'handsontable/helpers/number';
+
+/**
+ * Format numeric value according to the `numericFormat` cell option (the same way as the numeric renderer does).
+ *
+ * @param {*} value Value to format.
+ * @param {Object} [numericFormat] Object with `pattern` and `culture` keys.
+ * @returns {String}
+ */
+function formatNumeric(value, numericFormat) {
+  const culture = (numericFormat && numericFormat.culture) || '-';
+  const pattern = numericFormat && numericFormat.pattern;
+
+  if (!numbro.languages()[culture]) {
+    const shortTag = culture.replace('-', '');
+    const languageData = numbro.allLanguages ? numbro.allLanguages[culture] : numbro[shortTag];
+
+    if (languageData) {
+      numbro.registerLanguage(languageData);
+    }
+  }
+
+  numbro.setLanguage(culture);
+
+  return numbro(value).format(pattern || '0');
+}
+
+/**
+ * Format cell value as it is displayed in the table, based on the cell meta (`numericFormat`, `dateFormat` and
+ * `timeFormat` options). Values which do not need formatting are returned untouched.
+ *
+ * @param {*} value Value to format.
+ * @param {Object} cellMeta Cell meta object.
+ * @returns {*}
+ */
+export function formatCellValue(value, cellMeta) {
+  if (value === null || value === void 0 || value === '') {
+    return value;
+  }
+  if ((cellMeta.type === 'numeric' || cellMeta.numericFormat) && isNumeric(value)) {
+    return formatNumeric(value, cellMeta.numericFormat);
+  }
+  if (cellMeta.type === 'date' && value instanceof Date) {
+    return moment(value).format(cellMeta.dateFormat);
+  }
+  if (cellMeta.type === 'time' && value instanceof Date) {
+    return moment(value).format(cellMeta.timeFormat);
+  }
+
+  return value;
+}
+
+export default formatCellValue;
@@ -0,0 +1,41 @@
+import { stringify } from 'handsontable/helpers/mixed';
+import { objectEach } from 'handsontable/helpers/object';
+
+// Chars which are not allowed in XML 1.0 documents (C0 control chars except TAB, LF and CR).
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g; // eslint-disable-line no-control-regex
+
+/**
+ * Escape value to be safely used as a text content or an attribute value of XML (and HTML) nodes.
+ *
+ * @param {*} value Value to escape.
+ * @returns {String}
+ */
+export function escapeXml(value) {
+  return stringify(value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Create XML node string.
+ *
+ * @param {String} name Node name.
+ * @param {Object} [attributes={}] Node attributes. Attributes with `null` or `undefined` values are skipped.
+ * @param {String} [content] Node content (not escaped). When omitted the node is self-closed.
+ * @returns {String}
+ */
+export function xmlNode(name, attributes = {}, content) {
+  let result = `<${name}`;
+
+  objectEach(attributes, (value, key) => {
+    if (value !== null && value !== void 0) {
+      result += ` ${key}="${escapeXml(value)}"`;
+    }
+  });
+
+  return content === void 0 ? `${result}/>` : `${result}>${content}</${name}>`;
+}
@@ -0,0 +1,221 @@
+/* eslint-disable no-bitwise */
+import { arrayEach } from 'handsontable/helpers/array';
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034B50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014B50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054B50;
+const VERSION = 20;
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORE = 0;
+
+let crcTable = null;
+
+/**
+ * Lazily creates the lookup table used for CRC-32 calculations.
+ *
+ * @returns {Array}
+ */
+function getCrcTable() {
+  if (crcTable === null) {
+    crcTable = [];
+
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  return crcTable;
+}
+
+/**
+ * Calculates CRC-32 checksum of the provided bytes.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Number}
+ */
+export function crc32(bytes) {
+  const table = getCrcTable();
+  let crc = 0xFFFFFFFF;
+
+  for (let i = 0; i < bytes.length; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Encodes string into UTF-8 bytes.
+ *
+ * @param {String} string
+ * @returns {Uint8Array}
+ */
+export function encodeUtf8(string) {
+  const binary = unescape(encodeURIComponent(string));
+  const bytes = new Uint8Array(binary.length);
+
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return bytes;
+}
+
+/**
+ * Converts bytes into the "binary string" (string where each char represents one byte).
+ *
+ * @param {Uint8Array} bytes
+ * @returns {String}
+ */
+export function bytesToBinaryString(bytes) {
+  const CHUNK_SIZE = 0x8000;
+  let result = '';
+
+  for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK_SIZE));
+  }
+
+  return result;
+}
+
+/**
+ * Converts the "binary string" (string where each char represents one byte) into bytes.
+ *
+ * @param {String} string
+ * @returns {Uint8Array}
+ */
+export function binaryStringToBytes(string) {
+  const bytes = new Uint8Array(string.length);
+
+  for (let i = 0; i < string.length; i++) {
+    bytes[i] = string.charCodeAt(i) & 0xFF;
+  }
+
+  return bytes;
+}
+
+/**
+ * Converts date into the MS-DOS date and time format used by the ZIP headers.
+ *
+ * @param {Date} date
+ * @returns {Object} Returns object with keys `time` and `date`.
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Simple ZIP archive builder which stores (without compression) provided files. It covers as much of the ZIP format
+ * as it is needed for creating Office Open XML documents in the browser.
+ *
+ * @plugin ExportFile
+ * @private
+ */
+class ZipArchive {
+  constructor() {
+    /**
+     * List of files added to the archive.
+     *
+     * @type {Array}
+     */
+    this.files = [];
+  }
+
+  /**
+   * Adds file to the archive.
+   *
+   * @param {String} name File path inside the archive.
+   * @param {String|Uint8Array} content File content. Strings are encoded as UTF-8.
+   * @returns {ZipArchive}
+   */
+  addFile(name, content) {
+    this.files.push({
+      name: encodeUtf8(name),
+      data: typeof content === 'string' ? encodeUtf8(content) : content,
+    });
+
+    return this;
+  }
+
+  /**
+   * Generates the archive.
+   *
+   * @param {Date} [date=new Date()] Modification date stored for all files.
+   * @returns {Uint8Array}
+   */
+  generate(date = new Date()) {
+    const { time, date: dosDate } = toDosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    let centralSize = 0;
+
+    arrayEach(this.files, ({ name, data }) => {
+      const crc = crc32(data);
+      const localHeader = new Uint8Array(30 + name.length);
+      const centralHeader = new Uint8Array(46 + name.length);
+      const local = new DataView(localHeader.buffer);
+      const central = new DataView(centralHeader.buffer);
+
+      local.setUint32(0, LOCAL_FILE_HEADER_SIGNATURE, true);
+      local.setUint16(4, VERSION, true);
+      local.setUint16(6, FLAG_UTF8, true);
+      local.setUint16(8, METHOD_STORE, true);
+      local.setUint16(10, time, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      localHeader.set(name, 30);
+
+      central.setUint32(0, CENTRAL_DIRECTORY_SIGNATURE, true);
+      central.setUint16(4, VERSION, true);
+      central.setUint16(6, VERSION, true);
+      central.setUint16(8, FLAG_UTF8, true);
+      central.setUint16(10, METHOD_STORE, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, dosDate, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+      centralHeader.set(name, 46);
+
+      localParts.push(localHeader, data);
+      centralParts.push(centralHeader);
+      offset += localHeader.length + data.length;
+      centralSize += centralHeader.length;
+    });
+
+    const endRecord = new Uint8Array(22);
+    const end = new DataView(endRecord.buffer);
+
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    end.setUint16(8, this.files.length, true);
+    end.setUint16(10, this.files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const result = new Uint8Array(offset + centralSize + endRecord.length);
+    let position = 0;
+
+    arrayEach([...localParts, ...centralParts, endRecord], (part) => {
+      result.set(part, position);
+      position += part.length;
+    });
+
+    return result;
+  }
+}
+
+export default ZipArchive;
@@ -1,4 +1,4 @@
-import { addClass } from 'handsontable/helpers/dom/element';
+import { addClass, removeClass } from 'handsontable/helpers/dom/element';
 import { arrayEach } from 'handsontable/helpers/array';
 import * as C from 'handsontable/i18n/constants';
 import BaseComponent from './_base';
@@ -21,6 +21,12 @@ class ActionBarComponent extends BaseComponent {
 
     this.id = options.id;
     this.name = options.name;
+    /**
+     * Flag which determines if the component waits for the filtering started by the OK button.
+     *
+     * @type {Boolean}
+     */
+    this.loading = false;
 
     this.elements.push(
       new InputUI(this.hot, {
@@ -74,6 +80,33 @@ class ActionBarComponent extends BaseComponent {
     };
   }
 
+  /**
+   * Set the loading state. The OK button displays the loading indicator and ignores clicks while the rows are being
+   * filtered.
+   *
+   * @param {Boolean} loading
+   */
+  setLoading(loading) {
+    const okButton = this.elements[0];
+
+    this.loading = loading;
+
+    if (loading) {
+      addClass(okButton.element, 'htUIButtonLoading');
+    } else {
+      removeClass(okButton.element, 'htUIButtonLoading');
+    }
+  }
+
+  /**
+   * Check if the component waits for the filtering started by the OK button.
+   *
+   * @returns {Boolean}
+   */
+  isLoading() {
+    return this.loading;
+  }
+
   /**
    * Fire accept event.
    */
@@ -96,6 +129,9 @@ class ActionBarComponent extends BaseComponent {
    * @param {InputUI} button InputUI object.
    */
   onButtonClick(event, button) {
+    if (button.options.identifier === ActionBarComponent.BUTTON_OK && this.isLoading()) {
+      return;
+    }
     if (button.options.identifier === ActionBarComponent.BUTTON_OK) {
       this.accept();
     } else {
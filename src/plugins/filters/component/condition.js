@@ -4,10 +4,13 @@ import { arrayEach } from 'handsontable/helpers/array';
 import { isKey } from 'handsontable/helpers/unicode';
 import { clone } from 'handsontable/helpers/object';
 import * as C from 'handsontable/i18n/constants';
+import { FILTERS_LABELS_MATCH_CASE, FILTERS_LABELS_INVALID_PATTERN } from './../../../i18n/constants';
 import BaseComponent from './_base';
 import getOptionsList, { CONDITION_NONE } from './../constants';
 import InputUI from './../ui/input';
 import SelectUI from './../ui/select';
+import CheckboxUI from './../ui/checkbox';
+import DatePickerUI from './../ui/datePicker';
 import { getConditionDescriptor } from './../conditionRegisterer';
 
 /**
@@ -24,7 +27,16 @@ class ConditionComponent extends BaseComponent {
 
     this.elements.push(new SelectUI(this.hot));
     this.elements.push(new InputUI(this.hot, { placeholder: C.FILTERS_BUTTONS_PLACEHOLDER_VALUE }));
+    this.elements.push(new DatePickerUI(this.hot));
     this.elements.push(new InputUI(this.hot, { placeholder: C.FILTERS_BUTTONS_PLACEHOLDER_SECOND_VALUE }));
+    this.elements.push(new DatePickerUI(this.hot));
+    this.elements.push(new CheckboxUI(this.hot, {
+      id: `${this.id}_case_sensitive`,
+      label: {
+        htmlFor: `${this.id}_case_sensitive`,
+        textContent: FILTERS_LABELS_MATCH_CASE,
+      },
+    }));
     this.registerHooks();
   }
 
@@ -37,8 +49,13 @@ class ConditionComponent extends BaseComponent {
     this.getSelectElement().addLocalHook('select', command => this.onConditionSelect(command));
     this.getSelectElement().addLocalHook('afterClose', () => this.onSelectUIClosed());
 
-    arrayEach(this.getInputElements(), (input) => {
+    arrayEach(this.getInputElements(), (input, index) => {
       input.addLocalHook('keydown', event => this.onInputKeyDown(event));
+      input.addLocalHook('keyup', () => this.onInputKeyUp());
+      input.addLocalHook('focus', () => this.onInputFocus(index));
+    });
+    arrayEach(this.getDatePickerElements(), (datePicker, index) => {
+      datePicker.addLocalHook('select', value => this.onDateSelect(index, value));
     });
   }
 
@@ -54,7 +71,7 @@ class ConditionComponent extends BaseComponent {
       const copyOfCommand = clone(value.command);
 
       if (copyOfCommand.name.startsWith(C.FILTERS_CONDITIONS_NAMESPACE)) {
-        copyOfCommand.name = this.hot.getTranslatedPhrase(copyOfCommand.name);
+        copyOfCommand.name = this.hot.getTranslatedPhrase(copyOfCommand.name) || copyOfCommand.name;
       }
 
       this.getSelectElement().setValue(copyOfCommand);
@@ -72,6 +89,12 @@ class ConditionComponent extends BaseComponent {
           setTimeout(() => element.focus(), 10);
         }
       });
+
+      if (copyOfCommand.caseSensitivity) {
+        this.getCaseSensitivityElement().setChecked(value.args[copyOfCommand.inputsCount] === true);
+        this.getCaseSensitivityElement().show();
+      }
+      this.validate();
     }
   }
 
@@ -90,6 +113,10 @@ class ConditionComponent extends BaseComponent {
       }
     });
 
+    if (command.caseSensitivity) {
+      args.push(this.getCaseSensitivityElement().isChecked());
+    }
+
     return {
       command,
       args,
@@ -113,9 +140,31 @@ class ConditionComponent extends BaseComponent {
 
     if (!condition) {
       arrayEach(this.getInputElements(), element => element.setValue(null));
+      this.getCaseSensitivityElement().setChecked(false);
     }
   }
 
+  /**
+   * Check if the values typed into the visible inputs are accepted by the selected condition (its descriptor can define
+   * the `inputValidator` function). The inputs with invalid values display an error message.
+   *
+   * @returns {Boolean}
+   */
+  validate() {
+    const command = this.getSelectElement().getValue() || getConditionDescriptor(CONDITION_NONE);
+    let isValid = true;
+
+    arrayEach(this.getInputElements(), (element, index) => {
+      const isInputValid = command.inputsCount <= index || typeof command.inputValidator !== 'function' ||
+        command.inputValidator(element.getValue());
+
+      element.setError(isInputValid ? '' : (command.invalidInputMessage || FILTERS_LABELS_INVALID_PATTERN));
+      isValid = isValid && isInputValid;
+    });
+
+    return isValid;
+  }
+
   /**
    * Get select element.
    *
@@ -144,6 +193,49 @@ class ConditionComponent extends BaseComponent {
     return this.elements.filter(element => element instanceof InputUI);
   }
 
+  /**
+   * Get date picker element.
+   *
+   * @param {Number} index Index of the input which the date picker belongs to.
+   * @returns {DatePickerUI}
+   */
+  getDatePickerElement(index = 0) {
+    return this.getDatePickerElements()[index];
+  }
+
+  /**
+   * Get date picker elements (one for each input).
+   *
+   * @returns {Array}
+   */
+  getDatePickerElements() {
+    return this.elements.filter(element => element instanceof DatePickerUI);
+  }
+
+  /**
+   * Get format of the dates typed into the inputs. Returns `null` when the column of the component isn't a date column.
+   *
+   * @returns {String|null}
+   */
+  getDateFormat() {
+    const lastSelectedColumn = this.hot.getPlugin('filters').getSelectedColumn();
+
+    if (!lastSelectedColumn || this.hot.getDataType(0, lastSelectedColumn.visualIndex) !== 'date') {
+      return null;
+    }
+
+    return this.hot.getCellMeta(0, lastSelectedColumn.visualIndex).dateFormat || DatePickerUI.DEFAULTS.dateFormat;
+  }
+
+  /**
+   * Get case sensitivity toggle element.
+   *
+   * @returns {CheckboxUI}
+   */
+  getCaseSensitivityElement() {
+    return this.elements.filter(element => element instanceof CheckboxUI)[0];
+  }
+
   /**
    * Get menu object descriptor.
    *
@@ -187,6 +279,8 @@ class ConditionComponent extends BaseComponent {
     const items = getOptionsList(columnType);
 
     arrayEach(this.getInputElements(), element => element.hide());
+    arrayEach(this.getDatePickerElements(), element => element.hide());
+    this.getCaseSensitivityElement().hide();
     this.getSelectElement().setItems(items);
     super.reset();
     // Select element as default 'None'
@@ -207,6 +301,9 @@ class ConditionComponent extends BaseComponent {
         setTimeout(() => element.focus(), 10);
       }
     });
+    arrayEach(this.getDatePickerElements(), element => element.hide());
+    this.getCaseSensitivityElement()[command.caseSensitivity ? 'show' : 'hide']();
+    this.validate();
 
     this.runLocalHooks('change', command);
   }
@@ -220,6 +317,59 @@ class ConditionComponent extends BaseComponent {
     this.runLocalHooks('afterClose');
   }
 
+  /**
+   * Key up listener.
+   *
+   * @private
+   */
+  onInputKeyUp() {
+    this.validate();
+  }
+
+  /**
+   * Input focus listener. Displays the date picker under the focused input for the date columns.
+   *
+   * @private
+   * @param {Number} index Index of the focused input.
+   */
+  onInputFocus(index) {
+    const command = this.getSelectElement().getValue() || getConditionDescriptor(CONDITION_NONE);
+    const dateFormat = command.datePicker === false ? null : this.getDateFormat();
+    let isChanged = false;
+
+    arrayEach(this.getDatePickerElements(), (element, elementIndex) => {
+      const isVisible = dateFormat !== null && elementIndex === index && command.inputsCount > index;
+
+      if (isVisible) {
+        element.setDateFormat(dateFormat);
+        element.setValue(this.getInputElement(index).getValue());
+      }
+      if (isVisible === (element.element.style.display === 'none')) {
+        element[isVisible ? 'show' : 'hide']();
+        isChanged = true;
+      }
+    });
+
+    if (isChanged) {
+      this.runLocalHooks('render');
+    }
+  }
+
+  /**
+   * Date picker select listener.
+   *
+   * @private
+   * @param {Number} index Index of the date picker.
+   * @param {String} value Selected date formatted with the column `dateFormat`.
+   */
+  onDateSelect(index, value) {
+    this.getInputElement(index).setValue(value);
+    this.getDatePickerElement(index).hide();
+    this.validate();
+
+    this.runLocalHooks('render');
+  }
+
   /**
    * Key down listener.
    *
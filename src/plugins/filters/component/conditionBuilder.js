@@ -0,0 +1,505 @@
+import { addClass, empty } from 'handsontable/helpers/dom/element';
+import { arrayEach, arrayFilter, arrayMap } from 'handsontable/helpers/array';
+import * as C from './../../../i18n/constants';
+import BaseComponent from './_base';
+import ConditionComponent from './condition';
+import { CONDITION_NONE } from './../constants';
+import { getConditionDescriptor } from './../conditionRegisterer';
+import { getOperationName } from '../logicalOperationRegisterer';
+import { OPERATION_ID as OPERATION_AND } from '../logicalOperations/conjunction';
+import { OPERATION_ID as OPERATION_OR } from '../logicalOperations/disjunction';
+import { OPERATION_ID as OPERATION_OR_THEN_VARIABLE } from '../logicalOperations/disjunctionWithExtraCondition';
+import RadioInputUI from './../ui/radioInput';
+import LinkUI from './../ui/link';
+
+/**
+ * Component which allows building any number of conditions joined into (nested) groups with the `conjunction` or
+ * `disjunction` operations. It's used instead of the `filter_by_condition`, `filter_operators` and
+ * `filter_by_condition2` components when the `conditionBuilder` option of the plugin is enabled.
+ *
+ * The state of the component is an object with keys `operation` and `conditions`, where `conditions` is an array of
+ * condition states (objects with keys `command` and `args`) and nested groups (objects with keys `operation` and
+ * `conditions`).
+ *
+ * @class ConditionBuilderComponent
+ * @plugin Filters
+ */
+class ConditionBuilderComponent extends BaseComponent {
+  constructor(hotInstance, options) {
+    super(hotInstance);
+
+    this.id = options.id;
+    this.name = options.name;
+    /**
+     * Root element of the rendered conditions tree.
+     *
+     * @type {HTMLElement}
+     */
+    this.container = document.createElement('div');
+    /**
+     * Root group of the conditions tree.
+     *
+     * @type {Object}
+     */
+    this.root = null;
+    /**
+     * Counter used to generate unique identifiers of the groups and conditions.
+     *
+     * @type {Number}
+     */
+    this.nodesCounter = 0;
+
+    addClass(this.container, 'htFiltersConditionBuilder');
+  }
+
+  /**
+   * Set state of the component.
+   *
+   * @param {Object} value State to restore.
+   */
+  setState(value) {
+    this.destroyNode(this.root);
+    this.root = this.createGroup(value && value.conditions ? value : { operation: OPERATION_AND, conditions: [] }, null);
+    this.render();
+  }
+
+  /**
+   * Export state of the component. Conditions with the `none` command and empty groups are skipped.
+   *
+   * @returns {Object} Returns object with keys `operation` and `conditions`.
+   */
+  getState() {
+    if (!this.root) {
+      return { operation: OPERATION_AND, conditions: [] };
+    }
+
+    return this.getGroupState(this.root);
+  }
+
+  /**
+   * Update state of component.
+   *
+   * @param {Array} conditions List of conditions (and groups of conditions) defined for the column (without the
+   *                           `by_value` condition).
+   * @param {Number} column Physical column index.
+   * @param {String} [operation='conjunction'] Operation performed on the column conditions.
+   */
+  updateState(conditions, column, operation = OPERATION_AND) {
+    let rootGroup = { operation, conditions };
+
+    if (conditions.length === 1 && conditions[0].conditions) {
+      rootGroup = conditions[0];
+    }
+
+    this.setCachedState(column, this.toState(rootGroup));
+  }
+
+  /**
+   * Check if all typed values are valid (see {@link ConditionComponent#validate}).
+   *
+   * @returns {Boolean}
+   */
+  validate() {
+    let isValid = true;
+
+    arrayEach(this.getConditionComponents(), (component) => {
+      isValid = component.validate() && isValid;
+    });
+
+    return isValid;
+  }
+
+  /**
+   * Get all condition components (rows) of the tree.
+   *
+   * @returns {Array}
+   */
+  getConditionComponents(group = this.root) {
+    const components = [];
+
+    if (group) {
+      arrayEach(group.children, (node) => {
+        if (node.children) {
+          components.push(...this.getConditionComponents(node));
+        } else {
+          components.push(node.component);
+        }
+      });
+    }
+
+    return components;
+  }
+
+  /**
+   * Add a new (empty) condition row to the group.
+   *
+   * @param {Object} [group] Group object (root group by default).
+   * @returns {ConditionComponent}
+   */
+  addCondition(group = this.root) {
+    const node = this.createCondition(null, group);
+
+    group.children.push(node);
+    this.render();
+
+    return node.component;
+  }
+
+  /**
+   * Add a new group (with one empty condition row) to the group.
+   *
+   * @param {Object} [group] Group object (root group by default).
+   * @returns {Object} Returns created group object.
+   */
+  addGroup(group = this.root) {
+    const node = this.createGroup({ operation: OPERATION_OR, conditions: [] }, group);
+
+    group.children.push(node);
+    this.render();
+
+    return node;
+  }
+
+  /**
+   * Remove condition row or group from the tree. When the root group gets empty a new empty row is added to it.
+   *
+   * @param {Object} node Condition or group object.
+   */
+  removeNode(node) {
+    const group = node.parent;
+
+    if (!group) {
+      return;
+    }
+    group.children.splice(group.children.indexOf(node), 1);
+    this.destroyNode(node);
+
+    if (this.root.children.length === 0) {
+      this.root.children.push(this.createCondition(null, this.root));
+    }
+    this.render();
+  }
+
+  /**
+   * Close the options menus of all condition rows.
+   */
+  closeOptions() {
+    arrayEach(this.getConditionComponents(), component => component.getSelectElement().closeOptions());
+  }
+
+  /**
+   * Get menu object descriptor.
+   *
+   * @returns {Object}
+   */
+  getMenuItemDescriptor() {
+    return {
+      key: this.id,
+      name: this.name,
+      isCommand: false,
+      disableSelection: true,
+      hidden: () => this.isHidden(),
+      renderer: (hot, wrapper, row, col, prop, value) => {
+        addClass(wrapper.parentNode, 'htFiltersMenuCondition');
+
+        const label = document.createElement('div');
+
+        addClass(label, 'htFiltersMenuLabel');
+
+        label.textContent = value;
+
+        wrapper.appendChild(label);
+        wrapper.appendChild(this.container);
+
+        // The tree is built without triggering the `render` hook as the menu is being rendered at the moment.
+        if (!this.root) {
+          this.root = this.createGroup({ operation: OPERATION_AND, conditions: [] }, null);
+          this.container.appendChild(this.renderGroup(this.root));
+        }
+
+        return wrapper;
+      }
+    };
+  }
+
+  /**
+   * Reset the component to its initial state (root group with one empty condition row).
+   */
+  reset() {
+    this.setState(null);
+  }
+
+  /**
+   * Convert the conditions exported from the condition collection into the component state.
+   *
+   * @private
+   * @param {Object} group Object with keys `operation` and `conditions`.
+   * @returns {Object}
+   */
+  toState(group) {
+    return {
+      operation: group.operation === OPERATION_OR_THEN_VARIABLE ? OPERATION_OR : group.operation,
+      conditions: arrayMap(group.conditions, (condition) => {
+        if (condition.conditions) {
+          return this.toState(condition);
+        }
+
+        return {
+          command: getConditionDescriptor(condition.name),
+          args: condition.args,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Get state of the group.
+   *
+   * @private
+   * @param {Object} group Group object.
+   * @returns {Object}
+   */
+  getGroupState(group) {
+    const conditions = [];
+
+    arrayEach(group.children, (node) => {
+      if (node.children) {
+        const groupState = this.getGroupState(node);
+
+        if (groupState.conditions.length) {
+          conditions.push(groupState);
+        }
+
+      } else {
+        const conditionState = node.component.getState();
+
+        if (conditionState.command.key !== CONDITION_NONE) {
+          conditions.push(conditionState);
+        }
+      }
+    });
+
+    return {
+      operation: this.getGroupOperation(group),
+      conditions,
+    };
+  }
+
+  /**
+   * Get operation selected for the group.
+   *
+   * @private
+   * @param {Object} group Group object.
+   * @returns {String}
+   */
+  getGroupOperation(group) {
+    const checkedElement = arrayFilter(group.operators, element => element.isChecked())[0];
+
+    return checkedElement ? checkedElement.getValue() : OPERATION_AND;
+  }
+
+  /**
+   * Create group object (with its UI elements) based on the group state.
+   *
+   * @private
+   * @param {Object} state Object with keys `operation` and `conditions`.
+   * @param {Object|null} parent Parent group object.
+   * @returns {Object}
+   */
+  createGroup(state, parent) {
+    this.nodesCounter += 1;
+
+    const id = `${this.id}_group_${this.nodesCounter}`;
+    const group = {
+      id,
+      parent,
+      children: [],
+      operators: [],
+      links: [],
+    };
+
+    arrayEach([OPERATION_AND, OPERATION_OR], (operation) => {
+      const radioInput = new RadioInputUI(this.hot, {
+        name: id,
+        label: {
+          htmlFor: `${id}_${operation}`,
+          textContent: getOperationName(operation)
+        },
+        value: operation,
+        checked: operation === (state.operation === OPERATION_OR ? OPERATION_OR : OPERATION_AND),
+        id: `${id}_${operation}`,
+      });
+
+      radioInput.addLocalHook('change', () => {
+        arrayEach(group.operators, element => element.setChecked(element === radioInput));
+      });
+      group.operators.push(radioInput);
+    });
+
+    group.links.push(this.createLink(C.FILTERS_BUTTONS_ADD_CONDITION, 'htFiltersBuilderAddCondition', () => this.addCondition(group)));
+    group.links.push(this.createLink(C.FILTERS_BUTTONS_ADD_GROUP, 'htFiltersBuilderAddGroup', () => this.addGroup(group)));
+
+    if (parent) {
+      group.links.push(this.createLink(C.FILTERS_BUTTONS_REMOVE_GROUP, 'htFiltersBuilderRemove', () => this.removeNode(group)));
+    }
+
+    arrayEach(state.conditions, (conditionState) => {
+      group.children.push(conditionState.conditions ? this.createGroup(conditionState, group) : this.createCondition(conditionState, group));
+    });
+
+    if (group.children.length === 0) {
+      group.children.push(this.createCondition(null, group));
+    }
+
+    return group;
+  }
+
+  /**
+   * Create condition object (with its `ConditionComponent` instance) based on the condition state.
+   *
+   * @private
+   * @param {Object|null} state Object with keys `command` and `args`.
+   * @param {Object} parent Parent group object.
+   * @returns {Object}
+   */
+  createCondition(state, parent) {
+    this.nodesCounter += 1;
+
+    const component = new ConditionComponent(this.hot, { id: `${this.id}_condition_${this.nodesCounter}`, name: '' });
+    const node = {
+      parent,
+      component,
+      links: [],
+    };
+
+    component.addLocalHook('change', command => this.runLocalHooks('change', command));
+    component.addLocalHook('accept', () => this.runLocalHooks('accept'));
+    component.addLocalHook('cancel', () => this.runLocalHooks('cancel'));
+    component.addLocalHook('afterClose', () => this.runLocalHooks('afterClose'));
+    component.addLocalHook('render', () => this.runLocalHooks('render'));
+
+    node.links.push(this.createLink(C.FILTERS_BUTTONS_REMOVE_CONDITION, 'htFiltersBuilderRemove', () => this.removeNode(node)));
+
+    if (state) {
+      component.setState(state);
+    } else {
+      component.reset();
+    }
+
+    return node;
+  }
+
+  /**
+   * Create link element.
+   *
+   * @private
+   * @param {String} textContent Link label (it can be a key of the i18n dictionary).
+   * @param {String} className Link class name.
+   * @param {Function} callback Function called after the link click.
+   * @returns {LinkUI}
+   */
+  createLink(textContent, className, callback) {
+    const link = new LinkUI(this.hot, { textContent, className });
+
+    link.addLocalHook('click', (event) => {
+      event.preventDefault();
+      callback();
+    });
+
+    return link;
+  }
+
+  /**
+   * Render the conditions tree.
+   *
+   * @private
+   */
+  render() {
+    empty(this.container);
+
+    if (this.root) {
+      this.container.appendChild(this.renderGroup(this.root));
+    }
+
+    this.runLocalHooks('render');
+  }
+
+  /**
+   * Render the group element.
+   *
+   * @private
+   * @param {Object} group Group object.
+   * @returns {HTMLElement}
+   */
+  renderGroup(group) {
+    const element = document.createElement('div');
+    const operators = document.createElement('div');
+    const actions = document.createElement('div');
+
+    addClass(element, 'htFiltersBuilderGroup');
+    addClass(operators, 'htFiltersBuilderOperators');
+    addClass(actions, 'htFiltersBuilderActions');
+
+    arrayEach(group.operators, ui => operators.appendChild(ui.element));
+    element.appendChild(operators);
+
+    arrayEach(group.children, (node) => {
+      element.appendChild(node.children ? this.renderGroup(node) : this.renderCondition(node));
+    });
+
+    arrayEach(group.links, ui => actions.appendChild(ui.element));
+    element.appendChild(actions);
+
+    return element;
+  }
+
+  /**
+   * Render the condition row element.
+   *
+   * @private
+   * @param {Object} node Condition object.
+   * @returns {HTMLElement}
+   */
+  renderCondition(node) {
+    const element = document.createElement('div');
+
+    addClass(element, 'htFiltersBuilderCondition');
+
+    arrayEach(node.component.elements, ui => element.appendChild(ui.element));
+    arrayEach(node.links, ui => element.appendChild(ui.element));
+
+    return element;
+  }
+
+  /**
+   * Destroy UI elements of the condition or group object.
+   *
+   * @private
+   * @param {Object} node Condition or group object.
+   */
+  destroyNode(node) {
+    if (!node) {
+      return;
+    }
+    if (node.children) {
+      arrayEach(node.children, child => this.destroyNode(child));
+      arrayEach(node.operators, ui => ui.destroy());
+
+    } else {
+      node.component.destroy();
+    }
+    arrayEach(node.links, ui => ui.destroy());
+  }
+
+  /**
+   * Destroy element.
+   */
+  destroy() {
+    this.destroyNode(this.root);
+    this.root = null;
+    this.container = null;
+    super.destroy();
+  }
+}
+
+export default ConditionBuilderComponent;
@@ -0,0 +1,308 @@
+import { addClass, empty } from 'handsontable/helpers/dom/element';
+import { stopPropagation } from 'handsontable/helpers/dom/event';
+import { arrayEach } from 'handsontable/helpers/array';
+import { debounce } from 'handsontable/helpers/function';
+import EventManager from 'handsontable/eventManager';
+import * as C from 'handsontable/i18n/constants';
+import { FILTERS_BUTTONS_PLACEHOLDER_FROM, FILTERS_BUTTONS_PLACEHOLDER_TO } from './../../../i18n/constants';
+import BaseComponent from './_base';
+import { CONDITION_NAME as CONDITION_CONTAINS } from './../condition/contains';
+import { CONDITION_NAME as CONDITION_GREATER_THAN_OR_EQUAL } from './../condition/greaterThanOrEqual';
+import { CONDITION_NAME as CONDITION_LESS_THAN_OR_EQUAL } from './../condition/lessThanOrEqual';
+import { CONDITION_NAME as CONDITION_DATE_AFTER } from './../condition/date/after';
+import { CONDITION_NAME as CONDITION_DATE_BEFORE } from './../condition/date/before';
+import { TYPE_DATE, TYPE_NUMERIC, TYPE_TEXT } from './../constants';
+import InputUI from './../ui/input';
+
+/**
+ * Component which renders the filter row (an extra column header row with the inline inputs). The text columns get
+ * one input (the `contains` condition), the numeric and date columns get two inputs which define the range of values.
+ *
+ * The typed values are collected per column and after the `delay` the `change` local hook is called with the list of
+ * changes (objects with keys `column` and `conditions`).
+ *
+ * @class FilterRowComponent
+ * @plugin Filters
+ */
+class FilterRowComponent extends BaseComponent {
+  constructor(hotInstance, options) {
+    super(hotInstance);
+
+    this.id = options.id;
+    this.name = options.name;
+    /**
+     * Instance of {@link EventManager}.
+     *
+     * @type {EventManager}
+     */
+    this.eventManager = new EventManager(this);
+    /**
+     * Typed values (objects with keys `type` and `values`) indexed by physical column index.
+     *
+     * @type {Map}
+     */
+    this.columnsState = new Map();
+    /**
+     * Rendered cells (objects with keys `type`, `column`, `element` and `inputs`) indexed by header element.
+     *
+     * @type {Map}
+     */
+    this.cells = new Map();
+    /**
+     * Physical indexes of columns which values have been changed, but not submitted yet.
+     *
+     * @type {Array}
+     */
+    this.changedColumns = [];
+    /**
+     * Submits the changed columns after the delay.
+     *
+     * @type {Function}
+     */
+    this.submitChangesDebounced = debounce(() => this.submitChanges(), options.delay === void 0 ? 300 : options.delay);
+  }
+
+  /**
+   * Get the column header renderer which renders the filter row.
+   *
+   * @returns {Function}
+   */
+  getHeaderRenderer() {
+    return (column, TH) => this.renderHeader(column, TH);
+  }
+
+  /**
+   * Get conditions defined for the column by the typed values.
+   *
+   * @param {Number} column Physical column index.
+   * @returns {Array} Returns list of objects with keys `name` and `args`.
+   */
+  getConditions(column) {
+    const conditions = [];
+    const state = this.columnsState.get(column);
+
+    if (!state) {
+      return conditions;
+    }
+    const [from, to] = state.values;
+
+    if (state.type === TYPE_TEXT) {
+      if (from) {
+        conditions.push({ name: CONDITION_CONTAINS, args: [from] });
+      }
+
+    } else {
+      const isDate = state.type === TYPE_DATE;
+
+      if (from) {
+        conditions.push({ name: isDate ? CONDITION_DATE_AFTER : CONDITION_GREATER_THAN_OR_EQUAL, args: [from] });
+      }
+      if (to) {
+        conditions.push({ name: isDate ? CONDITION_DATE_BEFORE : CONDITION_LESS_THAN_OR_EQUAL, args: [to] });
+      }
+    }
+
+    return conditions;
+  }
+
+  /**
+   * Get values typed into the inputs of the column.
+   *
+   * @param {Number} column Physical column index.
+   * @returns {Array}
+   */
+  getValues(column) {
+    const state = this.columnsState.get(column);
+
+    return state ? state.values.slice() : [];
+  }
+
+  /**
+   * Clear values typed for the columns which don't pass the assertion (except the columns which changes are not
+   * submitted yet).
+   *
+   * @param {Function} assertion Function called with the physical column index.
+   */
+  clearValuesIf(assertion) {
+    const columns = [];
+
+    this.columnsState.forEach((state, column) => {
+      if (this.changedColumns.indexOf(column) === -1 && !assertion(column)) {
+        columns.push(column);
+      }
+    });
+
+    arrayEach(columns, column => this.columnsState.delete(column));
+  }
+
+  /**
+   * Clear all typed values.
+   */
+  reset() {
+    this.columnsState.clear();
+    this.changedColumns.length = 0;
+  }
+
+  /**
+   * Render the filter row header.
+   *
+   * @private
+   * @param {Number} column Visual column index (negative for the row headers).
+   * @param {HTMLTableCellElement} TH Header element.
+   */
+  renderHeader(column, TH) {
+    addClass(TH, 'htFiltersRow');
+
+    if (column < 0) {
+      empty(TH);
+
+      return;
+    }
+    const physicalColumn = this.hot.toPhysicalColumn(column);
+    const type = this.getColumnType(column);
+    let cell = this.cells.get(TH);
+
+    if (!cell || cell.type !== type) {
+      if (cell) {
+        this.destroyCell(cell);
+      }
+      cell = this.createCell(type);
+      this.cells.set(TH, cell);
+    }
+    cell.column = physicalColumn;
+
+    const values = this.getValues(physicalColumn);
+
+    arrayEach(cell.inputs, (input, index) => {
+      // The value of the focused input is kept as it's just being typed.
+      if (input.element.firstChild !== document.activeElement) {
+        input.setValue(values[index] === void 0 ? '' : values[index]);
+      }
+    });
+
+    if (cell.element.parentNode !== TH) {
+      empty(TH);
+      TH.appendChild(cell.element);
+    }
+  }
+
+  /**
+   * Get type of the column inputs (`text`, `numeric` or `date`).
+   *
+   * @private
+   * @param {Number} column Visual column index.
+   * @returns {String}
+   */
+  getColumnType(column) {
+    const type = this.hot.getDataType(0, column);
+
+    return type === TYPE_NUMERIC || type === TYPE_DATE ? type : TYPE_TEXT;
+  }
+
+  /**
+   * Create cell object with the inputs suitable for the column type.
+   *
+   * @private
+   * @param {String} type Column type.
+   * @returns {Object}
+   */
+  createCell(type) {
+    const element = document.createElement('div');
+    const cell = {
+      type,
+      column: null,
+      element,
+      inputs: [],
+    };
+    const placeholders = type === TYPE_TEXT ? [C.FILTERS_BUTTONS_PLACEHOLDER_SEARCH] : [FILTERS_BUTTONS_PLACEHOLDER_FROM, FILTERS_BUTTONS_PLACEHOLDER_TO];
+
+    addClass(element, 'htFiltersRowCell');
+    addClass(element, `htFiltersRowCell-${type}`);
+
+    arrayEach(placeholders, (placeholder, index) => {
+      const input = new InputUI(this.hot, { placeholder });
+
+      input.addLocalHook('focus', () => this.hot.unlisten());
+      input.addLocalHook('keyup', event => this.onInputKeyUp(cell, index, event.target.value));
+
+      cell.inputs.push(input);
+      element.appendChild(input.element);
+    });
+
+    // Prevents selecting the column after clicking the inputs.
+    this.eventManager.addEventListener(element, 'mousedown', event => stopPropagation(event));
+
+    return cell;
+  }
+
+  /**
+   * Destroy UI elements of the cell.
+   *
+   * @private
+   * @param {Object} cell Cell object.
+   */
+  destroyCell(cell) {
+    this.eventManager.removeEventListener(cell.element, 'mousedown');
+    arrayEach(cell.inputs, input => input.destroy());
+  }
+
+  /**
+   * Call the `change` local hook with the changed columns.
+   *
+   * @private
+   */
+  submitChanges() {
+    if (!this.hot || this.changedColumns.length === 0) {
+      return;
+    }
+    const changes = [];
+
+    arrayEach(this.changedColumns.splice(0, this.changedColumns.length), (column) => {
+      changes.push({ column, conditions: this.getConditions(column) });
+    });
+
+    this.runLocalHooks('change', changes);
+  }
+
+  /**
+   * On input keyup listener.
+   *
+   * @private
+   * @param {Object} cell Cell object.
+   * @param {Number} index Index of the input in the cell.
+   * @param {String} value Typed value.
+   */
+  onInputKeyUp(cell, index, value) {
+    const { column, type } = cell;
+    const state = this.columnsState.get(column) || { type, values: [] };
+
+    if (state.type === type && state.values[index] === value) {
+      return;
+    }
+    if (state.type !== type) {
+      state.type = type;
+      state.values = [];
+    }
+    state.values[index] = value;
+    this.columnsState.set(column, state);
+
+    if (this.changedColumns.indexOf(column) === -1) {
+      this.changedColumns.push(column);
+    }
+    this.submitChangesDebounced();
+  }
+
+  /**
+   * Destroy element.
+   */
+  destroy() {
+    this.cells.forEach(cell => this.destroyCell(cell));
+    this.cells.clear();
+    this.columnsState.clear();
+    this.eventManager.destroy();
+    this.eventManager = null;
+    super.destroy();
+  }
+}
+
+export default FilterRowComponent;
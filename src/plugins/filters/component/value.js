@@ -1,14 +1,22 @@
-import { addClass } from 'handsontable/helpers/dom/element';
+import { addClass, removeClass } from 'handsontable/helpers/dom/element';
 import { stopImmediatePropagation } from 'handsontable/helpers/dom/event';
 import { arrayEach, arrayFilter, arrayMap } from 'handsontable/helpers/array';
 import { isKey } from 'handsontable/helpers/unicode';
 import * as C from 'handsontable/i18n/constants';
-import { unifyColumnValues, intersectValues, toEmptyString } from './../utils';
+import { countColumnValues, unifyColumnValues, groupValues, toEmptyString } from './../utils';
 import BaseComponent from './_base';
 import MultipleSelectUI from './../ui/multipleSelect';
 import { CONDITION_BY_VALUE, CONDITION_NONE } from './../constants';
 import { getConditionDescriptor } from './../conditionRegisterer';
 
+/**
+ * Number of the column values counted at once while building the values list. The values of the larger columns are
+ * counted in chunks (the list is in the loading state in the meantime), so the browser isn't blocked.
+ *
+ * @type {Number}
+ */
+const VALUES_CHUNK_SIZE = 10000;
+
 /**
  * @class ValueComponent
  * @plugin Filters
@@ -21,6 +29,12 @@ class ValueComponent extends BaseComponent {
     this.name = options.name;
 
     this.elements.push(new MultipleSelectUI(this.hot));
+    /**
+     * Timeout id of the next chunk of the column values to count (`null` when the values list isn't being built).
+     *
+     * @type {Number|null}
+     */
+    this.itemsBuildingTimeout = null;
 
     this.registerHooks();
   }
@@ -32,6 +46,7 @@ class ValueComponent extends BaseComponent {
    */
   registerHooks() {
     this.getMultipleSelectElement().addLocalHook('keydown', event => this.onInputKeyDown(event));
+    this.getMultipleSelectElement().addLocalHook('search', text => this.runLocalHooks('search', text));
   }
 
   /**
@@ -40,13 +55,19 @@ class ValueComponent extends BaseComponent {
    * @param {Object} value
    */
   setState(value) {
-    this.reset();
-
     if (value && value.command.key === CONDITION_BY_VALUE) {
       const select = this.getMultipleSelectElement();
 
+      // The values list is restored from the snapshot, so there is no need to build it from the column values.
+      this.stopBuildingItems();
+      this.setLoading(false);
+      super.reset();
+      select.setTextComparator(this._getColumnTextComparator());
       select.setItems(value.itemsSnapshot);
       select.setValue(value.args[0]);
+
+    } else {
+      this.reset();
     }
   }
 
@@ -80,18 +101,20 @@ class ValueComponent extends BaseComponent {
       const defaultBlankCellValue = this.hot.getTranslatedPhrase(C.FILTERS_VALUES_BLANK_CELLS);
 
       if (firstByValueCondition) {
-        let rowValues = arrayMap(filteredRowsFactory(column, conditionsStack), row => row.value);
-
-        rowValues = unifyColumnValues(rowValues);
+        const counts = countColumnValues(arrayMap(filteredRowsFactory(column, conditionsStack), row => row.value));
+        const rowValues = unifyColumnValues(Array.from(counts.keys()));
+        const textComparator = this.hot.getPlugin('filters').getTextComparator(column);
 
         if (conditionArgsChange) {
           firstByValueCondition.args[0] = conditionArgsChange;
         }
 
         const selectedValues = [];
-        const itemsSnapshot = intersectValues(rowValues, firstByValueCondition.args[0], defaultBlankCellValue, (item) => {
+        const itemsSnapshot = groupValues(rowValues, firstByValueCondition.args[0], textComparator, defaultBlankCellValue, (item) => {
+          item.count = countGroupedValues(item, counts);
+
           if (item.checked) {
-            selectedValues.push(item.value);
+            selectedValues.push(...item.values);
           }
         });
 
@@ -126,6 +149,56 @@ class ValueComponent extends BaseComponent {
     }
   }
 
+  /**
+   * Set values loaded by the remote adapter (see the `mode` option of the {@link Filters} plugin).
+   *
+   * @param {Array} values Column values.
+   * @param {Array|null} [selectedValues=null] Checked values (`null` checks all values).
+   */
+  setRemoteValues(values, selectedValues = null) {
+    this.stopBuildingItems();
+
+    const defaultBlankCellValue = this.hot.getTranslatedPhrase(C.FILTERS_VALUES_BLANK_CELLS);
+    const textComparator = this._getColumnTextComparator();
+    const unifiedValues = unifyColumnValues(arrayMap(values, value => toEmptyString(value)));
+    const checkedValues = [];
+    const items = groupValues(unifiedValues, selectedValues || unifiedValues, textComparator, defaultBlankCellValue, (item) => {
+      if (item.checked) {
+        checkedValues.push(...item.values);
+      }
+    });
+    const select = this.getMultipleSelectElement();
+
+    select.setTextComparator(textComparator);
+    select.setItems(items);
+    select.setValue(checkedValues);
+  }
+
+  /**
+   * Set the loading state (the values list is dimmed while the values are being loaded).
+   *
+   * @param {Boolean} loading
+   */
+  setLoading(loading) {
+    const element = this.getMultipleSelectElement().element;
+
+    if (loading) {
+      addClass(element, 'htUIMultipleSelectLoading');
+    } else {
+      removeClass(element, 'htUIMultipleSelectLoading');
+    }
+  }
+
+  /**
+   * Stop building the values list from the column values (see {@link ValueComponent#reset}).
+   */
+  stopBuildingItems() {
+    if (this.itemsBuildingTimeout !== null) {
+      clearTimeout(this.itemsBuildingTimeout);
+      this.itemsBuildingTimeout = null;
+    }
+  }
+
   /**
    * Get multiple select element.
    *
@@ -164,16 +237,54 @@ class ValueComponent extends BaseComponent {
   }
 
   /**
-   * Reset elements to their initial state.
+   * Reset elements to their initial state. The values list is built from the visible values of the column. The values
+   * of the large columns are counted in chunks and the list is in the loading state until all values are counted.
    */
   reset() {
-    const defaultBlankCellValue = this.hot.getTranslatedPhrase(C.FILTERS_VALUES_BLANK_CELLS);
-    const values = unifyColumnValues(this._getColumnVisibleValues());
-    const items = intersectValues(values, values, defaultBlankCellValue);
+    const select = this.getMultipleSelectElement();
+    const columnValues = this._getColumnVisibleValues();
+    const counts = new Map();
+    let countedValues = 0;
+
+    const countChunk = () => {
+      countColumnValues(columnValues.slice(countedValues, countedValues + VALUES_CHUNK_SIZE), counts);
+      countedValues += VALUES_CHUNK_SIZE;
+
+      if (countedValues < columnValues.length) {
+        this.itemsBuildingTimeout = setTimeout(countChunk, 0);
+
+        return;
+      }
+      const defaultBlankCellValue = this.hot.getTranslatedPhrase(C.FILTERS_VALUES_BLANK_CELLS);
+      const values = unifyColumnValues(Array.from(counts.keys()));
+      const items = groupValues(values, values, select.textComparator, defaultBlankCellValue, (item) => {
+        item.count = countGroupedValues(item, counts);
+      });
+
+      this.itemsBuildingTimeout = null;
+      this.setLoading(false);
+      select.setItems(items);
+      select.setValue(values);
+    };
 
-    this.getMultipleSelectElement().setItems(items);
+    this.stopBuildingItems();
     super.reset();
-    this.getMultipleSelectElement().setValue(values);
+    select.setTextComparator(this._getColumnTextComparator());
+
+    if (columnValues.length > VALUES_CHUNK_SIZE) {
+      this.setLoading(true);
+      select.setItems([]);
+      select.setValue([]);
+    }
+    countChunk();
+  }
+
+  /**
+   * Destroy element.
+   */
+  destroy() {
+    this.stopBuildingItems();
+    super.destroy();
   }
 
   /**
@@ -189,6 +300,19 @@ class ValueComponent extends BaseComponent {
     }
   }
 
+  /**
+   * Get text comparator of the currently selected column.
+   *
+   * @returns {Object}
+   * @private
+   */
+  _getColumnTextComparator() {
+    const filtersPlugin = this.hot.getPlugin('filters');
+    const lastSelectedColumn = filtersPlugin.getSelectedColumn();
+
+    return filtersPlugin.getTextComparator(lastSelectedColumn ? lastSelectedColumn.physicalIndex : 0);
+  }
+
   /**
    * Get data for currently selected column.
    *
@@ -204,3 +328,20 @@ class ValueComponent extends BaseComponent {
 }
 
 export default ValueComponent;
+
+/**
+ * Count occurrences of all values grouped into the item (see {@link groupValues}).
+ *
+ * @param {Object} item Values list item.
+ * @param {Map} counts Map created by {@link countColumnValues}.
+ * @returns {Number}
+ */
+function countGroupedValues(item, counts) {
+  let count = 0;
+
+  arrayEach(item.values, (value) => {
+    count += counts.get(value) || 0;
+  });
+
+  return count;
+}
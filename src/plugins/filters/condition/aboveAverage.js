@@ -0,0 +1,18 @@
+import * as C from './../../../i18n/constants';
+import { registerCondition } from './../conditionRegisterer';
+import { getColumnStatistics, toNumericValue } from './../utils';
+
+export const CONDITION_NAME = 'above_average';
+
+export function condition(dataRow, inputValues, columnData) {
+  const { average } = getColumnStatistics(columnData);
+  const value = toNumericValue(dataRow.value);
+
+  return !isNaN(value) && !isNaN(average) && value > average;
+}
+
+registerCondition(CONDITION_NAME, condition, {
+  name: C.FILTERS_CONDITIONS_ABOVE_AVERAGE,
+  inputsCount: 0,
+  columnDependent: true,
+});
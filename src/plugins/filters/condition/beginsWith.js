@@ -1,15 +1,16 @@
 import * as C from 'handsontable/i18n/constants';
-import { stringify } from 'handsontable/helpers/mixed';
 import { registerCondition } from './../conditionRegisterer';
+import { evaluateCondition } from './../conditionFunctions';
 
 export const CONDITION_NAME = 'begins_with';
 
-export function condition(dataRow, [value]) {
-  return stringify(dataRow.value).toLowerCase().startsWith(stringify(value));
+export function condition(dataRow, inputValues) {
+  return evaluateCondition(CONDITION_NAME, dataRow, inputValues);
 }
 
 registerCondition(CONDITION_NAME, condition, {
   name: C.FILTERS_CONDITIONS_BEGINS_WITH,
   inputsCount: 1,
-  showOperators: true
+  showOperators: true,
+  textComparison: true,
 });
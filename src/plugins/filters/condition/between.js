@@ -1,29 +1,21 @@
 import * as C from 'handsontable/i18n/constants';
 import { registerCondition, getCondition } from './../conditionRegisterer';
+import { evaluateCondition } from './../conditionFunctions';
 import { CONDITION_NAME as CONDITION_DATE_AFTER } from './date/after';
 import { CONDITION_NAME as CONDITION_DATE_BEFORE } from './date/before';
 
 export const CONDITION_NAME = 'between';
 
-export function condition(dataRow, [from, to]) {
-  let fromValue = from;
-  let toValue = to;
-
-  if (dataRow.meta.type === 'numeric') {
-    const _from = parseFloat(fromValue, 10);
-    const _to = parseFloat(toValue, 10);
-
-    fromValue = Math.min(_from, _to);
-    toValue = Math.max(_from, _to);
-
-  } else if (dataRow.meta.type === 'date') {
-    const dateBefore = getCondition(CONDITION_DATE_BEFORE, [toValue]);
-    const dateAfter = getCondition(CONDITION_DATE_AFTER, [fromValue]);
+export function condition(dataRow, inputValues) {
+  if (dataRow.meta.type === 'date') {
+    const [from, to] = inputValues;
+    const dateBefore = getCondition(CONDITION_DATE_BEFORE, [to]);
+    const dateAfter = getCondition(CONDITION_DATE_AFTER, [from]);
 
     return dateBefore(dataRow) && dateAfter(dataRow);
   }
 
-  return dataRow.value >= fromValue && dataRow.value <= toValue;
+  return evaluateCondition(CONDITION_NAME, dataRow, inputValues);
 }
 
 registerCondition(CONDITION_NAME, condition, {
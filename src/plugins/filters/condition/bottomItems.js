@@ -0,0 +1,21 @@
+import * as C from './../../../i18n/constants';
+import { registerCondition } from './../conditionRegisterer';
+import { isInExtremeValues, isNonNegativeInteger } from './../utils';
+
+export const CONDITION_NAME = 'bottom_items';
+
+export function condition(dataRow, [count], columnData) {
+  if (!isNonNegativeInteger(count)) {
+    return false;
+  }
+
+  return isInExtremeValues(dataRow, columnData, parseInt(count, 10), true);
+}
+
+registerCondition(CONDITION_NAME, condition, {
+  name: C.FILTERS_CONDITIONS_BOTTOM_ITEMS,
+  inputsCount: 1,
+  inputValidator: isNonNegativeInteger,
+  invalidInputMessage: C.FILTERS_LABELS_INVALID_NUMBER_OF_ITEMS,
+  columnDependent: true,
+});
@@ -0,0 +1,22 @@
+import * as C from './../../../i18n/constants';
+import { registerCondition } from './../conditionRegisterer';
+import { getColumnStatistics, isInExtremeValues, isPercent, toNumericValue } from './../utils';
+
+export const CONDITION_NAME = 'bottom_percent';
+
+export function condition(dataRow, [percent], columnData) {
+  if (!isPercent(percent)) {
+    return false;
+  }
+  const { numbers } = getColumnStatistics(columnData);
+
+  return isInExtremeValues(dataRow, columnData, Math.ceil(numbers.length * toNumericValue(percent) / 100), true);
+}
+
+registerCondition(CONDITION_NAME, condition, {
+  name: C.FILTERS_CONDITIONS_BOTTOM_PERCENT,
+  inputsCount: 1,
+  inputValidator: isPercent,
+  invalidInputMessage: C.FILTERS_LABELS_INVALID_PERCENT,
+  columnDependent: true,
+});
@@ -1,10 +1,11 @@
 import { registerCondition } from './../conditionRegisterer';
+import { evaluateCondition } from './../conditionFunctions';
 import { createArrayAssertion } from './../utils';
 
 export const CONDITION_NAME = 'by_value';
 
-export function condition(dataRow, [value]) {
-  return value(dataRow.value);
+export function condition(dataRow, inputValues) {
+  return evaluateCondition(CONDITION_NAME, dataRow, inputValues);
 }
 
 registerCondition(CONDITION_NAME, condition, {
@@ -0,0 +1,22 @@
+import moment from 'moment';
+import * as C from './../../../../i18n/constants';
+import { registerCondition } from './../../conditionRegisterer';
+import { isDateInRange, isNonNegativeInteger } from './../../utils';
+
+export const CONDITION_NAME = 'date_last_days';
+
+export function condition(dataRow, [days]) {
+  if (!isNonNegativeInteger(days)) {
+    return false;
+  }
+
+  return isDateInRange(dataRow, moment().subtract(parseInt(days, 10), 'days'), moment());
+}
+
+registerCondition(CONDITION_NAME, condition, {
+  name: C.FILTERS_CONDITIONS_LAST_DAYS,
+  inputsCount: 1,
+  inputValidator: isNonNegativeInteger,
+  invalidInputMessage: C.FILTERS_LABELS_INVALID_NUMBER_OF_DAYS,
+  datePicker: false,
+});
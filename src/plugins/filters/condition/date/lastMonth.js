@@ -0,0 +1,17 @@
+import moment from 'moment';
+import * as C from './../../../../i18n/constants';
+import { registerCondition } from './../../conditionRegisterer';
+import { isDateInRange } from './../../utils';
+
+export const CONDITION_NAME = 'date_last_month';
+
+export function condition(dataRow) {
+  const lastMonth = moment().subtract(1, 'months');
+
+  return isDateInRange(dataRow, lastMonth.clone().startOf('month'), lastMonth.clone().endOf('month'));
+}
+
+registerCondition(CONDITION_NAME, condition, {
+  name: C.FILTERS_CONDITIONS_LAST_MONTH,
+  inputsCount: 0
+});
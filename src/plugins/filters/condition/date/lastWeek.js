@@ -0,0 +1,17 @@
+import moment from 'moment';
+import * as C from './../../../../i18n/constants';
+import { registerCondition } from './../../conditionRegisterer';
+import { isDateInRange } from './../../utils';
+
+export const CONDITION_NAME = 'date_last_week';
+
+export function condition(dataRow) {
+  const lastWeek = moment().subtract(1, 'weeks');
+
+  return isDateInRange(dataRow, lastWeek.clone().startOf('week'), lastWeek.clone().endOf('week'));
+}
+
+registerCondition(CONDITION_NAME, condition, {
+  name: C.FILTERS_CONDITIONS_LAST_WEEK,
+  inputsCount: 0
+});
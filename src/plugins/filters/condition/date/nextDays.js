@@ -0,0 +1,22 @@
+import moment from 'moment';
+import * as C from './../../../../i18n/constants';
+import { registerCondition } from './../../conditionRegisterer';
+import { isDateInRange, isNonNegativeInteger } from './../../utils';
+
+export const CONDITION_NAME = 'date_next_days';
+
+export function condition(dataRow, [days]) {
+  if (!isNonNegativeInteger(days)) {
+    return false;
+  }
+
+  return isDateInRange(dataRow, moment(), moment().add(parseInt(days, 10), 'days'));
+}
+
+registerCondition(CONDITION_NAME, condition, {
+  name: C.FILTERS_CONDITIONS_NEXT_DAYS,
+  inputsCount: 1,
+  inputValidator: isNonNegativeInteger,
+  invalidInputMessage: C.FILTERS_LABELS_INVALID_NUMBER_OF_DAYS,
+  datePicker: false,
+});
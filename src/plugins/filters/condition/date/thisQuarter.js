@@ -0,0 +1,15 @@
+import moment from 'moment';
+import * as C from './../../../../i18n/constants';
+import { registerCondition } from './../../conditionRegisterer';
+import { isDateInRange } from './../../utils';
+
+export const CONDITION_NAME = 'date_this_quarter';
+
+export function condition(dataRow) {
+  return isDateInRange(dataRow, moment().startOf('quarter'), moment().endOf('quarter'));
+}
+
+registerCondition(CONDITION_NAME, condition, {
+  name: C.FILTERS_CONDITIONS_THIS_QUARTER,
+  inputsCount: 0
+});
@@ -0,0 +1,15 @@
+import moment from 'moment';
+import * as C from './../../../../i18n/constants';
+import { registerCondition } from './../../conditionRegisterer';
+import { isDateInRange } from './../../utils';
+
+export const CONDITION_NAME = 'date_year_to_date';
+
+export function condition(dataRow) {
+  return isDateInRange(dataRow, moment().startOf('year'), moment());
+}
+
+registerCondition(CONDITION_NAME, condition, {
+  name: C.FILTERS_CONDITIONS_YEAR_TO_DATE,
+  inputsCount: 0
+});
@@ -1,10 +1,11 @@
 import * as C from 'handsontable/i18n/constants';
 import { registerCondition } from './../conditionRegisterer';
+import { evaluateCondition } from './../conditionFunctions';
 
 export const CONDITION_NAME = 'empty';
 
-export function condition(dataRow) {
-  return dataRow.value === '' || dataRow.value === null || dataRow.value === void 0;
+export function condition(dataRow, inputValues) {
+  return evaluateCondition(CONDITION_NAME, dataRow, inputValues);
 }
 
 registerCondition(CONDITION_NAME, condition, {
@@ -1,16 +1,11 @@
 import * as C from 'handsontable/i18n/constants';
 import { registerCondition } from './../conditionRegisterer';
+import { evaluateCondition } from './../conditionFunctions';
 
 export const CONDITION_NAME = 'gte';
 
-export function condition(dataRow, [value]) {
-  let conditionValue = value;
-
-  if (dataRow.meta.type === 'numeric') {
-    conditionValue = parseFloat(conditionValue, 10);
-  }
-
-  return dataRow.value >= conditionValue;
+export function condition(dataRow, inputValues) {
+  return evaluateCondition(CONDITION_NAME, dataRow, inputValues);
 }
 
 registerCondition(CONDITION_NAME, condition, {
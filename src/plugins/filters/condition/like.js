@@ -0,0 +1,17 @@
+import { stringify } from 'handsontable/helpers/mixed';
+import * as C from './../../../i18n/constants';
+import { registerCondition } from './../conditionRegisterer';
+import { createPatternRegExp } from './../utils';
+
+export const CONDITION_NAME = 'like';
+
+export function condition(dataRow, [pattern, caseSensitive = false]) {
+  return createPatternRegExp(pattern, { wildcard: true, caseSensitive }).test(stringify(dataRow.value));
+}
+
+registerCondition(CONDITION_NAME, condition, {
+  name: C.FILTERS_CONDITIONS_LIKE,
+  inputsCount: 1,
+  showOperators: true,
+  caseSensitivity: true,
+});
@@ -0,0 +1,20 @@
+import { stringify } from 'handsontable/helpers/mixed';
+import * as C from './../../../i18n/constants';
+import { registerCondition } from './../conditionRegisterer';
+import { createPatternRegExp, isValidPattern } from './../utils';
+
+export const CONDITION_NAME = 'matches_regex';
+
+export function condition(dataRow, [pattern, caseSensitive = false]) {
+  const regExp = createPatternRegExp(pattern, { caseSensitive });
+
+  return regExp !== null && regExp.test(stringify(dataRow.value));
+}
+
+registerCondition(CONDITION_NAME, condition, {
+  name: C.FILTERS_CONDITIONS_MATCHES_REGEX,
+  inputsCount: 1,
+  showOperators: true,
+  caseSensitivity: true,
+  inputValidator: isValidPattern,
+});
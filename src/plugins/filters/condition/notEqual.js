@@ -11,5 +11,6 @@ export function condition(dataRow, inputValues) {
 registerCondition(CONDITION_NAME, condition, {
   name: C.FILTERS_CONDITIONS_NOT_EQUAL,
   inputsCount: 1,
-  showOperators: true
+  showOperators: true,
+  textComparison: true,
 });
@@ -0,0 +1,18 @@
+import { stringify } from 'handsontable/helpers/mixed';
+import * as C from './../../../i18n/constants';
+import { registerCondition } from './../conditionRegisterer';
+import { getColumnStatistics } from './../utils';
+
+export const CONDITION_NAME = 'unique';
+
+export function condition(dataRow, inputValues, columnData) {
+  const count = getColumnStatistics(columnData).counts.get(stringify(dataRow.value));
+
+  return count === 1;
+}
+
+registerCondition(CONDITION_NAME, condition, {
+  name: C.FILTERS_CONDITIONS_UNIQUE,
+  inputsCount: 0,
+  columnDependent: true,
+});
@@ -2,7 +2,7 @@ import { arrayEach, arrayMap, arrayFilter } from 'handsontable/helpers/array';
 import { objectEach, mixin } from 'handsontable/helpers/object';
 import { toSingleLine } from 'handsontable/helpers/templateLiteralTag';
 import localHooks from 'handsontable/mixins/localHooks';
-import { getCondition } from './conditionRegisterer';
+import { getCondition, getConditionDescriptor } from './conditionRegisterer';
 import { OPERATION_ID as OPERATION_AND } from './logicalOperations/conjunction';
 import { operations, getOperationFunc } from './logicalOperationRegisterer';
 
@@ -97,13 +97,16 @@ class ConditionCollection {
    * @param {Object} conditionDefinition Object with keys:
    *  * `command` Object, Command object with condition name as `key` property.
    *  * `args` Array, Condition arguments.
+   *
+   * or the group of conditions (groups can be nested) with keys:
+   *  * `operation` String, Type of operation performed on the conditions of the group.
+   *  * `conditions` Array, Definitions of conditions or groups of conditions.
    * @param {String} [operation='conjunction'] Type of conditions operation
    * @fires ConditionCollection#beforeAdd
    * @fires ConditionCollection#afterAdd
    */
   addCondition(column, conditionDefinition, operation = OPERATION_AND) {
-    const args = arrayMap(conditionDefinition.args, v => (typeof v === 'string' ? v.toLowerCase() : v));
-    const name = conditionDefinition.name || conditionDefinition.command.key;
+    const condition = this.createCondition(conditionDefinition);
 
     this.runLocalHooks('beforeAdd', column);
 
@@ -130,13 +133,69 @@ class ConditionCollection {
     }
 
     // Add condition
-    this.getConditions(column).push({
+    this.getConditions(column).push(condition);
+
+    this.runLocalHooks('afterAdd', column);
+  }
+
+  /**
+   * Create condition object (with the `func` key which checks values) based on the condition definition.
+   *
+   * @private
+   * @param {Object} conditionDefinition Condition or group of conditions definition (see {@link ConditionCollection#addCondition}).
+   * @returns {Object}
+   */
+  createCondition(conditionDefinition) {
+    if (Array.isArray(conditionDefinition.conditions)) {
+      const operation = conditionDefinition.operation || OPERATION_AND;
+
+      if (!operations[operation]) {
+        throw new Error(`Unexpected operation named \`${operation}\`. Possible ones are \`disjunction\` and \`conjunction\`.`);
+      }
+
+      const conditions = arrayMap(conditionDefinition.conditions, definition => this.createCondition(definition));
+      const operationFunc = getOperationFunc(operation);
+
+      return {
+        operation,
+        conditions,
+        func: value => (conditions.length ? operationFunc(conditions, value) : true),
+      };
+    }
+
+    const name = conditionDefinition.name || conditionDefinition.command.key;
+    const descriptor = getConditionDescriptor(name);
+    // Conditions which support the case sensitivity (or compare texts using the column text comparison options) get
+    // the arguments as they were typed.
+    const args = descriptor.caseSensitivity || descriptor.textComparison ?
+      conditionDefinition.args : arrayMap(conditionDefinition.args, v => (typeof v === 'string' ? v.toLowerCase() : v));
+
+    return {
       name,
       args,
       func: getCondition(name, args)
-    });
+    };
+  }
 
-    this.runLocalHooks('afterAdd', column);
+  /**
+   * Export condition object (or group of conditions) into the plain object without functions.
+   *
+   * @private
+   * @param {Object} condition Condition object created by {@link ConditionCollection#createCondition}.
+   * @returns {Object}
+   */
+  exportCondition(condition) {
+    if (condition.conditions) {
+      return {
+        operation: condition.operation,
+        conditions: arrayMap(condition.conditions, nestedCondition => this.exportCondition(nestedCondition)),
+      };
+    }
+
+    return {
+      name: condition.name,
+      args: condition.args,
+    };
   }
 
   /**
@@ -168,7 +227,7 @@ class ConditionCollection {
     const result = [];
 
     arrayEach(this.orderStack, (column) => {
-      const conditions = arrayMap(this.getConditions(column), ({ name, args }) => ({ name, args }));
+      const conditions = arrayMap(this.getConditions(column), condition => this.exportCondition(condition));
       const operation = this.columnTypes[column];
 
       result.push({
@@ -183,6 +242,9 @@ class ConditionCollection {
 
   /**
    * Import conditions to the collection.
+   *
+   * @param {Array} conditions List of column conditions exported by {@link ConditionCollection#exportAllConditions}.
+   *                           Conditions may contain nested groups of conditions.
    */
   importAllConditions(conditions) {
     this.clean();
@@ -190,7 +252,7 @@ class ConditionCollection {
     arrayEach(conditions, (stack) => {
       this.orderStack.push(stack.column);
 
-      arrayEach(stack.conditions, condition => this.addCondition(stack.column, condition));
+      arrayEach(stack.conditions, condition => this.addCondition(stack.column, condition, stack.operation));
     });
   }
 
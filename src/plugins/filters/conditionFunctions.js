@@ -0,0 +1,65 @@
+import { getTextComparator } from './textComparator';
+
+/**
+ * Create the functions which evaluate the built-in conditions (the date conditions, the column-dependent conditions
+ * and the custom ones excluded). Each function is called with the cell value, the cell type, the condition arguments
+ * and the text comparator (see {@link createComparisonFunctions}).
+ *
+ * The function is used by the condition modules and it's also stringified into the filter worker script (see
+ * {@link createWorkerSource}), so it can't refer to anything outside its body.
+ *
+ * @returns {Object} Returns object with the condition names as keys.
+ */
+export function createConditionFunctions() {
+  const toConditionValue = (value, type) => (type === 'numeric' ? parseFloat(value, 10) : value);
+  const conditions = {};
+
+  conditions.none = () => true;
+  conditions.true = () => true;
+  conditions.false = () => false;
+  conditions.empty = value => value === '' || value === null || value === void 0;
+  conditions.not_empty = (value, type, args, comparator) => !conditions.empty(value, type, args, comparator);
+  conditions.eq = (value, type, args, comparator) => comparator.equals(value, args[0]);
+  conditions.neq = (value, type, args, comparator) => !conditions.eq(value, type, args, comparator);
+  conditions.contains = (value, type, args, comparator) => comparator.contains(value, args[0]);
+  conditions.not_contains = (value, type, args, comparator) => !conditions.contains(value, type, args, comparator);
+  conditions.begins_with = (value, type, args, comparator) => comparator.beginsWith(value, args[0]);
+  conditions.ends_with = (value, type, args, comparator) => comparator.endsWith(value, args[0]);
+  conditions.gt = (value, type, args) => value > toConditionValue(args[0], type);
+  conditions.gte = (value, type, args) => value >= toConditionValue(args[0], type);
+  conditions.lt = (value, type, args) => value < toConditionValue(args[0], type);
+  conditions.lte = (value, type, args) => value <= toConditionValue(args[0], type);
+  // The dates are compared by the `between` condition module (moment.js is not available in the worker).
+  conditions.between = (value, type, args) => {
+    let fromValue = args[0];
+    let toValue = args[1];
+
+    if (type === 'numeric') {
+      fromValue = Math.min(parseFloat(args[0], 10), parseFloat(args[1], 10));
+      toValue = Math.max(parseFloat(args[0], 10), parseFloat(args[1], 10));
+    }
+
+    return value >= fromValue && value <= toValue;
+  };
+  conditions.not_between = (value, type, args, comparator) => !conditions.between(value, type, args, comparator);
+  // The `by_value` condition gets the assertion function instead of the list of values (see `createArrayAssertion`).
+  conditions.by_value = (value, type, args) => args[0](value);
+
+  return conditions;
+}
+
+const conditionFunctions = createConditionFunctions();
+
+/**
+ * Evaluate the built-in condition for the data row.
+ *
+ * @param {String} name Condition name.
+ * @param {Object} dataRow Object with `value` and `meta` keys.
+ * @param {Array} args Condition arguments.
+ * @returns {Boolean}
+ */
+export function evaluateCondition(name, dataRow, args) {
+  const type = dataRow.meta ? dataRow.meta.type : void 0;
+
+  return conditionFunctions[name](dataRow.value, type, args, getTextComparator(dataRow));
+}
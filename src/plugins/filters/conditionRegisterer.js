@@ -19,7 +19,14 @@ export function getCondition(name, args) {
   }
 
   return function(dataRow) {
-    return condition.apply(dataRow.meta.instance, [].concat([dataRow], [conditionArguments]));
+    const conditionArgs = [].concat([dataRow], [conditionArguments]);
+
+    // Conditions which depend on the whole column (eq. `top_items`) get the column data set as an extra argument.
+    if (descriptor.columnDependent) {
+      conditionArgs.push(dataRow.meta.columnData || [dataRow]);
+    }
+
+    return condition.apply(dataRow.meta.instance, conditionArgs);
   };
 }
 
@@ -1,7 +1,7 @@
-import { clone } from 'handsontable/helpers/object';
+import { clone, extend } from 'handsontable/helpers/object';
 import { arrayEach } from 'handsontable/helpers/array';
 import { SEPARATOR } from 'handsontable/plugins/contextMenu/predefinedItems';
-import { getConditionDescriptor } from './conditionRegisterer';
+import { getConditionDescriptor, registerCondition } from './conditionRegisterer';
 
 import { CONDITION_NAME as CONDITION_NONE } from './condition/none';
 import { CONDITION_NAME as CONDITION_EMPTY } from './condition/empty';
@@ -18,11 +18,30 @@ import { CONDITION_NAME as CONDITION_BEGINS_WITH } from './condition/beginsWith'
 import { CONDITION_NAME as CONDITION_ENDS_WITH } from './condition/endsWith';
 import { CONDITION_NAME as CONDITION_CONTAINS } from './condition/contains';
 import { CONDITION_NAME as CONDITION_NOT_CONTAINS } from './condition/notContains';
+import { CONDITION_NAME as CONDITION_MATCHES_REGEX } from './condition/matchesRegex';
+import { CONDITION_NAME as CONDITION_NOT_MATCHES_REGEX } from './condition/notMatchesRegex';
+import { CONDITION_NAME as CONDITION_LIKE } from './condition/like';
+import { CONDITION_NAME as CONDITION_TOP_ITEMS } from './condition/topItems';
+import { CONDITION_NAME as CONDITION_BOTTOM_ITEMS } from './condition/bottomItems';
+import { CONDITION_NAME as CONDITION_TOP_PERCENT } from './condition/topPercent';
+import { CONDITION_NAME as CONDITION_BOTTOM_PERCENT } from './condition/bottomPercent';
+import { CONDITION_NAME as CONDITION_ABOVE_AVERAGE } from './condition/aboveAverage';
+import { CONDITION_NAME as CONDITION_BELOW_AVERAGE } from './condition/belowAverage';
+import { CONDITION_NAME as CONDITION_DUPLICATE } from './condition/duplicate';
+import { CONDITION_NAME as CONDITION_UNIQUE } from './condition/unique';
 import { CONDITION_NAME as CONDITION_DATE_BEFORE } from './condition/date/before';
 import { CONDITION_NAME as CONDITION_DATE_AFTER } from './condition/date/after';
 import { CONDITION_NAME as CONDITION_TOMORROW } from './condition/date/tomorrow';
 import { CONDITION_NAME as CONDITION_TODAY } from './condition/date/today';
 import { CONDITION_NAME as CONDITION_YESTERDAY } from './condition/date/yesterday';
+import { CONDITION_NAME as CONDITION_LAST_DAYS } from './condition/date/lastDays';
+import { CONDITION_NAME as CONDITION_NEXT_DAYS } from './condition/date/nextDays';
+import { CONDITION_NAME as CONDITION_THIS_WEEK } from './condition/date/thisWeek';
+import { CONDITION_NAME as CONDITION_LAST_WEEK } from './condition/date/lastWeek';
+import { CONDITION_NAME as CONDITION_THIS_MONTH } from './condition/date/thisMonth';
+import { CONDITION_NAME as CONDITION_LAST_MONTH } from './condition/date/lastMonth';
+import { CONDITION_NAME as CONDITION_THIS_QUARTER } from './condition/date/thisQuarter';
+import { CONDITION_NAME as CONDITION_YEAR_TO_DATE } from './condition/date/yearToDate';
 import { CONDITION_NAME as CONDITION_BY_VALUE } from './condition/byValue';
 import { CONDITION_NAME as CONDITION_TRUE } from './condition/true';
 import { CONDITION_NAME as CONDITION_FALSE } from './condition/false';
@@ -47,11 +66,30 @@ export {
   CONDITION_ENDS_WITH,
   CONDITION_CONTAINS,
   CONDITION_NOT_CONTAINS,
+  CONDITION_MATCHES_REGEX,
+  CONDITION_NOT_MATCHES_REGEX,
+  CONDITION_LIKE,
+  CONDITION_TOP_ITEMS,
+  CONDITION_BOTTOM_ITEMS,
+  CONDITION_TOP_PERCENT,
+  CONDITION_BOTTOM_PERCENT,
+  CONDITION_ABOVE_AVERAGE,
+  CONDITION_BELOW_AVERAGE,
+  CONDITION_DUPLICATE,
+  CONDITION_UNIQUE,
   CONDITION_DATE_BEFORE,
   CONDITION_DATE_AFTER,
   CONDITION_TOMORROW,
   CONDITION_TODAY,
   CONDITION_YESTERDAY,
+  CONDITION_LAST_DAYS,
+  CONDITION_NEXT_DAYS,
+  CONDITION_THIS_WEEK,
+  CONDITION_LAST_WEEK,
+  CONDITION_THIS_MONTH,
+  CONDITION_LAST_MONTH,
+  CONDITION_THIS_QUARTER,
+  CONDITION_YEAR_TO_DATE,
   CONDITION_BY_VALUE,
   CONDITION_TRUE,
   CONDITION_FALSE,
@@ -84,6 +122,17 @@ export const TYPES = {
     CONDITION_LESS_THAN_OR_EQUAL,
     CONDITION_BETWEEN,
     CONDITION_NOT_BETWEEN,
+    SEPARATOR,
+    CONDITION_TOP_ITEMS,
+    CONDITION_BOTTOM_ITEMS,
+    CONDITION_TOP_PERCENT,
+    CONDITION_BOTTOM_PERCENT,
+    SEPARATOR,
+    CONDITION_ABOVE_AVERAGE,
+    CONDITION_BELOW_AVERAGE,
+    SEPARATOR,
+    CONDITION_DUPLICATE,
+    CONDITION_UNIQUE,
   ],
   [TYPE_TEXT]: [
     CONDITION_NONE,
@@ -99,6 +148,10 @@ export const TYPES = {
     SEPARATOR,
     CONDITION_CONTAINS,
     CONDITION_NOT_CONTAINS,
+    SEPARATOR,
+    CONDITION_MATCHES_REGEX,
+    CONDITION_NOT_MATCHES_REGEX,
+    CONDITION_LIKE,
   ],
   [TYPE_DATE]: [
     CONDITION_NONE,
@@ -116,9 +169,88 @@ export const TYPES = {
     CONDITION_TOMORROW,
     CONDITION_TODAY,
     CONDITION_YESTERDAY,
+    SEPARATOR,
+    CONDITION_LAST_DAYS,
+    CONDITION_NEXT_DAYS,
+    CONDITION_THIS_WEEK,
+    CONDITION_LAST_WEEK,
+    CONDITION_THIS_MONTH,
+    CONDITION_LAST_MONTH,
+    CONDITION_THIS_QUARTER,
+    CONDITION_YEAR_TO_DATE,
   ],
 };
 
+/**
+ * Column types which already display custom conditions (separated from the predefined ones).
+ *
+ * @type {Object}
+ */
+const typesWithCustomConditions = {};
+
+/**
+ * Registers custom condition and adds it to the conditions list of the provided column types, so it's displayed in
+ * the filter's drop-down menu. Custom conditions are listed at the end, in the order of registration. Column types
+ * which don't have their own list of conditions (eq. `'checkbox'`) get a copy of the `'text'` conditions list.
+ *
+ * @param {String} name Condition name eq. `'is_valid_iban'`.
+ * @param {Function} condition Condition function called with the `dataRow` object (with `value` and `meta` keys),
+ *                             an array of the condition arguments and (for the column-dependent conditions) the data set
+ *                             of the whole column. It should return `true` for matching values.
+ * @param {Object} descriptor Condition descriptor with keys:
+ *  * `name` String, Label displayed in the drop-down menu. It can be a key of the i18n dictionary (eq.
+ *     `'Filters:conditions.isValidIban'`).
+ *  * `inputsCount` Number, Number of inputs (condition arguments) typed by the user (`0` by default, max `2`).
+ *  * `showOperators` Boolean, Whether the second condition with an operator can be chosen (`true` by default).
+ *  * `columnTypes` Array, Column types for which the condition is displayed (`['text']` by default).
+ *  * `caseSensitivity` Boolean, Whether the case sensitivity toggle is displayed. When enabled the arguments are not
+ *     lowercased and the toggle state is passed as an extra (last) argument.
+ *  * `inputValidator` Function, Function which validates the typed values. Invalid values prevent filtering.
+ *  * `invalidInputMessage` String, Message displayed under the input with the invalid value. It can be a key of the
+ *     i18n dictionary (`'Filters:labels.invalidPattern'` by default).
+ *  * `datePicker` Boolean, Whether the calendar picker is displayed for the inputs of the date columns (`true` by
+ *     default).
+ *  * `textComparison` Boolean, Whether the condition compares texts with the column text comparator (see
+ *     `getTextComparator` in `textComparator.js`), so the arguments are not lowercased (`false` by default).
+ *  * `columnDependent` Boolean, Whether the condition function gets the data set of the whole column (array of objects
+ *     with `value` and `meta` keys) as the third argument (`false` by default).
+ */
+export function registerCustomCondition(name, condition, descriptor = {}) {
+  if (typeof name !== 'string' || name === '') {
+    throw new Error('Filter condition name has to be a non-empty string.');
+  }
+  if (typeof condition !== 'function') {
+    throw new Error(`Filter condition "${name}" has to be a function.`);
+  }
+  const conditionDescriptor = extend({
+    name,
+    inputsCount: 0,
+    showOperators: true,
+    columnTypes: [TYPE_TEXT],
+  }, descriptor);
+
+  if (!Array.isArray(conditionDescriptor.columnTypes)) {
+    conditionDescriptor.columnTypes = [conditionDescriptor.columnTypes];
+  }
+
+  registerCondition(name, condition, conditionDescriptor);
+
+  arrayEach(conditionDescriptor.columnTypes, (type) => {
+    if (!TYPES[type]) {
+      TYPES[type] = TYPES[TYPE_TEXT].slice();
+    }
+    if (TYPES[type].indexOf(name) !== -1) {
+      return;
+    }
+    if (!typesWithCustomConditions[type]) {
+      typesWithCustomConditions[type] = true;
+      TYPES[type].push(SEPARATOR);
+    }
+
+    TYPES[type].push(name);
+  });
+}
+
 /**
  * Get options list for conditional filter by data type (e.q: `'text'`, `'numeric'`, `'date'`).
  *
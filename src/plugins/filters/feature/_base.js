@@ -0,0 +1,37 @@
+/**
+ * Base class for the Filters' feature sub-classes. Each feature orchestrates one part of the filtering (eq. the quick
+ * filter or the remote mode), while the plugin registers the hooks and calls the features.
+ *
+ * @class BaseFeature
+ * @util
+ * @private
+ */
+class BaseFeature {
+  constructor(filtersPlugin, hotInstance) {
+    /**
+     * Instance of Handsontable.
+     *
+     * @type {Core}
+     */
+    this.hot = hotInstance;
+    /**
+     * Reference to the main plugin instance.
+     *
+     * @type {Filters}
+     */
+    this.plugin = filtersPlugin;
+  }
+
+  /**
+   * Gets the `filters` option when it's defined as an object.
+   *
+   * @returns {Object|null}
+   */
+  getPluginSettings() {
+    const settings = this.hot.getSettings().filters;
+
+    return typeof settings === 'object' && settings !== null ? settings : null;
+  }
+}
+
+export default BaseFeature;
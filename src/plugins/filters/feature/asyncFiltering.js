@@ -0,0 +1,175 @@
+import { arrayEach, arrayMap } from 'handsontable/helpers/array';
+import { warn } from 'handsontable/helpers/console';
+import FilterWorker, { isWorkerCondition } from './../filterWorker';
+import BaseFeature from './_base';
+
+/**
+ * Class responsible for filtering the rows in the worker when the `async` option is enabled (see {@link FilterWorker}).
+ *
+ * @class AsyncFilteringFeature
+ * @util
+ * @extends BaseFeature
+ */
+class AsyncFilteringFeature extends BaseFeature {
+  constructor(filtersPlugin, hotInstance) {
+    super(filtersPlugin, hotInstance);
+    /**
+     * Instance of {@link FilterWorker} (created with the first asynchronous filtering).
+     *
+     * @type {FilterWorker}
+     * @default null
+     */
+    this.filterWorker = null;
+  }
+
+  /**
+   * Checks if the `async` option is enabled and the browser supports the workers.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    const settings = this.getPluginSettings();
+
+    return settings !== null && settings.async === true && FilterWorker.isSupported();
+  }
+
+  /**
+   * Terminates the worker (its pending requests are rejected).
+   */
+  disable() {
+    if (this.filterWorker) {
+      this.filterWorker.terminate();
+      this.filterWorker = null;
+    }
+  }
+
+  /**
+   * Starts filtering the rows by the conditions in the worker.
+   *
+   * @param {Array} conditions Exported conditions.
+   * @param {String|null} expression Row-level filter expression.
+   * @returns {Boolean} Returns `false` when the `async` option is disabled or some of the conditions can't be evaluated
+   *                    by the worker (the rows have to be filtered synchronously).
+   */
+  filter(conditions, expression) {
+    if (!this.isEnabled()) {
+      return false;
+    }
+    const workerColumns = this.callWithoutTrimmedRows(() => this.getWorkerColumns(conditions));
+
+    if (workerColumns) {
+      this.filterInWorker(workerColumns, conditions, expression);
+    }
+
+    return workerColumns !== null;
+  }
+
+  /**
+   * Gets the columns data sent to the worker (see {@link FilterWorker#filter}).
+   *
+   * @private
+   * @param {Array} conditions Exported conditions.
+   * @returns {Array|null} Returns `null` when there are no conditions or some of them can't be evaluated by the worker.
+   */
+  getWorkerColumns(conditions) {
+    const columns = [];
+    let isSupported = conditions.length > 0;
+
+    arrayEach(conditions, ({ column, operation, conditions: columnConditions }) => {
+      const data = this.plugin.getDataMapAtColumn(column);
+      const types = arrayMap(data, dataRow => dataRow.meta.type);
+      const hasDates = types.indexOf('date') !== -1;
+
+      isSupported = columnConditions.every(condition => isWorkerCondition(condition, hasDates));
+
+      if (!isSupported) {
+        return false;
+      }
+
+      columns.push({
+        rows: arrayMap(data, dataRow => dataRow.meta.visualRow),
+        values: arrayMap(data, dataRow => dataRow.value),
+        types,
+        operation,
+        conditions: columnConditions,
+        textOptions: this.plugin.getTextComparator(column).options,
+      });
+    });
+
+    return isSupported ? columns : null;
+  }
+
+  /**
+   * Filters rows by the conditions in the worker. When the worker fails (eq. the values can't be sent to the worker)
+   * the rows are filtered on the main thread.
+   *
+   * @private
+   * @param {Array} workerColumns Columns data (see {@link AsyncFilteringFeature#getWorkerColumns}).
+   * @param {Array} conditions Exported conditions.
+   * @param {String|null} expression Row-level filter expression.
+   */
+  filterInWorker(workerColumns, conditions, expression) {
+    const plugin = this.plugin;
+
+    if (!this.filterWorker) {
+      this.filterWorker = new FilterWorker();
+    }
+    const pendingFiltering = this.filterWorker.filter(workerColumns);
+    // The plugin has been disabled or other filtering has been started in the meantime.
+    const isOutdated = () => plugin.pendingFiltering !== pendingFiltering;
+
+    plugin.pendingFiltering = pendingFiltering;
+
+    pendingFiltering
+      .catch(() => (isOutdated() ? [] : this.callWithoutTrimmedRows(() => arrayMap(
+        plugin._createDataFilter().filter(),
+        rowData => rowData.meta.visualRow
+      ))))
+      .then((visualRows) => {
+        if (isOutdated()) {
+          return;
+        }
+        plugin.pendingFiltering = null;
+        plugin.trimRowsPlugin.trimmedRows.length = 0;
+        plugin.applyFilteredRows(visualRows);
+        plugin.finishFiltering(conditions, expression);
+      })
+      .catch((error) => {
+        // The filtering on the main thread or the `afterFilter` listeners failed.
+        if (plugin.enabled && (plugin.pendingFiltering === pendingFiltering || plugin.pendingFiltering === null)) {
+          plugin.pendingFiltering = null;
+          plugin.stopActionBarLoading();
+        }
+
+        warn(`Filtering the rows failed: ${error && error.message}`);
+      })
+      .then(() => plugin.runFilteringCallbacks());
+  }
+
+  /**
+   * Calls the function while the rows trimmed by the previous filtering are untrimmed, so the data collected for the
+   * filtering (see {@link Filters#getDataMapAtColumn}) is mapped in the same way as by the synchronous filtering. The
+   * trimmed rows are restored afterwards, so the previous result is displayed until the asynchronous filtering is done.
+   *
+   * @private
+   * @param {Function} callback Function which collects the data.
+   * @returns {*} Returns the result of the function.
+   */
+  callWithoutTrimmedRows(callback) {
+    const { trimmedRows, rowsMapper } = this.plugin.trimRowsPlugin;
+    const previousTrimmedRows = trimmedRows.slice();
+
+    trimmedRows.length = 0;
+    rowsMapper.createMap(this.hot.countSourceRows());
+
+    try {
+      return callback();
+
+    } finally {
+      arrayEach(previousTrimmedRows, row => trimmedRows.push(row));
+      rowsMapper.createMap(this.hot.countSourceRows());
+    }
+  }
+}
+
+export default AsyncFilteringFeature;
@@ -0,0 +1,108 @@
+import { arrayEach } from 'handsontable/helpers/array';
+import FilterRowComponent from './../component/filterRow';
+import BaseFeature from './_base';
+
+/**
+ * Class responsible for the filter row displayed under the column headers (the `filterRow` option). The values typed
+ * into the filter row inputs replace the conditions of the columns.
+ *
+ * @class FilterRowFeature
+ * @util
+ * @extends BaseFeature
+ */
+class FilterRowFeature extends BaseFeature {
+  constructor(filtersPlugin, hotInstance) {
+    super(filtersPlugin, hotInstance);
+    /**
+     * Filter row component displayed under the column headers when the `filterRow` option is enabled.
+     *
+     * @type {FilterRowComponent}
+     * @default null
+     */
+    this.component = null;
+  }
+
+  /**
+   * Gets the `filterRow` option settings (`false` when the option is disabled).
+   *
+   * @returns {Object|Boolean}
+   */
+  getSettings() {
+    const settings = this.getPluginSettings();
+
+    if (settings === null || !settings.filterRow) {
+      return false;
+    }
+
+    return typeof settings.filterRow === 'object' ? settings.filterRow : {};
+  }
+
+  /**
+   * Creates the filter row component when the `filterRow` option is enabled.
+   */
+  enable() {
+    if (!this.getSettings()) {
+      return;
+    }
+    const { delay } = this.getSettings();
+
+    this.component = new FilterRowComponent(this.hot, { id: 'filter_row', name: 'Filter row', delay });
+    this.component.addLocalHook('change', changes => this.onChange(changes));
+  }
+
+  /**
+   * Destroys the filter row component.
+   */
+  disable() {
+    if (!this.component) {
+      return;
+    }
+    this.component.destroy();
+    this.component = null;
+  }
+
+  /**
+   * Clears the typed values of the columns which conditions have been replaced (eq. by the drop-down menu).
+   */
+  clearReplacedValues() {
+    if (this.component) {
+      this.component.clearValuesIf(column => this.plugin.conditionCollection.hasConditions(column));
+    }
+  }
+
+  /**
+   * On after get column header renderers listener. Adds the filter row renderer under the column headers.
+   *
+   * @private
+   * @param {Array} renderers List of the column header renderers.
+   */
+  onAfterGetColumnHeaderRenderers(renderers) {
+    if (this.component && renderers) {
+      renderers.push(this.component.getHeaderRenderer());
+    }
+  }
+
+  /**
+   * On filter row change listener. Replaces conditions of the changed columns with the conditions defined by the
+   * typed values and filters the data.
+   *
+   * @private
+   * @param {Array} changes List of objects with keys `column` (physical column index) and `conditions`.
+   */
+  onChange(changes) {
+    if (!this.plugin.enabled) {
+      return;
+    }
+
+    arrayEach(changes, ({ column, conditions }) => {
+      const visualColumn = this.plugin.t.toVisualColumn(column);
+
+      this.plugin.removeConditions(visualColumn);
+      arrayEach(conditions, ({ name, args }) => this.plugin.addCondition(visualColumn, name, args));
+    });
+
+    this.plugin.filter();
+  }
+}
+
+export default FilterRowFeature;
@@ -0,0 +1,146 @@
+import { arrayEach, arrayFilter } from 'handsontable/helpers/array';
+import { rangeEach } from 'handsontable/helpers/number';
+import { getNestedVisibleRows, NESTED_ROWS_MODES, NESTED_ROWS_MODE_ANCESTORS } from './../nestedRowsFilter';
+import { createArrayAssertion } from './../utils';
+import BaseFeature from './_base';
+
+/**
+ * Class responsible for filtering the nested data of the {@link NestedRows} plugin (see {@link getNestedVisibleRows}).
+ * The rows filtered out stay trimmed when their parents are expanded.
+ *
+ * @class NestedRowsFeature
+ * @util
+ * @extends BaseFeature
+ */
+class NestedRowsFeature extends BaseFeature {
+  constructor(filtersPlugin, hotInstance) {
+    super(filtersPlugin, hotInstance);
+    /**
+     * Assertion which checks if the row of the nested data has been trimmed by the filtering (not by collapsing its
+     * parent), so it stays trimmed when its parent is expanded.
+     *
+     * @type {Function}
+     * @default null
+     */
+    this.filteredOutRows = null;
+  }
+
+  /**
+   * Gets the instance of the {@link NestedRows} plugin when it's enabled.
+   *
+   * @returns {NestedRows|null}
+   */
+  getNestedRowsPlugin() {
+    const nestedRowsPlugin = this.hot.getPlugin('nestedRows');
+
+    return nestedRowsPlugin && nestedRowsPlugin.enabled ? nestedRowsPlugin : null;
+  }
+
+  /**
+   * Checks if the {@link NestedRows} plugin is enabled.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return this.getNestedRowsPlugin() !== null;
+  }
+
+  /**
+   * Forgets the rows filtered out by the last filtering.
+   */
+  disable() {
+    this.filteredOutRows = null;
+  }
+
+  /**
+   * Gets the mode of filtering the nested rows defined by the `nestedRows` option.
+   *
+   * @returns {String}
+   */
+  getMode() {
+    const settings = this.getPluginSettings();
+    const mode = settings !== null && settings.nestedRows !== void 0 ? settings.nestedRows : NESTED_ROWS_MODE_ANCESTORS;
+
+    if (NESTED_ROWS_MODES.indexOf(mode) === -1) {
+      throw new Error(`Unexpected nested rows mode \`${mode}\`. Possible ones are \`ancestors\`, \`subtree\` and \`leaves\`.`);
+    }
+
+    return mode;
+  }
+
+  /**
+   * Gets the rows of the nested data which are hidden by their collapsed ancestors.
+   *
+   * @param {Array} rows Row indexes.
+   * @returns {Array}
+   */
+  getCollapsedRows(rows) {
+    const { dataManager, collapsingUI } = this.getNestedRowsPlugin();
+
+    return arrayFilter(rows, row => collapsingUI.isAnyParentCollapsed(dataManager.getDataObject(row)));
+  }
+
+  /**
+   * Gets the rows of the nested data displayed for the rows which match the filters (according to the mode) and
+   * expands the collapsed branches which lead to the matching rows.
+   *
+   * @param {Array} visibleVisualRows Indexes of the rows which match the filters.
+   * @returns {Array}
+   */
+  getVisibleRows(visibleVisualRows) {
+    const nestedRowsPlugin = this.getNestedRowsPlugin();
+    const { rows, ancestors } = getNestedVisibleRows(nestedRowsPlugin.dataManager, visibleVisualRows, this.getMode());
+    const ancestorsAssertion = createArrayAssertion(ancestors);
+
+    arrayEach(arrayFilter(nestedRowsPlugin.collapsingUI.collapsedRows, row => ancestorsAssertion(row)), (row) => {
+      nestedRowsPlugin.collapsingUI.expandChildren(row, false, false);
+    });
+
+    return rows;
+  }
+
+  /**
+   * Trims the rows filtered out and the rows hidden by their collapsed ancestors.
+   *
+   * @param {Array} trimmedRows Indexes of the rows filtered out.
+   * @param {Array} visibleVisualRows Indexes of the displayed rows (see {@link NestedRowsFeature#getVisibleRows}).
+   */
+  trimRows(trimmedRows, visibleVisualRows) {
+    this.filteredOutRows = createArrayAssertion(trimmedRows.slice());
+    this.plugin.trimRowsPlugin.trimRows(trimmedRows.concat(this.getCollapsedRows(visibleVisualRows)));
+  }
+
+  /**
+   * Untrims the rows of the nested data trimmed by the filtering. The rows hidden by their collapsed ancestors stay
+   * trimmed.
+   */
+  reset() {
+    const rows = [];
+
+    rangeEach(this.hot.countSourceRows() - 1, row => rows.push(row));
+
+    this.filteredOutRows = null;
+    this.plugin.trimRowsPlugin.trimmedRows.length = 0;
+    this.plugin.trimRowsPlugin.trimRows(this.getCollapsedRows(rows));
+  }
+
+  /**
+   * `afterUntrimRow` listener. Trims again the nested rows which have been filtered out, but untrimmed by expanding
+   * their parent.
+   *
+   * @private
+   * @param {Array} rows Physical indexes of the untrimmed rows.
+   */
+  onAfterUntrimRow(rows) {
+    if (this.filteredOutRows === null || !this.isEnabled()) {
+      return;
+    }
+    const rowsToTrim = arrayFilter(rows, row => this.filteredOutRows(row));
+
+    if (rowsToTrim.length) {
+      this.plugin.trimRowsPlugin.trimRows(rowsToTrim);
+    }
+  }
+}
+
+export default NestedRowsFeature;
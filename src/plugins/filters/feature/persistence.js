@@ -0,0 +1,137 @@
+import { arrayEach, arrayFilter, arrayMap } from 'handsontable/helpers/array';
+import { warn } from 'handsontable/helpers/console';
+import { createQuickFilter } from './../quickFilter';
+import BaseFeature from './_base';
+
+/**
+ * Class responsible for exporting and importing the filter state where the columns are identified by their data
+ * properties (see {@link Filters#serializeState}) and for saving it using the persistent state (the `persistent`
+ * option).
+ *
+ * @class PersistenceFeature
+ * @util
+ * @extends BaseFeature
+ */
+class PersistenceFeature extends BaseFeature {
+  /**
+   * Checks if the filter state is saved and restored using the persistent state (the `persistent` option).
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    const settings = this.getPluginSettings();
+
+    return settings !== null && settings.persistent === true;
+  }
+
+  /**
+   * Exports the filter state where the columns are identified by their data properties.
+   *
+   * @returns {Object} Returns object with keys `columns` and `quickFilter`.
+   */
+  exportState() {
+    const toProp = column => this.hot.colToProp(this.plugin.t.toVisualColumn(column));
+    const { quickFilter } = this.plugin;
+
+    return {
+      columns: arrayMap(this.plugin.conditionCollection.exportAllConditions(), ({ column, operation, conditions }) => ({
+        prop: toProp(column),
+        operation,
+        conditions,
+      })),
+      quickFilter: quickFilter ? {
+        text: quickFilter.text,
+        columns: quickFilter.columns ? arrayMap(quickFilter.columns, toProp) : null,
+        caseSensitive: quickFilter.caseSensitive,
+      } : null,
+    };
+  }
+
+  /**
+   * Imports the filter state exported by {@link PersistenceFeature#exportState}. The state comes from outside (eq. from
+   * the shared link), so it's never used for compiling the row-level filter expression.
+   *
+   * @param {Object} state Object with keys `columns` and `quickFilter`.
+   */
+  importState({ columns = [], quickFilter = null }) {
+    const toPhysicalColumn = (prop) => {
+      const column = this.hot.propToCol(prop);
+
+      return typeof column === 'number' && column >= 0 && column < this.hot.countCols() ? this.plugin.t.toPhysicalColumn(column) : null;
+    };
+    const columnsConditions = [];
+
+    arrayEach(columns, ({ prop, operation, conditions }) => {
+      const column = toPhysicalColumn(prop);
+
+      if (column !== null) {
+        columnsConditions.push({ column, operation, conditions });
+      }
+    });
+
+    this.plugin.conditionCollection.importAllConditions(columnsConditions);
+    this.plugin.quickFilter = null;
+
+    if (quickFilter && quickFilter.text) {
+      this.plugin.quickFilter = createQuickFilter(quickFilter.text, {
+        columns: Array.isArray(quickFilter.columns) ?
+          arrayFilter(arrayMap(quickFilter.columns, toPhysicalColumn), column => column !== null) : null,
+        caseSensitive: quickFilter.caseSensitive,
+      });
+    }
+    this.plugin.quickFilterFeature.updateInput();
+  }
+
+  /**
+   * Saves the filter state. Saving works only when {@link Options#persistentState} option is enabled.
+   *
+   * @fires Hooks#persistentStateSave
+   */
+  saveState() {
+    this.hot.runHooks('persistentStateSave', 'filters', this.exportState());
+  }
+
+  /**
+   * Loads the saved filter state and filters the data. Loading works only when {@link Options#persistentState} option
+   * is enabled.
+   *
+   * @fires Hooks#persistentStateLoad
+   */
+  loadState() {
+    const storedState = {};
+
+    this.hot.runHooks('persistentStateLoad', 'filters', storedState);
+
+    const state = storedState.value;
+
+    if (state === null || typeof state !== 'object' || !Array.isArray(state.columns)) {
+      return;
+    }
+
+    try {
+      this.importState(state);
+
+    } catch (error) {
+      warn(`The saved filters state couldn't be restored. ${error.message}`);
+      this.plugin.conditionCollection.clean();
+      this.plugin.quickFilter = null;
+
+      return;
+    }
+
+    this.plugin.filter();
+  }
+
+  /**
+   * `afterInit` listener.
+   *
+   * @private
+   */
+  onAfterInit() {
+    if (this.isEnabled()) {
+      this.loadState();
+    }
+  }
+}
+
+export default PersistenceFeature;
@@ -0,0 +1,165 @@
+import { addClass, removeClass } from 'handsontable/helpers/dom/element';
+import { debounce } from 'handsontable/helpers/function';
+import { rangeEach } from 'handsontable/helpers/number';
+import * as constants from 'handsontable/i18n/constants';
+import InputUI from './../ui/input';
+import BaseFeature from './_base';
+
+/**
+ * Class responsible for the search input of the quick filter (the `quickFilter` option) and for matching the rows and
+ * the cells with the text searched by the quick filter (see {@link Filters#setQuickFilter}).
+ *
+ * @class QuickFilterFeature
+ * @util
+ * @extends BaseFeature
+ */
+class QuickFilterFeature extends BaseFeature {
+  constructor(filtersPlugin, hotInstance) {
+    super(filtersPlugin, hotInstance);
+    /**
+     * Search input displayed above the table when the `quickFilter` option is enabled.
+     *
+     * @type {InputUI}
+     * @default null
+     */
+    this.input = null;
+  }
+
+  /**
+   * Gets the `quickFilter` option settings (`false` when the option is disabled).
+   *
+   * @returns {Object|Boolean}
+   */
+  getSettings() {
+    const settings = this.getPluginSettings();
+
+    if (settings === null || !settings.quickFilter) {
+      return false;
+    }
+
+    return typeof settings.quickFilter === 'object' ? settings.quickFilter : {};
+  }
+
+  /**
+   * Creates the search input when the `quickFilter` option is enabled.
+   */
+  enable() {
+    if (this.getSettings()) {
+      this.createInput();
+    }
+  }
+
+  /**
+   * Destroys the search input.
+   */
+  disable() {
+    this.destroyInput();
+  }
+
+  /**
+   * Creates the search input of the quick filter and inserts it above the table.
+   */
+  createInput() {
+    const { placeholder = constants.FILTERS_BUTTONS_PLACEHOLDER_SEARCH } = this.getSettings();
+    const rootElement = this.hot.rootElement;
+    const onInput = debounce(value => this.onInput(value), 100);
+
+    this.input = new InputUI(this.hot, {
+      placeholder,
+      className: 'htFiltersQuickFilter',
+    });
+    this.input.addLocalHook('keyup', event => onInput(event.target.value));
+
+    addClass(this.input.element, 'handsontable');
+
+    if (rootElement.parentNode) {
+      rootElement.parentNode.insertBefore(this.input.element, rootElement);
+    }
+  }
+
+  /**
+   * Destroys the search input of the quick filter.
+   */
+  destroyInput() {
+    if (!this.input) {
+      return;
+    }
+    const element = this.input.element;
+
+    if (element.parentNode) {
+      element.parentNode.removeChild(element);
+    }
+    this.input.destroy();
+    this.input = null;
+  }
+
+  /**
+   * Displays the text of the current quick filter in the search input (eq. after the filter state is restored).
+   */
+  updateInput() {
+    if (this.input) {
+      this.input.setValue(this.plugin.getQuickFilter() || '');
+    }
+  }
+
+  /**
+   * On search input listener.
+   *
+   * @private
+   * @param {String} value Typed text.
+   */
+  onInput(value) {
+    if (!this.plugin.enabled || value === this.plugin.getQuickFilter() || (value === '' && !this.plugin.quickFilter)) {
+      return;
+    }
+    const { columns, caseSensitive } = this.getSettings();
+
+    this.plugin.setQuickFilter(value, { columns, caseSensitive });
+    this.plugin.filter();
+  }
+
+  /**
+   * Checks if the row contains the text searched by the quick filter.
+   *
+   * @param {Number} row Physical row index.
+   * @returns {Boolean}
+   */
+  isRowMatch(row) {
+    const { columns, isMatch } = this.plugin.quickFilter;
+    let result = false;
+
+    rangeEach(this.hot.countCols() - 1, (physicalColumn) => {
+      if (columns === null || columns.indexOf(physicalColumn) !== -1) {
+        // The `getSourceDataAtCell` method translates the passed visual column index into the physical one.
+        result = isMatch(this.hot.getSourceDataAtCell(row, this.plugin.t.toVisualColumn(physicalColumn)));
+      }
+
+      return !result;
+    });
+
+    return result;
+  }
+
+  /**
+   * On after renderer listener. Adds the `htFiltersQuickFilterMatch` class to the cells which contain the text
+   * searched by the quick filter.
+   *
+   * @private
+   * @param {HTMLTableCellElement} TD
+   * @param {Number} col Visual column index.
+   * @param {*} value Cell value.
+   */
+  onAfterRenderer(TD, col, value) {
+    const quickFilter = this.plugin.quickFilter;
+    const isMatch = quickFilter !== null && (quickFilter.columns === null ||
+      quickFilter.columns.indexOf(this.plugin.t.toPhysicalColumn(col)) !== -1) && quickFilter.isMatch(value);
+
+    if (isMatch) {
+      addClass(TD, 'htFiltersQuickFilterMatch');
+    } else {
+      removeClass(TD, 'htFiltersQuickFilterMatch');
+    }
+  }
+}
+
+export default QuickFilterFeature;
@@ -0,0 +1,211 @@
+import { arrayFilter } from 'handsontable/helpers/array';
+import { warn } from 'handsontable/helpers/console';
+import { debounce } from 'handsontable/helpers/function';
+import { CONDITION_NAME as CONDITION_BY_VALUE } from './../condition/byValue';
+import BaseFeature from './_base';
+
+/**
+ * Class responsible for the remote mode (the `mode` option set to `'remote'`), where the rows and the "by value" list
+ * values are resolved by the remote adapter instead of being filtered locally.
+ *
+ * @class RemoteFilteringFeature
+ * @util
+ * @extends BaseFeature
+ */
+class RemoteFilteringFeature extends BaseFeature {
+  constructor(filtersPlugin, hotInstance) {
+    super(filtersPlugin, hotInstance);
+    /**
+     * Promise of the "by value" list values requested from the remote adapter which haven't been displayed yet.
+     *
+     * @type {Promise}
+     * @default null
+     */
+    this.pendingColumnValues = null;
+    /**
+     * Requests the "by value" list values from the remote adapter after the user stops typing into the search input.
+     *
+     * @private
+     * @type {Function}
+     */
+    this.loadColumnValuesDebounced = debounce((column, search) => this.loadColumnValues(column, search), 300);
+  }
+
+  /**
+   * Checks if the `mode` option is set to `'remote'`.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    const settings = this.getPluginSettings();
+
+    return settings !== null && settings.mode === 'remote';
+  }
+
+  /**
+   * Drops the pending request of the "by value" list values.
+   */
+  disable() {
+    this.pendingColumnValues = null;
+  }
+
+  /**
+   * Gets the remote adapter defined by the `adapter` option.
+   *
+   * @returns {Object} Returns object with the `fetchRows` and `fetchColumnValues` functions.
+   */
+  getAdapter() {
+    const { adapter } = this.hot.getSettings().filters;
+
+    if (!adapter || typeof adapter.fetchRows !== 'function' || typeof adapter.fetchColumnValues !== 'function') {
+      throw new Error('The remote filtering mode requires the `adapter` option with the `fetchRows` and `fetchColumnValues` functions.');
+    }
+
+    return adapter;
+  }
+
+  /**
+   * Loads the rows resolved by the remote adapter into the table.
+   *
+   * @param {Object} adapter Remote adapter (see {@link RemoteFilteringFeature#getAdapter}).
+   * @param {Array} conditions Exported conditions.
+   * @param {String|null} expression Row-level filter expression.
+   */
+  filter(adapter, conditions, expression) {
+    const plugin = this.plugin;
+    const pendingFiltering = new Promise(resolve => resolve(adapter.fetchRows(conditions)));
+    // The plugin has been disabled or other filtering has been started in the meantime.
+    const isOutdated = () => plugin.pendingFiltering !== pendingFiltering;
+
+    plugin.pendingFiltering = pendingFiltering;
+
+    pendingFiltering
+      .then((rows) => {
+        if (isOutdated()) {
+          return;
+        }
+        plugin.pendingFiltering = null;
+
+        if (!Array.isArray(rows)) {
+          throw new Error('The `fetchRows` function has to resolve with an array of rows.');
+        }
+        plugin.trimRowsPlugin.untrimAll();
+        // Loading the data resets the cell meta and the undo history, which refer to the previous rows.
+        this.hot.loadData(rows);
+
+        if (plugin.rowExpression !== null || plugin.quickFilter !== null) {
+          plugin.trimRowsPlugin.trimmedRows.length = 0;
+          plugin.applyFilteredRows(null);
+        }
+
+        plugin.finishFiltering(conditions, expression);
+
+      }, (error) => {
+        if (isOutdated()) {
+          return;
+        }
+        plugin.pendingFiltering = null;
+
+        throw error;
+      })
+      .catch((error) => {
+        // The adapter, loading the rows or the `afterFilter` listeners failed.
+        if (plugin.enabled) {
+          plugin.stopActionBarLoading();
+        }
+
+        warn(`Filtering the rows remotely failed: ${error && error.message}`);
+      })
+      .then(() => plugin.runFilteringCallbacks());
+  }
+
+  /**
+   * Checks if the "by value" list values are being loaded (the list doesn't reflect the column conditions until then).
+   *
+   * @returns {Boolean}
+   */
+  isLoadingColumnValues() {
+    return this.pendingColumnValues !== null;
+  }
+
+  /**
+   * Loads the "by value" list values of the selected column when the "by value" list is displayed.
+   */
+  loadSelectedColumnValues() {
+    const selectedColumn = this.plugin.getSelectedColumn();
+
+    if (this.isEnabled() && selectedColumn && !this.plugin.components.get('filter_by_value').isHidden()) {
+      this.loadColumnValues(selectedColumn.physicalIndex);
+    }
+  }
+
+  /**
+   * Loads the "by value" list values of the column from the remote adapter.
+   *
+   * @param {Number} column Physical column index.
+   * @param {String} [search=''] Text typed into the search input of the "by value" list.
+   */
+  loadColumnValues(column, search = '') {
+    const plugin = this.plugin;
+    const adapter = this.getAdapter();
+    const valueComponent = plugin.components.get('filter_by_value');
+    const pendingColumnValues = new Promise(resolve => resolve(adapter.fetchColumnValues(column, search)));
+    // The drop-down menu has been closed, opened for other column or other values have been requested in the meantime.
+    const isOutdated = () => {
+      const selectedColumn = plugin.getSelectedColumn();
+
+      return this.pendingColumnValues !== pendingColumnValues || !selectedColumn || selectedColumn.physicalIndex !== column;
+    };
+
+    this.pendingColumnValues = pendingColumnValues;
+    valueComponent.stopBuildingItems();
+    valueComponent.setLoading(true);
+
+    pendingColumnValues.then((values) => {
+      if (isOutdated()) {
+        return;
+      }
+      const select = valueComponent.getMultipleSelectElement();
+      let selectedValues = null;
+
+      if (search === '') {
+        const [byValueCondition] = arrayFilter(plugin.conditionCollection.getConditions(column), condition => condition.name === CONDITION_BY_VALUE);
+
+        selectedValues = byValueCondition ? byValueCondition.args[0] : null;
+
+      } else if (!select.isSelectedAllValues()) {
+        // The searched values keep the selection made by the user.
+        selectedValues = select.getValue();
+      }
+
+      this.pendingColumnValues = null;
+      valueComponent.setLoading(false);
+      valueComponent.setRemoteValues(values, selectedValues);
+
+    }, (error) => {
+      if (isOutdated()) {
+        return;
+      }
+      this.pendingColumnValues = null;
+      valueComponent.setLoading(false);
+
+      warn(`Loading the column values remotely failed: ${error && error.message}`);
+    });
+  }
+
+  /**
+   * On "by value" list search listener.
+   *
+   * @private
+   * @param {String} text Searched text.
+   */
+  onValueComponentSearch(text) {
+    const selectedColumn = this.plugin.getSelectedColumn();
+
+    if (this.isEnabled() && selectedColumn) {
+      this.loadColumnValuesDebounced(selectedColumn.physicalIndex, text);
+    }
+  }
+}
+
+export default RemoteFilteringFeature;
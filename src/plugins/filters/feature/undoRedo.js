@@ -0,0 +1,113 @@
+import { arrayEach } from 'handsontable/helpers/array';
+import FiltersAction, { isSameFilterState } from './../filtersAction';
+import BaseFeature from './_base';
+
+/**
+ * Class responsible for recording the filtering as the undoable action (see {@link FiltersAction}) and for restoring
+ * the recorded filter state when the action is undone or redone.
+ *
+ * @class UndoRedoFeature
+ * @util
+ * @extends BaseFeature
+ */
+class UndoRedoFeature extends BaseFeature {
+  constructor(filtersPlugin, hotInstance) {
+    super(filtersPlugin, hotInstance);
+    /**
+     * Filter state (object with keys `conditions`, `rowExpression` and `quickFilter`) applied by the last filtering. It's
+     * restored when the next filtering is undone.
+     *
+     * @type {Object}
+     */
+    this.lastState = { conditions: [], rowExpression: null, quickFilter: null };
+  }
+
+  /**
+   * Forgets the filter state applied by the last filtering.
+   */
+  disable() {
+    this.lastState = { conditions: [], rowExpression: null, quickFilter: null };
+  }
+
+  /**
+   * Records the filtering as the undoable action. The action recorded by the core {@link UndoRedo} plugin on the
+   * `beforeFilter` hook (which can revert only the conditions of the last filtered column) is replaced.
+   *
+   * @param {Boolean} isAllowed `false` when the filtering has been canceled by the `beforeFilter` hook.
+   */
+  recordFiltering(isAllowed) {
+    const stateBefore = this.lastState;
+
+    if (isAllowed) {
+      this.lastState = {
+        conditions: this.plugin.conditionCollection.exportAllConditions(),
+        rowExpression: this.plugin.rowExpression,
+        quickFilter: this.plugin.quickFilter,
+      };
+    }
+    const undoRedo = this.hot.undoRedo;
+
+    if (!undoRedo || undoRedo.ignoreNewActions) {
+      return;
+    }
+    const { doneActions } = undoRedo;
+    const lastAction = doneActions[doneActions.length - 1];
+
+    if (lastAction && lastAction.actionType === 'filter' && !(lastAction instanceof FiltersAction)) {
+      doneActions.pop();
+    }
+    if (!isSameFilterState(stateBefore, this.lastState)) {
+      undoRedo.done(new FiltersAction(stateBefore, this.lastState));
+    }
+  }
+
+  /**
+   * Restores the filter state recorded by {@link FiltersAction} and filters the data. The callback is called when the
+   * rows are filtered. Until then (the asynchronous and the remote filtering are done later) the other actions can't be
+   * undone or redone, because they refer to the visual rows of the restored filter state.
+   *
+   * @param {Object} state Object with keys `conditions`, `rowExpression` and `quickFilter`.
+   * @param {Function} callback Function called when the rows are filtered.
+   */
+  restoreState({ conditions, rowExpression, quickFilter }, callback) {
+    const plugin = this.plugin;
+
+    plugin.conditionCollection.importAllConditions(conditions);
+    plugin.rowExpression = rowExpression;
+    plugin.quickFilter = quickFilter;
+    plugin.quickFilterFeature.updateInput();
+    plugin.filter();
+
+    if (!plugin.isFiltering()) {
+      callback();
+
+      return;
+    }
+    const undoRedo = this.hot.undoRedo;
+    // The new actions aren't recorded until the callback is called, so the stacks can be restored as they were.
+    const doneActions = undoRedo.doneActions.splice(0, undoRedo.doneActions.length);
+    const undoneActions = undoRedo.undoneActions.splice(0, undoRedo.undoneActions.length);
+    let isHistoryReset = false;
+    const onAfterLoadData = () => {
+      isHistoryReset = true;
+    };
+
+    this.hot.addHook('afterLoadData', onAfterLoadData);
+    plugin.filteringCallbacks.push(() => {
+      this.hot.removeHook('afterLoadData', onAfterLoadData);
+
+      if (!isHistoryReset) {
+        arrayEach(doneActions, action => undoRedo.doneActions.push(action));
+        arrayEach(undoneActions, action => undoRedo.undoneActions.push(action));
+      }
+      callback();
+
+      // The rows loaded in the remote mode reset the undo history (including the restored action).
+      if (isHistoryReset) {
+        undoRedo.clear();
+      }
+    });
+  }
+}
+
+export default UndoRedoFeature;
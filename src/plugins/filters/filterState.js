@@ -0,0 +1,128 @@
+import { arrayMap } from 'handsontable/helpers/array';
+import { rangeEach } from 'handsontable/helpers/number';
+
+/**
+ * Version of the serialized state format.
+ *
+ * @type {Number}
+ */
+export const STATE_VERSION = 1;
+
+/**
+ * Convert the condition (or the group of conditions) into the compact form with the short keys.
+ *
+ * @param {Object} condition Object with keys `name` and `args` or the group with keys `operation` and `conditions`.
+ * @returns {Object}
+ */
+function compactCondition(condition) {
+  if (Array.isArray(condition.conditions)) {
+    return { o: condition.operation, c: arrayMap(condition.conditions, compactCondition) };
+  }
+
+  return { n: condition.name, a: condition.args };
+}
+
+/**
+ * Convert the compact condition (or the group of conditions) into the form accepted by {@link ConditionCollection}.
+ *
+ * @param {Object} condition Compact condition created by {@link compactCondition}.
+ * @returns {Object}
+ */
+function expandCondition(condition) {
+  if (Array.isArray(condition.c)) {
+    return { operation: condition.o, conditions: arrayMap(condition.c, expandCondition) };
+  }
+  if (typeof condition.n !== 'string' || !Array.isArray(condition.a)) {
+    throw new Error('Invalid filters state.');
+  }
+
+  return { name: condition.n, args: condition.a };
+}
+
+/**
+ * Encode the text into the URL-safe base64 string (`+` and `/` are replaced with `-` and `_`, the padding is removed).
+ *
+ * @param {String} text
+ * @returns {String}
+ */
+function toBase64Url(text) {
+  // Converts the UTF-16 string into the UTF-8 bytes, so it's accepted by the `btoa` function.
+  const bytes = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+  return btoa(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode the URL-safe base64 string created by {@link toBase64Url}.
+ *
+ * @param {String} string
+ * @returns {String}
+ */
+function fromBase64Url(string) {
+  const bytes = atob(string.replace(/-/g, '+').replace(/_/g, '/'));
+  let encoded = '';
+
+  rangeEach(bytes.length - 1, (index) => {
+    encoded += `%${`0${bytes.charCodeAt(index).toString(16)}`.slice(-2)}`;
+  });
+
+  return decodeURIComponent(encoded);
+}
+
+/**
+ * Serialize the filter state into the compact URL-safe string. The row-level filter expression isn't a part of the
+ * state, as the expression is compiled into the code, which mustn't be taken from the shared links.
+ *
+ * @param {Object} state Object with keys:
+ *  * `columns` Array, List of objects with keys `prop` (column data property), `operation` and `conditions`.
+ *  * `quickFilter` Object|null, Object with keys `text`, `columns` (data properties or `null`) and `caseSensitive`.
+ * @returns {String}
+ */
+export function serializeState({ columns = [], quickFilter = null }) {
+  const compactState = {
+    v: STATE_VERSION,
+    c: arrayMap(columns, ({ prop, operation, conditions }) => [prop, operation, arrayMap(conditions, compactCondition)]),
+  };
+
+  if (quickFilter) {
+    compactState.q = [quickFilter.text, quickFilter.columns, quickFilter.caseSensitive ? 1 : 0];
+  }
+
+  return toBase64Url(JSON.stringify(compactState));
+}
+
+/**
+ * Deserialize the string created by {@link serializeState} into the filter state. Other keys of the serialized state
+ * (eq. the row-level filter expression added to the shared link) are ignored.
+ *
+ * @param {String} string Serialized state.
+ * @returns {Object} Returns object with keys `columns` and `quickFilter` (see {@link serializeState}).
+ */
+export function deserializeState(string) {
+  let compactState;
+
+  try {
+    compactState = JSON.parse(fromBase64Url(`${string}`));
+
+  } catch (error) {
+    throw new Error('Invalid filters state.');
+  }
+
+  if (compactState === null || typeof compactState !== 'object' || compactState.v !== STATE_VERSION ||
+      !Array.isArray(compactState.c)) {
+    throw new Error('Invalid filters state.');
+  }
+
+  return {
+    columns: arrayMap(compactState.c, (column) => {
+      if (!Array.isArray(column) || !Array.isArray(column[2])) {
+        throw new Error('Invalid filters state.');
+      }
+      const [prop, operation, conditions] = column;
+
+      return { prop, operation, conditions: arrayMap(conditions, expandCondition) };
+    }),
+    quickFilter: Array.isArray(compactState.q) ?
+      { text: compactState.q[0], columns: compactState.q[1], caseSensitive: compactState.q[2] === 1 } : null,
+  };
+}
@@ -0,0 +1,291 @@
+import { arrayEach } from 'handsontable/helpers/array';
+import { createConditionFunctions } from './conditionFunctions';
+import { createComparisonFunctions } from './textComparator';
+import { OPERATION_ID as OPERATION_AND, operationResult as conjunction } from './logicalOperations/conjunction';
+import { OPERATION_ID as OPERATION_OR, operationResult as disjunction } from './logicalOperations/disjunction';
+import {
+  OPERATION_ID as OPERATION_OR_THEN_VARIABLE,
+  operationResult as disjunctionWithExtraCondition,
+} from './logicalOperations/disjunctionWithExtraCondition';
+
+/**
+ * Names of the built-in conditions which can be evaluated by the worker. The remaining conditions (eq. the date
+ * conditions, the column-dependent conditions and the custom ones) are evaluated on the main thread.
+ *
+ * @type {Array}
+ */
+export const WORKER_CONDITIONS = [
+  'none', 'true', 'false', 'empty', 'not_empty', 'eq', 'neq', 'contains', 'not_contains', 'begins_with', 'ends_with',
+  'gt', 'gte', 'lt', 'lte', 'between', 'not_between', 'by_value',
+];
+
+/**
+ * Names of the logical operations which can be evaluated by the worker.
+ *
+ * @type {Array}
+ */
+export const WORKER_OPERATIONS = [OPERATION_AND, OPERATION_OR, OPERATION_OR_THEN_VARIABLE];
+
+/**
+ * Results of the logical operations which can be evaluated by the worker indexed by the operation id.
+ *
+ * @type {Object}
+ */
+const WORKER_OPERATION_RESULTS = {
+  [OPERATION_AND]: conjunction,
+  [OPERATION_OR]: disjunction,
+  [OPERATION_OR_THEN_VARIABLE]: disjunctionWithExtraCondition,
+};
+
+/**
+ * Check if the condition (or the group of conditions) can be evaluated by the worker.
+ *
+ * @param {Object} condition Object with keys `name` and `args` or the group with keys `operation` and `conditions`.
+ * @param {Boolean} [hasDates=false] `true` if the column contains date cells (the `between` conditions compare the
+ *                                   dates using moment.js, which is not available in the worker).
+ * @returns {Boolean}
+ */
+export function isWorkerCondition(condition, hasDates = false) {
+  if (Array.isArray(condition.conditions)) {
+    return WORKER_OPERATIONS.indexOf(condition.operation) !== -1 &&
+      condition.conditions.every(nestedCondition => isWorkerCondition(nestedCondition, hasDates));
+  }
+  if (hasDates && (condition.name === 'between' || condition.name === 'not_between')) {
+    return false;
+  }
+
+  return WORKER_CONDITIONS.indexOf(condition.name) !== -1;
+}
+
+/**
+ * Initialize the worker scope. The function is stringified into the worker script (see {@link createWorkerSource}), so
+ * it can't refer to anything outside its body. The conditions, the logical operations and the text comparator are
+ * created from the same functions as on the main thread, which are passed as the arguments.
+ *
+ * The worker accepts messages with keys `id` and `columns` (list of objects with keys `rows`, `values`, `types`,
+ * `operation`, `conditions` and `textOptions`) and responds with keys `id` and `rows` (visual indexes of the rows which
+ * match the conditions of all columns).
+ *
+ * @param {Object} scope Worker global scope.
+ * @param {Function} createComparator See {@link createComparisonFunctions}.
+ * @param {Function} createConditions See {@link createConditionFunctions}.
+ * @param {Object} operations Results of the logical operations (see {@link WORKER_OPERATIONS}) indexed by the operation
+ *                            id.
+ */
+export function initWorkerScope(scope, createComparator, createConditions, operations) {
+  const intl = scope.Intl && scope.Intl.Collator ? scope.Intl : null;
+  const conditions = createConditions();
+  // The `null` and `undefined` values are filtered as the empty strings (see `toEmptyString`).
+  const toEmptyString = value => (value === null || value === void 0 ? '' : value);
+
+  // The operations are called with the objects with the `func` key (as the conditions of `ConditionCollection`) and
+  // the data row (object with keys `value` and `type`).
+  const createCondition = (condition, comparator) => {
+    if (Array.isArray(condition.conditions)) {
+      const operation = operations[condition.operation || 'conjunction'];
+      const nestedConditions = condition.conditions.map(nestedCondition => createCondition(nestedCondition, comparator));
+
+      return { func: dataRow => (nestedConditions.length ? operation(nestedConditions, dataRow) : true) };
+    }
+    const func = conditions[condition.name];
+    let args = condition.args;
+
+    // The `by_value` condition gets the assertion function instead of the list of values (see `createArrayAssertion`).
+    if (condition.name === 'by_value') {
+      const dataset = new Set();
+
+      args[0].forEach(value => dataset.add(value));
+      args = [value => dataset.has(value)];
+    }
+
+    return { func: dataRow => func(dataRow.value, dataRow.type, args, comparator) };
+  };
+
+  scope.onmessage = (event) => {
+    const columns = event.data.columns;
+    let matchedRows = null;
+
+    columns.forEach((column) => {
+      const comparator = createComparator(column.textOptions, intl);
+      const columnConditions = column.conditions.map(condition => createCondition(condition, comparator));
+      const operation = operations[column.operation];
+      const nextMatchedRows = {};
+
+      column.rows.forEach((row, index) => {
+        const dataRow = { value: toEmptyString(column.values[index]), type: column.types[index] };
+
+        if ((matchedRows === null || matchedRows[row]) &&
+            (!columnConditions.length || operation(columnConditions, dataRow))) {
+          nextMatchedRows[row] = true;
+        }
+      });
+
+      matchedRows = nextMatchedRows;
+    });
+
+    const rows = Object.keys(matchedRows || {}).map(row => parseInt(row, 10)).sort((a, b) => a - b);
+
+    scope.postMessage({ id: event.data.id, rows });
+  };
+}
+
+/**
+ * Create the source of the worker script, which initializes the worker scope (see {@link initWorkerScope}) with the
+ * condition, logical operation and text comparison functions of the main thread.
+ *
+ * @returns {String}
+ */
+export function createWorkerSource() {
+  const operations = WORKER_OPERATIONS.map(id => `${JSON.stringify(id)}: ${WORKER_OPERATION_RESULTS[id].toString()}`);
+
+  return `(${initWorkerScope.toString()})(self, ${createComparisonFunctions.toString()}, ` +
+    `${createConditionFunctions.toString()}, {${operations.join(', ')}});`;
+}
+
+/**
+ * Evaluates the built-in conditions in the Web Worker, so filtering the large data sets doesn't block the UI.
+ *
+ * @class FilterWorker
+ * @plugin Filters
+ */
+class FilterWorker {
+  /**
+   * Check if the browser supports the workers created from the blob URLs.
+   *
+   * @returns {Boolean}
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && typeof URL !== 'undefined' &&
+      typeof URL.createObjectURL === 'function';
+  }
+
+  constructor() {
+    /**
+     * Web Worker instance (created with the first filtering).
+     *
+     * @type {Worker}
+     * @default null
+     */
+    this.worker = null;
+    /**
+     * Blob URL of the worker script.
+     *
+     * @type {String}
+     * @default null
+     */
+    this.workerUrl = null;
+    /**
+     * Pending requests (objects with keys `resolve` and `reject`) indexed by request id.
+     *
+     * @type {Map}
+     */
+    this.pendingRequests = new Map();
+    /**
+     * Id of the last request.
+     *
+     * @type {Number}
+     */
+    this.lastRequestId = 0;
+  }
+
+  /**
+   * Filter the columns in the worker.
+   *
+   * @param {Array} columns List of objects with keys:
+   *  * `rows` Array, Visual row indexes of the column values.
+   *  * `values` Array, Column values.
+   *  * `types` Array, Cell types of the column values.
+   *  * `operation` String, Type of operation performed on the column conditions.
+   *  * `conditions` Array, Conditions exported by {@link ConditionCollection#exportAllConditions}.
+   *  * `textOptions` Object, Text comparison options of the column (see {@link createTextComparator}).
+   * @returns {Promise} Returns promise resolved with the visual indexes of the rows which match the conditions.
+   */
+  filter(columns) {
+    return new Promise((resolve, reject) => {
+      this.lastRequestId += 1;
+
+      const id = this.lastRequestId;
+
+      try {
+        this.getWorker().postMessage({ id, columns });
+
+      } catch (error) {
+        // Data which can't be cloned (eq. functions as values) can't be sent to the worker.
+        reject(error);
+
+        return;
+      }
+      this.pendingRequests.set(id, { resolve, reject });
+    });
+  }
+
+  /**
+   * Get the worker instance (create it when it doesn't exist yet).
+   *
+   * @private
+   * @returns {Worker}
+   */
+  getWorker() {
+    if (!this.worker) {
+      const blob = new Blob([createWorkerSource()], { type: 'application/javascript' });
+
+      this.workerUrl = URL.createObjectURL(blob);
+      this.worker = new Worker(this.workerUrl);
+      this.worker.onmessage = event => this.onMessage(event);
+      this.worker.onerror = event => this.onError(event);
+    }
+
+    return this.worker;
+  }
+
+  /**
+   * Worker message listener.
+   *
+   * @private
+   * @param {MessageEvent} event
+   */
+  onMessage(event) {
+    const { id, rows } = event.data;
+    const request = this.pendingRequests.get(id);
+
+    if (request) {
+      this.pendingRequests.delete(id);
+      request.resolve(rows);
+    }
+  }
+
+  /**
+   * Worker error listener. Rejects all pending requests and terminates the worker (the next filtering creates the new
+   * one).
+   *
+   * @private
+   * @param {ErrorEvent} event
+   */
+  onError(event) {
+    event.preventDefault();
+
+    this.terminate(new Error(`Filtering in the worker failed: ${event.message}`));
+  }
+
+  /**
+   * Terminate the worker and reject the pending requests.
+   *
+   * @param {Error} [error] Error the pending requests are rejected with.
+   */
+  terminate(error = new Error('The filter worker has been terminated.')) {
+    const requests = [];
+
+    if (this.worker) {
+      this.worker.terminate();
+      URL.revokeObjectURL(this.workerUrl);
+    }
+    this.worker = null;
+    this.workerUrl = null;
+    this.pendingRequests.forEach(request => requests.push(request));
+    this.pendingRequests.clear();
+
+    arrayEach(requests, request => request.reject(error));
+  }
+}
+
+export default FilterWorker;
@@ -1,22 +1,42 @@
 import BasePlugin from 'handsontable/plugins/_base';
-import { arrayEach, arrayMap } from 'handsontable/helpers/array';
+import { arrayEach, arrayFilter, arrayMap } from 'handsontable/helpers/array';
 import { toSingleLine } from 'handsontable/helpers/templateLiteralTag';
 import { warn } from 'handsontable/helpers/console';
 import { rangeEach } from 'handsontable/helpers/number';
+import { objectEach } from 'handsontable/helpers/object';
 import EventManager from 'handsontable/eventManager';
 import { addClass, removeClass, closest } from 'handsontable/helpers/dom/element';
 import { registerPlugin } from 'handsontable/plugins';
 import { SEPARATOR } from 'handsontable/plugins/contextMenu/predefinedItems';
 import * as constants from 'handsontable/i18n/constants';
 import ConditionComponent from './component/condition';
+import ConditionBuilderComponent from './component/conditionBuilder';
 import OperatorsComponent from './component/operators';
 import ValueComponent from './component/value';
 import ActionBarComponent from './component/actionBar';
 import ConditionCollection from './conditionCollection';
 import DataFilter from './dataFilter';
 import ConditionUpdateObserver from './conditionUpdateObserver';
+import { createRowExpression } from './rowExpression';
+import { createQuickFilter } from './quickFilter';
+import { createTextComparator } from './textComparator';
+import { serializeState, deserializeState } from './filterState';
+import AsyncFilteringFeature from './feature/asyncFiltering';
+import FilterRowFeature from './feature/filterRow';
+import NestedRowsFeature from './feature/nestedRows';
+import PersistenceFeature from './feature/persistence';
+import QuickFilterFeature from './feature/quickFilter';
+import RemoteFilteringFeature from './feature/remoteFiltering';
+import UndoRedoFeature from './feature/undoRedo';
 import { createArrayAssertion, toEmptyString, unifyColumnValues } from './utils';
-import { CONDITION_NONE, CONDITION_BY_VALUE, OPERATION_AND, OPERATION_OR, OPERATION_OR_THEN_VARIABLE } from './constants';
+import {
+  CONDITION_NONE,
+  CONDITION_BY_VALUE,
+  OPERATION_AND,
+  OPERATION_OR,
+  OPERATION_OR_THEN_VARIABLE,
+  registerCustomCondition,
+} from './constants';
 
 import './filters.css';
 
@@ -28,6 +48,56 @@ import './filters.css';
  * @description
  * The plugin allows filtering the table data either by the built-in component or with the API.
  *
+ * By default the drop-down menu allows defining up to two conditions for a column. When the plugin is enabled with
+ * the `conditionBuilder` option (`filters: { conditionBuilder: true }`) the drop-down menu displays the condition
+ * builder instead, which allows adding any number of conditions and nested groups of conditions joined with the AND
+ * or OR operators (see {@link Filters#addConditionsGroup}).
+ *
+ * The `quickFilter` option (`filters: { quickFilter: true }`) displays the search input above the table, which filters
+ * rows containing the typed text in any column (see {@link Filters#setQuickFilter}). The option can be also an object
+ * with keys `columns`, `caseSensitive` and `placeholder` (it can be a key of the i18n dictionary).
+ *
+ * The `filterRow` option (`filters: { filterRow: true }`) displays an extra row under the column headers with the inline
+ * inputs, which filter the column by the typed text (`contains` condition) or by the range of values for the numeric
+ * and date columns. The option can be also an object with the `delay` key (the time in milliseconds after which the
+ * typed values are applied, `300` by default).
+ *
+ * The text conditions (`eq`, `contains`, `begins_with` etc.) and the search of the "by value" component compare texts
+ * according to the options `caseSensitive` (`false` by default), `accentSensitive` (`true` by default, `false` makes
+ * "Zürich" match "zurich"), `trimWhitespace` (`false` by default) and `locale` (eq. `'de-DE'`). The options can be
+ * defined for all columns (`filters: { accentSensitive: false }`) or for the particular columns with the column
+ * `filters` option (`columns: [{ filters: { caseSensitive: true } }]`). See {@link Filters#getTextComparator}.
+ *
+ * The `persistent` option (`filters: { persistent: true }`) saves the filter state after every filtering and restores
+ * it when the table is initialized. The columns are identified by their data properties, so the state survives
+ * changes of the columns order. The {@link Options#persistentState} option has to be enabled. The state can be also
+ * shared as a URL-safe string (see {@link Filters#serializeState}). The row-level filter expression isn't saved, as it's
+ * compiled into the code, which mustn't be taken from the saved or shared state.
+ *
+ * The `async` option (`filters: { async: true }`) evaluates the built-in conditions in a Web Worker, so filtering
+ * large data sets doesn't block the UI. The drop-down menu displays the loading state until the rows are filtered and
+ * the `afterFilter` hook is called when the filtering is done. The date, column-dependent and custom conditions are
+ * evaluated on the main thread.
+ *
+ * The `mode` option set to `'remote'` (`filters: { mode: 'remote', adapter: { fetchRows, fetchColumnValues } }`) keeps the
+ * UI and the conditions, but the rows aren't filtered locally. Instead, the `adapter.fetchRows(conditions)` function is
+ * called with the exported conditions and the array of rows it resolves with is loaded into the table with
+ * {@link Core#loadData}, so the cell meta and the undo history are reset. The "by value" list is
+ * filled with the values resolved by the `adapter.fetchColumnValues(column, search)` function, which is called with the
+ * physical column index and the text typed into the search input. Both functions have to return a promise. The quick
+ * filter and the row-level filter expression are applied to the loaded rows.
+ *
+ * When the {@link NestedRows} plugin is enabled, the filtering keeps the tree structure according to the `nestedRows`
+ * option (`filters: { nestedRows: 'subtree' }`): `'ancestors'` (default) displays the matching rows with all their
+ * ancestors, `'subtree'` displays also all descendants of the matching rows and `'leaves'` matches only the rows
+ * without children (the parents are displayed as the ancestors of the matching rows). The collapsed ancestors of the
+ * matching rows are expanded.
+ *
+ * Every filtering is recorded by the {@link UndoRedo} plugin, so the previous filter state (the conditions, the
+ * row-level filter expression and the quick filter) can be restored with `Ctrl+Z` and reapplied with `Ctrl+Y` (in the
+ * remote mode the undo history is reset when the rows are loaded). When the restored filter state is applied
+ * asynchronously, the other actions can be undone and redone after the rows are filtered.
+ *
  * See [the filtering demo](https://docs.handsontable.com/pro/demo-filtering.html) for examples.
  *
  * @example
@@ -80,6 +150,23 @@ class Filters extends BasePlugin {
      * @type {ConditionUpdateObserver}
      */
     this.conditionUpdateObserver = null;
+    /**
+     * Row-level filter expression (object with keys `expression` and `func`) set by {@link Filters#setRowExpression}.
+     *
+     * @private
+     * @type {Object}
+     * @default null
+     */
+    this.rowExpression = null;
+    /**
+     * Quick filter (object with keys `text`, `columns`, `caseSensitive` and `isMatch`) set by
+     * {@link Filters#setQuickFilter}.
+     *
+     * @private
+     * @type {Object}
+     * @default null
+     */
+    this.quickFilter = null;
     /**
      * Map, where key is component identifier and value represent `BaseComponent` element or it derivatives.
      *
@@ -90,6 +177,7 @@ class Filters extends BasePlugin {
       ['filter_by_condition', null],
       ['filter_operators', null],
       ['filter_by_condition2', null],
+      ['filter_by_condition_builder', null],
       ['filter_by_value', null],
       ['filter_action_bar', null]
     ]);
@@ -108,6 +196,70 @@ class Filters extends BasePlugin {
      * @type {Map}
      */
     this.hiddenRowsCache = new Map();
+    /**
+     * Promise of the filtering performed by the worker which result hasn't been applied yet.
+     *
+     * @private
+     * @type {Promise}
+     * @default null
+     */
+    this.pendingFiltering = null;
+    /**
+     * Functions called when the pending asynchronous filtering is done (see {@link UndoRedoFeature#restoreState}).
+     *
+     * @private
+     * @type {Array}
+     */
+    this.filteringCallbacks = [];
+    /**
+     * Instance of {@link QuickFilterFeature}.
+     *
+     * @private
+     * @type {QuickFilterFeature}
+     */
+    this.quickFilterFeature = new QuickFilterFeature(this, this.hot);
+    /**
+     * Instance of {@link FilterRowFeature}.
+     *
+     * @private
+     * @type {FilterRowFeature}
+     */
+    this.filterRowFeature = new FilterRowFeature(this, this.hot);
+    /**
+     * Instance of {@link AsyncFilteringFeature}.
+     *
+     * @private
+     * @type {AsyncFilteringFeature}
+     */
+    this.asyncFilteringFeature = new AsyncFilteringFeature(this, this.hot);
+    /**
+     * Instance of {@link RemoteFilteringFeature}.
+     *
+     * @private
+     * @type {RemoteFilteringFeature}
+     */
+    this.remoteFilteringFeature = new RemoteFilteringFeature(this, this.hot);
+    /**
+     * Instance of {@link NestedRowsFeature}.
+     *
+     * @private
+     * @type {NestedRowsFeature}
+     */
+    this.nestedRowsFeature = new NestedRowsFeature(this, this.hot);
+    /**
+     * Instance of {@link PersistenceFeature}.
+     *
+     * @private
+     * @type {PersistenceFeature}
+     */
+    this.persistenceFeature = new PersistenceFeature(this, this.hot);
+    /**
+     * Instance of {@link UndoRedoFeature}.
+     *
+     * @private
+     * @type {UndoRedoFeature}
+     */
+    this.undoRedoFeature = new UndoRedoFeature(this, this.hot);
 
     // One listener for the enable/disable functionality
     this.hot.addHook('afterGetColHeader', (col, TH) => this.onAfterGetColHeader(col, TH));
@@ -148,6 +300,7 @@ class Filters extends BasePlugin {
     if (!this.components.get('filter_by_condition')) {
       const conditionComponent = new ConditionComponent(this.hot, { id: 'filter_by_condition', name: filterByConditionLabel, addSeparator: false });
       conditionComponent.addLocalHook('afterClose', () => this.onSelectUIClosed());
+      conditionComponent.addLocalHook('render', () => this.onComponentRender());
 
       this.components.set('filter_by_condition', addConfirmationHooks(conditionComponent));
     }
@@ -157,11 +310,23 @@ class Filters extends BasePlugin {
     if (!this.components.get('filter_by_condition2')) {
       const conditionComponent = new ConditionComponent(this.hot, { id: 'filter_by_condition2', name: '', addSeparator: true });
       conditionComponent.addLocalHook('afterClose', () => this.onSelectUIClosed());
+      conditionComponent.addLocalHook('render', () => this.onComponentRender());
 
       this.components.set('filter_by_condition2', addConfirmationHooks(conditionComponent));
     }
+    if (!this.components.get('filter_by_condition_builder')) {
+      const conditionBuilderComponent = new ConditionBuilderComponent(this.hot, { id: 'filter_by_condition_builder', name: filterByConditionLabel });
+      conditionBuilderComponent.addLocalHook('afterClose', () => this.onSelectUIClosed());
+      conditionBuilderComponent.addLocalHook('render', () => this.onComponentRender());
+
+      this.components.set('filter_by_condition_builder', addConfirmationHooks(conditionBuilderComponent));
+    }
     if (!this.components.get('filter_by_value')) {
-      this.components.set('filter_by_value', addConfirmationHooks(new ValueComponent(this.hot, { id: 'filter_by_value', name: filterValueLabel })));
+      const valueComponent = new ValueComponent(this.hot, { id: 'filter_by_value', name: filterValueLabel });
+
+      valueComponent.addLocalHook('search', text => this.remoteFilteringFeature.onValueComponentSearch(text));
+
+      this.components.set('filter_by_value', addConfirmationHooks(valueComponent));
     }
     if (!this.components.get('filter_action_bar')) {
       this.components.set('filter_action_bar', addConfirmationHooks(new ActionBarComponent(this.hot, { id: 'filter_action_bar', name: 'Action bar' })));
@@ -184,6 +349,13 @@ class Filters extends BasePlugin {
     this.addHook('afterDropdownMenuShow', () => this.onAfterDropdownMenuShow());
     this.addHook('afterDropdownMenuHide', () => this.onAfterDropdownMenuHide());
     this.addHook('afterChange', changes => this.onAfterChange(changes));
+    this.addHook('afterRenderer', (TD, row, col, prop, value) => this.quickFilterFeature.onAfterRenderer(TD, col, value));
+    this.addHook('afterGetColumnHeaderRenderers', renderers => this.filterRowFeature.onAfterGetColumnHeaderRenderers(renderers));
+    this.addHook('afterInit', () => this.persistenceFeature.onAfterInit());
+    this.addHook('afterUntrimRow', rows => this.nestedRowsFeature.onAfterUntrimRow(rows));
+
+    this.quickFilterFeature.enable();
+    this.filterRowFeature.enable();
 
     // force to enable dependent plugins
     this.hot.getSettings().trimRows = true;
@@ -221,6 +393,14 @@ class Filters extends BasePlugin {
       });
 
       this.conditionCollection.clean();
+      this.quickFilter = null;
+      this.pendingFiltering = null;
+      this.quickFilterFeature.disable();
+      this.filterRowFeature.disable();
+      this.asyncFilteringFeature.disable();
+      this.remoteFilteringFeature.disable();
+      this.nestedRowsFeature.disable();
+      this.undoRedoFeature.disable();
       this.trimRowsPlugin.untrimAll();
     }
     super.disablePlugin();
@@ -231,22 +411,52 @@ class Filters extends BasePlugin {
    * Adds condition to the conditions collection at specified column index.
    *
    * Possible predefined conditions:
+   *  * `above_average` - Above average
    *  * `begins_with` - Begins with
    *  * `between` - Between
+   *  * `below_average` - Below average
+   *  * `bottom_items` - Bottom N items (eq. `[10]`)
+   *  * `bottom_percent` - Bottom N percent (eq. `[10]`)
    *  * `by_value` - By value
    *  * `contains` - Contains
+   *  * `date_last_days` - In the last N days (relative to the current date, eq. `[7]`)
+   *  * `date_last_month` - Last month
+   *  * `date_last_week` - Last week
+   *  * `date_next_days` - In the next N days (relative to the current date, eq. `[7]`)
+   *  * `date_this_month` - This month
+   *  * `date_this_quarter` - This quarter
+   *  * `date_this_week` - This week
+   *  * `date_year_to_date` - Year to date
+   *  * `duplicate` - Duplicate values
    *  * `empty` - Empty
    *  * `ends_with` - Ends with
    *  * `eq` - Equal
    *  * `gt` - Greater than
    *  * `gte` - Greater than or equal
+   *  * `like` - Is like (wildcard pattern where `*` matches any sequence of chars and `?` matches any single char)
    *  * `lt` - Less than
    *  * `lte` - Less than or equal
+   *  * `matches_regex` - Matches regular expression
    *  * `none` - None (no filter)
    *  * `not_between` - Not between
    *  * `not_contains` - Not contains
    *  * `not_empty` - Not empty
+   *  * `not_matches_regex` - Does not match regular expression
    *  * `neq` - Not equal
+   *  * `top_items` - Top N items (eq. `[10]`)
+   *  * `top_percent` - Top N percent (eq. `[10]`)
+   *  * `unique` - Unique values
+   *
+   * The `matches_regex`, `not_matches_regex` and `like` conditions are case insensitive by default. Pass `true` as the
+   * second argument to make them case sensitive (eq. `['^ERR-\\d{4}', true]`). Invalid regular expressions don't match
+   * any value.
+   *
+   * The relative date conditions (`date_last_days`, `date_this_week` etc.) are computed against the current date every
+   * time the data is filtered.
+   *
+   * The column-dependent conditions (`top_items`, `above_average`, `duplicate` etc.) compare the value with all values
+   * of the column, including the rows hidden by the conditions of other columns. The values equal to the last counted
+   * item are matched by the top and bottom conditions, so more rows than requested can be displayed.
    *
    * Possible operations on collection of conditions:
    *  * `conjunction` - [**Conjunction**](https://en.wikipedia.org/wiki/Logical_conjunction) on conditions collection (by default), i.e. for such operation: c1 AND c2 AND c3 AND c4 ... AND cn === TRUE, where c1 ... cn are conditions.
@@ -286,6 +496,10 @@ class Filters extends BasePlugin {
    * filtersPlugin.addCondition(1, 'begins_with', ['de'], 'disjunction');
    * filtersPlugin.addCondition(1, 'not_contains', ['ing'], 'disjunction');
    * filtersPlugin.filter();
+   *
+   * // add case sensitive filter "Matches regular expression" with pattern "^ERR-\d{4}"
+   * filtersPlugin.addCondition(1, 'matches_regex', ['^ERR-\\d{4}', true]);
+   * filtersPlugin.filter();
    * ```
    * @param {Number} column Visual column index.
    * @param {String} name Condition short name.
@@ -298,6 +512,74 @@ class Filters extends BasePlugin {
     this.conditionCollection.addCondition(physicalColumn, { command: { key: name }, args }, operationId);
   }
 
+  /**
+   * Adds a group of conditions to the conditions collection at specified column index. The conditions of the group are
+   * joined with the `groupOperationId` operation and the group is joined with other conditions of the column with the
+   * `operationId` operation. Groups can be nested.
+   *
+   * @example
+   * ```js
+   * const filtersPlugin = hot.getPlugin('filters');
+   *
+   * // filter values "between 10 and 20" OR "between 50 and 60" OR "empty"
+   * filtersPlugin.addConditionsGroup(1, [
+   *   { name: 'between', args: [10, 20] },
+   *   { name: 'between', args: [50, 60] },
+   *   { name: 'empty', args: [] },
+   * ], 'disjunction');
+   * filtersPlugin.filter();
+   *
+   * // filter values "greater than 10" AND ("less than 20" OR "equal to 100")
+   * filtersPlugin.clearConditions(1);
+   * filtersPlugin.addCondition(1, 'gt', [10]);
+   * filtersPlugin.addConditionsGroup(1, [
+   *   { name: 'lt', args: [20] },
+   *   { operation: 'conjunction', conditions: [{ name: 'eq', args: [100] }] },
+   * ], 'disjunction');
+   * filtersPlugin.filter();
+   * ```
+   * @param {Number} column Visual column index.
+   * @param {Array} conditions List of conditions (objects with keys `name` and `args`) and nested groups (objects with
+   *                           keys `operation` and `conditions`).
+   * @param {String} [groupOperationId='conjunction'] `id` of operation which is performed on the group conditions.
+   * @param {String} [operationId='conjunction'] `id` of operation which is performed on the column.
+   */
+  addConditionsGroup(column, conditions, groupOperationId = OPERATION_AND, operationId = OPERATION_AND) {
+    const physicalColumn = this.t.toPhysicalColumn(column);
+
+    this.conditionCollection.addCondition(physicalColumn, { operation: groupOperationId, conditions }, operationId);
+  }
+
+  /**
+   * Registers custom condition. Once registered, the condition can be used by the {@link Filters#addCondition} method
+   * and it's displayed in the conditions list of the drop-down menu for columns of the matching type (for all
+   * Handsontable instances). The displayed label can be translated by adding the `descriptor.name` key (eq.
+   * `'Filters:conditions.isValidIban'`) to the language dictionary.
+   *
+   * @example
+   * ```js
+   * const filtersPlugin = hot.getPlugin('filters');
+   *
+   * filtersPlugin.registerCondition('is_valid_iban', dataRow => isValidIban(dataRow.value), {
+   *   name: 'Filters:conditions.isValidIban',
+   *   inputsCount: 0,
+   *   showOperators: true,
+   *   columnTypes: ['text'],
+   * });
+   *
+   * filtersPlugin.addCondition(1, 'is_valid_iban', []);
+   * filtersPlugin.filter();
+   * ```
+   * @param {String} name Condition name.
+   * @param {Function} condition Condition function. It's called with the `dataRow` object (with `value` and `meta`
+   *                             keys) and an array of the condition arguments.
+   * @param {Object} [descriptor] Condition descriptor with keys `name`, `inputsCount`, `showOperators` and
+   *                              `columnTypes`.
+   */
+  registerCondition(name, condition, descriptor) {
+    registerCustomCondition(name, condition, descriptor);
+  }
+
   /**
    * Removes conditions at specified column index.
    *
@@ -327,50 +609,293 @@ class Filters extends BasePlugin {
   }
 
   /**
-   * Filters data based on added filter conditions.
+   * Sets the row-level filter expression, which allows filtering rows by predicates across many columns. The expression
+   * is combined with the column conditions using the AND operator and it's applied by the {@link Filters#filter} method.
+   *
+   * The expression can be a string, where keys wrapped in curly braces (data properties, eq. `{price}`, or column
+   * indexes for the array data sources, eq. `{0}`) are replaced with the row values, or a function called with the
+   * source data row and the physical row index. The string expression isn't evaluated as JavaScript code (so it works
+   * also with the Content Security Policy which disallows `eval`). It may contain only the placeholders, the numbers,
+   * the quoted strings, the `true`, `false`, `null` and `undefined` literals, the parentheses and the arithmetic,
+   * comparison (`===`, `!==`, `<`, `<=`, `>`, `>=`) and logical (`&&`, `||`, `!`) operators.
+   *
+   * @example
+   * ```js
+   * const filtersPlugin = hot.getPlugin('filters');
+   *
+   * filtersPlugin.setRowExpression('{qty} * {price} > 1000');
+   * filtersPlugin.filter();
+   *
+   * filtersPlugin.setRowExpression(row => row.endDate < row.startDate);
+   * filtersPlugin.filter();
+   * ```
+   * @param {String|Function} expression Expression string or function which returns `true` for the visible rows.
+   */
+  setRowExpression(expression) {
+    this.rowExpression = createRowExpression(expression);
+  }
+
+  /**
+   * Gets the row-level filter expression set by the {@link Filters#setRowExpression} method.
+   *
+   * @returns {String|Function|null}
+   */
+  getRowExpression() {
+    return this.rowExpression ? this.rowExpression.expression : null;
+  }
+
+  /**
+   * Clears the row-level filter expression.
+   */
+  clearRowExpression() {
+    this.rowExpression = null;
+  }
+
+  /**
+   * Sets the quick filter, which hides rows that don't contain the text in any of the columns (or in any of the chosen
+   * columns). The quick filter is combined with the column conditions using the AND operator and it's applied by the
+   * {@link Filters#filter} method. The cells containing the text get the `htFiltersQuickFilterMatch` class. An empty
+   * text clears the quick filter.
+   *
+   * @example
+   * ```js
+   * const filtersPlugin = hot.getPlugin('filters');
+   *
+   * // show rows which contain "john" in any column
+   * filtersPlugin.setQuickFilter('john');
+   * filtersPlugin.filter();
+   *
+   * // show rows which contain "John" in the columns at index 1 or 2
+   * filtersPlugin.setQuickFilter('John', { columns: [1, 2], caseSensitive: true });
+   * filtersPlugin.filter();
+   * ```
+   * @param {String} text Searched text.
+   * @param {Object} [options] Object with keys:
+   *  * `columns` Array, Visual indexes of the searched columns (all columns are searched by default).
+   *  * `caseSensitive` Boolean, Determines if the text is searched with the case sensitivity (`false` by default).
+   */
+  setQuickFilter(text, { columns, caseSensitive = false } = {}) {
+    if (text === null || text === void 0 || text === '') {
+      this.clearQuickFilter();
+
+      return;
+    }
+
+    this.quickFilter = createQuickFilter(text, {
+      columns: Array.isArray(columns) ? arrayMap(columns, column => this.t.toPhysicalColumn(column)) : null,
+      caseSensitive,
+    });
+  }
+
+  /**
+   * Gets the text searched by the quick filter set by the {@link Filters#setQuickFilter} method.
+   *
+   * @returns {String|null}
+   */
+  getQuickFilter() {
+    return this.quickFilter ? this.quickFilter.text : null;
+  }
+
+  /**
+   * Clears the quick filter.
+   */
+  clearQuickFilter() {
+    this.quickFilter = null;
+  }
+
+  /**
+   * Filters data based on added filter conditions, the row-level filter expression and the quick filter. The `beforeFilter` and
+   * `afterFilter` hooks are called with the exported conditions and the row-level filter expression (or `null`).
+   *
+   * When the `async` option is enabled and the conditions can be evaluated by the worker, the rows are filtered
+   * asynchronously and the `afterFilter` hook is called when the filtering is done.
+   *
+   * The filtering is recorded by the {@link UndoRedo} plugin (unless it's canceled by the `beforeFilter` hook).
    *
    * @fires Hooks#beforeFilter
    * @fires Hooks#afterFilter
    */
   filter() {
-    const dataFilter = this._createDataFilter();
-    const needToFilter = !this.conditionCollection.isEmpty();
-    let visibleVisualRows = [];
+    // The adapter is validated before the filtering is recorded by the undo stack.
+    const remoteAdapter = this.remoteFilteringFeature.isEnabled() ? this.remoteFilteringFeature.getAdapter() : null;
+    const needToFilter = !this.conditionCollection.isEmpty() || this.rowExpression !== null || this.quickFilter !== null;
 
     const conditions = this.conditionCollection.exportAllConditions();
-    const allowFiltering = this.hot.runHooks('beforeFilter', conditions);
+    const expression = this.getRowExpression();
+    const allowFiltering = this.hot.runHooks('beforeFilter', conditions, expression);
 
-    if (allowFiltering !== false) {
-      if (needToFilter) {
-        const trimmedRows = [];
+    this.undoRedoFeature.recordFiltering(allowFiltering !== false);
 
-        this.trimRowsPlugin.trimmedRows.length = 0;
+    // The result of the previous asynchronous filtering is outdated.
+    this.pendingFiltering = null;
 
-        visibleVisualRows = arrayMap(dataFilter.filter(), rowData => rowData.meta.visualRow);
+    if (allowFiltering !== false && remoteAdapter) {
+      this.remoteFilteringFeature.filter(remoteAdapter, conditions, expression);
 
-        const visibleVisualRowsAssertion = createArrayAssertion(visibleVisualRows);
+      return;
+    }
+    if (allowFiltering !== false && needToFilter && this.asyncFilteringFeature.filter(conditions, expression)) {
+      return;
+    }
 
-        rangeEach(this.hot.countSourceRows() - 1, (row) => {
-          if (!visibleVisualRowsAssertion(row)) {
-            trimmedRows.push(row);
-          }
-        });
+    if (allowFiltering !== false) {
+      if (needToFilter) {
+        this.trimRowsPlugin.trimmedRows.length = 0;
+        this.applyFilteredRows(this.conditionCollection.isEmpty() ?
+          null : arrayMap(this._createDataFilter().filter(), rowData => rowData.meta.visualRow));
 
-        this.trimRowsPlugin.trimRows(trimmedRows);
+      } else if (this.nestedRowsFeature.isEnabled()) {
+        this.nestedRowsFeature.reset();
 
-        if (!visibleVisualRows.length) {
-          this.hot.deselectCell();
-        }
       } else {
         this.trimRowsPlugin.untrimAll();
       }
     }
 
+    this.finishFiltering(conditions, expression);
+  }
+
+  /**
+   * Calls the functions waiting for the asynchronous filtering when no filtering is pending anymore (it has been done,
+   * it has failed or the plugin has been disabled).
+   *
+   * @private
+   */
+  runFilteringCallbacks() {
+    if (this.pendingFiltering !== null) {
+      return;
+    }
+    const callbacks = this.filteringCallbacks.splice(0, this.filteringCallbacks.length);
+
+    arrayEach(callbacks, callback => callback());
+  }
+
+  /**
+   * Trims rows which don't match the conditions, the row-level filter expression or the quick filter.
+   *
+   * @private
+   * @param {Array|null} conditionsVisualRows Visual indexes of the rows which match the conditions (`null` when there are
+   *                                          no conditions).
+   */
+  applyFilteredRows(conditionsVisualRows) {
+    const rowExpression = this.rowExpression;
+    const quickFilter = this.quickFilter;
+    const trimmedRows = [];
+    let visibleVisualRows = conditionsVisualRows;
+
+    if (visibleVisualRows === null) {
+      visibleVisualRows = [];
+      rangeEach(this.hot.countSourceRows() - 1, row => visibleVisualRows.push(row));
+    }
+    if (rowExpression) {
+      visibleVisualRows = arrayFilter(visibleVisualRows, row => rowExpression.func(this.hot.getSourceDataAtRow(row), row));
+    }
+    if (quickFilter) {
+      visibleVisualRows = arrayFilter(visibleVisualRows, row => this.quickFilterFeature.isRowMatch(row));
+    }
+
+    const isNestedData = this.nestedRowsFeature.isEnabled();
+
+    if (isNestedData) {
+      visibleVisualRows = this.nestedRowsFeature.getVisibleRows(visibleVisualRows);
+    }
+
+    const visibleVisualRowsAssertion = createArrayAssertion(visibleVisualRows);
+
+    rangeEach(this.hot.countSourceRows() - 1, (row) => {
+      if (!visibleVisualRowsAssertion(row)) {
+        trimmedRows.push(row);
+      }
+    });
+
+    if (isNestedData) {
+      this.nestedRowsFeature.trimRows(trimmedRows, visibleVisualRows);
+
+    } else {
+      this.trimRowsPlugin.trimRows(trimmedRows);
+    }
+
+    if (!visibleVisualRows.length) {
+      this.hot.deselectCell();
+    }
+  }
+
+  /**
+   * Renders the filtered table and calls the `afterFilter` hook.
+   *
+   * @private
+   * @param {Array} conditions Exported conditions.
+   * @param {String|null} expression Row-level filter expression.
+   */
+  finishFiltering(conditions, expression) {
+    this.filterRowFeature.clearReplacedValues();
+
     this.hot.view.wt.wtOverlays.adjustElementsSize(true);
     this.hot.render();
     this.clearColumnSelection();
 
-    this.hot.runHooks('afterFilter', conditions);
+    this.hot.runHooks('afterFilter', conditions, expression);
+
+    if (this.persistenceFeature.isEnabled()) {
+      this.persistenceFeature.saveState();
+    }
+    this.stopActionBarLoading();
+  }
+
+  /**
+   * Closes the drop-down menu which waits for the asynchronous filtering started by the action bar.
+   *
+   * @private
+   */
+  stopActionBarLoading() {
+    const actionBar = this.components.get('filter_action_bar');
+
+    if (actionBar.isLoading()) {
+      actionBar.setLoading(false);
+      this.dropdownMenuPlugin.close();
+    }
+  }
+
+  /**
+   * Checks if the asynchronous filtering is in progress.
+   *
+   * @returns {Boolean}
+   */
+  isFiltering() {
+    return this.pendingFiltering !== null;
+  }
+
+  /**
+   * Serializes the filter state (conditions and quick filter) into a compact URL-safe string. The columns are identified
+   * by their data properties, so the state can be restored by {@link Filters#deserializeState} even when the columns
+   * order changes. The row-level filter expression isn't serialized.
+   *
+   * @example
+   * ```js
+   * const filtersPlugin = hot.getPlugin('filters');
+   *
+   * // share the filtered view by the link
+   * const link = `${location.pathname}#filters=${filtersPlugin.serializeState()}`;
+   *
+   * // restore the filtered view after the page load
+   * filtersPlugin.deserializeState(location.hash.replace('#filters=', ''));
+   * filtersPlugin.filter();
+   * ```
+   * @returns {String}
+   */
+  serializeState() {
+    return serializeState(this.persistenceFeature.exportState());
+  }
+
+  /**
+   * Restores the filter state serialized by {@link Filters#serializeState}. The current conditions and quick filter are
+   * replaced (the row-level filter expression is kept). Conditions of the columns which don't exist anymore are
+   * skipped. Filters are applied by the {@link Filters#filter} method.
+   *
+   * @param {String} string Serialized state.
+   */
+  deserializeState(string) {
+    this.persistenceFeature.importState(deserializeState(string));
   }
 
   /**
@@ -396,6 +921,42 @@ class Filters extends BasePlugin {
     }
   }
 
+  /**
+   * Gets the text comparator of the column, created from the plugin text comparison options extended by the column
+   * ones (`caseSensitive`, `accentSensitive`, `trimWhitespace` and `locale`).
+   *
+   * @example
+   * ```js
+   * const hot = new Handsontable(container, {
+   *   data: getData(),
+   *   filters: { accentSensitive: false, trimWhitespace: true },
+   *   columns: [{}, { filters: { caseSensitive: true } }],
+   * });
+   *
+   * hot.getPlugin('filters').getTextComparator(0).equals('Zürich ', 'zurich'); // true
+   * ```
+   *
+   * @param {Number} column Physical column index.
+   * @returns {Object} Returns object with keys `options`, `normalize`, `equals`, `contains`, `beginsWith` and
+   *                   `endsWith` (see {@link createTextComparator}).
+   */
+  getTextComparator(column) {
+    const options = {};
+    const pluginSettings = this.hot.getSettings().filters;
+    // The column settings inherit the plugin settings when the column doesn't define its own `filters` option.
+    const columnSettings = this.hot.getCellMeta(0, this.t.toVisualColumn(column)).filters;
+
+    arrayEach([pluginSettings, columnSettings], (settings) => {
+      if (typeof settings === 'object' && settings !== null) {
+        objectEach(settings, (value, key) => {
+          options[key] = value;
+        });
+      }
+    });
+
+    return createTextComparator(options);
+  }
+
   /**
    * Returns handsontable source data with cell meta based on current selection.
    *
@@ -404,13 +965,15 @@ class Filters extends BasePlugin {
    */
   getDataMapAtColumn(column) {
     const visualIndex = this.t.toVisualColumn(column);
+    const textComparator = this.getTextComparator(column);
     const data = [];
 
     arrayEach(this.hot.getSourceDataAtCol(visualIndex), (value, rowIndex) => {
       const { row, col, visualCol, visualRow, type, instance, dateFormat } = this.hot.getCellMeta(rowIndex, visualIndex);
 
       data.push({
-        meta: { row, col, visualCol, visualRow, type, instance, dateFormat },
+        // The whole data set is shared, so the column-dependent conditions can compare the value with other values.
+        meta: { row, col, visualCol, visualRow, type, instance, dateFormat, textComparator, columnData: data },
         value: toEmptyString(value),
       });
     });
@@ -477,8 +1040,11 @@ class Filters extends BasePlugin {
       this.components.get('filter_by_condition'),
       this.components.get('filter_operators'),
       this.components.get('filter_by_condition2'),
+      this.components.get('filter_by_condition_builder'),
       this.components.get('filter_by_value'),
     ]);
+
+    this.remoteFilteringFeature.loadSelectedColumnValues();
   }
 
   /**
@@ -487,8 +1053,13 @@ class Filters extends BasePlugin {
    * @private
    */
   onAfterDropdownMenuHide() {
+    this.remoteFilteringFeature.disable();
+    this.components.get('filter_by_value').stopBuildingItems();
+    this.components.get('filter_by_value').setLoading(false);
+    this.components.get('filter_action_bar').setLoading(false);
     this.components.get('filter_by_condition').getSelectElement().closeOptions();
     this.components.get('filter_by_condition2').getSelectElement().closeOptions();
+    this.components.get('filter_by_condition_builder').closeOptions();
   }
 
   /**
@@ -504,6 +1075,21 @@ class Filters extends BasePlugin {
       component[menuKeys.indexOf(component.getMenuItemDescriptor().key) === -1 ? 'hide' : 'show']();
     });
 
+    const conditionBuilder = this.components.get('filter_by_condition_builder');
+
+    // The condition builder replaces the conditional components (it's displayed where the first condition would be).
+    if (this.isConditionBuilderMode()) {
+      if (!this.components.get('filter_by_condition').isHidden()) {
+        conditionBuilder.show();
+      }
+      this.components.get('filter_by_condition').hide();
+      this.components.get('filter_operators').hide();
+      this.components.get('filter_by_condition2').hide();
+
+    } else {
+      conditionBuilder.hide();
+    }
+
     this.initHiddenRowsCache();
   }
 
@@ -547,6 +1133,67 @@ class Filters extends BasePlugin {
     return operation;
   }
 
+  /**
+   * Check if the values typed into the condition components are valid (eq. if the typed regular expressions can be
+   * compiled). Invalid inputs are marked with an error message.
+   *
+   * @private
+   * @returns {Boolean}
+   */
+  isConditionsValid() {
+    if (this.isConditionBuilderMode()) {
+      return this.components.get('filter_by_condition_builder').validate();
+    }
+    const isFirstValid = this.components.get('filter_by_condition').validate();
+    const isSecondValid = this.components.get('filter_by_condition2').validate();
+
+    return isFirstValid && isSecondValid;
+  }
+
+  /**
+   * Check if the condition builder is used instead of the conditional components (the `conditionBuilder` option).
+   *
+   * @private
+   * @returns {Boolean}
+   */
+  isConditionBuilderMode() {
+    const settings = this.hot.getSettings().filters;
+
+    return typeof settings === 'object' && settings !== null && settings.conditionBuilder === true;
+  }
+
+  /**
+   * Adds conditions defined in the condition builder (and the "by value" component) to the conditions collection.
+   * When the "by value" condition is defined, it's joined with the builder conditions (wrapped into a group) with the
+   * `conjunction` operation.
+   *
+   * @private
+   * @param {Number} physicalIndex Physical column index.
+   * @param {Object} builderState State of the condition builder component.
+   * @param {Object} byValueState State of the "by value" component.
+   */
+  addConditionBuilderConditions(physicalIndex, builderState, byValueState) {
+    const { operation, conditions } = builderState;
+
+    if (byValueState.command.key === CONDITION_NONE) {
+      if (conditions.length === 0) {
+        this.conditionCollection.removeConditions(physicalIndex);
+      }
+      arrayEach(conditions, condition => this.conditionCollection.addCondition(physicalIndex, condition, operation));
+
+      return;
+    }
+
+    if (conditions.length === 1) {
+      this.conditionCollection.addCondition(physicalIndex, conditions[0], OPERATION_AND);
+
+    } else if (conditions.length > 1) {
+      this.conditionCollection.addCondition(physicalIndex, builderState, OPERATION_AND);
+    }
+
+    this.conditionCollection.addCondition(physicalIndex, byValueState, OPERATION_AND);
+  }
+
   /**
    * On action bar submit listener.
    *
@@ -554,6 +1201,11 @@ class Filters extends BasePlugin {
    * @param {String} submitType
    */
   onActionBarSubmit(submitType) {
+    // The "by value" list doesn't reflect the column conditions until the remote values are loaded.
+    if (submitType === 'accept' && (!this.isConditionsValid() || this.remoteFilteringFeature.isLoadingColumnValues())) {
+      return;
+    }
+
     if (submitType === 'accept') {
       const selectedColumn = this.getSelectedColumn();
       const physicalIndex = selectedColumn && selectedColumn.physicalIndex;
@@ -567,7 +1219,10 @@ class Filters extends BasePlugin {
       this.conditionUpdateObserver.groupChanges();
       this.conditionCollection.clearConditions(physicalIndex);
 
-      if (byConditionState1.command.key === CONDITION_NONE && byConditionState2.command.key === CONDITION_NONE && byValueState.command.key === CONDITION_NONE) {
+      if (this.isConditionBuilderMode()) {
+        this.addConditionBuilderConditions(physicalIndex, this.components.get('filter_by_condition_builder').getState(), byValueState);
+
+      } else if (byConditionState1.command.key === CONDITION_NONE && byConditionState2.command.key === CONDITION_NONE && byValueState.command.key === CONDITION_NONE) {
         this.conditionCollection.removeConditions(physicalIndex);
 
       } else {
@@ -587,11 +1242,19 @@ class Filters extends BasePlugin {
       this.conditionUpdateObserver.flush();
 
       this.components.get('filter_operators').saveState(physicalIndex);
+      this.components.get('filter_by_condition_builder').saveState(physicalIndex);
       this.components.get('filter_by_value').saveState(physicalIndex);
       this.saveHiddenRowsCache(physicalIndex);
 
       this.trimRowsPlugin.trimmedRows.length = 0;
       this.filter();
+
+      // The drop-down menu is closed when the rows are filtered (see `finishFiltering`).
+      if (this.isFiltering()) {
+        this.components.get('filter_action_bar').setLoading(true);
+
+        return;
+      }
     }
     this.dropdownMenuPlugin.close();
   }
@@ -613,11 +1276,25 @@ class Filters extends BasePlugin {
       }
     }
 
-    if (component.constructor === ConditionComponent && !command.inputsCount) {
+    if ((component.constructor === ConditionComponent || component.constructor === ConditionBuilderComponent) && !command.inputsCount) {
       this.setListeningDropdownMenu();
     }
   }
 
+  /**
+   * On component render listener. Refreshes the drop-down menu, so its size fits the changed component (eq. the
+   * conditions tree of the condition builder or the displayed date picker).
+   *
+   * @private
+   */
+  onComponentRender() {
+    const menu = this.dropdownMenuPlugin && this.dropdownMenuPlugin.menu;
+
+    if (menu && menu.isOpened()) {
+      menu.hotMenu.render();
+    }
+  }
+
   /**
    * On component SelectUI closed listener.
    *
@@ -685,6 +1362,11 @@ class Filters extends BasePlugin {
 
       this.conditionCollection.destroy();
       this.conditionUpdateObserver.destroy();
+      this.pendingFiltering = null;
+      this.quickFilterFeature.disable();
+      this.filterRowFeature.disable();
+      this.asyncFilteringFeature.disable();
+      this.remoteFilteringFeature.disable();
       this.hiddenRowsCache.clear();
       this.trimRowsPlugin.disablePlugin();
     }
@@ -719,7 +1401,12 @@ class Filters extends BasePlugin {
     const conditionsWithoutByValue = conditions.filter(condition => condition.name !== CONDITION_BY_VALUE);
     const operationType = this.conditionCollection.columnTypes[column];
 
-    if (conditionsByValue.length === 2 || conditionsWithoutByValue.length === 3) {
+    if (this.isConditionBuilderMode()) {
+      this.components.get('filter_by_condition_builder').updateState(conditionsWithoutByValue, column, operationType);
+      this.components.get('filter_by_value').updateState(conditionsState);
+
+    } else if (conditionsByValue.length === 2 || conditionsWithoutByValue.length === 3 ||
+      conditionsWithoutByValue.some(condition => condition.conditions)) {
       warn(toSingleLine`The filter conditions have been applied properly, but couldn’t be displayed visually.
         The overall amount of conditions exceed the capability of the dropdown menu.
         For more details see the documentation.`);
@@ -0,0 +1,73 @@
+import UndoRedo from 'handsontable/plugins/undoRedo/undoRedo';
+
+/**
+ * Check if both filter states (see {@link UndoRedoFeature#lastState}) filter the data in the same way.
+ *
+ * @param {Object} state Object with keys `conditions`, `rowExpression` and `quickFilter`.
+ * @param {Object} otherState Object with keys `conditions`, `rowExpression` and `quickFilter`.
+ * @returns {Boolean}
+ */
+export function isSameFilterState(state, otherState) {
+  const expression = state.rowExpression ? state.rowExpression.expression : null;
+  const otherExpression = otherState.rowExpression ? otherState.rowExpression.expression : null;
+  const toComparableQuickFilter = quickFilter => JSON.stringify(quickFilter ?
+    [quickFilter.text, quickFilter.columns, quickFilter.caseSensitive] : null);
+
+  return expression === otherExpression &&
+    toComparableQuickFilter(state.quickFilter) === toComparableQuickFilter(otherState.quickFilter) &&
+    JSON.stringify(state.conditions) === JSON.stringify(otherState.conditions);
+}
+
+/**
+ * Undoable filter action. Unlike the action recorded by the core {@link UndoRedo} plugin (which can revert only the
+ * conditions of the last filtered column), it restores the whole filter state from before the filtering, so the
+ * removed and cleared conditions are restored too.
+ *
+ * @class FiltersAction
+ * @util
+ */
+class FiltersAction extends UndoRedo.Action {
+  constructor(stateBefore, stateAfter) {
+    super();
+    /**
+     * Filter state before the filtering (object with keys `conditions`, `rowExpression` and `quickFilter`).
+     *
+     * @type {Object}
+     */
+    this.stateBefore = stateBefore;
+    /**
+     * Filter state after the filtering (object with keys `conditions`, `rowExpression` and `quickFilter`).
+     *
+     * @type {Object}
+     */
+    this.stateAfter = stateAfter;
+    /**
+     * Action type.
+     *
+     * @type {String}
+     */
+    this.actionType = 'filter';
+  }
+
+  /**
+   * Restore the filter state from before the filtering.
+   *
+   * @param {Core} instance Handsontable instance.
+   * @param {Function} undoneCallback Function called when the action is undone (the rows are filtered).
+   */
+  undo(instance, undoneCallback) {
+    instance.getPlugin('filters').undoRedoFeature.restoreState(this.stateBefore, undoneCallback);
+  }
+
+  /**
+   * Restore the filter state from after the filtering.
+   *
+   * @param {Core} instance Handsontable instance.
+   * @param {Function} redoneCallback Function called when the action is redone (the rows are filtered).
+   */
+  redo(instance, redoneCallback) {
+    instance.getPlugin('filters').undoRedoFeature.restoreState(this.stateAfter, redoneCallback);
+  }
+}
+
+export default FiltersAction;
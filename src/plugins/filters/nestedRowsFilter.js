@@ -0,0 +1,102 @@
+import { arrayEach } from 'handsontable/helpers/array';
+import { rangeEach } from 'handsontable/helpers/number';
+
+/**
+ * Mode which displays the matching rows with their ancestors.
+ *
+ * @type {String}
+ */
+export const NESTED_ROWS_MODE_ANCESTORS = 'ancestors';
+/**
+ * Mode which displays the matching rows with their ancestors and the whole subtrees of the matching rows.
+ *
+ * @type {String}
+ */
+export const NESTED_ROWS_MODE_SUBTREE = 'subtree';
+/**
+ * Mode which matches only the leaves (rows without children). The parents are displayed as the ancestors of the
+ * matching leaves.
+ *
+ * @type {String}
+ */
+export const NESTED_ROWS_MODE_LEAVES = 'leaves';
+
+export const NESTED_ROWS_MODES = [NESTED_ROWS_MODE_ANCESTORS, NESTED_ROWS_MODE_SUBTREE, NESTED_ROWS_MODE_LEAVES];
+
+/**
+ * Mark rows of all descendants of the row object.
+ *
+ * @param {Object} dataManager Instance of the NestedRows plugin `DataManager`.
+ * @param {Object} rowObject Row object (tree node).
+ * @param {Array} markedRows Flags indexed by row index.
+ */
+function markDescendants(dataManager, rowObject, markedRows) {
+  if (!dataManager.hasChildren(rowObject)) {
+    return;
+  }
+
+  arrayEach(rowObject.__children, (childObject) => {
+    const childRow = dataManager.getRowIndex(childObject);
+
+    // The subtree of the child has been already marked (the child matches too).
+    if (!markedRows[childRow]) {
+      markedRows[childRow] = true;
+      markDescendants(dataManager, childObject, markedRows);
+    }
+  });
+}
+
+/**
+ * Get the rows of the nested data displayed after filtering.
+ *
+ * @param {Object} dataManager Instance of the NestedRows plugin `DataManager`.
+ * @param {Array} matchedRows Indexes of the rows which match the conditions.
+ * @param {String} [mode='ancestors'] One of the {@link NESTED_ROWS_MODES}.
+ * @returns {Object} Returns object with keys `rows` (indexes of the displayed rows, sorted ascending) and `ancestors`
+ *                   (indexes of the rows which are the ancestors of the matching rows).
+ */
+export function getNestedVisibleRows(dataManager, matchedRows, mode = NESTED_ROWS_MODE_ANCESTORS) {
+  const visibleRows = [];
+  const ancestorRows = [];
+  const subtreeRows = [];
+  const rows = [];
+  const ancestors = [];
+
+  arrayEach(matchedRows, (row) => {
+    const rowObject = dataManager.getDataObject(row);
+
+    if (mode === NESTED_ROWS_MODE_LEAVES && dataManager.hasChildren(rowObject)) {
+      return;
+    }
+    visibleRows[row] = true;
+
+    let parentObject = dataManager.getRowParent(rowObject);
+
+    while (parentObject !== null && parentObject !== void 0) {
+      const parentRow = dataManager.getRowIndex(parentObject);
+
+      // Ancestors of the already marked ancestor are marked too.
+      if (ancestorRows[parentRow]) {
+        break;
+      }
+      ancestorRows[parentRow] = true;
+      visibleRows[parentRow] = true;
+      parentObject = dataManager.getRowParent(parentObject);
+    }
+
+    if (mode === NESTED_ROWS_MODE_SUBTREE && !subtreeRows[row]) {
+      markDescendants(dataManager, rowObject, subtreeRows);
+    }
+  });
+
+  rangeEach(Math.max(visibleRows.length, subtreeRows.length) - 1, (row) => {
+    if (visibleRows[row] || subtreeRows[row]) {
+      rows.push(row);
+    }
+    if (ancestorRows[row]) {
+      ancestors.push(row);
+    }
+  });
+
+  return { rows, ancestors };
+}
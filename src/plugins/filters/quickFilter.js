@@ -0,0 +1,26 @@
+/* eslint-disable import/prefer-default-export */
+import { stringify } from 'handsontable/helpers/mixed';
+
+/**
+ * Create the quick filter object (with the `isMatch` key which checks values) based on the searched text.
+ *
+ * @param {String} text Searched text.
+ * @param {Object} [options] Object with keys:
+ *  * `columns` Array|null, Physical indexes of the searched columns (all columns are searched by default).
+ *  * `caseSensitive` Boolean, Determines if the text is searched with the case sensitivity (`false` by default).
+ * @returns {Object} Returns object with keys `text`, `columns`, `caseSensitive` and `isMatch`.
+ */
+export function createQuickFilter(text, { columns = null, caseSensitive = false } = {}) {
+  const searchedText = caseSensitive ? stringify(text) : stringify(text).toLowerCase();
+
+  return {
+    text: stringify(text),
+    columns,
+    caseSensitive,
+    isMatch: (value) => {
+      const stringifiedValue = stringify(value);
+
+      return (caseSensitive ? stringifiedValue : stringifiedValue.toLowerCase()).indexOf(searchedText) > -1;
+    },
+  };
+}
@@ -0,0 +1,248 @@
+import { getProperty, hasOwnProperty } from 'handsontable/helpers/object';
+
+/**
+ * Regular expression which matches the tokens of the expression: the row value placeholders (eq. `{price}`,
+ * `{address.city}` or `{0}`), the numbers, the quoted strings, the operators and the identifiers.
+ *
+ * @type {RegExp}
+ */
+const TOKEN_REGEXP =
+  /\s*(?:\{\s*([^{}\s]+)\s*\}|(\d*\.?\d+(?:[eE][+-]?\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(===|!==|<=|>=|&&|\|\||[-+*/%<>!()])|([A-Za-z_$][\w$]*))/g;
+
+/**
+ * Values of the identifiers which can be used in the expression.
+ *
+ * @type {Object}
+ */
+const LITERALS = {
+  true: true,
+  false: false,
+  null: null,
+  undefined: void 0,
+};
+
+/**
+ * Binary operators grouped by the precedence (from the lowest one). Each operator combines the functions which
+ * evaluate its operands.
+ *
+ * @type {Array}
+ */
+const BINARY_OPERATORS = [
+  {
+    '||': (left, right) => getValue => left(getValue) || right(getValue),
+  },
+  {
+    '&&': (left, right) => getValue => left(getValue) && right(getValue),
+  },
+  {
+    '===': (left, right) => getValue => left(getValue) === right(getValue),
+    '!==': (left, right) => getValue => left(getValue) !== right(getValue),
+  },
+  {
+    '<': (left, right) => getValue => left(getValue) < right(getValue),
+    '<=': (left, right) => getValue => left(getValue) <= right(getValue),
+    '>': (left, right) => getValue => left(getValue) > right(getValue),
+    '>=': (left, right) => getValue => left(getValue) >= right(getValue),
+  },
+  {
+    '+': (left, right) => getValue => left(getValue) + right(getValue),
+    '-': (left, right) => getValue => left(getValue) - right(getValue),
+  },
+  {
+    '*': (left, right) => getValue => left(getValue) * right(getValue),
+    '/': (left, right) => getValue => left(getValue) / right(getValue),
+    '%': (left, right) => getValue => left(getValue) % right(getValue),
+  },
+];
+
+/**
+ * Unary operators. Each operator wraps the function which evaluates its operand.
+ *
+ * @type {Object}
+ */
+const UNARY_OPERATORS = {
+  '!': operand => getValue => !operand(getValue),
+  '-': operand => getValue => -operand(getValue),
+  '+': operand => getValue => +operand(getValue),
+};
+
+/**
+ * Split the expression into the tokens (objects with keys `type` (`'key'`, `'value'` or `'operator'`) and `value`).
+ *
+ * @param {String} expression Expression with placeholders.
+ * @returns {Array}
+ */
+function tokenize(expression) {
+  const regexp = new RegExp(TOKEN_REGEXP.source, 'g');
+  const tokens = [];
+  let position = 0;
+
+  while (expression.slice(position).trim() !== '') {
+    regexp.lastIndex = position;
+    const match = regexp.exec(expression);
+
+    if (!match || match.index !== position) {
+      throw new Error(`Unexpected character \`${expression.slice(position).trim().charAt(0)}\`.`);
+    }
+    const [, key, number, string, operator, identifier] = match;
+
+    if (key !== void 0) {
+      tokens.push({ type: 'key', value: key });
+
+    } else if (number !== void 0) {
+      tokens.push({ type: 'value', value: parseFloat(number) });
+
+    } else if (string !== void 0) {
+      tokens.push({ type: 'value', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+
+    } else if (operator !== void 0) {
+      tokens.push({ type: 'operator', value: operator });
+
+    } else if (hasOwnProperty(LITERALS, identifier)) {
+      tokens.push({ type: 'value', value: LITERALS[identifier] });
+
+    } else {
+      throw new Error(`Unexpected identifier \`${identifier}\`.`);
+    }
+
+    position = regexp.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse the tokens into the function which evaluates the expression.
+ *
+ * @param {Array} tokens Tokens created by {@link tokenize}.
+ * @returns {Function} Returns function which accepts the `getValue(key)` function (returning the row values).
+ */
+function parse(tokens) {
+  let index = 0;
+
+  const isOperator = (token, operators) => !!token && token.type === 'operator' && hasOwnProperty(operators, token.value);
+  const expect = (value) => {
+    const token = tokens[index];
+
+    if (!token || token.type !== 'operator' || token.value !== value) {
+      throw new Error(token ? `Unexpected token \`${token.value}\`.` : 'Unexpected end of the expression.');
+    }
+    index += 1;
+  };
+
+  let parseBinary = null;
+
+  const parsePrimary = () => {
+    const token = tokens[index];
+
+    if (!token) {
+      throw new Error('Unexpected end of the expression.');
+    }
+    index += 1;
+
+    if (token.type === 'key') {
+      return getValue => getValue(token.value);
+
+    } else if (token.type === 'value') {
+      return () => token.value;
+
+    } else if (token.value === '(') {
+      const operand = parseBinary(0);
+
+      expect(')');
+
+      return operand;
+
+    } else if (isOperator(token, UNARY_OPERATORS)) {
+      return UNARY_OPERATORS[token.value](parsePrimary());
+    }
+
+    throw new Error(`Unexpected token \`${token.value}\`.`);
+  };
+
+  parseBinary = (level) => {
+    if (level === BINARY_OPERATORS.length) {
+      return parsePrimary();
+    }
+    const operators = BINARY_OPERATORS[level];
+    let result = parseBinary(level + 1);
+
+    while (isOperator(tokens[index], operators)) {
+      const operator = operators[tokens[index].value];
+
+      index += 1;
+      result = operator(result, parseBinary(level + 1));
+    }
+
+    return result;
+  };
+
+  const func = parseBinary(0);
+
+  if (index < tokens.length) {
+    throw new Error(`Unexpected token \`${tokens[index].value}\`.`);
+  }
+
+  return func;
+}
+
+/**
+ * Compile the string expression into the function. Placeholders (keys wrapped in curly braces) are replaced with
+ * the values of the row (eq. `{qty} * {price} > 1000`). The expression isn't evaluated as JavaScript code, it may
+ * contain only the placeholders, the numbers, the quoted strings, the `true`, `false`, `null` and `undefined`
+ * literals, the parentheses and the arithmetic (`+`, `-`, `*`, `/`, `%`), comparison (`===`, `!==`, `<`, `<=`, `>`,
+ * `>=`) and logical (`&&`, `||`, `!`) operators, which work as in JavaScript.
+ *
+ * @param {String} expression Expression with placeholders.
+ * @returns {Function} Returns function which accepts the source data row and returns `true` when the row matches.
+ */
+export function compileExpression(expression) {
+  let func;
+
+  try {
+    func = parse(tokenize(expression));
+
+  } catch (error) {
+    throw new Error(`Invalid row expression \`${expression}\`. ${error.message}`);
+  }
+
+  return row => func(key => (row === null || row === void 0 ? void 0 : getProperty(row, key)));
+}
+
+/**
+ * Create the row expression object (with the `func` key which checks rows) based on the expression string or
+ * the callback function.
+ *
+ * @param {String|Function} expression Expression string (see {@link compileExpression}) or function called with
+ *                                     the source data row and the physical row index.
+ * @returns {Object} Returns object with keys `expression` and `func`.
+ */
+export function createRowExpression(expression) {
+  let func;
+
+  if (typeof expression === 'function') {
+    func = expression;
+
+  } else if (typeof expression === 'string') {
+    func = compileExpression(expression);
+
+  } else {
+    throw new Error('The row expression has to be a string or a function.');
+  }
+
+  return {
+    expression,
+    func: (row, rowIndex) => {
+      let result;
+
+      // Rows for which the expression can't be evaluated (eq. missing nested objects) are treated as not matching.
+      try {
+        result = func(row, rowIndex);
+      } catch (error) {
+        result = false;
+      }
+
+      return !!result;
+    },
+  };
+}
@@ -0,0 +1,23 @@
+import { condition } from 'handsontable-pro/plugins/filters/condition/aboveAverage';
+import { columnDataFactory, dateRowFactory } from './../helpers/utils';
+
+describe('Filters condition (`above_average`)', () => {
+  const columnData = columnDataFactory([2, 4, '', 6, 'foo', '8']);
+
+  it('should filter matching values', () => {
+    const data = dateRowFactory({ type: 'numeric' });
+
+    expect(condition(data(6), [], columnData)).toBe(true);
+    expect(condition(data('8'), [], columnData)).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dateRowFactory({ type: 'numeric' });
+
+    expect(condition(data(5), [], columnData)).toBe(false);
+    expect(condition(data(2), [], columnData)).toBe(false);
+    expect(condition(data(''), [], columnData)).toBe(false);
+    expect(condition(data('foo'), [], columnData)).toBe(false);
+    expect(condition(data(6), [], columnDataFactory(['', 'foo']))).toBe(false);
+  });
+});
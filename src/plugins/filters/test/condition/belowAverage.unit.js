@@ -0,0 +1,22 @@
+import { condition } from 'handsontable-pro/plugins/filters/condition/belowAverage';
+import { columnDataFactory, dateRowFactory } from './../helpers/utils';
+
+describe('Filters condition (`below_average`)', () => {
+  const columnData = columnDataFactory([2, 4, '', 6, 'foo', '8']);
+
+  it('should filter matching values', () => {
+    const data = dateRowFactory({ type: 'numeric' });
+
+    expect(condition(data(4), [], columnData)).toBe(true);
+    expect(condition(data('2'), [], columnData)).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dateRowFactory({ type: 'numeric' });
+
+    expect(condition(data(5), [], columnData)).toBe(false);
+    expect(condition(data(8), [], columnData)).toBe(false);
+    expect(condition(data(''), [], columnData)).toBe(false);
+    expect(condition(data('foo'), [], columnData)).toBe(false);
+  });
+});
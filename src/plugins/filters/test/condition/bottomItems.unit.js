@@ -0,0 +1,26 @@
+import { condition } from 'handsontable-pro/plugins/filters/condition/bottomItems';
+import { columnDataFactory, dateRowFactory } from './../helpers/utils';
+
+describe('Filters condition (`bottom_items`)', () => {
+  const columnData = columnDataFactory([5, 1, '', 9, 3, 1, 'foo', 7]);
+
+  it('should filter matching values', () => {
+    const data = dateRowFactory({ type: 'numeric' });
+
+    expect(condition(data(1), ['1'], columnData)).toBe(true);
+    expect(condition(data(1), [2], columnData)).toBe(true);
+    expect(condition(data(3), ['3'], columnData)).toBe(true);
+    expect(condition(data('3'), ['3'], columnData)).toBe(true);
+    expect(condition(data(9), ['100'], columnData)).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dateRowFactory({ type: 'numeric' });
+
+    expect(condition(data(3), ['2'], columnData)).toBe(false);
+    expect(condition(data(1), ['0'], columnData)).toBe(false);
+    expect(condition(data(1), ['foo'], columnData)).toBe(false);
+    expect(condition(data(''), ['100'], columnData)).toBe(false);
+    expect(condition(data('foo'), ['100'], columnData)).toBe(false);
+  });
+});
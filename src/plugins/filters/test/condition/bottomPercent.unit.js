@@ -0,0 +1,24 @@
+import { condition } from 'handsontable-pro/plugins/filters/condition/bottomPercent';
+import { columnDataFactory, dateRowFactory } from './../helpers/utils';
+
+describe('Filters condition (`bottom_percent`)', () => {
+  const columnData = columnDataFactory([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, '']);
+
+  it('should filter matching values', () => {
+    const data = dateRowFactory({ type: 'numeric' });
+
+    expect(condition(data(1), ['10'], columnData)).toBe(true);
+    expect(condition(data(2), [20], columnData)).toBe(true);
+    expect(condition(data(2), ['15'], columnData)).toBe(true);
+    expect(condition(data(10), ['100'], columnData)).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dateRowFactory({ type: 'numeric' });
+
+    expect(condition(data(2), ['10'], columnData)).toBe(false);
+    expect(condition(data(1), ['0'], columnData)).toBe(false);
+    expect(condition(data(1), ['-5'], columnData)).toBe(false);
+    expect(condition(data(''), ['100'], columnData)).toBe(false);
+  });
+});
@@ -1,4 +1,5 @@
 import { condition } from 'handsontable-pro/plugins/filters/condition/contains';
+import { createTextComparator } from 'handsontable-pro/plugins/filters/textComparator';
 import { dateRowFactory } from './../helpers/utils';
 
 describe('Filters condition (`contains`)', () => {
@@ -40,4 +41,11 @@ describe('Filters condition (`contains`)', () => {
     expect(condition(data('true'), [false])).toBe(false);
     expect(condition(data(true), ['e '])).toBe(false);
   });
+
+  it('should compare values using the text comparator of the column', () => {
+    const data = dateRowFactory({ textComparator: createTextComparator({ caseSensitive: true, accentSensitive: false }) });
+
+    expect(condition(data('Zürich'), ['Zur'])).toBe(true);
+    expect(condition(data('Zürich'), ['zur'])).toBe(false);
+  });
 });
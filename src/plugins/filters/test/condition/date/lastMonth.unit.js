@@ -0,0 +1,22 @@
+import moment from 'moment';
+import { condition } from 'handsontable-pro/plugins/filters/condition/date/lastMonth';
+import { dateRowFactory } from './../../helpers/utils';
+
+describe('Filters condition (`date_last_month`)', () => {
+  const format = 'DD/MM/YYYY';
+
+  it('should filter matching values', () => {
+    const data = dateRowFactory({ dateFormat: format });
+
+    expect(condition(data(moment().startOf('month').add(-1, 'days').format(format)))).toBe(true);
+    expect(condition(data(moment().add(-1, 'months').startOf('month').format(format)))).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dateRowFactory({ dateFormat: format });
+
+    expect(condition(data(moment().format(format)))).toBe(false);
+    expect(condition(data(moment().add(-1, 'months').startOf('month').add(-1, 'days').format(format)))).toBe(false);
+    expect(condition(data('foo'))).toBe(false);
+  });
+});
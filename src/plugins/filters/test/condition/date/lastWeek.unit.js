@@ -0,0 +1,23 @@
+import moment from 'moment';
+import { condition } from 'handsontable-pro/plugins/filters/condition/date/lastWeek';
+import { dateRowFactory } from './../../helpers/utils';
+
+describe('Filters condition (`date_last_week`)', () => {
+  const format = 'DD/MM/YYYY';
+
+  it('should filter matching values', () => {
+    const data = dateRowFactory({ dateFormat: format });
+
+    expect(condition(data(moment().add(-1, 'weeks').format(format)))).toBe(true);
+    expect(condition(data(moment().startOf('week').add(-1, 'days').format(format)))).toBe(true);
+    expect(condition(data(moment().startOf('week').add(-7, 'days').format(format)))).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dateRowFactory({ dateFormat: format });
+
+    expect(condition(data(moment().format(format)))).toBe(false);
+    expect(condition(data(moment().startOf('week').add(-8, 'days').format(format)))).toBe(false);
+    expect(condition(data('foo'))).toBe(false);
+  });
+});
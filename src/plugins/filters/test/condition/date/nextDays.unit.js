@@ -0,0 +1,24 @@
+import moment from 'moment';
+import { condition } from 'handsontable-pro/plugins/filters/condition/date/nextDays';
+import { dateRowFactory } from './../../helpers/utils';
+
+describe('Filters condition (`date_next_days`)', () => {
+  const format = 'DD/MM/YYYY';
+
+  it('should filter matching values', () => {
+    const data = dateRowFactory({ dateFormat: format });
+
+    expect(condition(data(moment().format(format)), ['7'])).toBe(true);
+    expect(condition(data(moment().add(7, 'days').format(format)), ['7'])).toBe(true);
+    expect(condition(data(moment().add(3, 'days').format(format)), [7])).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dateRowFactory({ dateFormat: format });
+
+    expect(condition(data(moment().add(8, 'days').format(format)), ['7'])).toBe(false);
+    expect(condition(data(moment().add(-1, 'days').format(format)), ['7'])).toBe(false);
+    expect(condition(data(moment().format(format)), [''])).toBe(false);
+    expect(condition(data('foo'), ['7'])).toBe(false);
+  });
+});
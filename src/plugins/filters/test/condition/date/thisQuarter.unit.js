@@ -0,0 +1,22 @@
+import moment from 'moment';
+import { condition } from 'handsontable-pro/plugins/filters/condition/date/thisQuarter';
+import { dateRowFactory } from './../../helpers/utils';
+
+describe('Filters condition (`date_this_quarter`)', () => {
+  const format = 'DD/MM/YYYY';
+
+  it('should filter matching values', () => {
+    const data = dateRowFactory({ dateFormat: format });
+
+    expect(condition(data(moment().format(format)))).toBe(true);
+    expect(condition(data(moment().startOf('quarter').format(format)))).toBe(true);
+    expect(condition(data(moment().endOf('quarter').format(format)))).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dateRowFactory({ dateFormat: format });
+
+    expect(condition(data(moment().startOf('quarter').add(-1, 'days').format(format)))).toBe(false);
+    expect(condition(data(moment().endOf('quarter').add(1, 'days').format(format)))).toBe(false);
+  });
+});
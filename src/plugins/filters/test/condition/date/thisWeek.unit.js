@@ -0,0 +1,23 @@
+import moment from 'moment';
+import { condition } from 'handsontable-pro/plugins/filters/condition/date/thisWeek';
+import { dateRowFactory } from './../../helpers/utils';
+
+describe('Filters condition (`date_this_week`)', () => {
+  const format = 'DD/MM/YYYY';
+
+  it('should filter matching values', () => {
+    const data = dateRowFactory({ dateFormat: format });
+
+    expect(condition(data(moment().format(format)))).toBe(true);
+    expect(condition(data(moment().startOf('week').format(format)))).toBe(true);
+    expect(condition(data(moment().endOf('week').format(format)))).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dateRowFactory({ dateFormat: format });
+
+    expect(condition(data(moment().startOf('week').add(-1, 'days').format(format)))).toBe(false);
+    expect(condition(data(moment().endOf('week').add(1, 'days').format(format)))).toBe(false);
+    expect(condition(data('foo'))).toBe(false);
+  });
+});
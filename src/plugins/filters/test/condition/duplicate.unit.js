@@ -0,0 +1,23 @@
+import { condition } from 'handsontable-pro/plugins/filters/condition/duplicate';
+import { columnDataFactory, dateRowFactory } from './../helpers/utils';
+
+describe('Filters condition (`duplicate`)', () => {
+  const columnData = columnDataFactory([1, 2, '2', 3, 3, 3, '', '', 'foo']);
+
+  it('should filter matching values', () => {
+    const data = dateRowFactory({ type: 'numeric' });
+
+    expect(condition(data(2), [], columnData)).toBe(true);
+    expect(condition(data('2'), [], columnData)).toBe(true);
+    expect(condition(data(3), [], columnData)).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dateRowFactory({ type: 'numeric' });
+
+    expect(condition(data(1), [], columnData)).toBe(false);
+    expect(condition(data('foo'), [], columnData)).toBe(false);
+    expect(condition(data(''), [], columnData)).toBe(false);
+    expect(condition(data(4), [], columnData)).toBe(false);
+  });
+});
@@ -1,4 +1,5 @@
 import { condition } from 'handsontable-pro/plugins/filters/condition/equal';
+import { createTextComparator } from 'handsontable-pro/plugins/filters/textComparator';
 import { dateRowFactory } from './../helpers/utils';
 
 describe('Filters condition (`eq`)', () => {
@@ -39,4 +40,12 @@ describe('Filters condition (`eq`)', () => {
     expect(condition(data('true'), [false])).toBe(false);
     expect(condition(data(true), ['e'])).toBe(false);
   });
+
+  it('should compare values using the text comparator of the column', () => {
+    const data = dateRowFactory({ textComparator: createTextComparator({ accentSensitive: false, trimWhitespace: true }) });
+
+    expect(condition(data(' Zürich '), ['zurich'])).toBe(true);
+    expect(condition(data('Zürich'), ['ZURICH'])).toBe(true);
+    expect(condition(data('Zürich'), ['zurichs'])).toBe(false);
+  });
 });
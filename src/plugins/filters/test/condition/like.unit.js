@@ -0,0 +1,41 @@
+import { condition } from 'handsontable-pro/plugins/filters/condition/like';
+import { dateRowFactory } from './../helpers/utils';
+
+describe('Filters condition (`like`)', () => {
+
+  it('should filter matching values', () => {
+    const data = dateRowFactory();
+
+    expect(condition(data('tom'), ['tom'])).toBe(true);
+    expect(condition(data('tom'), ['TOM'])).toBe(true);
+    expect(condition(data('tom'), ['*'])).toBe(true);
+    expect(condition(data('tom'), ['t*'])).toBe(true);
+    expect(condition(data('tom'), ['*m'])).toBe(true);
+    expect(condition(data('tom'), ['t?m'])).toBe(true);
+    expect(condition(data('tom'), ['???'])).toBe(true);
+    expect(condition(data('ERR-1234.log'), ['ERR-*.log'])).toBe(true);
+    expect(condition(data('a+b (c)'), ['a+b (?)'])).toBe(true);
+    expect(condition(data(1234), ['12*'])).toBe(true);
+    expect(condition(data(''), [''])).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dateRowFactory();
+
+    expect(condition(data('tom'), ['to'])).toBe(false);
+    expect(condition(data('tom'), ['o'])).toBe(false);
+    expect(condition(data('tom'), ['??'])).toBe(false);
+    expect(condition(data('tom'), [''])).toBe(false);
+    expect(condition(data('ERR-1234.txt'), ['ERR-*.log'])).toBe(false);
+    expect(condition(data('ERR-1234xlog'), ['ERR-*.log'])).toBe(false);
+    expect(condition(data('aab'), ['a+b'])).toBe(false);
+  });
+
+  it('should respect the case sensitivity argument', () => {
+    const data = dateRowFactory();
+
+    expect(condition(data('Tom'), ['t*', false])).toBe(true);
+    expect(condition(data('Tom'), ['t*', true])).toBe(false);
+    expect(condition(data('Tom'), ['T*', true])).toBe(true);
+  });
+});
@@ -0,0 +1,41 @@
+import { condition } from 'handsontable-pro/plugins/filters/condition/matchesRegex';
+import { dateRowFactory } from './../helpers/utils';
+
+describe('Filters condition (`matches_regex`)', () => {
+
+  it('should filter matching values', () => {
+    const data = dateRowFactory();
+
+    expect(condition(data('ERR-1234: disk full'), ['^ERR-\\d{4}'])).toBe(true);
+    expect(condition(data('tom'), [''])).toBe(true);
+    expect(condition(data('tom'), ['o'])).toBe(true);
+    expect(condition(data('tom'), ['^t.m$'])).toBe(true);
+    expect(condition(data('tom'), ['^T'])).toBe(true);
+    expect(condition(data(1234), ['^\\d+$'])).toBe(true);
+    expect(condition(data(true), ['^tr'])).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dateRowFactory();
+
+    expect(condition(data('WARN-1234: disk full'), ['^ERR-\\d{4}'])).toBe(false);
+    expect(condition(data('ERR-12: disk full'), ['^ERR-\\d{4}'])).toBe(false);
+    expect(condition(data('tom'), ['^o'])).toBe(false);
+    expect(condition(data(1234), ['^\\D+$'])).toBe(false);
+  });
+
+  it('should respect the case sensitivity argument', () => {
+    const data = dateRowFactory();
+
+    expect(condition(data('err-1234'), ['^ERR-\\d{4}', false])).toBe(true);
+    expect(condition(data('err-1234'), ['^ERR-\\d{4}', true])).toBe(false);
+    expect(condition(data('ERR-1234'), ['^ERR-\\d{4}', true])).toBe(true);
+  });
+
+  it('should not match any value when the pattern is invalid', () => {
+    const data = dateRowFactory();
+
+    expect(condition(data('tom'), ['(tom'])).toBe(false);
+    expect(condition(data('[tom'), ['[tom'])).toBe(false);
+  });
+});
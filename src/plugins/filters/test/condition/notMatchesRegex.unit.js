@@ -0,0 +1,37 @@
+import { condition } from 'handsontable-pro/plugins/filters/condition/notMatchesRegex';
+import { dateRowFactory } from './../helpers/utils';
+
+describe('Filters condition (`not_matches_regex`)', () => {
+
+  it('should filter matching values', () => {
+    const data = dateRowFactory();
+
+    expect(condition(data('WARN-1234: disk full'), ['^ERR-\\d{4}'])).toBe(true);
+    expect(condition(data('ERR-12: disk full'), ['^ERR-\\d{4}'])).toBe(true);
+    expect(condition(data('tom'), ['^o'])).toBe(true);
+    expect(condition(data(1234), ['^\\D+$'])).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dateRowFactory();
+
+    expect(condition(data('ERR-1234: disk full'), ['^ERR-\\d{4}'])).toBe(false);
+    expect(condition(data('tom'), [''])).toBe(false);
+    expect(condition(data('tom'), ['^T'])).toBe(false);
+    expect(condition(data(1234), ['^\\d+$'])).toBe(false);
+  });
+
+  it('should respect the case sensitivity argument', () => {
+    const data = dateRowFactory();
+
+    expect(condition(data('err-1234'), ['^ERR-\\d{4}', false])).toBe(false);
+    expect(condition(data('err-1234'), ['^ERR-\\d{4}', true])).toBe(true);
+  });
+
+  it('should not match any value when the pattern is invalid', () => {
+    const data = dateRowFactory();
+
+    expect(condition(data('tom'), ['(tom'])).toBe(false);
+    expect(condition(data('bob'), ['(tom'])).toBe(false);
+  });
+});
@@ -0,0 +1,27 @@
+import { condition } from 'handsontable-pro/plugins/filters/condition/topItems';
+import { columnDataFactory, dateRowFactory } from './../helpers/utils';
+
+describe('Filters condition (`top_items`)', () => {
+  const columnData = columnDataFactory([5, 1, '', 9, 3, 9, 'foo', 7]);
+
+  it('should filter matching values', () => {
+    const data = dateRowFactory({ type: 'numeric' });
+
+    expect(condition(data(9), ['1'], columnData)).toBe(true);
+    expect(condition(data(9), [2], columnData)).toBe(true);
+    expect(condition(data(7), ['3'], columnData)).toBe(true);
+    expect(condition(data('7'), ['3'], columnData)).toBe(true);
+    expect(condition(data(1), ['100'], columnData)).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dateRowFactory({ type: 'numeric' });
+
+    expect(condition(data(7), ['2'], columnData)).toBe(false);
+    expect(condition(data(9), ['0'], columnData)).toBe(false);
+    expect(condition(data(9), ['foo'], columnData)).toBe(false);
+    expect(condition(data(9), ['-1'], columnData)).toBe(false);
+    expect(condition(data(''), ['100'], columnData)).toBe(false);
+    expect(condition(data('foo'), ['100'], columnData)).toBe(false);
+  });
+});
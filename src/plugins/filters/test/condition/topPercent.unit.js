@@ -0,0 +1,25 @@
+import { condition } from 'handsontable-pro/plugins/filters/condition/topPercent';
+import { columnDataFactory, dateRowFactory } from './../helpers/utils';
+
+describe('Filters condition (`top_percent`)', () => {
+  const columnData = columnDataFactory([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, '']);
+
+  it('should filter matching values', () => {
+    const data = dateRowFactory({ type: 'numeric' });
+
+    expect(condition(data(10), ['10'], columnData)).toBe(true);
+    expect(condition(data(9), [20], columnData)).toBe(true);
+    expect(condition(data(9), ['15'], columnData)).toBe(true);
+    expect(condition(data(1), ['100'], columnData)).toBe(true);
+  });
+
+  it('should filter not matching values', () => {
+    const data = dateRowFactory({ type: 'numeric' });
+
+    expect(condition(data(9), ['10'], columnData)).toBe(false);
+    expect(condition(data(10), ['0'], columnData)).toBe(false);
+    expect(condition(data(10), ['101'], columnData)).toBe(false);
+    expect(condition(data(10), ['foo'], columnData)).toBe(false);
+    expect(condition(data(''), ['100'], columnData)).toBe(false);
+  });
+});
@@ -273,6 +273,119 @@ describe('ConditionCollection', () => {
         conditionCollection.addCondition(3, conditionMock, 'unknownOperation');
       }).toThrow(/Unexpected operation/);
     });
+
+    it('should add group of conditions to the collection at specified column index', () => {
+      const conditionCollection = new ConditionCollection();
+
+      conditionCollection.addCondition(3, {
+        operation: OPERATION_OR,
+        conditions: [
+          { args: ['A'], command: { key: 'eq' } },
+          { name: 'contains', args: ['B'] },
+        ],
+      });
+
+      const group = conditionCollection.conditions[OPERATION_AND]['3'][0];
+
+      expect(conditionCollection.conditions[OPERATION_AND]['3'].length).toBe(1);
+      expect(group.operation).toBe(OPERATION_OR);
+      expect(group.conditions.length).toBe(2);
+      expect(group.conditions[0].name).toBe('eq');
+      expect(group.conditions[0].args).toEqual(['a']);
+      expect(group.conditions[1].name).toBe('contains');
+      expect(group.conditions[1].args).toEqual(['b']);
+      expect(group.func instanceof Function).toBe(true);
+    });
+
+    it('should throw an exception when group of conditions is related to the unknown operation', () => {
+      const conditionCollection = new ConditionCollection();
+
+      expect(() => {
+        conditionCollection.addCondition(3, { operation: 'unknownOperation', conditions: [] });
+      }).toThrow(/Unexpected operation/);
+    });
+  });
+
+  describe('groups of conditions', () => {
+    beforeEach(() => {
+      conditions.gt_for_tests = {
+        condition: (dataRow, [value]) => dataRow.value > value,
+        descriptor: {},
+      };
+      conditions.lt_for_tests = {
+        condition: (dataRow, [value]) => dataRow.value < value,
+        descriptor: {},
+      };
+    });
+
+    afterEach(() => {
+      delete conditions.gt_for_tests;
+      delete conditions.lt_for_tests;
+    });
+
+    const dataRow = value => ({ value, meta: { instance: {} } });
+    const between = (min, max) => ({
+      operation: OPERATION_AND,
+      conditions: [{ name: 'gt_for_tests', args: [min] }, { name: 'lt_for_tests', args: [max] }],
+    });
+
+    it('should match values against nested groups of conditions', () => {
+      const conditionCollection = new ConditionCollection();
+
+      conditionCollection.addCondition(0, between(10, 20), OPERATION_OR);
+      conditionCollection.addCondition(0, between(50, 60), OPERATION_OR);
+
+      expect(conditionCollection.isMatch(dataRow(5), 0)).toBe(false);
+      expect(conditionCollection.isMatch(dataRow(15), 0)).toBe(true);
+      expect(conditionCollection.isMatch(dataRow(30), 0)).toBe(false);
+      expect(conditionCollection.isMatch(dataRow(55), 0)).toBe(true);
+      expect(conditionCollection.isMatch(dataRow(65), 0)).toBe(false);
+    });
+
+    it('should match every value when group of conditions is empty', () => {
+      const conditionCollection = new ConditionCollection();
+
+      conditionCollection.addCondition(0, { operation: OPERATION_OR, conditions: [] });
+
+      expect(conditionCollection.isMatch(dataRow(5), 0)).toBe(true);
+    });
+
+    it('should export and import nested groups of conditions', () => {
+      const conditionCollection = new ConditionCollection();
+      const conditionCollection2 = new ConditionCollection();
+
+      conditionCollection.addCondition(0, {
+        operation: OPERATION_OR,
+        conditions: [between(10, 20), { name: 'gt_for_tests', args: [100] }],
+      });
+      conditionCollection.addCondition(1, between(1, 2), OPERATION_OR);
+      conditionCollection.addCondition(1, between(3, 4), OPERATION_OR);
+
+      const exportedConditions = conditionCollection.exportAllConditions();
+
+      expect(exportedConditions).toEqual([
+        {
+          column: 0,
+          operation: OPERATION_AND,
+          conditions: [{
+            operation: OPERATION_OR,
+            conditions: [between(10, 20), { name: 'gt_for_tests', args: [100] }],
+          }],
+        },
+        {
+          column: 1,
+          operation: OPERATION_OR,
+          conditions: [between(1, 2), between(3, 4)],
+        },
+      ]);
+
+      conditionCollection2.importAllConditions(exportedConditions);
+
+      expect(conditionCollection2.exportAllConditions()).toEqual(exportedConditions);
+      expect(conditionCollection2.isMatch(dataRow(150), 0)).toBe(true);
+      expect(conditionCollection2.isMatch(dataRow(50), 0)).toBe(false);
+      expect(conditionCollection2.isMatch(dataRow(3.5), 1)).toBe(true);
+    });
   });
 
   describe('exportAllConditions', () => {
@@ -72,6 +72,22 @@ describe('getCondition', () => {
     expect(conditionMock).toHaveBeenCalledWith(dataRow, 'baz');
     expect(condition).toBe(true);
   });
+
+  it('should pass the column data set to the column-dependent conditions', () => {
+    const conditionMock = jasmine.createSpy();
+    const columnData = [];
+    const dataRow = {
+      meta: { instance: {}, columnData },
+      value: 'foo',
+    };
+
+    columnData.push(dataRow);
+    conditions.my_condition = { condition: conditionMock, descriptor: { columnDependent: true } };
+
+    getCondition('my_condition', 'baz')(dataRow);
+
+    expect(conditionMock).toHaveBeenCalledWith(dataRow, 'baz', columnData);
+  });
 });
 
 describe('getConditionDescriptor', () => {
@@ -0,0 +1,44 @@
+import { SEPARATOR } from 'handsontable/plugins/contextMenu/predefinedItems';
+import { conditions } from 'handsontable-pro/plugins/filters/conditionRegisterer';
+import getOptionsList, { TYPES, TYPE_TEXT, registerCustomCondition } from 'handsontable-pro/plugins/filters/constants';
+
+describe('registerCustomCondition', () => {
+  it('should register condition with the default descriptor values', () => {
+    const conditionMock = function() {};
+
+    registerCustomCondition('custom_condition_1', conditionMock, { columnTypes: [] });
+
+    expect(conditions.custom_condition_1.condition).toBe(conditionMock);
+    expect(conditions.custom_condition_1.descriptor).toEqual({
+      key: 'custom_condition_1',
+      name: 'custom_condition_1',
+      inputsCount: 0,
+      showOperators: true,
+      columnTypes: [],
+    });
+  });
+
+  it('should add the condition at the end of the conditions list separated from the predefined conditions', () => {
+    const length = TYPES[TYPE_TEXT].length;
+
+    registerCustomCondition('custom_condition_2', () => true, { name: 'Custom 2' });
+    registerCustomCondition('custom_condition_3', () => true, { name: 'Custom 3', columnTypes: TYPE_TEXT });
+    registerCustomCondition('custom_condition_3', () => true, { name: 'Custom 3', columnTypes: [TYPE_TEXT] });
+
+    expect(TYPES[TYPE_TEXT].length).toBe(length + 3);
+    expect(TYPES[TYPE_TEXT].slice(-3)).toEqual([SEPARATOR, 'custom_condition_2', 'custom_condition_3']);
+    expect(getOptionsList(TYPE_TEXT).pop().name).toBe('Custom 3');
+  });
+
+  it('should create the conditions list for the column type which does not have it', () => {
+    registerCustomCondition('custom_condition_4', () => true, { columnTypes: ['custom_type'] });
+
+    expect(TYPES.custom_type.slice(0, -2)).toEqual(TYPES[TYPE_TEXT]);
+    expect(TYPES.custom_type.slice(-2)).toEqual([SEPARATOR, 'custom_condition_4']);
+  });
+
+  it('should throw an error when the condition name or function is invalid', () => {
+    expect(() => registerCustomCondition('', () => true)).toThrowError('Filter condition name has to be a non-empty string.');
+    expect(() => registerCustomCondition('foo')).toThrowError('Filter condition "foo" has to be a function.');
+  });
+});
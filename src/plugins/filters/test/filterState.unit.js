@@ -0,0 +1,55 @@
+import { serializeState, deserializeState } from 'handsontable-pro/plugins/filters/filterState';
+
+describe('filterState', () => {
+  const state = {
+    columns: [
+      { prop: 'name', operation: 'conjunction', conditions: [{ name: 'contains', args: ['Zürich & co'] }] },
+      {
+        prop: 1,
+        operation: 'disjunction',
+        conditions: [
+          { name: 'gt', args: [10] },
+          { operation: 'conjunction', conditions: [{ name: 'by_value', args: [['a', 'b']] }] },
+        ],
+      },
+    ],
+    quickFilter: { text: 'foo', columns: ['name'], caseSensitive: true },
+  };
+
+  it('should serialize the state into the URL-safe string', () => {
+    const string = serializeState(state);
+
+    expect(typeof string).toBe('string');
+    expect(/^[A-Za-z0-9_-]+$/.test(string)).toBe(true);
+    expect(encodeURIComponent(string)).toBe(string);
+  });
+
+  it('should deserialize the serialized state', () => {
+    expect(deserializeState(serializeState(state))).toEqual(state);
+  });
+
+  it('should deserialize the state without the quick filter', () => {
+    const result = deserializeState(serializeState({ columns: [] }));
+
+    expect(result).toEqual({ columns: [], quickFilter: null });
+  });
+
+  it('should not serialize the row expression', () => {
+    const string = serializeState(Object.assign({ rowExpression: '{qty} > 1' }, state));
+
+    expect(JSON.parse(atob(string.replace(/-/g, '+').replace(/_/g, '/'))).e).toBeUndefined();
+    expect(deserializeState(string)).toEqual(state);
+  });
+
+  it('should ignore the row expression added to the serialized state', () => {
+    const string = btoa(JSON.stringify({ v: 1, c: [], e: 'alert(document.cookie)' }));
+
+    expect(deserializeState(string)).toEqual({ columns: [], quickFilter: null });
+  });
+
+  it('should throw an error when the string is not a valid serialized state', () => {
+    expect(() => deserializeState('not valid!')).toThrowError('Invalid filters state.');
+    expect(() => deserializeState(btoa('{"foo":1}'))).toThrowError('Invalid filters state.');
+    expect(() => deserializeState(btoa('{"v":1,"c":[["name","conjunction",[{"n":1}]]]}'))).toThrowError('Invalid filters state.');
+  });
+});
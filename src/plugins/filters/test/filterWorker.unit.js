@@ -0,0 +1,207 @@
+import FilterWorker, { isWorkerCondition, createWorkerSource } from 'handsontable-pro/plugins/filters/filterWorker';
+import { DEFAULT_OPTIONS, createTextComparator } from 'handsontable-pro/plugins/filters/textComparator';
+import ConditionCollection from 'handsontable-pro/plugins/filters/conditionCollection';
+import { toEmptyString } from 'handsontable-pro/plugins/filters/utils';
+import 'handsontable-pro/plugins/filters/constants';
+
+describe('filterWorker', () => {
+  const filterInScope = (columns) => {
+    const scope = { Intl, postMessage: jasmine.createSpy('postMessage') };
+
+    // The worker script can refer only to the global objects and the worker scope.
+    new Function('self', createWorkerSource())(scope); // eslint-disable-line no-new-func
+    scope.onmessage({ data: { id: 5, columns } });
+
+    return scope.postMessage.calls.argsFor(0)[0];
+  };
+
+  describe('isWorkerCondition', () => {
+    it('should accept the built-in conditions', () => {
+      expect(isWorkerCondition({ name: 'contains', args: ['a'] })).toBe(true);
+      expect(isWorkerCondition({ name: 'by_value', args: [['a']] })).toBe(true);
+      expect(isWorkerCondition({ name: 'between', args: [1, 2] })).toBe(true);
+    });
+
+    it('should reject the date, column-dependent and custom conditions', () => {
+      expect(isWorkerCondition({ name: 'date_after', args: ['01/01/2018'] })).toBe(false);
+      expect(isWorkerCondition({ name: 'top_items', args: [10] })).toBe(false);
+      expect(isWorkerCondition({ name: 'my_condition', args: [] })).toBe(false);
+    });
+
+    it('should reject the `between` conditions for the columns with dates', () => {
+      expect(isWorkerCondition({ name: 'between', args: ['01/01/2018', '01/01/2019'] }, true)).toBe(false);
+      expect(isWorkerCondition({ name: 'not_between', args: ['01/01/2018', '01/01/2019'] }, true)).toBe(false);
+    });
+
+    it('should check the nested conditions of the groups', () => {
+      const group = conditions => ({ operation: 'disjunction', conditions });
+
+      expect(isWorkerCondition(group([{ name: 'eq', args: ['a'] }, group([{ name: 'empty', args: [] }])]))).toBe(true);
+      expect(isWorkerCondition(group([{ name: 'eq', args: ['a'] }, group([{ name: 'today', args: [] }])]))).toBe(false);
+    });
+  });
+
+  describe('terminate', () => {
+    it('should reject the pending requests', (done) => {
+      const filterWorker = new FilterWorker();
+      const request = new Promise((resolve, reject) => filterWorker.pendingRequests.set(1, { resolve, reject }));
+
+      filterWorker.terminate();
+
+      expect(filterWorker.pendingRequests.size).toBe(0);
+
+      request.catch((error) => {
+        expect(error.message).toBe('The filter worker has been terminated.');
+        done();
+      });
+    });
+  });
+
+  describe('worker script', () => {
+    const column = (values, operation, conditions, options = {}) => ({
+      rows: values.map((value, index) => index),
+      values,
+      types: values.map(value => (typeof value === 'number' ? 'numeric' : 'text')),
+      operation,
+      conditions,
+      textOptions: Object.assign({}, DEFAULT_OPTIONS, options),
+    });
+
+    it('should respond with the request id and the matched rows', () => {
+      const result = filterInScope([
+        column(['Alpha', 'beta', 'Gamma', 'alphabet'], 'conjunction', [{ name: 'contains', args: ['alpha'] }]),
+      ]);
+
+      expect(result).toEqual({ id: 5, rows: [0, 3] });
+    });
+
+    it('should intersect the rows matched by the conditions of all columns', () => {
+      const result = filterInScope([
+        column(['a', 'b', 'a', 'a'], 'conjunction', [{ name: 'by_value', args: [['a']] }]),
+        column([1, 5, 10, 20], 'conjunction', [{ name: 'between', args: ['15', '4'] }]),
+      ]);
+
+      expect(result.rows).toEqual([2]);
+    });
+
+    it('should evaluate the operations and the nested groups of conditions', () => {
+      const result = filterInScope([
+        column([1, 5, 10, 20, ''], 'disjunction', [
+          { name: 'lt', args: ['2'] },
+          { operation: 'conjunction', conditions: [{ name: 'gte', args: ['10'] }, { name: 'neq', args: ['20'] }] },
+          { name: 'empty', args: [] },
+        ]),
+      ]);
+
+      expect(result.rows).toEqual([0, 2, 4]);
+    });
+
+    it('should compare texts according to the text comparison options', () => {
+      const values = ['Zürich ', 'zurich', 'ZURICH'];
+
+      expect(filterInScope([
+        column(values, 'conjunction', [{ name: 'eq', args: ['zurich'] }]),
+      ]).rows).toEqual([1, 2]);
+      expect(filterInScope([
+        column(values, 'conjunction', [{ name: 'eq', args: ['zurich'] }], { accentSensitive: false, trimWhitespace: true }),
+      ]).rows).toEqual([0, 1, 2]);
+      expect(filterInScope([
+        column(values, 'conjunction', [{ name: 'ends_with', args: ['ICH'] }], { caseSensitive: true }),
+      ]).rows).toEqual([2]);
+    });
+  });
+
+  describe('parity with the main thread', () => {
+    const VALUES = ['Alpha', 'alpha', ' ALPHA  beta ', 'Zürich', 'zurich', '', null, void 0, 'b', 'B', 'c10', 10, '10', 0, -3.5];
+    const TYPES = {
+      text: VALUES.map(() => 'text'),
+      numeric: VALUES.map(() => 'numeric'),
+      mixed: VALUES.map(value => (typeof value === 'number' ? 'numeric' : 'text')),
+    };
+    const CONDITIONS = [
+      [{ name: 'none', args: [] }],
+      [{ name: 'true', args: [] }],
+      [{ name: 'false', args: [] }],
+      [{ name: 'empty', args: [] }],
+      [{ name: 'not_empty', args: [] }],
+      [{ name: 'eq', args: ['alpha'] }],
+      [{ name: 'eq', args: ['Zurich'] }],
+      [{ name: 'eq', args: ['10'] }],
+      [{ name: 'neq', args: ['Alpha'] }],
+      [{ name: 'contains', args: ['LPH'] }],
+      [{ name: 'not_contains', args: ['ph'] }],
+      [{ name: 'begins_with', args: ['Al'] }],
+      [{ name: 'ends_with', args: ['ICH'] }],
+      [{ name: 'gt', args: ['5'] }],
+      [{ name: 'gt', args: ['b'] }],
+      [{ name: 'gte', args: ['0'] }],
+      [{ name: 'lt', args: ['10'] }],
+      [{ name: 'lte', args: ['-3.5'] }],
+      [{ name: 'between', args: ['2', '10'] }],
+      [{ name: 'between', args: ['10', '2'] }],
+      [{ name: 'between', args: ['a', 'c'] }],
+      [{ name: 'between', args: ['B', 'c'] }],
+      [{ name: 'not_between', args: ['0', '10'] }],
+      [{ name: 'not_between', args: ['a', 'c'] }],
+      [{ name: 'by_value', args: [['Alpha', '', 10, 'zurich']] }],
+      [{ name: 'contains', args: ['a'] }, { name: 'lt', args: ['5'] }],
+      [{ name: 'eq', args: ['b'] }, {
+        operation: 'disjunction',
+        conditions: [{ name: 'empty', args: [] }, { name: 'between', args: ['-5', '5'] }],
+      }],
+    ];
+    const TEXT_OPTIONS = [
+      {},
+      { caseSensitive: true },
+      { accentSensitive: false },
+      { trimWhitespace: true },
+      { caseSensitive: true, accentSensitive: false, trimWhitespace: true, locale: 'tr-TR' },
+    ];
+
+    // The main thread filters the values of the column data map (see `Filters#getDataMapAtColumn`).
+    const filterInMainThread = (conditionCollection, types, textOptions) => {
+      const textComparator = createTextComparator(textOptions);
+      const rows = [];
+
+      VALUES.forEach((value, row) => {
+        const dataRow = { value: toEmptyString(value), meta: { row, visualRow: row, type: types[row], textComparator } };
+
+        if (conditionCollection.isMatch(dataRow, 0)) {
+          rows.push(row);
+        }
+      });
+
+      return rows;
+    };
+
+    Object.keys(TYPES).forEach((typesName) => {
+      ['conjunction', 'disjunction'].forEach((operation) => {
+        it(`should match the same rows as the main thread (${typesName} cells, ${operation})`, () => {
+          const types = TYPES[typesName];
+
+          CONDITIONS.forEach((conditions) => {
+            TEXT_OPTIONS.forEach((options) => {
+              const conditionCollection = new ConditionCollection();
+
+              conditions.forEach(condition => conditionCollection.addCondition(0, condition, operation));
+
+              const [exported] = conditionCollection.exportAllConditions();
+              const textOptions = createTextComparator(options).options;
+              const workerRows = filterInScope([{
+                rows: VALUES.map((value, index) => index),
+                values: VALUES,
+                types,
+                operation,
+                conditions: exported.conditions,
+                textOptions,
+              }]).rows;
+
+              expect({ conditions, options, rows: workerRows })
+                .toEqual({ conditions, options, rows: filterInMainThread(conditionCollection, types, textOptions) });
+            });
+          });
+        });
+      });
+    });
+  });
+});
@@ -272,6 +272,69 @@ describe('Filters', () => {
       expect(getDataAtCol(1).join()).toBe('Ernestine Wiggins,Becky Ross,Lee Reed,Gertrude Nielsen,Peterson Bowers,Ferguson Nichols');
     });
 
+    it('should filter text value (matches_regex)', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        dropdownMenu: true,
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(1, 'matches_regex', ['^\\w+ mat']);
+      plugin.filter();
+
+      expect(getDataAtCol(1).join()).toBe('Helga Mathis,Long Mathews');
+
+      plugin.clearConditions(1);
+      plugin.addCondition(1, 'matches_regex', ['^\\w+ mat', true]);
+      plugin.filter();
+
+      expect(getData().length).toEqual(0);
+    });
+
+    it('should filter text value (not_matches_regex)', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        dropdownMenu: true,
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(1, 'not_matches_regex', ['[aeiou]']);
+      plugin.filter();
+
+      expect(getData().length).toEqual(0);
+
+      plugin.clearConditions(1);
+      plugin.addCondition(1, 'not_matches_regex', ['(']);
+      plugin.filter();
+
+      expect(getData().length).toEqual(0);
+    });
+
+    it('should filter text value (like)', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        dropdownMenu: true,
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(1, 'like', ['* ma?h*']);
+      plugin.filter();
+
+      expect(getDataAtCol(1).join()).toBe('Helga Mathis,Long Mathews');
+    });
+
     it('should filter date value (yesterday)', () => {
       const hot = handsontable({
         data: getDataForFilters(),
@@ -623,75 +686,1503 @@ describe('Filters', () => {
     });
   });
 
-  describe('Undo/Redo', () => {
-    it('should undo previously added filters', () => {
+  describe('Custom conditions', () => {
+    it('should filter values using the registered condition', () => {
       const hot = handsontable({
         data: getDataForFilters(),
         columns: getColumnsForFilters(),
-        dropdownMenu: true,
         filters: true,
         width: 500,
         height: 300
       });
       const plugin = hot.getPlugin('filters');
 
-      plugin.addCondition(0, 'gt', [3]);
+      plugin.registerCondition('has_length_for_tests', (dataRow, [length]) => `${dataRow.value}`.length === parseInt(length, 10), {
+        name: 'Has length',
+        inputsCount: 1,
+        columnTypes: [],
+      });
+      plugin.addCondition(2, 'has_length_for_tests', ['4']);
       plugin.filter();
-      plugin.addCondition(2, 'begins_with', ['b']);
+
+      expect(getDataAtCol(2).join()).toBe('Lund,Nord');
+    });
+
+    it('should throw an error when the condition is registered with invalid arguments', () => {
+      const hot = handsontable({
+        filters: true,
+      });
+      const plugin = hot.getPlugin('filters');
+
+      expect(() => plugin.registerCondition('', () => true)).toThrowError('Filter condition name has to be a non-empty string.');
+      expect(() => plugin.registerCondition('foo', null)).toThrowError('Filter condition "foo" has to be a function.');
+    });
+  });
+
+  describe('Relative date conditions', () => {
+    it('should filter dates from the last N days', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+      const from = moment().add(-2, 'days').startOf('day');
+      const to = moment().endOf('day');
+      const expected = getDataForFilters()
+        .filter(row => moment(row.registered, FILTERS_DATE_FORMAT).isBetween(from, to, null, '[]'))
+        .map(row => row.id);
+
+      plugin.addCondition(3, 'date_last_days', [2]);
       plugin.filter();
-      plugin.addCondition(4, 'eq', ['green']);
+
+      expect(expected.length).toBeGreaterThan(0);
+      expect(getDataAtCol(0)).toEqual(expected);
+    });
+
+    it('should re-evaluate the relative date conditions on every filtering', () => {
+      const hot = handsontable({
+        data: [[moment().format(FILTERS_DATE_FORMAT)], [moment().add(-1, 'years').format(FILTERS_DATE_FORMAT)]],
+        columns: [{ type: 'date', dateFormat: FILTERS_DATE_FORMAT }],
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(0, 'date_this_month', []);
       plugin.filter();
 
-      expect(getData().length).toEqual(2);
+      expect(getData().length).toBe(1);
 
-      hot.undo();
+      setDataAtCell(0, 0, moment().add(-2, 'years').format(FILTERS_DATE_FORMAT));
+      plugin.filter();
 
-      expect(getData().length).toEqual(3);
+      expect(getData().length).toBe(0);
+    });
+  });
 
-      hot.undo();
+  describe('Async filtering', () => {
+    it('should filter the rows in the worker and call the `afterFilter` hook when done', (done) => {
+      const afterFilter = jasmine.createSpy('afterFilter');
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: { async: true },
+        afterFilter,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+      const rowsCount = getData().length;
 
-      expect(getData().length).toEqual(36);
+      plugin.addCondition(1, 'begins_with', ['b']);
+      plugin.addCondition(0, 'gt', ['15']);
+      plugin.filter();
 
-      hot.undo();
+      expect(plugin.isFiltering()).toBe(true);
+      expect(getData().length).toBe(rowsCount);
+      expect(afterFilter).not.toHaveBeenCalled();
 
-      expect(getData().length).toEqual(39);
+      hot.addHookOnce('afterFilter', () => {
+        expect(plugin.isFiltering()).toBe(false);
+        expect(afterFilter.calls.count()).toBe(1);
+        expect(getDataAtCol(1).join()).toBe('Bridges Sawyer,Burt Cash');
+        done();
+      });
     });
 
-    it('should redo previously reverted filters', () => {
+    it('should filter the rows on the main thread when some condition can\'t be evaluated by the worker', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: { async: true },
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(1, 'begins_with', ['b']);
+      plugin.addCondition(3, 'date_after', ['2015-01-01']);
+      plugin.filter();
+
+      expect(plugin.isFiltering()).toBe(false);
+      expect(getDataAtCol(1).join()).toBe('Becky Ross,Bridges Sawyer');
+    });
+
+    it('should apply only the result of the last filtering', (done) => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: { async: true },
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+      const afterFilter = jasmine.createSpy('afterFilter');
+
+      plugin.addCondition(1, 'begins_with', ['b']);
+      plugin.filter();
+      plugin.clearConditions(1);
+      plugin.addCondition(1, 'begins_with', ['e']);
+      plugin.filter();
+
+      hot.addHook('afterFilter', afterFilter);
+
+      setTimeout(() => {
+        expect(afterFilter.calls.count()).toBe(1);
+        expect(getDataAtCol(1).join()).toBe('Ernestine Wiggins,Ella Owen,Everett James');
+        done();
+      }, 500);
+    });
+
+    it('should filter the rows again after changing the conditions of the already filtered table', async() => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: { async: true },
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+      const filtered = () => new Promise(resolve => hot.addHookOnce('afterFilter', resolve));
+      const expected = getDataForFilters()
+        .filter(row => row.id > 15 && row.name.charAt(0).toLowerCase() === 'e')
+        .map(row => row.name);
+
+      plugin.addCondition(1, 'begins_with', ['b']);
+      plugin.filter();
+
+      await filtered();
+
+      expect(getDataAtCol(1).join()).toBe('Becky Ross,Bridges Sawyer,Burt Cash');
+
+      plugin.clearConditions();
+      plugin.addCondition(0, 'gt', ['15']);
+      plugin.addCondition(1, 'begins_with', ['e']);
+      plugin.filter();
+
+      // The previous result is displayed until the rows are filtered.
+      expect(getDataAtCol(1).join()).toBe('Becky Ross,Bridges Sawyer,Burt Cash');
+
+      await filtered();
+
+      expect(getDataAtCol(1)).toEqual(expected);
+    });
+
+    it('should filter the already filtered rows on the main thread when the worker fails', async() => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: { async: true },
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+      const expected = getDataForFilters().filter(row => row.name.charAt(0).toLowerCase() === 'e').map(row => row.name);
+
+      plugin.addCondition(1, 'begins_with', ['b']);
+      plugin.filter();
+
+      await new Promise(resolve => hot.addHookOnce('afterFilter', resolve));
+
+      plugin.asyncFilteringFeature.filterWorker.filter = () => Promise.reject(new Error('The worker failed.'));
+      plugin.clearConditions();
+      plugin.addCondition(1, 'begins_with', ['e']);
+      plugin.filter();
+
+      await new Promise(resolve => hot.addHookOnce('afterFilter', resolve));
+
+      expect(getDataAtCol(1)).toEqual(expected);
+    });
+
+    it('should stop the loading state when finishing the filtering fails', async() => {
+      const warnSpy = spyOn(console, 'warn');
       const hot = handsontable({
         data: getDataForFilters(),
         columns: getColumnsForFilters(),
+        filters: { async: true },
         dropdownMenu: true,
-        filters: true,
         width: 500,
         height: 300
       });
       const plugin = hot.getPlugin('filters');
+      const actionBar = plugin.components.get('filter_action_bar');
 
-      plugin.addCondition(0, 'gt', [3]);
+      hot.addHookOnce('afterFilter', () => {
+        throw new Error('The listener failed.');
+      });
+
+      plugin.addCondition(1, 'begins_with', ['b']);
       plugin.filter();
-      plugin.addCondition(2, 'begins_with', ['b']);
+      actionBar.setLoading(true);
+
+      await sleep(300);
+
+      expect(plugin.isFiltering()).toBe(false);
+      expect(actionBar.isLoading()).toBe(false);
+      expect(warnSpy).toHaveBeenCalledWith('Filtering the rows failed: The listener failed.');
+    });
+
+    it('should display the loading state in the drop-down menu until the rows are filtered', (done) => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: { async: true },
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(1);
+      $(dropdownMenuRootElement().querySelector('.htUISelect')).simulate('click');
+      $(conditionMenuRootElements().first).find('tbody td:contains("Begins with")').simulate('mousedown');
+
+      setTimeout(() => {
+        document.activeElement.value = 'b';
+        $(document.activeElement).simulate('keyup');
+        $(dropdownMenuRootElement().querySelector('.htUIButton.htUIButtonOK input')).simulate('click');
+
+        expect($(dropdownMenuRootElement().querySelector('.htUIButton.htUIButtonOK')).hasClass('htUIButtonLoading')).toBe(true);
+        expect(hot.getPlugin('dropdownMenu').menu.isOpened()).toBe(true);
+
+        hot.addHookOnce('afterFilter', () => {
+          expect(getDataAtCol(1).join()).toBe('Becky Ross,Bridges Sawyer,Burt Cash');
+          expect($(dropdownMenuRootElement().querySelector('.htUIButton.htUIButtonOK')).hasClass('htUIButtonLoading')).toBe(false);
+          expect(hot.getPlugin('dropdownMenu').menu.isOpened()).toBe(false);
+          done();
+        });
+      }, 200);
+    });
+  });
+
+  describe('Remote mode', () => {
+    // Mock of the server API which supports the `begins_with` and `by_value` conditions of the "name" column.
+    const createAdapter = () => {
+      const serverData = getDataForFilters();
+
+      return {
+        fetchRows: jasmine.createSpy('fetchRows').and.callFake((conditions) => {
+          const rows = serverData.filter(row => conditions.every(({ conditions: columnConditions }) => columnConditions.every(({ name, args }) => {
+            if (name === 'begins_with') {
+              return row.name.toLowerCase().indexOf(args[0]) === 0;
+            }
+
+            return args[0].indexOf(row.name) !== -1;
+          })));
+
+          return Promise.resolve(rows.slice(0, 10));
+        }),
+        fetchColumnValues: jasmine.createSpy('fetchColumnValues').and.callFake((column, search) => {
+          const values = serverData.map(row => row.name).filter(value => value.toLowerCase().indexOf(search) !== -1);
+
+          return Promise.resolve(values);
+        }),
+      };
+    };
+
+    it('should load the rows resolved by the adapter instead of filtering the rows locally', (done) => {
+      const adapter = createAdapter();
+      const afterFilter = jasmine.createSpy('afterFilter');
+      const hot = handsontable({
+        data: getDataForFilters().slice(0, 10),
+        columns: getColumnsForFilters(),
+        filters: { mode: 'remote', adapter },
+        afterFilter,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(1, 'begins_with', ['b']);
       plugin.filter();
-      plugin.addCondition(4, 'eq', ['green']);
+
+      expect(adapter.fetchRows).toHaveBeenCalledWith([
+        { column: 1, operation: 'conjunction', conditions: [{ name: 'begins_with', args: ['b'] }] },
+      ]);
+      expect(plugin.isFiltering()).toBe(true);
+
+      hot.addHookOnce('afterFilter', () => {
+        expect(afterFilter.calls.count()).toBe(1);
+        expect(getDataAtCol(1)).toEqual(['Becky Ross', 'Bridges Sawyer', 'Burt Cash']);
+        expect(plugin.conditionCollection.hasConditions(1, 'begins_with')).toBe(true);
+        done();
+      });
+    });
+
+    it('should reset the cell meta and the undo history when the rows are loaded', (done) => {
+      const hot = handsontable({
+        data: getDataForFilters().slice(0, 10),
+        columns: getColumnsForFilters(),
+        filters: { mode: 'remote', adapter: createAdapter() },
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      hot.setCellMeta(0, 2, 'className', 'remote-cell');
+      hot.setDataAtCell(0, 2, 'Edited address');
+
+      plugin.addCondition(1, 'begins_with', ['b']);
       plugin.filter();
 
-      hot.undo();
-      hot.undo();
-      hot.undo();
+      hot.addHookOnce('afterFilter', () => {
+        expect(hot.countRows()).toBe(3);
+        expect(getDataAtCol(1)).toEqual(['Becky Ross', 'Bridges Sawyer', 'Burt Cash']);
+        expect(hot.getCellMeta(0, 2).className).toBeUndefined();
+        expect(hot.undoRedo.isUndoAvailable()).toBe(false);
+        expect(hot.undoRedo.isRedoAvailable()).toBe(false);
+        done();
+      });
+    });
 
-      expect(getData().length).toEqual(39);
+    it('should stop the loading state when the adapter doesn\'t resolve with an array', async() => {
+      const warnSpy = spyOn(console, 'warn');
+      const adapter = createAdapter();
+      const hot = handsontable({
+        data: getDataForFilters().slice(0, 10),
+        columns: getColumnsForFilters(),
+        filters: { mode: 'remote', adapter },
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+      const actionBar = plugin.components.get('filter_action_bar');
 
-      hot.redo();
+      adapter.fetchRows.and.returnValue(Promise.resolve({ rows: [] }));
 
-      expect(getData().length).toEqual(36);
+      plugin.addCondition(1, 'begins_with', ['b']);
+      plugin.filter();
+      actionBar.setLoading(true);
 
-      hot.redo();
+      await sleep(100);
 
-      expect(getData().length).toEqual(3);
+      expect(plugin.isFiltering()).toBe(false);
+      expect(actionBar.isLoading()).toBe(false);
+      expect(hot.countRows()).toBe(10);
+      expect(warnSpy)
+        .toHaveBeenCalledWith('Filtering the rows remotely failed: The `fetchRows` function has to resolve with an array of rows.');
+    });
 
-      hot.redo();
+    it('should stop the loading state when finishing the filtering fails', async() => {
+      const warnSpy = spyOn(console, 'warn');
+      const hot = handsontable({
+        data: getDataForFilters().slice(0, 10),
+        columns: getColumnsForFilters(),
+        filters: { mode: 'remote', adapter: createAdapter() },
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+      const actionBar = plugin.components.get('filter_action_bar');
 
-      expect(getData().length).toEqual(2);
+      hot.addHookOnce('afterFilter', () => {
+        throw new Error('The listener failed.');
+      });
+
+      plugin.addCondition(1, 'begins_with', ['b']);
+      plugin.filter();
+      actionBar.setLoading(true);
+
+      await sleep(100);
+
+      expect(plugin.isFiltering()).toBe(false);
+      expect(actionBar.isLoading()).toBe(false);
+      expect(warnSpy).toHaveBeenCalledWith('Filtering the rows remotely failed: The listener failed.');
+    });
+
+    it('should apply the quick filter to the loaded rows', (done) => {
+      const hot = handsontable({
+        data: getDataForFilters().slice(0, 10),
+        columns: getColumnsForFilters(),
+        filters: { mode: 'remote', adapter: createAdapter() },
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(1, 'begins_with', ['b']);
+      plugin.setQuickFilter('cash');
+      plugin.filter();
+
+      hot.addHookOnce('afterFilter', () => {
+        expect(getDataAtCol(1)).toEqual(['Burt Cash']);
+        done();
+      });
+    });
+
+    it('should fill the "by value" list with the values resolved by the adapter', (done) => {
+      const adapter = createAdapter();
+
+      handsontable({
+        data: getDataForFilters().slice(0, 3),
+        columns: getColumnsForFilters(),
+        filters: { mode: 'remote', adapter },
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(1);
+
+      expect(adapter.fetchColumnValues).toHaveBeenCalledWith(1, '');
+
+      setTimeout(() => {
+        const items = byValueMultipleSelect().getItems();
+
+        expect(items.length).toBe(getDataForFilters().length);
+        expect(items.every(item => item.checked)).toBe(true);
+        done();
+      }, 100);
+    });
+
+    it('should request the searched values from the adapter', (done) => {
+      const adapter = createAdapter();
+
+      handsontable({
+        data: getDataForFilters().slice(0, 3),
+        columns: getColumnsForFilters(),
+        filters: { mode: 'remote', adapter },
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(1);
+
+      setTimeout(() => {
+        const searchInput = dropdownMenuRootElement().querySelector('.htUIMultipleSelectSearch input');
+
+        searchInput.value = 'cash';
+        $(searchInput).simulate('input');
+      }, 100);
+
+      setTimeout(() => {
+        expect(adapter.fetchColumnValues).toHaveBeenCalledWith(1, 'cash');
+        expect(byValueMultipleSelect().getItems().map(item => item.value)).toEqual(['Burt Cash']);
+        done();
+      }, 600);
+    });
+
+    it('should throw an error when the adapter is not defined', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: { mode: 'remote' },
+        width: 500,
+        height: 300
+      });
+
+      expect(() => hot.getPlugin('filters').filter())
+        .toThrowError('The remote filtering mode requires the `adapter` option with the `fetchRows` and `fetchColumnValues` functions.');
+    });
+
+    it('should not record the filtering when the adapter is not defined', () => {
+      const beforeFilter = jasmine.createSpy('beforeFilter');
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: { mode: 'remote' },
+        beforeFilter,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(1, 'begins_with', ['b']);
+
+      expect(() => plugin.filter()).toThrow();
+      expect(beforeFilter).not.toHaveBeenCalled();
+      expect(hot.undoRedo.isUndoAvailable()).toBe(false);
+    });
+  });
+
+  describe('Nested rows', () => {
+    it('should keep the ancestors of the matching rows by default', () => {
+      const hot = handsontable({
+        data: getDataForNestedRows(),
+        nestedRows: true,
+        rowHeaders: true,
+        filters: true,
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(0, 'eq', ['a0-a1-a0-a0']);
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual(['a0', 'a0-a1', 'a0-a1-a0', 'a0-a1-a0-a0']);
+    });
+
+    it('should keep the whole subtree of the matching rows in the `subtree` mode', () => {
+      const hot = handsontable({
+        data: getDataForNestedRows(),
+        nestedRows: true,
+        rowHeaders: true,
+        filters: { nestedRows: 'subtree' },
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(0, 'eq', ['a2-a1']);
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual(['a2', 'a2-a1', 'a2-a1-a0', 'a2-a1-a1']);
+    });
+
+    it('should match only the rows without children in the `leaves` mode', () => {
+      const hot = handsontable({
+        data: getDataForNestedRows(),
+        nestedRows: true,
+        rowHeaders: true,
+        filters: { nestedRows: 'leaves' },
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(0, 'ends_with', ['a1']);
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual(['a1', 'a2', 'a2-a1', 'a2-a1-a1']);
+    });
+
+    it('should throw an error when the mode is not valid', () => {
+      const hot = handsontable({
+        data: getDataForNestedRows(),
+        nestedRows: true,
+        filters: { nestedRows: 'foo' },
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(0, 'eq', ['a1']);
+
+      expect(() => plugin.filter()).toThrowError('Unexpected nested rows mode `foo`. Possible ones are `ancestors`, `subtree` and `leaves`.');
+    });
+
+    it('should expand the collapsed ancestors of the matching rows', () => {
+      const hot = handsontable({
+        data: getDataForNestedRows(),
+        nestedRows: true,
+        rowHeaders: true,
+        filters: true,
+      });
+      const plugin = hot.getPlugin('filters');
+      const collapsingUI = hot.getPlugin('nestedRows').collapsingUI;
+
+      collapsingUI.collapseChildren(0);
+      collapsingUI.collapseChildren(7);
+
+      plugin.addCondition(0, 'eq', ['a0-a1-a0-a0']);
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual(['a0', 'a0-a1', 'a0-a1-a0', 'a0-a1-a0-a0']);
+      expect(collapsingUI.collapsedRows).toEqual([7]);
+    });
+
+    it('should keep the filtered out rows trimmed after expanding their parent', () => {
+      const hot = handsontable({
+        data: getDataForNestedRows(),
+        nestedRows: true,
+        rowHeaders: true,
+        filters: true,
+      });
+      const plugin = hot.getPlugin('filters');
+      const collapsingUI = hot.getPlugin('nestedRows').collapsingUI;
+
+      plugin.addCondition(0, 'eq', ['a0-a1-a0-a0']);
+      plugin.filter();
+
+      collapsingUI.collapseChildren(0);
+
+      expect(getDataAtCol(0)).toEqual(['a0']);
+
+      collapsingUI.expandChildren(0);
+
+      expect(getDataAtCol(0)).toEqual(['a0', 'a0-a1', 'a0-a1-a0', 'a0-a1-a0-a0']);
+    });
+
+    it('should keep the collapsed rows trimmed after removing the conditions', () => {
+      const hot = handsontable({
+        data: getDataForNestedRows(),
+        nestedRows: true,
+        rowHeaders: true,
+        filters: true,
+      });
+      const plugin = hot.getPlugin('filters');
+
+      hot.getPlugin('nestedRows').collapsingUI.collapseChildren(7);
+
+      plugin.addCondition(0, 'eq', ['a1']);
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual(['a1']);
+
+      plugin.removeConditions(0);
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual(['a0', 'a0-a0', 'a0-a1', 'a0-a1-a0', 'a0-a1-a0-a0', 'a0-a2', 'a1', 'a2']);
+    });
+  });
+
+  describe('Persistent state', () => {
+    beforeEach(() => {
+      window.localStorage.clear();
+    });
+
+    afterEach(() => {
+      window.localStorage.clear();
+    });
+
+    it('should restore the saved conditions after the table is initialized again', () => {
+      const settings = {
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: { persistent: true },
+        persistentState: true,
+        width: 500,
+        height: 300
+      };
+      let hot = handsontable(settings);
+
+      hot.getPlugin('filters').addCondition(1, 'begins_with', ['b']);
+      hot.getPlugin('filters').filter();
+
+      const filteredData = getData();
+
+      destroy();
+      hot = handsontable(settings);
+
+      expect(getData()).toEqual(filteredData);
+      expect(hot.getPlugin('filters').conditionCollection.hasConditions(1, 'begins_with')).toBe(true);
+    });
+
+    it('should never compile the row expression added to the saved state', () => {
+      const settings = {
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: { persistent: true },
+        persistentState: true,
+        width: 500,
+        height: 300
+      };
+      const hot = handsontable(settings);
+
+      hot.runHooks('persistentStateSave', 'filters', {
+        columns: [{ prop: 'name', operation: 'conjunction', conditions: [{ name: 'begins_with', args: ['b'] }] }],
+        quickFilter: null,
+        rowExpression: '(window.hostileRowExpressionEvaluated = true)',
+      });
+
+      destroy();
+      handsontable(settings);
+
+      expect(window.hostileRowExpressionEvaluated).toBeUndefined();
+      expect(getPlugin('filters').getRowExpression()).toBe(null);
+      expect(getDataAtCol(1).every(value => value.charAt(0).toLowerCase() === 'b')).toBe(true);
+    });
+
+    it('should not restore the conditions when the `persistent` option is disabled', () => {
+      const settings = {
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        persistentState: true,
+        width: 500,
+        height: 300
+      };
+      const hot = handsontable(settings);
+
+      hot.getPlugin('filters').addCondition(1, 'begins_with', ['b']);
+      hot.getPlugin('filters').filter();
+
+      destroy();
+      handsontable(settings);
+
+      expect(getData().length).toBe(getDataForFilters().length);
+    });
+  });
+
+  describe('Serialized state', () => {
+    it('should restore the serialized state by the column data properties', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: { quickFilter: true },
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(1, 'begins_with', ['b']);
+      plugin.setQuickFilter('a');
+      plugin.filter();
+
+      const filteredData = getData();
+      const state = plugin.serializeState();
+
+      expect(encodeURIComponent(state)).toBe(state);
+
+      plugin.clearConditions();
+      plugin.clearQuickFilter();
+      plugin.filter();
+
+      // The "name" column is moved to the end.
+      updateSettings({ columns: getColumnsForFilters().slice(0, 1).concat(getColumnsForFilters().slice(2), getColumnsForFilters().slice(1, 2)) });
+
+      plugin.deserializeState(state);
+      plugin.filter();
+
+      expect(getDataAtCol(getColumnsForFilters().length - 1)).toEqual(filteredData.map(row => row[1]));
+      expect(plugin.conditionCollection.hasConditions(getColumnsForFilters().length - 1, 'begins_with')).toBe(true);
+      expect(plugin.getQuickFilter()).toBe('a');
+      expect(document.querySelector('.htFiltersQuickFilter input').value).toBe('a');
+    });
+
+    it('should neither serialize nor replace the row expression', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.setRowExpression('{balance} > 1000');
+
+      const state = plugin.serializeState();
+
+      plugin.setRowExpression('{id} > 30');
+      plugin.deserializeState(state);
+
+      expect(plugin.getRowExpression()).toBe('{id} > 30');
+
+      plugin.clearRowExpression();
+      plugin.deserializeState(state);
+
+      expect(plugin.getRowExpression()).toBe(null);
+    });
+
+    it('should never compile the row expression added to the serialized state', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+      const hostileState = btoa(JSON.stringify({ v: 1, c: [], e: '(window.hostileRowExpressionEvaluated = true)' }));
+
+      plugin.deserializeState(hostileState);
+      plugin.filter();
+
+      expect(window.hostileRowExpressionEvaluated).toBeUndefined();
+      expect(plugin.getRowExpression()).toBe(null);
+      expect(getData().length).toBe(getDataForFilters().length);
+    });
+
+    it('should throw an error when the serialized state is invalid', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        width: 500,
+        height: 300
+      });
+
+      expect(() => hot.getPlugin('filters').deserializeState('foo')).toThrowError('Invalid filters state.');
+    });
+  });
+
+  describe('Text comparison options', () => {
+    it('should ignore diacritics and extra whitespace when defined in the plugin settings', () => {
+      const hot = handsontable({
+        data: [['Zürich'], ['zurich '], ['Zug'], ['ZURICH']],
+        filters: { accentSensitive: false, trimWhitespace: true },
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(0, 'eq', ['Zurich']);
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual(['Zürich', 'zurich ', 'ZURICH']);
+    });
+
+    it('should extend the plugin settings with the column settings', () => {
+      const hot = handsontable({
+        data: [['Zürich', 'Zürich'], ['zurich', 'zurich'], ['ZURICH', 'ZURICH']],
+        columns: [{}, { filters: { caseSensitive: true } }],
+        filters: { accentSensitive: false },
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(0, 'contains', ['zur']);
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual(['Zürich', 'zurich', 'ZURICH']);
+
+      plugin.clearConditions();
+      plugin.addCondition(1, 'contains', ['zur']);
+      plugin.filter();
+
+      expect(getDataAtCol(1)).toEqual(['zurich']);
+      expect(plugin.getTextComparator(1).options).toEqual({
+        caseSensitive: true,
+        accentSensitive: false,
+        trimWhitespace: false,
+        locale: void 0,
+      });
+    });
+
+    it('should keep the case of the condition arguments', () => {
+      const hot = handsontable({
+        data: [['Foo'], ['foo']],
+        filters: { caseSensitive: true },
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(0, 'begins_with', ['Fo']);
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual(['Foo']);
+      expect(plugin.conditionCollection.exportAllConditions()[0].conditions[0].args).toEqual(['Fo']);
+    });
+  });
+
+  describe('Column-dependent conditions', () => {
+    it('should filter the top N items of the column', () => {
+      const hot = handsontable({
+        data: [[5], [1], [9], [3], [9], [7]],
+        columns: [{ type: 'numeric' }],
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(0, 'top_items', [2]);
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual([9, 9]);
+
+      plugin.clearConditions(0);
+      plugin.addCondition(0, 'bottom_percent', [50]);
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual([5, 1, 3]);
+    });
+
+    it('should compare values with the whole column regardless of the conditions of other columns', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+      const balances = getDataForFilters().map(row => row.balance);
+      const average = balances.reduce((sum, balance) => sum + balance, 0) / balances.length;
+      const expected = getDataForFilters()
+        .filter(row => row.balance > average && row.active)
+        .map(row => row.id);
+
+      plugin.addCondition(6, 'eq', ['true']);
+      plugin.addCondition(5, 'above_average', []);
+      plugin.filter();
+
+      expect(expected.length).toBeGreaterThan(0);
+      expect(getDataAtCol(0)).toEqual(expected);
+    });
+
+    it('should filter duplicate and unique values', () => {
+      const hot = handsontable({
+        data: [[1], [2], [2], [3], [3], [3], [4]],
+        columns: [{ type: 'numeric' }],
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(0, 'duplicate', []);
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual([2, 2, 3, 3, 3]);
+
+      plugin.clearConditions(0);
+      plugin.addCondition(0, 'unique', []);
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual([1, 4]);
+    });
+  });
+
+  describe('Groups of conditions', () => {
+    it('should filter values using the group of conditions', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addConditionsGroup(0, [
+        { name: 'between', args: [3, 5] },
+        { name: 'between', args: [10, 11] },
+        { name: 'eq', args: [20] },
+      ], 'disjunction');
+      plugin.filter();
+
+      expect(getDataAtCol(0).join()).toBe('3,4,5,10,11,20');
+    });
+
+    it('should filter values using nested groups of conditions joined with other conditions', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(0, 'lt', [30]);
+      plugin.addConditionsGroup(0, [
+        { name: 'lt', args: [3] },
+        {
+          operation: 'conjunction',
+          conditions: [{ name: 'gt', args: [20] }, { name: 'not_empty', args: [] }],
+        },
+      ], 'disjunction');
+      plugin.filter();
+
+      expect(getDataAtCol(0).join()).toBe('1,2,21,22,23,24,25,26,27,28,29');
+    });
+
+    it('should export and import groups of conditions', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+      const group = {
+        operation: 'disjunction',
+        conditions: [
+          { name: 'begins_with', args: ['m'] },
+          { operation: 'conjunction', conditions: [{ name: 'contains', args: ['a'] }, { name: 'ends_with', args: ['s'] }] },
+        ],
+      };
+
+      plugin.addConditionsGroup(1, group.conditions, group.operation);
+
+      const exportedConditions = plugin.conditionCollection.exportAllConditions();
+
+      expect(exportedConditions).toEqual([{ column: 1, operation: 'conjunction', conditions: [group] }]);
+
+      plugin.clearConditions();
+      plugin.filter();
+      plugin.conditionCollection.importAllConditions(exportedConditions);
+      plugin.filter();
+
+      expect(plugin.conditionCollection.exportAllConditions()).toEqual(exportedConditions);
+      expect(getDataAtCol(1).every(name => /^m/i.test(name) || (/a/i.test(name) && /s$/i.test(name)))).toBe(true);
+      expect(getData().length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Row expression', () => {
+    it('should filter rows using the string expression across many columns', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+      const expected = getDataForFilters().filter(row => row.id * row.balance > 50000).map(row => row.id);
+
+      plugin.setRowExpression('{id} * {balance} > 50000');
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual(expected);
+      expect(plugin.getRowExpression()).toBe('{id} * {balance} > 50000');
+    });
+
+    it('should filter rows using the callback combined with the column conditions', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+      const expected = getDataForFilters()
+        .filter(row => row.id > 10 && row.active && row.eyeColor.color === 'blue')
+        .map(row => row.id);
+
+      plugin.addCondition(0, 'gt', [10]);
+      plugin.setRowExpression(row => row.active && row.eyeColor.color === 'blue');
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual(expected);
+
+      plugin.clearRowExpression();
+      plugin.filter();
+
+      expect(plugin.getRowExpression()).toBe(null);
+      expect(getDataAtCol(0).every(value => value > 10)).toBe(true);
+      expect(getDataAtCol(0).length).toBeGreaterThan(expected.length);
+    });
+
+    it('should pass the row expression to the `beforeFilter` and `afterFilter` hooks', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const beforeFilterSpy = jasmine.createSpy('beforeFilter');
+      const afterFilterSpy = jasmine.createSpy('afterFilter');
+      const plugin = hot.getPlugin('filters');
+
+      hot.addHook('beforeFilter', beforeFilterSpy);
+      hot.addHook('afterFilter', afterFilterSpy);
+
+      plugin.setRowExpression('{id} < 5');
+      plugin.filter();
+
+      expect(beforeFilterSpy.calls.argsFor(0)[0]).toEqual([]);
+      expect(beforeFilterSpy.calls.argsFor(0)[1]).toBe('{id} < 5');
+      expect(afterFilterSpy.calls.argsFor(0)[1]).toBe('{id} < 5');
+      expect(getDataAtCol(0).join()).toBe('1,2,3,4');
+    });
+
+    it('should throw an error when the string expression is invalid', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        width: 500,
+        height: 300
+      });
+
+      expect(() => hot.getPlugin('filters').setRowExpression('{id} <')).toThrowError(/Invalid row expression/);
+    });
+  });
+
+  describe('Quick filter', () => {
+    it('should filter rows which contain the text in any column', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+      const expected = getDataForFilters()
+        .filter(row => [row.name, row.address].some(value => value.toLowerCase().indexOf('ann') > -1))
+        .map(row => row.id);
+
+      plugin.setQuickFilter('ANN');
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual(expected);
+      expect(plugin.getQuickFilter()).toBe('ANN');
+    });
+
+    it('should filter rows which contain the text in the chosen columns only', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+      const expected = getDataForFilters().filter(row => row.address.indexOf('S') > -1).map(row => row.id);
+
+      plugin.setQuickFilter('S', { columns: [2], caseSensitive: true });
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual(expected);
+    });
+
+    it('should search the chosen columns after moving the columns', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        manualColumnMove: true,
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+      const expected = getDataForFilters().filter(row => row.address.indexOf('S') > -1).map(row => row.id);
+
+      hot.getPlugin('manualColumnMove').moveColumn(2, 0);
+      hot.render();
+
+      // The visual column at index 0 holds the address (the physical column at index 2).
+      plugin.setQuickFilter('S', { columns: [0], caseSensitive: true });
+      plugin.filter();
+
+      expect(getDataAtCol(1)).toEqual(expected);
+    });
+
+    it('should combine the quick filter with the column conditions', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+      const expected = getDataForFilters()
+        .filter(row => row.id > 20 && [row.name, row.address, row.eyeColor.color].some(value => value.indexOf('blue') > -1))
+        .map(row => row.id);
+
+      plugin.addCondition(0, 'gt', [20]);
+      plugin.setQuickFilter('blue');
+      plugin.filter();
+
+      expect(getDataAtCol(0)).toEqual(expected);
+
+      plugin.clearQuickFilter();
+      plugin.filter();
+
+      expect(plugin.getQuickFilter()).toBe(null);
+      expect(getDataAtCol(0).length).toBe(getDataForFilters().filter(row => row.id > 20).length);
+    });
+
+    it('should highlight cells which contain the text', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.setQuickFilter('nannie');
+      plugin.filter();
+
+      expect($(getCell(0, 1)).hasClass('htFiltersQuickFilterMatch')).toBe(true);
+      expect($(getCell(0, 2)).hasClass('htFiltersQuickFilterMatch')).toBe(false);
+
+      plugin.setQuickFilter('');
+      plugin.filter();
+
+      expect(plugin.getQuickFilter()).toBe(null);
+      expect(spec().$container.find('.htFiltersQuickFilterMatch').length).toBe(0);
+    });
+  });
+
+  describe('Undo/Redo', () => {
+    it('should undo previously added filters', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        dropdownMenu: true,
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(0, 'gt', [3]);
+      plugin.filter();
+      plugin.addCondition(2, 'begins_with', ['b']);
+      plugin.filter();
+      plugin.addCondition(4, 'eq', ['green']);
+      plugin.filter();
+
+      expect(getData().length).toEqual(2);
+
+      hot.undo();
+
+      expect(getData().length).toEqual(3);
+
+      hot.undo();
+
+      expect(getData().length).toEqual(36);
+
+      hot.undo();
+
+      expect(getData().length).toEqual(39);
+    });
+
+    it('should redo previously reverted filters', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        dropdownMenu: true,
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(0, 'gt', [3]);
+      plugin.filter();
+      plugin.addCondition(2, 'begins_with', ['b']);
+      plugin.filter();
+      plugin.addCondition(4, 'eq', ['green']);
+      plugin.filter();
+
+      hot.undo();
+      hot.undo();
+      hot.undo();
+
+      expect(getData().length).toEqual(39);
+
+      hot.redo();
+
+      expect(getData().length).toEqual(36);
+
+      hot.redo();
+
+      expect(getData().length).toEqual(3);
+
+      hot.redo();
+
+      expect(getData().length).toEqual(2);
+    });
+
+    it('should undo clearing all conditions', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        dropdownMenu: true,
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(0, 'gt', [3]);
+      plugin.addCondition(1, 'begins_with', ['b']);
+      plugin.addCondition(4, 'eq', ['green']);
+      plugin.filter();
+      plugin.clearConditions();
+      plugin.filter();
+
+      expect(getData().length).toEqual(39);
+
+      hot.undo();
+
+      expect(getDataAtCol(1)).toEqual(['Bridges Sawyer']);
+      expect(plugin.conditionCollection.exportAllConditions().length).toEqual(3);
+
+      hot.redo();
+
+      expect(getData().length).toEqual(39);
+      expect(plugin.conditionCollection.isEmpty()).toBe(true);
+    });
+
+    it('should undo changes of the quick filter and the row-level filter expression', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        dropdownMenu: true,
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.setQuickFilter('becky');
+      plugin.filter();
+      plugin.setRowExpression('{id} > 20');
+      plugin.clearQuickFilter();
+      plugin.filter();
+
+      expect(getData().length).toEqual(19);
+
+      hot.undo();
+
+      expect(getDataAtCol(1)).toEqual(['Becky Ross']);
+      expect(plugin.getQuickFilter()).toEqual('becky');
+      expect(plugin.getRowExpression()).toBeNull();
+
+      hot.undo();
+
+      expect(getData().length).toEqual(39);
+      expect(plugin.getQuickFilter()).toBeNull();
+    });
+
+    it('should not record the filtering which doesn\'t change the filter state', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        dropdownMenu: true,
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(0, 'gt', [3]);
+      plugin.filter();
+      plugin.filter();
+
+      hot.undo();
+
+      expect(getData().length).toEqual(39);
+      expect(hot.isUndoAvailable()).toBe(false);
+    });
+
+    it('should not record the filtering canceled by the `beforeFilter` hook', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        dropdownMenu: true,
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      hot.addHook('beforeFilter', () => false);
+
+      plugin.addCondition(0, 'gt', [3]);
+      plugin.filter();
+
+      expect(hot.isUndoAvailable()).toBe(false);
+    });
+
+    it('should undo the cell changes made while filtered in the right rows', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        dropdownMenu: true,
+        filters: true,
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(1, 'begins_with', ['b']);
+      plugin.filter();
+      hot.setDataAtCell(1, 2, 'Changed');
+      plugin.clearConditions();
+      plugin.filter();
+
+      expect(getDataAtCell(16, 2)).toEqual('Changed');
+
+      hot.undo();
+      hot.undo();
+
+      expect(getDataAtCol(1)).toEqual(['Becky Ross', 'Bridges Sawyer', 'Burt Cash']);
+      expect(hot.getSourceDataAtRow(16).address).toEqual('Bowie');
+      expect(hot.getSourceDataAtRow(1).address).toEqual(getDataForFilters()[1].address);
+    });
+
+    it('should undo the cell changes made while filtered in the right rows when the rows are filtered asynchronously', async() => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        dropdownMenu: true,
+        filters: { async: true },
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(1, 'begins_with', ['b']);
+      plugin.filter();
+
+      await sleep(300);
+
+      hot.setDataAtCell(1, 2, 'Changed');
+      plugin.clearConditions();
+      plugin.filter();
+
+      expect(getDataAtCell(16, 2)).toEqual('Changed');
+
+      hot.undo();
+
+      expect(plugin.isFiltering()).toBe(true);
+      expect(hot.isUndoAvailable()).toBe(false);
+      expect(hot.isRedoAvailable()).toBe(false);
+
+      // The rows aren't filtered yet, so the cell change can't be undone.
+      hot.undo();
+
+      expect(hot.getSourceDataAtRow(16).address).toEqual('Changed');
+
+      await sleep(300);
+
+      expect(getDataAtCol(1)).toEqual(['Becky Ross', 'Bridges Sawyer', 'Burt Cash']);
+      expect(hot.isRedoAvailable()).toBe(true);
+
+      hot.undo();
+
+      expect(hot.getSourceDataAtRow(16).address).toEqual('Bowie');
+      expect(hot.getSourceDataAtRow(1).address).toEqual(getDataForFilters()[1].address);
+
+      hot.redo();
+      hot.redo();
+
+      await sleep(300);
+
+      expect(getData().length).toEqual(39);
+      expect(getDataAtCell(16, 2)).toEqual('Changed');
+    });
+
+    it('should not undo the cell changes until the remote rows are loaded', async() => {
+      const hot = handsontable({
+        data: getDataForFilters().slice(0, 10),
+        columns: getColumnsForFilters(),
+        filters: {
+          mode: 'remote',
+          adapter: {
+            fetchRows: conditions => new Promise(resolve => setTimeout(() => resolve(conditions.length ?
+              getDataForFilters().filter(row => row.name.toLowerCase().indexOf('b') === 0) : getDataForFilters().slice(0, 10)), 100)),
+            fetchColumnValues: () => Promise.resolve([]),
+          },
+        },
+        width: 500,
+        height: 300
+      });
+      const plugin = hot.getPlugin('filters');
+
+      hot.setDataAtCell(0, 2, 'Changed');
+      plugin.addCondition(1, 'begins_with', ['b']);
+      plugin.filter();
+
+      hot.undo();
+      hot.undo();
+
+      expect(plugin.isFiltering()).toBe(true);
+      expect(getDataAtCell(0, 2)).toEqual('Changed');
+
+      await sleep(300);
+
+      expect(plugin.conditionCollection.isEmpty()).toBe(true);
+      expect(hot.countRows()).toEqual(10);
+      expect(getDataAtCell(0, 2)).toEqual(getDataForFilters()[0].address);
+      expect(hot.isUndoAvailable()).toBe(false);
+      expect(hot.isRedoAvailable()).toBe(false);
     });
   });
 
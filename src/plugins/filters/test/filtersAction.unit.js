@@ -0,0 +1,47 @@
+import FiltersAction, { isSameFilterState } from 'handsontable-pro/plugins/filters/filtersAction';
+
+describe('FiltersAction', () => {
+  const state = (conditions, rowExpression = null, quickFilter = null) => ({ conditions, rowExpression, quickFilter });
+  const conditions = [{ column: 0, operation: 'conjunction', conditions: [{ name: 'gt', args: [3] }] }];
+
+  describe('isSameFilterState', () => {
+    it('should compare the exported conditions', () => {
+      expect(isSameFilterState(state(conditions), state(JSON.parse(JSON.stringify(conditions))))).toBe(true);
+      expect(isSameFilterState(state(conditions), state([]))).toBe(false);
+    });
+
+    it('should compare the row-level filter expressions and the quick filters', () => {
+      const isMatch = () => true;
+
+      expect(isSameFilterState(
+        state([], { expression: '{id} > 2' }, { text: 'a', columns: null, caseSensitive: false, isMatch }),
+        state([], { expression: '{id} > 2' }, { text: 'a', columns: null, caseSensitive: false, isMatch }),
+      )).toBe(true);
+      expect(isSameFilterState(state([], { expression: '{id} > 2' }), state([], { expression: '{id} > 3' }))).toBe(false);
+      expect(isSameFilterState(
+        state([], null, { text: 'a', columns: null, caseSensitive: false }),
+        state([], null, { text: 'a', columns: null, caseSensitive: true }),
+      )).toBe(false);
+    });
+  });
+
+  it('should restore the filter state from before the filtering on undo and from after the filtering on redo', () => {
+    const filtersPlugin = { undoRedoFeature: { restoreState: jasmine.createSpy('restoreState') } };
+    const instance = { getPlugin: () => filtersPlugin };
+    const undoneCallback = () => {};
+    const redoneCallback = () => {};
+    const stateBefore = state([]);
+    const stateAfter = state(conditions);
+    const action = new FiltersAction(stateBefore, stateAfter);
+
+    expect(action.actionType).toBe('filter');
+
+    action.undo(instance, undoneCallback);
+
+    expect(filtersPlugin.undoRedoFeature.restoreState).toHaveBeenCalledWith(stateBefore, undoneCallback);
+
+    action.redo(instance, redoneCallback);
+
+    expect(filtersPlugin.undoRedoFeature.restoreState).toHaveBeenCalledWith(stateAfter, redoneCallback);
+  });
+});
@@ -7,7 +7,20 @@ describe('Filters UI', () => {
 
     Handsontable.languages.registerLanguageDictionary({
       languageCode: 'longerForTests',
-      'Filters:conditions.isEmpty': 'This is very long text for conditional menu item'
+      'Filters:conditions.isEmpty': 'This is very long text for conditional menu item',
+      'Filters:conditions.isCheckedForTests': 'Is checked (translated)',
+      'Filters:conditions.matchesRegex': 'Matches regular expression (translated)',
+      'Filters:labels.matchCase': 'Match case (translated)',
+      'Filters:labels.invalidPattern': 'Invalid pattern (translated)',
+      'Filters:buttons.addCondition': 'Add condition (translated)',
+      'Filters:buttons.removeGroup': 'Remove group (translated)',
+      'Filters:buttons.placeholder.search': 'Search (translated)',
+      'Filters:buttons.placeholder.from': 'From (translated)',
+      'Filters:conditions.inTheLastDays': 'In the last N days (translated)',
+      'Filters:labels.invalidNumberOfDays': 'Invalid number of days (translated)',
+      'Filters:conditions.topPercent': 'Top N percent (translated)',
+      'Filters:labels.invalidPercent': 'Invalid percent (translated)',
+      'Filters:buttons.sortByCount': 'Sort by count (translated)',
     });
   });
 
@@ -107,6 +120,10 @@ describe('Filters UI', () => {
         '',
         'Contains',
         'Does not contain',
+        '',
+        'Matches regular expression',
+        'Does not match regular expression',
+        'Is like',
       ]);
     });
 
@@ -217,6 +234,10 @@ describe('Filters UI', () => {
         '',
         'Contains',
         'Does not contain',
+        '',
+        'Matches regular expression',
+        'Does not match regular expression',
+        'Is like',
       ]);
     });
 
@@ -655,9 +676,8 @@ describe('Filters UI', () => {
       }, 400);
     });
 
-    it('should work properly when user added condition with too many arguments #179', async() => {
-      const spy = spyOn(window, 'onerror');
-      const hot = handsontable({
+    it('should display an error under the input when typed regular expression is invalid', async() => {
+      handsontable({
         data: getDataForFilters(),
         columns: getColumnsForFilters(),
         dropdownMenu: true,
@@ -666,85 +686,160 @@ describe('Filters UI', () => {
         height: 300
       });
 
-      const plugin = hot.getPlugin('filters');
-      const th = hot.view.wt.wtTable.getColumnHeader(1);
-      const filterButton = $(th).find('button');
+      dropdownMenu(1);
+      $(dropdownMenuRootElement().querySelector('.htUISelect')).simulate('click');
+      $(conditionMenuRootElements().first).find('tbody td:contains("Matches regular expression")').simulate('mousedown');
 
-      plugin.addCondition(1, 'begins_with', ['a', 'b', 'c', 'd']);
+      await sleep(200);
 
-      $(filterButton).simulate('click');
+      document.activeElement.value = '(Math';
+      $(document.activeElement).simulate('keyup');
 
-      expect(spy).not.toHaveBeenCalled();
+      const input = dropdownMenuRootElement().querySelector('.htFiltersMenuCondition .htUIInput');
+
+      expect($(input).hasClass('htUIInputInvalid')).toBe(true);
+      expect(input.querySelector('.htUIInputError').textContent).toBe('Invalid pattern');
+
+      $(dropdownMenuRootElement().querySelector('.htUIButton.htUIButtonOK input')).simulate('click');
+
+      expect(getData().length).toBe(39);
+      expect($(dropdownMenuRootElement()).is(':visible')).toBe(true);
+
+      document.activeElement.value = '^Math';
+      $(document.activeElement).simulate('keyup');
+
+      expect($(input).hasClass('htUIInputInvalid')).toBe(false);
+      expect($(input.querySelector('.htUIInputError')).is(':visible')).toBe(false);
+
+      $(dropdownMenuRootElement().querySelector('.htUIButton.htUIButtonOK input')).simulate('click');
+
+      expect(getData().length).toBe(1);
     });
-  });
 
-  describe('"by value" component', () => {
-    it('should appear under dropdown menu', () => {
+    it('should translate the regular expression condition, its error and the case sensitivity toggle using the language dictionary', async() => {
       handsontable({
         data: getDataForFilters(),
         columns: getColumnsForFilters(),
-        filters: true,
         dropdownMenu: true,
+        filters: true,
+        language: 'longerForTests',
         width: 500,
         height: 300
       });
 
       dropdownMenu(1);
+      $(dropdownMenuRootElement().querySelector('.htUISelect')).simulate('click');
+      $(conditionMenuRootElements().first).find('tbody td:contains("Matches regular expression (translated)")').simulate('mousedown');
 
-      expect(byValueMultipleSelect().element.parentNode.querySelector('.htFiltersMenuLabel').textContent).toBe('Filter by value:');
-    });
+      await sleep(200);
 
-    it('should display empty values as "(Blank cells)"', () => {
-      const data = getDataForFilters();
-      data[3].name = '';
+      document.activeElement.value = '(Math';
+      $(document.activeElement).simulate('keyup');
+
+      const condition = dropdownMenuRootElement().querySelector('.htFiltersMenuCondition');
+
+      expect(condition.querySelector('.htUISelectCaption').textContent).toBe('Matches regular expression (translated)');
+      expect(condition.querySelector('.htUIInputError').textContent).toBe('Invalid pattern (translated)');
+      expect(condition.querySelector('.htUICheckbox label').textContent).toBe('Match case (translated)');
+    });
 
+    it('should translate the names and the error messages of the column statistics conditions using the language dictionary', async() => {
       handsontable({
         data: getDataForFilters(),
         columns: getColumnsForFilters(),
+        dropdownMenu: true,
         filters: true,
+        language: 'longerForTests',
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(0);
+      $(dropdownMenuRootElement().querySelector('.htUISelect')).simulate('click');
+
+      const menuItems = $(conditionMenuRootElements().first).find('.htCore tr').map(function() {
+        return this.textContent;
+      }).toArray();
+
+      expect(menuItems).toContain('Above average');
+
+      $(conditionMenuRootElements().first).find('tbody td:contains("Top N percent (translated)")').simulate('mousedown');
+
+      await sleep(200);
+
+      document.activeElement.value = '150';
+      $(document.activeElement).simulate('keyup');
+
+      expect(dropdownMenuRootElement().querySelector('.htFiltersMenuCondition .htUIInputError').textContent)
+        .toBe('Invalid percent (translated)');
+    });
+
+    it('should show the case sensitivity toggle only for the conditions which support it', async() => {
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
         dropdownMenu: true,
+        filters: true,
         width: 500,
         height: 300
       });
 
       dropdownMenu(1);
 
-      expect(byValueMultipleSelect().element.querySelector('.htCore td').textContent).toBe('Alice Blake');
+      const checkbox = dropdownMenuRootElement().querySelector('.htFiltersMenuCondition .htUICheckbox');
 
-      loadData(data);
-      dropdownMenu(1);
+      expect($(checkbox).is(':visible')).toBe(false);
 
-      expect(byValueMultipleSelect().element.querySelector('.htCore td').textContent).toBe('(Blank cells)');
-    });
+      $(dropdownMenuRootElement().querySelector('.htUISelect')).simulate('click');
+      $(conditionMenuRootElements().first).find('tbody td:contains("Is like")').simulate('mousedown');
 
-    it('should display `null` values as "(Blank cells)"', () => {
-      const data = getDataForFilters();
-      data[3].name = null;
+      await sleep(200);
+
+      expect($(checkbox).is(':visible')).toBe(true);
+
+      $(dropdownMenuRootElement().querySelector('.htUISelect')).simulate('click');
+      $(conditionMenuRootElements().first).find('tbody td:contains("Contains")').simulate('mousedown');
+
+      await sleep(200);
+
+      expect($(checkbox).is(':visible')).toBe(false);
+    });
 
+    it('should filter case sensitive when the case sensitivity toggle is checked', async() => {
       handsontable({
         data: getDataForFilters(),
         columns: getColumnsForFilters(),
-        filters: true,
         dropdownMenu: true,
+        filters: true,
         width: 500,
         height: 300
       });
 
       dropdownMenu(1);
+      $(dropdownMenuRootElement().querySelector('.htUISelect')).simulate('click');
+      $(conditionMenuRootElements().first).find('tbody td:contains("Is like")').simulate('mousedown');
 
-      expect(byValueMultipleSelect().element.querySelector('.htCore td').textContent).toBe('Alice Blake');
+      await sleep(200);
+
+      document.activeElement.value = 'mathis*';
+      $(document.activeElement).simulate('keyup');
+      $(dropdownMenuRootElement().querySelector('.htFiltersMenuCondition .htUICheckbox input')).simulate('click');
+      $(dropdownMenuRootElement().querySelector('.htUIButton.htUIButtonOK input')).simulate('click');
+
+      expect(getData().length).toBe(0);
+      expect(getPlugin('filters').conditionCollection.exportAllConditions()).toEqual([{
+        column: 1,
+        operation: 'conjunction',
+        conditions: [{ name: 'like', args: ['mathis*', true] }],
+      }]);
 
-      loadData(data);
       dropdownMenu(1);
 
-      expect(byValueMultipleSelect().element.querySelector('.htCore td').textContent).toBe('(Blank cells)');
+      expect(dropdownMenuRootElement().querySelector('.htFiltersMenuCondition .htUICheckbox input').checked).toBe(true);
     });
 
-    it('should display `undefined` values as "(Blank cells)"', () => {
-      const data = getDataForFilters();
-      data[3].name = void 0;
-
-      handsontable({
+    it('should display custom conditions registered for the column type', () => {
+      const hot = handsontable({
         data: getDataForFilters(),
         columns: getColumnsForFilters(),
         filters: true,
@@ -753,99 +848,885 @@ describe('Filters UI', () => {
         height: 300
       });
 
-      dropdownMenu(1);
+      hot.getPlugin('filters').registerCondition('is_checked_for_tests', dataRow => dataRow.value === true, {
+        name: 'Is checked',
+        columnTypes: ['checkbox'],
+      });
 
-      expect(byValueMultipleSelect().element.querySelector('.htCore td').textContent).toBe('Alice Blake');
+      dropdownMenu(6);
+      $(dropdownMenuRootElement().querySelector('.htUISelect')).simulate('click');
+
+      const menuItems = $(conditionMenuRootElements().first).find('.htCore tr').map(function() {
+        return this.textContent;
+      }).toArray();
+
+      expect(menuItems.slice(-2)).toEqual(['', 'Is checked']);
 
-      loadData(data);
       dropdownMenu(1);
+      $(dropdownMenuRootElement().querySelector('.htUISelect')).simulate('click');
 
-      expect(byValueMultipleSelect().element.querySelector('.htCore td').textContent).toBe('(Blank cells)');
+      const textMenuItems = $(conditionMenuRootElements().first).find('.htCore tr').map(function() {
+        return this.textContent;
+      }).toArray();
+
+      expect(textMenuItems).not.toContain('Is checked');
+
+      $(conditionMenuRootElements().first).find('tbody td:contains("Is equal to")').simulate('mousedown');
+      dropdownMenu(6);
+      $(dropdownMenuRootElement().querySelector('.htUISelect')).simulate('click');
+      $(conditionMenuRootElements().first).find('tbody td:contains("Is checked")').simulate('mousedown');
+      $(dropdownMenuRootElement().querySelector('.htUIButton.htUIButtonOK input')).simulate('click');
+
+      expect(getDataAtCol(6).every(value => value === true)).toBe(true);
+      expect(getData().length).toBe(18);
     });
 
-    it('shouldn\'t break "by value" items in the next filter stacks', (done) => {
-      const data = getDataForFilters();
-      data[3].name = void 0;
+    it('should translate the names of custom conditions using the language dictionary', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        dropdownMenu: true,
+        language: 'longerForTests',
+        width: 500,
+        height: 300
+      });
 
-      handsontable({
-        data,
+      hot.getPlugin('filters').registerCondition('is_checked_translated_for_tests', dataRow => dataRow.value === true, {
+        name: 'Filters:conditions.isCheckedForTests',
+        columnTypes: ['checkbox'],
+      });
+
+      dropdownMenu(6);
+      $(dropdownMenuRootElement().querySelector('.htUISelect')).simulate('click');
+
+      expect($(conditionMenuRootElements().first).find('.htCore tr:last').text()).toBe('Is checked (translated)');
+    });
+
+    it('should work properly when user added condition with too many arguments #179', async() => {
+      const spy = spyOn(window, 'onerror');
+      const hot = handsontable({
+        data: getDataForFilters(),
         columns: getColumnsForFilters(),
+        dropdownMenu: true,
         filters: true,
+        width: 500,
+        height: 300
+      });
+
+      const plugin = hot.getPlugin('filters');
+      const th = hot.view.wt.wtTable.getColumnHeader(1);
+      const filterButton = $(th).find('button');
+
+      plugin.addCondition(1, 'begins_with', ['a', 'b', 'c', 'd']);
+
+      $(filterButton).simulate('click');
+
+      expect(spy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Condition builder', () => {
+    it('should display the condition builder instead of the conditional components', () => {
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
         dropdownMenu: true,
+        filters: { conditionBuilder: true },
         width: 500,
         height: 300
       });
 
       dropdownMenu(1);
 
-      setTimeout(() => {
-        // deselect "(Blank cells)"
-        $(byValueMultipleSelect().element.querySelector('.htUIMultipleSelectHot td input')).simulate('click');
-        $(dropdownMenuRootElement().querySelector('.htUIButton.htUIButtonOK input')).simulate('click');
-        dropdownMenu(2);
-      }, 200);
+      expect($(dropdownMenuRootElement().querySelector('.htFiltersConditionBuilder')).is(':visible')).toBe(true);
+      expect(dropdownMenuRootElement().querySelectorAll('.htFiltersBuilderCondition').length).toBe(1);
+      expect($(dropdownMenuRootElement().querySelector('.htFiltersMenuOperators')).is(':visible')).toBe(false);
+    });
 
-      setTimeout(() => {
-        // deselect "Alamo"
-        $(byValueMultipleSelect().element.querySelector('.htUIMultipleSelectHot td input')).simulate('click');
-        $(dropdownMenuRootElement().querySelector('.htUIButton.htUIButtonOK input')).simulate('click');
-        dropdownMenu(1);
-      }, 400);
+    it('should add and remove condition rows and groups', () => {
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        dropdownMenu: true,
+        filters: { conditionBuilder: true },
+        width: 500,
+        height: 300
+      });
 
-      setTimeout(() => {
-        // select "(Blank cells)"
-        $(byValueMultipleSelect().element.querySelector('.htUIMultipleSelectHot td input')).simulate('click');
-        $(dropdownMenuRootElement().querySelector('.htUIButton.htUIButtonOK input')).simulate('click');
-        dropdownMenu(2);
-      }, 600);
+      dropdownMenu(1);
+      $(dropdownMenuRootElement().querySelector('.htFiltersBuilderAddCondition a')).simulate('click');
+      $(dropdownMenuRootElement().querySelector('.htFiltersBuilderAddCondition a')).simulate('click');
 
-      setTimeout(() => {
-        expect(byValueMultipleSelect().element.querySelector('.htCore td').textContent).toBe('Alamo');
-        done();
-      }, 800);
+      expect(dropdownMenuRootElement().querySelectorAll('.htFiltersBuilderCondition').length).toBe(3);
+
+      $(dropdownMenuRootElement().querySelector('.htFiltersBuilderAddGroup a')).simulate('click');
+
+      expect(dropdownMenuRootElement().querySelectorAll('.htFiltersBuilderGroup').length).toBe(2);
+      expect(dropdownMenuRootElement().querySelectorAll('.htFiltersBuilderCondition').length).toBe(4);
+
+      $(dropdownMenuRootElement().querySelector('.htFiltersBuilderGroup .htFiltersBuilderGroup > .htFiltersBuilderActions .htFiltersBuilderRemove a')).simulate('click');
+
+      expect(dropdownMenuRootElement().querySelectorAll('.htFiltersBuilderGroup').length).toBe(1);
+      expect(dropdownMenuRootElement().querySelectorAll('.htFiltersBuilderCondition').length).toBe(3);
+
+      $(dropdownMenuRootElement().querySelector('.htFiltersBuilderCondition .htFiltersBuilderRemove a')).simulate('click');
+
+      expect(dropdownMenuRootElement().querySelectorAll('.htFiltersBuilderCondition').length).toBe(2);
     });
 
-    it('should disappear after hitting ESC key (focused search input)', (done) => {
+    it('should translate the labels of the condition builder links using the language dictionary', () => {
       handsontable({
         data: getDataForFilters(),
         columns: getColumnsForFilters(),
-        filters: true,
         dropdownMenu: true,
+        filters: { conditionBuilder: true },
+        language: 'longerForTests',
         width: 500,
         height: 300
       });
 
       dropdownMenu(1);
-      byValueMultipleSelect().element.querySelector('input').focus();
+      $(dropdownMenuRootElement().querySelector('.htFiltersBuilderAddGroup a')).simulate('click');
 
-      setTimeout(() => {
-        keyDownUp('esc');
+      const nestedGroupLinks = $(dropdownMenuRootElement()).find('.htFiltersBuilderGroup .htFiltersBuilderGroup > .htFiltersBuilderActions');
 
-        expect($(conditionMenuRootElements().first).is(':visible')).toBe(false);
-        expect($(dropdownMenuRootElement()).is(':visible')).toBe(false);
-        done();
-      }, 200);
+      expect($(dropdownMenuRootElement()).find('.htFiltersBuilderAddCondition a').first().text()).toBe('Add condition (translated)');
+      expect($(dropdownMenuRootElement()).find('.htFiltersBuilderAddGroup a').first().text()).toBe('Add group');
+      expect(nestedGroupLinks.find('.htFiltersBuilderRemove a').text()).toBe('Remove group (translated)');
+      expect($(dropdownMenuRootElement()).find('.htFiltersBuilderCondition .htFiltersBuilderRemove a').first().text()).toBe('Remove');
     });
 
-    it('should disappear after hitting ESC key (focused items box)', (done) => {
+    it('should filter rows using conditions defined in the condition builder', async() => {
       handsontable({
         data: getDataForFilters(),
         columns: getColumnsForFilters(),
-        filters: true,
         dropdownMenu: true,
+        filters: { conditionBuilder: true },
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(0);
+      $(dropdownMenuRootElement().querySelector('.htFiltersBuilderAddCondition a')).simulate('click');
+      $(dropdownMenuRootElement().querySelector('.htFiltersBuilderAddCondition a')).simulate('click');
+      $(dropdownMenuRootElement().querySelector('.htFiltersBuilderOperators input[value="disjunction"]')).simulate('click');
+
+      const selects = dropdownMenuRootElement().querySelectorAll('.htFiltersBuilderCondition .htUISelect');
+      const selectCondition = async(index, conditionName, args) => {
+        $(selects[index]).simulate('click');
+        $(conditionMenuRootElements().first).find(`tbody td:contains("${conditionName}")`).simulate('mousedown');
+
+        await sleep(200);
+
+        const inputs = $(selects[index]).closest('.htFiltersBuilderCondition').find('.htUIInput:not(.htUIButton) input');
+
+        args.forEach((arg, argIndex) => {
+          inputs[argIndex].value = arg;
+        });
+      };
+
+      await selectCondition(0, 'Is between', ['3', '5']);
+      await selectCondition(1, 'Is between', ['10', '11']);
+      await selectCondition(2, 'Is equal to', ['20']);
+
+      $(dropdownMenuRootElement().querySelector('.htUIButton.htUIButtonOK input')).simulate('click');
+
+      expect(getDataAtCol(0).join()).toBe('3,4,5,10,11,20');
+      expect(getPlugin('filters').conditionCollection.exportAllConditions()).toEqual([{
+        column: 0,
+        operation: 'disjunction',
+        conditions: [
+          { name: 'between', args: ['3', '5'] },
+          { name: 'between', args: ['10', '11'] },
+          { name: 'eq', args: ['20'] },
+        ],
+      }]);
+
+      dropdownMenu(0);
+
+      expect(dropdownMenuRootElement().querySelectorAll('.htFiltersBuilderCondition').length).toBe(3);
+    });
+
+    it('should display conditions (and nested groups) added by the API in the condition builder', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        dropdownMenu: true,
+        filters: { conditionBuilder: true },
         width: 500,
         height: 300
       });
+      const plugin = hot.getPlugin('filters');
+
+      plugin.addCondition(1, 'begins_with', ['m']);
+      plugin.addConditionsGroup(1, [{ name: 'contains', args: ['a'] }, { name: 'ends_with', args: ['s'] }], 'disjunction');
+      plugin.filter();
 
       dropdownMenu(1);
 
-      setTimeout(() => {
-        byValueMultipleSelect().itemsBox.listen();
-        keyDownUp('esc');
-        expect($(conditionMenuRootElements().first).is(':visible')).toBe(false);
-        expect($(dropdownMenuRootElement()).is(':visible')).toBe(false);
-        done();
-      }, 100);
+      expect(dropdownMenuRootElement().querySelectorAll('.htFiltersBuilderGroup').length).toBe(2);
+      expect(dropdownMenuRootElement().querySelectorAll('.htFiltersBuilderCondition').length).toBe(3);
+    });
+  });
+
+  describe('Date picker', () => {
+    it('should display the date picker under the condition input of the date column', async() => {
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        dropdownMenu: true,
+        filters: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(3);
+      $(dropdownMenuRootElement().querySelector('.htUISelect')).simulate('click');
+      $(conditionMenuRootElements().first).find('tbody td:contains("After")').simulate('mousedown');
+
+      await sleep(200);
+
+      const input = $(dropdownMenuRootElement().querySelector('.htFiltersMenuCondition .htUIInput input'));
+
+      input[0].focus();
+
+      const datePicker = $(dropdownMenuRootElement().querySelector('.htFiltersMenuCondition .htUIDatePicker'));
+
+      expect(datePicker.is(':visible')).toBe(true);
+
+      datePicker.find('.pika-button').first().simulate('mousedown');
+
+      expect(moment(input.val(), FILTERS_DATE_FORMAT, true).isValid()).toBe(true);
+      expect(datePicker.is(':visible')).toBe(false);
+    });
+
+    it('should not display the date picker for the number of days input', async() => {
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        dropdownMenu: true,
+        filters: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(3);
+      $(dropdownMenuRootElement().querySelector('.htUISelect')).simulate('click');
+      $(conditionMenuRootElements().first).find('tbody td:contains("In the last N days")').simulate('mousedown');
+
+      await sleep(200);
+
+      dropdownMenuRootElement().querySelector('.htFiltersMenuCondition .htUIInput input').focus();
+
+      expect($(dropdownMenuRootElement().querySelector('.htFiltersMenuCondition .htUIDatePicker')).is(':visible')).toBe(false);
+    });
+
+    it('should translate the names and the error messages of the relative date conditions using the language dictionary', async() => {
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        dropdownMenu: true,
+        filters: true,
+        language: 'longerForTests',
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(3);
+      $(dropdownMenuRootElement().querySelector('.htUISelect')).simulate('click');
+
+      const menuItems = $(conditionMenuRootElements().first).find('.htCore tr').map(function() {
+        return this.textContent;
+      }).toArray();
+
+      expect(menuItems).toContain('This quarter');
+
+      $(conditionMenuRootElements().first).find('tbody td:contains("In the last N days (translated)")').simulate('mousedown');
+
+      await sleep(200);
+
+      document.activeElement.value = '-1';
+      $(document.activeElement).simulate('keyup');
+
+      expect(dropdownMenuRootElement().querySelector('.htFiltersMenuCondition .htUIInputError').textContent)
+        .toBe('Invalid number of days (translated)');
+    });
+
+    it('should not display the date picker for not date columns', async() => {
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        dropdownMenu: true,
+        filters: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(1);
+      $(dropdownMenuRootElement().querySelector('.htUISelect')).simulate('click');
+      $(conditionMenuRootElements().first).find('tbody td:contains("Is equal to")').simulate('mousedown');
+
+      await sleep(200);
+
+      dropdownMenuRootElement().querySelector('.htFiltersMenuCondition .htUIInput input').focus();
+
+      expect($(dropdownMenuRootElement().querySelector('.htFiltersMenuCondition .htUIDatePicker')).is(':visible')).toBe(false);
+    });
+  });
+
+  describe('Quick filter', () => {
+    it('should display the search input above the table when the `quickFilter` option is enabled', () => {
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: { quickFilter: { placeholder: 'Find' } },
+        width: 500,
+        height: 300
+      });
+
+      const input = spec().$container.prev('.htFiltersQuickFilter').find('input');
+
+      expect(input.length).toBe(1);
+      expect(input.attr('placeholder')).toBe('Find');
+    });
+
+    it('should translate the default placeholder of the search input using the language dictionary', () => {
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: { quickFilter: true },
+        language: 'longerForTests',
+        width: 500,
+        height: 300
+      });
+
+      expect(spec().$container.prev('.htFiltersQuickFilter').find('input').attr('placeholder')).toBe('Search (translated)');
+    });
+
+    it('should filter rows after typing the text into the search input', async() => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: { quickFilter: true },
+        width: 500,
+        height: 300
+      });
+
+      const input = spec().$container.prev('.htFiltersQuickFilter').find('input');
+
+      input.val('nannie').simulate('keyup');
+
+      await sleep(200);
+
+      expect(hot.getPlugin('filters').getQuickFilter()).toBe('nannie');
+      expect(getData().length).toBe(1);
+      expect(getDataAtCell(0, 1)).toBe('Nannie Patel');
+
+      input.val('').simulate('keyup');
+
+      await sleep(200);
+
+      expect(hot.getPlugin('filters').getQuickFilter()).toBe(null);
+      expect(getData().length).toBe(getDataForFilters().length);
+    });
+
+    it('should remove the search input after disabling the plugin', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: { quickFilter: true },
+        width: 500,
+        height: 300
+      });
+
+      hot.updateSettings({ filters: false });
+
+      expect(spec().$container.prev('.htFiltersQuickFilter').length).toBe(0);
+    });
+  });
+
+  describe('Filter row', () => {
+    function filterRowInputs(column) {
+      return spec().$container.find('.ht_clone_top th.htFiltersRow').eq(column).find('input');
+    }
+
+    it('should render the filter row with the inputs suitable for the column types', () => {
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        colHeaders: true,
+        filters: { filterRow: true },
+        width: 500,
+        height: 300
+      });
+
+      expect(spec().$container.find('.ht_clone_top thead tr').length).toBe(2);
+      expect(filterRowInputs(0).length).toBe(2);
+      expect(filterRowInputs(1).length).toBe(1);
+      expect(filterRowInputs(3).length).toBe(2);
+      expect(filterRowInputs(1).closest('.htFiltersRowCell').hasClass('htFiltersRowCell-text')).toBe(true);
+      expect(filterRowInputs(3).closest('.htFiltersRowCell').hasClass('htFiltersRowCell-date')).toBe(true);
+    });
+
+    it('should translate the placeholders of the range inputs using the language dictionary', () => {
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        colHeaders: true,
+        filters: { filterRow: true },
+        language: 'longerForTests',
+        width: 500,
+        height: 300
+      });
+
+      expect(filterRowInputs(0).eq(0).attr('placeholder')).toBe('From (translated)');
+      expect(filterRowInputs(0).eq(1).attr('placeholder')).toBe('To');
+    });
+
+    it('should filter rows after typing the text into the input', async() => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        colHeaders: true,
+        filters: { filterRow: { delay: 50 } },
+        width: 500,
+        height: 300
+      });
+
+      filterRowInputs(1).val('nannie').simulate('keyup');
+
+      await sleep(200);
+
+      expect(getData().length).toBe(1);
+      expect(getDataAtCell(0, 1)).toBe('Nannie Patel');
+      expect(hot.getPlugin('filters').conditionCollection.exportAllConditions()).toEqual([{
+        column: 1,
+        operation: 'conjunction',
+        conditions: [{ name: 'contains', args: ['nannie'] }],
+      }]);
+
+      filterRowInputs(1).val('').simulate('keyup');
+
+      await sleep(200);
+
+      expect(getData().length).toBe(getDataForFilters().length);
+      expect(hot.getPlugin('filters').conditionCollection.exportAllConditions()).toEqual([]);
+    });
+
+    it('should filter rows by the range of numeric values', async() => {
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        colHeaders: true,
+        filters: { filterRow: { delay: 50 } },
+        width: 500,
+        height: 300
+      });
+
+      filterRowInputs(0).eq(0).val('5').simulate('keyup');
+      filterRowInputs(0).eq(1).val('8').simulate('keyup');
+
+      await sleep(200);
+
+      expect(getDataAtCol(0).join()).toBe('5,6,7,8');
+      expect(filterRowInputs(0).eq(0).val()).toBe('5');
+      expect(filterRowInputs(0).eq(1).val()).toBe('8');
+    });
+
+    it('should clear the typed values after clearing the conditions', async() => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        colHeaders: true,
+        filters: { filterRow: { delay: 50 } },
+        width: 500,
+        height: 300
+      });
+
+      filterRowInputs(1).val('nannie').simulate('keyup');
+
+      await sleep(200);
+
+      hot.getPlugin('filters').clearConditions();
+      hot.getPlugin('filters').filter();
+
+      expect(filterRowInputs(1).val()).toBe('');
+    });
+
+    it('should remove the filter row after disabling the plugin', () => {
+      const hot = handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        colHeaders: true,
+        filters: { filterRow: true },
+        width: 500,
+        height: 300
+      });
+
+      hot.updateSettings({ filters: false });
+
+      expect(spec().$container.find('th.htFiltersRow').length).toBe(0);
+    });
+  });
+
+  describe('"by value" component', () => {
+    it('should appear under dropdown menu', () => {
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(1);
+
+      expect(byValueMultipleSelect().element.parentNode.querySelector('.htFiltersMenuLabel').textContent).toBe('Filter by value:');
+    });
+
+    it('should display empty values as "(Blank cells)"', () => {
+      const data = getDataForFilters();
+      data[3].name = '';
+
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(1);
+
+      expect(byValueMultipleSelect().element.querySelector('.htCore td').textContent).toBe('Alice Blake');
+
+      loadData(data);
+      dropdownMenu(1);
+
+      expect(byValueMultipleSelect().element.querySelector('.htCore td').textContent).toBe('(Blank cells)');
+    });
+
+    it('should display `null` values as "(Blank cells)"', () => {
+      const data = getDataForFilters();
+      data[3].name = null;
+
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(1);
+
+      expect(byValueMultipleSelect().element.querySelector('.htCore td').textContent).toBe('Alice Blake');
+
+      loadData(data);
+      dropdownMenu(1);
+
+      expect(byValueMultipleSelect().element.querySelector('.htCore td').textContent).toBe('(Blank cells)');
+    });
+
+    it('should display `undefined` values as "(Blank cells)"', () => {
+      const data = getDataForFilters();
+      data[3].name = void 0;
+
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(1);
+
+      expect(byValueMultipleSelect().element.querySelector('.htCore td').textContent).toBe('Alice Blake');
+
+      loadData(data);
+      dropdownMenu(1);
+
+      expect(byValueMultipleSelect().element.querySelector('.htCore td').textContent).toBe('(Blank cells)');
+    });
+
+    it('shouldn\'t break "by value" items in the next filter stacks', (done) => {
+      const data = getDataForFilters();
+      data[3].name = void 0;
+
+      handsontable({
+        data,
+        columns: getColumnsForFilters(),
+        filters: true,
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(1);
+
+      setTimeout(() => {
+        // deselect "(Blank cells)"
+        $(byValueMultipleSelect().element.querySelector('.htUIMultipleSelectHot td input')).simulate('click');
+        $(dropdownMenuRootElement().querySelector('.htUIButton.htUIButtonOK input')).simulate('click');
+        dropdownMenu(2);
+      }, 200);
+
+      setTimeout(() => {
+        // deselect "Alamo"
+        $(byValueMultipleSelect().element.querySelector('.htUIMultipleSelectHot td input')).simulate('click');
+        $(dropdownMenuRootElement().querySelector('.htUIButton.htUIButtonOK input')).simulate('click');
+        dropdownMenu(1);
+      }, 400);
+
+      setTimeout(() => {
+        // select "(Blank cells)"
+        $(byValueMultipleSelect().element.querySelector('.htUIMultipleSelectHot td input')).simulate('click');
+        $(dropdownMenuRootElement().querySelector('.htUIButton.htUIButtonOK input')).simulate('click');
+        dropdownMenu(2);
+      }, 600);
+
+      setTimeout(() => {
+        expect(byValueMultipleSelect().element.querySelector('.htCore td').textContent).toBe('Alamo');
+        done();
+      }, 800);
+    });
+
+    it('should disappear after hitting ESC key (focused search input)', (done) => {
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(1);
+      byValueMultipleSelect().element.querySelector('input').focus();
+
+      setTimeout(() => {
+        keyDownUp('esc');
+
+        expect($(conditionMenuRootElements().first).is(':visible')).toBe(false);
+        expect($(dropdownMenuRootElement()).is(':visible')).toBe(false);
+        done();
+      }, 200);
+    });
+
+    it('should disappear after hitting ESC key (focused items box)', (done) => {
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(1);
+
+      setTimeout(() => {
+        byValueMultipleSelect().itemsBox.listen();
+        keyDownUp('esc');
+        expect($(conditionMenuRootElements().first).is(':visible')).toBe(false);
+        expect($(dropdownMenuRootElement()).is(':visible')).toBe(false);
+        done();
+      }, 100);
+    });
+
+    it('should display the number of occurrences next to each value', () => {
+      handsontable({
+        data: [['foo'], ['bar'], ['foo'], [null], ['foo']],
+        colHeaders: true,
+        filters: true,
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(0);
+
+      expect(byValueMultipleSelect().getItems().map(item => [item.value, item.count])).toEqual([['', 1], ['bar', 1], ['foo', 3]]);
+      expect($(byValueBoxRootElement()).find('.htCore td').toArray().map(TD => TD.getAttribute('data-count'))).toEqual(['1', '1', '3']);
+    });
+
+    it('should build the values list of the large column in chunks displaying the loading state in the meantime', async() => {
+      const data = [];
+
+      for (let i = 0; i < 25000; i++) {
+        data.push([`value ${i % 3}`]);
+      }
+
+      handsontable({
+        data,
+        colHeaders: true,
+        filters: true,
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(0);
+
+      expect($(byValueMultipleSelect().element).hasClass('htUIMultipleSelectLoading')).toBe(true);
+      expect(byValueMultipleSelect().getItems()).toEqual([]);
+
+      await sleep(300);
+
+      expect($(byValueMultipleSelect().element).hasClass('htUIMultipleSelectLoading')).toBe(false);
+      expect(byValueMultipleSelect().getItems().map(item => [item.value, item.count, item.checked])).toEqual([
+        ['value 0', 8334, true],
+        ['value 1', 8333, true],
+        ['value 2', 8333, true],
+      ]);
+    });
+
+    it('should stop building the values list in chunks after closing the drop-down menu', async() => {
+      const data = [];
+
+      for (let i = 0; i < 25000; i++) {
+        data.push([`value ${i % 3}`]);
+      }
+
+      handsontable({
+        data,
+        colHeaders: true,
+        filters: true,
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(0);
+      getPlugin('dropdownMenu').close();
+
+      await sleep(300);
+
+      expect(byValueMultipleSelect().getItems()).toEqual([]);
+      expect($(byValueMultipleSelect().element).hasClass('htUIMultipleSelectLoading')).toBe(false);
+    });
+
+    it('should sort values by the number of occurrences after clicking the "Sort by count" link', () => {
+      handsontable({
+        data: [['foo'], ['bar'], ['foo'], ['baz'], ['bar'], ['foo']],
+        colHeaders: true,
+        filters: true,
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(0);
+
+      expect(byValueMultipleSelect().getVisibleItems().map(item => item.value)).toEqual(['bar', 'baz', 'foo']);
+
+      $(dropdownMenuRootElement().querySelector('.htUISortValues a')).simulate('click');
+
+      expect(byValueMultipleSelect().getSortOrder()).toBe('count');
+      expect(byValueMultipleSelect().getVisibleItems().map(item => item.value)).toEqual(['foo', 'bar', 'baz']);
+      expect(byValueMultipleSelect().getItems().map(item => item.value)).toEqual(['bar', 'baz', 'foo']);
+      expect(dropdownMenuRootElement().querySelector('.htUISortValues a').textContent).toBe('Sort by value');
+    });
+
+    it('should translate the "Sort by" link using the language dictionary', () => {
+      handsontable({
+        data: [['foo'], ['bar'], ['foo']],
+        colHeaders: true,
+        filters: true,
+        dropdownMenu: true,
+        language: 'longerForTests',
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(0);
+
+      expect(dropdownMenuRootElement().querySelector('.htUISortValues a').textContent).toBe('Sort by count (translated)');
+
+      $(dropdownMenuRootElement().querySelector('.htUISortValues a')).simulate('click');
+
+      expect(dropdownMenuRootElement().querySelector('.htUISortValues a').textContent).toBe('Sort by value');
+    });
+
+    it('should select and clear only the values matching the searched text', (done) => {
+      handsontable({
+        data: getDataForFilters(),
+        columns: getColumnsForFilters(),
+        filters: true,
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(1);
+
+      setTimeout(() => {
+        const searchInput = dropdownMenuRootElement().querySelector('.htUIMultipleSelectSearch input');
+
+        $(dropdownMenuRootElement().querySelector('.htUIClearAll a')).simulate('click');
+
+        searchInput.value = 'ali';
+        $(searchInput).simulate('input');
+        $(dropdownMenuRootElement().querySelector('.htUISelectAll a')).simulate('click');
+
+        const visibleValues = byValueMultipleSelect().getVisibleItems().map(item => item.value);
+
+        expect(visibleValues.length).toBeGreaterThan(0);
+        expect(visibleValues.length).toBeLessThan(byValueMultipleSelect().getItems().length);
+        expect(byValueMultipleSelect().getValue()).toEqual(visibleValues);
+        done();
+      }, 100);
+    });
+
+    it('should search values according to the text comparison options of the column', () => {
+      handsontable({
+        data: [['Zürich'], ['Zug'], ['Bern']],
+        colHeaders: true,
+        filters: { accentSensitive: false },
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(0);
+
+      const searchInput = dropdownMenuRootElement().querySelector('.htUIMultipleSelectSearch input');
+
+      searchInput.value = 'zur';
+      $(searchInput).simulate('input');
+
+      expect(byValueMultipleSelect().getVisibleItems().map(item => item.value)).toEqual(['Zürich']);
+    });
+
+    it('should list the values equal according to the text comparison options of the column as one value', () => {
+      handsontable({
+        data: [['Zürich'], ['zurich'], ['Bern'], ['ZURICH']],
+        colHeaders: true,
+        filters: { accentSensitive: false },
+        dropdownMenu: true,
+        width: 500,
+        height: 300
+      });
+
+      dropdownMenu(0);
+
+      expect(byValueMultipleSelect().getItems().map(item => [item.value, item.count])).toEqual([['Bern', 1], ['ZURICH', 3]]);
+      expect(byValueMultipleSelect().getValue()).toEqual(['Bern', 'ZURICH', 'Zürich', 'zurich']);
+
+      $(byValueBoxRootElement()).find('tr:nth-child(2) :checkbox').simulate('click');
+      $(dropdownMenuRootElement().querySelector('.htUIButton.htUIButtonOK input')).simulate('click');
+
+      expect(getData()).toEqual([['Bern']]);
+
+      dropdownMenu(0);
+
+      expect(byValueMultipleSelect().getItems().map(item => [item.value, item.checked])).toEqual([['Bern', true], ['ZURICH', false]]);
     });
 
     describe('Updating "by value" component cache #87', () => {
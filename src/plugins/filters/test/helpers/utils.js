@@ -81,6 +81,10 @@ export function dateRowFactory(meta) {
   };
 }
 
+export function columnDataFactory(values, meta) {
+  return values.map(value => ({ value, meta: meta || {} }));
+}
+
 export function conditionFactory(funcForCall) {
   return function(args = []) {
     return {
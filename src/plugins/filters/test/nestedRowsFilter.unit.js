@@ -0,0 +1,56 @@
+import { getNestedVisibleRows } from 'handsontable-pro/plugins/filters/nestedRowsFilter';
+import { getDataForNestedRows } from 'handsontable-pro/plugins/nestedRows/test/helpers/fixtures';
+
+// Simplified `DataManager` of the NestedRows plugin (rows are indexed in the depth-first order).
+function createDataManager(data) {
+  const rows = [];
+  const nodeInfo = new Map();
+  const cacheNode = (node, parent) => {
+    nodeInfo.set(node, { parent, row: rows.length });
+    rows.push(node);
+    (node.__children || []).forEach(child => cacheNode(child, node));
+  };
+
+  data.forEach(node => cacheNode(node, null));
+
+  return {
+    getDataObject: row => rows[row],
+    getRowIndex: rowObject => nodeInfo.get(rowObject).row,
+    getRowParent: rowObject => nodeInfo.get(rowObject).parent,
+    hasChildren: rowObject => !!(rowObject.__children && rowObject.__children.length),
+  };
+}
+
+describe('nestedRowsFilter', () => {
+  // 0 a0, 1 a0-a0, 2 a0-a1, 3 a0-a1-a0, 4 a0-a1-a0-a0, 5 a0-a2, 6 a1, 7 a2, 8 a2-a0, 9 a2-a1, 10 a2-a1-a0, 11 a2-a1-a1
+  const dataManager = createDataManager(getDataForNestedRows());
+
+  it('should keep the ancestors of the matching rows', () => {
+    expect(getNestedVisibleRows(dataManager, [4, 10])).toEqual({
+      rows: [0, 2, 3, 4, 7, 9, 10],
+      ancestors: [0, 2, 3, 7, 9],
+    });
+  });
+
+  it('should not display the children of the matching parents in the `ancestors` mode', () => {
+    expect(getNestedVisibleRows(dataManager, [2], 'ancestors').rows).toEqual([0, 2]);
+  });
+
+  it('should keep the whole subtree of the matching rows in the `subtree` mode', () => {
+    expect(getNestedVisibleRows(dataManager, [2, 3, 9], 'subtree')).toEqual({
+      rows: [0, 2, 3, 4, 7, 9, 10, 11],
+      ancestors: [0, 2, 7],
+    });
+  });
+
+  it('should match only the leaves in the `leaves` mode', () => {
+    expect(getNestedVisibleRows(dataManager, [0, 2, 5, 6, 9], 'leaves')).toEqual({
+      rows: [0, 5, 6],
+      ancestors: [0],
+    });
+  });
+
+  it('should return no rows when no row matches', () => {
+    expect(getNestedVisibleRows(dataManager, [])).toEqual({ rows: [], ancestors: [] });
+  });
+});
@@ -0,0 +1,41 @@
+import { createQuickFilter } from 'handsontable-pro/plugins/filters/quickFilter';
+
+describe('createQuickFilter', () => {
+  it('should create quick filter with default options', () => {
+    const quickFilter = createQuickFilter('foo');
+
+    expect(quickFilter.text).toBe('foo');
+    expect(quickFilter.columns).toBe(null);
+    expect(quickFilter.caseSensitive).toBe(false);
+  });
+
+  it('should match values which contain the text (case insensitive by default)', () => {
+    const quickFilter = createQuickFilter('Ann');
+
+    expect(quickFilter.isMatch('Nannie')).toBe(true);
+    expect(quickFilter.isMatch('ANNA')).toBe(true);
+    expect(quickFilter.isMatch('Leanne')).toBe(true);
+    expect(quickFilter.isMatch('Mathis')).toBe(false);
+    expect(quickFilter.isMatch(null)).toBe(false);
+    expect(quickFilter.isMatch(void 0)).toBe(false);
+  });
+
+  it('should match values which contain the text with the case sensitivity', () => {
+    const quickFilter = createQuickFilter('Ann', { caseSensitive: true });
+
+    expect(quickFilter.isMatch('Anna')).toBe(true);
+    expect(quickFilter.isMatch('Nannie')).toBe(false);
+  });
+
+  it('should match not string values', () => {
+    const quickFilter = createQuickFilter(12);
+
+    expect(quickFilter.text).toBe('12');
+    expect(quickFilter.isMatch(1261.6)).toBe(true);
+    expect(quickFilter.isMatch(2231.76)).toBe(false);
+  });
+
+  it('should keep the searched columns', () => {
+    expect(createQuickFilter('foo', { columns: [1, 3] }).columns).toEqual([1, 3]);
+  });
+});
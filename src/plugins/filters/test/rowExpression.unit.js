@@ -0,0 +1,72 @@
+import { compileExpression, createRowExpression } from 'handsontable-pro/plugins/filters/rowExpression';
+
+describe('compileExpression', () => {
+  it('should replace placeholders with the row values', () => {
+    const func = compileExpression('{qty} * {price} > 1000');
+
+    expect(func({ qty: 10, price: 101 })).toBe(true);
+    expect(func({ qty: 10, price: 100 })).toBe(false);
+  });
+
+  it('should support nested data properties and column indexes', () => {
+    expect(compileExpression('{address.city} === "Paris"')({ address: { city: 'Paris' } })).toBe(true);
+    expect(compileExpression('{ 1 } < { 0 }')([5, 3])).toBe(true);
+    expect(compileExpression('{1} < {0}')([3, 5])).toBe(false);
+  });
+
+  it('should evaluate the literals, the parentheses and the operators as JavaScript does', () => {
+    const row = { qty: 4, price: 2.5, name: 'Joe', active: true };
+
+    expect(compileExpression('({qty} + 1) * {price} - 10 / 4 % 2')(row)).toBe(12);
+    expect(compileExpression('-{qty} < 0 && !({price} >= 3)')(row)).toBe(true);
+    expect(compileExpression('{name} === "Joe" || {missing} !== undefined')(row)).toBe(true);
+    expect(compileExpression('{name} + "\\"s" === \'Joe"s\'')(row)).toBe(true);
+    expect(compileExpression('{active} === true && {missing} === undefined && null === null')(row)).toBe(true);
+    expect(compileExpression('.5e1 === 5')(row)).toBe(true);
+  });
+
+  it('should throw an error when the expression is invalid', () => {
+    expect(() => compileExpression('{qty} * > 1000')).toThrowError(/Invalid row expression/);
+    expect(() => compileExpression('({qty} > 1')).toThrowError(/Unexpected end of the expression/);
+    expect(() => compileExpression('{qty} > 1)')).toThrowError(/Unexpected token `\)`/);
+  });
+
+  it('should not evaluate the expression as JavaScript code', () => {
+    window.rowExpressionEvaluated = void 0;
+
+    expect(() => compileExpression('(window.rowExpressionEvaluated = true)')).toThrowError(/Unexpected identifier `window`/);
+    expect(() => compileExpression('{qty}.constructor')).toThrowError(/Unexpected character `.`/);
+    expect(() => compileExpression('alert(1)')).toThrowError(/Unexpected identifier `alert`/);
+    expect(window.rowExpressionEvaluated).toBeUndefined();
+  });
+});
+
+describe('createRowExpression', () => {
+  it('should create row expression from the string', () => {
+    const rowExpression = createRowExpression('{endDate} < {startDate}');
+
+    expect(rowExpression.expression).toBe('{endDate} < {startDate}');
+    expect(rowExpression.func({ startDate: '2018-02-01', endDate: '2018-01-01' }, 0)).toBe(true);
+    expect(rowExpression.func({ startDate: '2018-01-01', endDate: '2018-02-01' }, 0)).toBe(false);
+  });
+
+  it('should create row expression from the function', () => {
+    const callback = jasmine.createSpy('callback').and.returnValue(1);
+    const rowExpression = createRowExpression(callback);
+
+    expect(rowExpression.expression).toBe(callback);
+    expect(rowExpression.func({ id: 1 }, 3)).toBe(true);
+    expect(callback).toHaveBeenCalledWith({ id: 1 }, 3);
+  });
+
+  it('should treat rows for which the expression throws an error as not matching', () => {
+    const rowExpression = createRowExpression('{address.city} !== "London"');
+
+    expect(rowExpression.func({ address: { city: 'Paris' } }, 0)).toBe(true);
+    expect(rowExpression.func({ address: null }, 1)).toBe(false);
+  });
+
+  it('should throw an error when the expression is neither a string nor a function', () => {
+    expect(() => createRowExpression(10)).toThrowError(/has to be a string or a function/);
+  });
+});
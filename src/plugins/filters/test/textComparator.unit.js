@@ -0,0 +1,74 @@
+import { createTextComparator, getTextComparator } from 'handsontable-pro/plugins/filters/textComparator';
+
+describe('createTextComparator', () => {
+  it('should create text comparator with default options', () => {
+    const comparator = createTextComparator();
+
+    expect(comparator.options).toEqual({
+      caseSensitive: false,
+      accentSensitive: true,
+      trimWhitespace: false,
+      locale: void 0,
+    });
+  });
+
+  it('should compare texts case insensitively and accent sensitively by default', () => {
+    const comparator = createTextComparator();
+
+    expect(comparator.equals('Zürich', 'zürich')).toBe(true);
+    expect(comparator.equals('Zürich', 'zurich')).toBe(false);
+    expect(comparator.equals(' Zürich', 'zürich')).toBe(false);
+    expect(comparator.contains('Zürich', 'RIC')).toBe(true);
+    expect(comparator.contains('Zürich', 'uri')).toBe(false);
+    expect(comparator.equals(null, '')).toBe(true);
+    expect(comparator.equals(1, '1')).toBe(true);
+  });
+
+  it('should ignore diacritics when the `accentSensitive` option is disabled', () => {
+    const comparator = createTextComparator({ accentSensitive: false });
+
+    expect(comparator.equals('Zürich', 'zurich')).toBe(true);
+    expect(comparator.equals('Crème brûlée', 'creme brulee')).toBe(true);
+    expect(comparator.contains('Zürich', 'uri')).toBe(true);
+    expect(comparator.beginsWith('Éclair', 'ecl')).toBe(true);
+    expect(comparator.endsWith('Café', 'fe')).toBe(true);
+    expect(comparator.normalize('Zürich')).toBe('zurich');
+  });
+
+  it('should compare the letter case when the `caseSensitive` option is enabled', () => {
+    const comparator = createTextComparator({ caseSensitive: true });
+
+    expect(comparator.equals('Zürich', 'Zürich')).toBe(true);
+    expect(comparator.equals('Zürich', 'zürich')).toBe(false);
+    expect(comparator.contains('Zürich', 'Zü')).toBe(true);
+    expect(comparator.contains('Zürich', 'zü')).toBe(false);
+  });
+
+  it('should ignore extra whitespace when the `trimWhitespace` option is enabled', () => {
+    const comparator = createTextComparator({ trimWhitespace: true });
+
+    expect(comparator.equals('  New   York ', 'new york')).toBe(true);
+    expect(comparator.beginsWith(' New York', 'new')).toBe(true);
+    expect(comparator.endsWith('New York  ', 'york')).toBe(true);
+    expect(comparator.contains('New \t York', 'new york')).toBe(true);
+  });
+
+  it('should fall back to the default locale when the locale is invalid', () => {
+    const comparator = createTextComparator({ locale: 'not a locale!' });
+
+    expect(comparator.options.locale).toBe(void 0);
+    expect(comparator.equals('Foo', 'foo')).toBe(true);
+  });
+});
+
+describe('getTextComparator', () => {
+  it('should return the comparator of the data row', () => {
+    const comparator = createTextComparator({ accentSensitive: false });
+
+    expect(getTextComparator({ value: 'foo', meta: { textComparator: comparator } })).toBe(comparator);
+  });
+
+  it('should return the default comparator when the data row doesn\'t define one', () => {
+    expect(getTextComparator({ value: 'foo', meta: {} }).options.caseSensitive).toBe(false);
+  });
+});
@@ -0,0 +1,138 @@
+import { objectEach } from 'handsontable/helpers/object';
+
+/**
+ * Default text comparison options (case insensitive and accent sensitive comparison without trimming).
+ *
+ * @type {Object}
+ */
+export const DEFAULT_OPTIONS = {
+  caseSensitive: false,
+  accentSensitive: true,
+  trimWhitespace: false,
+  locale: void 0,
+};
+
+const SUPPORT_COLLATOR = typeof Intl === 'object' && typeof Intl.Collator === 'function';
+
+/**
+ * Create the functions which compare the texts according to the options. The function is used by
+ * {@link createTextComparator} and it's also stringified into the filter worker script (see {@link createWorkerSource}),
+ * so it can't refer to anything outside its body.
+ *
+ * @param {Object} options Text comparison options with all keys (see {@link DEFAULT_OPTIONS}).
+ * @param {Object|null} intl The `Intl` object used to create the collator (`null` when it's not available).
+ * @returns {Object} Returns object with keys `normalize`, `equals`, `contains`, `beginsWith` and `endsWith`.
+ */
+export function createComparisonFunctions(options, intl) {
+  const DIACRITICS_REGEXP = /[\u0300-\u036f]/g;
+  const WHITESPACE_REGEXP = /\s+/g;
+  const caseSensitive = options.caseSensitive;
+  const accentSensitive = options.accentSensitive;
+  const trimWhitespace = options.trimWhitespace;
+  const locale = options.locale;
+  let sensitivity = 'base';
+
+  if (caseSensitive && accentSensitive) {
+    sensitivity = 'variant';
+  } else if (caseSensitive) {
+    sensitivity = 'case';
+  } else if (accentSensitive) {
+    sensitivity = 'accent';
+  }
+
+  const collator = intl ? new intl.Collator(locale, { sensitivity, usage: 'search' }) : null;
+  const stringify = value => (value === null || value === void 0 ? '' : value.toString());
+  const trim = text => (trimWhitespace ? text.trim().replace(WHITESPACE_REGEXP, ' ') : text);
+
+  /**
+   * Convert the value into the text which can be compared char by char (eq. lowercased and without diacritics).
+   *
+   * @param {*} value
+   * @returns {String}
+   */
+  const normalize = (value) => {
+    let text = trim(stringify(value));
+
+    if (!accentSensitive && typeof text.normalize === 'function') {
+      text = text.normalize('NFD').replace(DIACRITICS_REGEXP, '');
+    }
+    if (!caseSensitive) {
+      text = locale === void 0 ? text.toLowerCase() : text.toLocaleLowerCase(locale);
+    }
+
+    return text;
+  };
+
+  return {
+    normalize,
+    equals: (value, searchedValue) => {
+      if (collator) {
+        return collator.compare(trim(stringify(value)), trim(stringify(searchedValue))) === 0;
+      }
+
+      return normalize(value) === normalize(searchedValue);
+    },
+    contains: (value, searchedValue) => normalize(value).indexOf(normalize(searchedValue)) >= 0,
+    beginsWith: (value, searchedValue) => normalize(value).startsWith(normalize(searchedValue)),
+    endsWith: (value, searchedValue) => normalize(value).endsWith(normalize(searchedValue)),
+  };
+}
+
+/**
+ * Check if the locale is valid (the locale tag is well-formed).
+ *
+ * @param {String} locale Locale tag (eq. `'de-DE'`).
+ * @returns {Boolean}
+ */
+function isValidLocale(locale) {
+  try {
+    ''.toLocaleLowerCase(locale);
+
+  } catch (error) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Create the text comparator used by the text conditions (eq. `contains`, `eq`) and the "by value" component search.
+ *
+ * @param {Object} [options] Object with keys:
+ *  * `caseSensitive` Boolean, Whether the letter case is compared (`false` by default).
+ *  * `accentSensitive` Boolean, Whether the diacritics are compared, so "Zürich" doesn't match "zurich" (`true` by
+ *     default).
+ *  * `trimWhitespace` Boolean, Whether the leading and trailing whitespace is ignored and the inner whitespace is
+ *     collapsed into one space (`false` by default).
+ *  * `locale` String, Locale used to compare the texts and to change their case (eq. `'de-DE'`, the browser's locale
+ *     by default).
+ * @returns {Object} Returns object with keys `options`, `normalize`, `equals`, `contains`, `beginsWith` and `endsWith`.
+ */
+export function createTextComparator(options = {}) {
+  const comparatorOptions = {};
+
+  objectEach(DEFAULT_OPTIONS, (defaultValue, key) => {
+    comparatorOptions[key] = options[key] === void 0 ? defaultValue : options[key];
+  });
+
+  // Invalid locales fall back to the default one.
+  if (comparatorOptions.locale !== void 0 && !isValidLocale(comparatorOptions.locale)) {
+    comparatorOptions.locale = void 0;
+  }
+
+  const functions = createComparisonFunctions(comparatorOptions, SUPPORT_COLLATOR ? Intl : null);
+
+  return Object.assign({ options: comparatorOptions }, functions);
+}
+
+const defaultTextComparator = createTextComparator();
+
+/**
+ * Get the text comparator of the data row column (the default comparator when the column doesn't define one).
+ *
+ * @param {Object} dataRow Object with `value` and `meta` keys.
+ * @returns {Object}
+ */
+export function getTextComparator(dataRow) {
+  return (dataRow.meta && dataRow.meta.textComparator) || defaultTextComparator;
+}
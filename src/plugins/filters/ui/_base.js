@@ -115,7 +115,10 @@ class BaseUI {
    */
   translateIfPossible(value) {
     if (typeof value === 'string' && value.startsWith(C.FILTERS_NAMESPACE)) {
-      return this.hot.getTranslatedPhrase(value);
+      const phrase = this.hot.getTranslatedPhrase(value);
+
+      // Phrases of the custom conditions may not be defined in the dictionary.
+      return phrase === null ? value : phrase;
     }
 
     return value;
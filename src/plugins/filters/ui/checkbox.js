@@ -0,0 +1,103 @@
+import { clone, extend } from 'handsontable/helpers/object';
+import BaseUI from './_base';
+
+const privatePool = new WeakMap();
+
+/**
+ * @class CheckboxUI
+ * @util
+ */
+class CheckboxUI extends BaseUI {
+  static get DEFAULTS() {
+    return clone({
+      type: 'checkbox',
+      tagName: 'input',
+      className: 'htUICheckbox',
+      checked: false,
+      label: {}
+    });
+  }
+
+  constructor(hotInstance, options) {
+    super(hotInstance, extend(CheckboxUI.DEFAULTS, options));
+
+    privatePool.set(this, {});
+    this.registerHooks();
+  }
+
+  /**
+   * Register all necessary hooks.
+   */
+  registerHooks() {
+    this.addLocalHook('change', event => this.onChange(event));
+  }
+
+  /**
+   * Build DOM structure.
+   */
+  build() {
+    super.build();
+    const priv = privatePool.get(this);
+    priv.input = this._element.firstChild;
+
+    const label = document.createElement('label');
+    label.textContent = this.translateIfPossible(this.options.label.textContent);
+    label.htmlFor = this.translateIfPossible(this.options.label.htmlFor);
+    priv.label = label;
+
+    this._element.appendChild(label);
+
+    this.update();
+  }
+
+  /**
+   * Update element.
+   */
+  update() {
+    if (!this.isBuilt()) {
+      return;
+    }
+
+    const priv = privatePool.get(this);
+
+    priv.input.checked = this.options.checked;
+    priv.label.textContent = this.translateIfPossible(this.options.label.textContent);
+  }
+
+  /**
+   * Check if checkbox is checked.
+   *
+   * @returns {Boolean}
+   */
+  isChecked() {
+    return this.options.checked;
+  }
+
+  /**
+   * Set input checked attribute.
+   *
+   * @param value {Boolean} value
+   */
+  setChecked(value = true) {
+    this.options.checked = value;
+    this.update();
+  }
+
+  /**
+   * Reset to initial state.
+   */
+  reset() {
+    this.setChecked(false);
+  }
+
+  /**
+   * OnChange listener.
+   *
+   * @param {Event} event
+   */
+  onChange(event) {
+    this.options.checked = event.target.checked;
+  }
+}
+
+export default CheckboxUI;
@@ -0,0 +1,84 @@
+import moment from 'moment';
+import Pikaday from 'pikaday';
+import 'pikaday/css/pikaday.css';
+import { addClass } from 'handsontable/helpers/dom/element';
+import { clone, extend } from 'handsontable/helpers/object';
+import BaseUI from './_base';
+
+const privatePool = new WeakMap();
+
+/**
+ * @class DatePickerUI
+ * @util
+ */
+class DatePickerUI extends BaseUI {
+  static get DEFAULTS() {
+    return clone({
+      dateFormat: 'DD/MM/YYYY',
+      wrapIt: false,
+    });
+  }
+
+  constructor(hotInstance, options) {
+    super(hotInstance, extend(DatePickerUI.DEFAULTS, options));
+
+    privatePool.set(this, {});
+  }
+
+  /**
+   * Build DOM structure.
+   */
+  build() {
+    super.build();
+
+    const priv = privatePool.get(this);
+
+    addClass(this._element, 'htUIDatePicker');
+
+    priv.picker = new Pikaday({
+      bound: false,
+      onSelect: date => this.runLocalHooks('select', moment(date).format(this.options.dateFormat)),
+    });
+    this._element.appendChild(priv.picker.el);
+
+    this.update();
+  }
+
+  /**
+   * Update element.
+   */
+  update() {
+    if (!this.isBuilt()) {
+      return;
+    }
+    const { picker } = privatePool.get(this);
+    const date = moment(this.options.value, this.options.dateFormat, true);
+
+    if (date.isValid()) {
+      picker.setMoment(date, true);
+    }
+  }
+
+  /**
+   * Set the format of the selected dates.
+   *
+   * @param {String} dateFormat Date format (see the moment.js formats).
+   */
+  setDateFormat(dateFormat) {
+    this.options.dateFormat = dateFormat;
+  }
+
+  /**
+   * Destroy element.
+   */
+  destroy() {
+    const { picker } = privatePool.get(this);
+
+    if (picker) {
+      picker.destroy();
+    }
+    super.destroy();
+  }
+}
+
+export default DatePickerUI;
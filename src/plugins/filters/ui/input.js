@@ -1,4 +1,4 @@
-import { addClass } from 'handsontable/helpers/dom/element';
+import { addClass, removeClass } from 'handsontable/helpers/dom/element';
 import { clone, extend } from 'handsontable/helpers/object';
 import BaseUI from './_base';
 
@@ -14,6 +14,7 @@ class InputUI extends BaseUI {
       placeholder: '',
       type: 'text',
       tagName: 'input',
+      error: '',
     });
   }
 
@@ -39,13 +40,17 @@ class InputUI extends BaseUI {
     super.build();
     const priv = privatePool.get(this);
     const icon = document.createElement('div');
+    const error = document.createElement('div');
 
     priv.input = this._element.firstChild;
+    priv.error = error;
 
     addClass(this._element, 'htUIInput');
     addClass(icon, 'htUIInputIcon');
+    addClass(error, 'htUIInputError');
 
     this._element.appendChild(icon);
+    this._element.appendChild(error);
 
     this.update();
   }
@@ -58,11 +63,47 @@ class InputUI extends BaseUI {
       return;
     }
 
-    const input = privatePool.get(this).input;
+    const { input, error } = privatePool.get(this);
 
     input.type = this.options.type;
     input.placeholder = this.translateIfPossible(this.options.placeholder);
     input.value = this.translateIfPossible(this.options.value);
+
+    error.textContent = this.translateIfPossible(this.options.error);
+    error.style.display = this.options.error ? '' : 'none';
+
+    if (this.options.error) {
+      addClass(this._element, 'htUIInputInvalid');
+    } else {
+      removeClass(this._element, 'htUIInputInvalid');
+    }
+  }
+
+  /**
+   * Set the error message displayed under the input (empty message hides it).
+   *
+   * @param {String} [message=''] Error message.
+   */
+  setError(message = '') {
+    this.options.error = message;
+    this.update();
+  }
+
+  /**
+   * Get the error message displayed under the input.
+   *
+   * @returns {String}
+   */
+  getError() {
+    return this.options.error;
+  }
+
+  /**
+   * Reset to initial state.
+   */
+  reset() {
+    this.options.error = '';
+    super.reset();
   }
 
   /**
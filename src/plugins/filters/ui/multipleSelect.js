@@ -5,10 +5,12 @@ import { isKey } from 'handsontable/helpers/unicode';
 import { partial } from 'handsontable/helpers/function';
 import * as C from 'handsontable/i18n/constants';
 import { stopImmediatePropagation } from 'handsontable/helpers/dom/event';
+import { FILTERS_BUTTONS_SORT_BY_COUNT, FILTERS_BUTTONS_SORT_BY_VALUE } from './../../../i18n/constants';
 import BaseUI from './_base';
 import InputUI from './input';
 import LinkUI from './link';
-import { createArrayAssertion } from './../utils';
+import { createArrayAssertion, sortItems } from './../utils';
+import { createTextComparator } from './../textComparator';
 
 const privatePool = new WeakMap();
 
@@ -21,6 +23,7 @@ class MultipleSelectUI extends BaseUI {
     return clone({
       className: 'htUIMultipleSelect',
       value: [],
+      sortBy: 'value',
     });
   }
 
@@ -55,12 +58,39 @@ class MultipleSelectUI extends BaseUI {
       textContent: C.FILTERS_BUTTONS_CLEAR,
       className: 'htUIClearAll',
     });
+    /**
+     * "Sort by" UI element which toggles the sort order of the options.
+     *
+     * @type {BaseUI}
+     */
+    this.sortUI = new LinkUI(this.hot, {
+      textContent: sortLinkText(this.options.sortBy),
+      className: 'htUISortValues',
+    });
     /**
      * List of available select options.
      *
      * @type {Array}
      */
     this.items = [];
+    /**
+     * List of displayed options (matching the searched text and sorted by the current sort order).
+     *
+     * @type {Array}
+     */
+    this.visibleItems = [];
+    /**
+     * Text typed into the search input.
+     *
+     * @type {String}
+     */
+    this.searchedText = '';
+    /**
+     * Text comparator used to search the options (see {@link createTextComparator}).
+     *
+     * @type {Object}
+     */
+    this.textComparator = createTextComparator();
     /**
      * Handsontable instance used as items list element.
      *
@@ -79,19 +109,18 @@ class MultipleSelectUI extends BaseUI {
     this.searchInput.addLocalHook('input', event => this.onInput(event));
     this.selectAllUI.addLocalHook('click', event => this.onSelectAllClick(event));
     this.clearAllUI.addLocalHook('click', event => this.onClearAllClick(event));
+    this.sortUI.addLocalHook('click', event => this.onSortClick(event));
   }
 
   /**
    * Set available options.
    *
-   * @param {Array} items Array of objects with `checked` and `label` property.
+   * @param {Array} items Array of objects with `checked` and `label` property (and optionally the `count` property
+   *                     with the number of occurrences of the value).
    */
   setItems(items) {
     this.items = items;
-
-    if (this.itemsBox) {
-      this.itemsBox.loadData(this.items);
-    }
+    this.updateVisibleItems();
   }
 
   /**
@@ -103,6 +132,49 @@ class MultipleSelectUI extends BaseUI {
     return [...this.items];
   }
 
+  /**
+   * Get displayed options (matching the searched text and sorted by the current sort order).
+   *
+   * @returns {Array}
+   */
+  getVisibleItems() {
+    return [...this.visibleItems];
+  }
+
+  /**
+   * Set the sort order of the options.
+   *
+   * @param {String} sortBy Sort order, `'value'` (ascending) or `'count'` (number of occurrences, descending).
+   */
+  setSortOrder(sortBy) {
+    if (sortBy !== 'value' && sortBy !== 'count') {
+      throw new Error(`Unexpected sort order \`${sortBy}\`. Possible ones are \`value\` and \`count\`.`);
+    }
+    this.options.sortBy = sortBy;
+    this.sortUI.options.textContent = sortLinkText(sortBy);
+    this.sortUI.update();
+    this.updateVisibleItems();
+  }
+
+  /**
+   * Get the sort order of the options.
+   *
+   * @returns {String}
+   */
+  getSortOrder() {
+    return this.options.sortBy;
+  }
+
+  /**
+   * Set the text comparator used to search the options.
+   *
+   * @param {Object} textComparator Text comparator created by {@link createTextComparator}.
+   */
+  setTextComparator(textComparator) {
+    this.textComparator = textComparator;
+    this.updateVisibleItems();
+  }
+
   /**
    * Get element value.
    *
@@ -118,7 +190,7 @@ class MultipleSelectUI extends BaseUI {
    * @returns {Boolean}
    */
   isSelectedAllValues() {
-    return this.items.length === this.getValue().length;
+    return arrayFilter(this.items, item => item.checked).length === this.items.length;
   }
 
   /**
@@ -130,7 +202,7 @@ class MultipleSelectUI extends BaseUI {
     const itemsBoxWrapper = document.createElement('div');
     const selectionControl = new BaseUI(this.hot, {
       className: 'htUISelectionControls',
-      children: [this.selectAllUI, this.clearAllUI],
+      children: [this.sortUI, this.selectAllUI, this.clearAllUI],
     });
 
     this._element.appendChild(this.searchInput.element);
@@ -155,6 +227,16 @@ class MultipleSelectUI extends BaseUI {
         beforeRenderer: (TD, row, col, prop, value, cellProperties) => {
           TD.title = cellProperties.instance.getDataAtRowProp(row, cellProperties.label.property);
         },
+        afterRenderer: (TD, row) => {
+          const count = this.itemsBox.getSourceDataAtRow(row).count;
+
+          // The count is displayed by the CSS, so it doesn't become a part of the option label.
+          if (count === void 0) {
+            TD.removeAttribute('data-count');
+          } else {
+            TD.setAttribute('data-count', count);
+          }
+        },
         autoWrapCol: true,
         height: 110,
         stretchH: 'last',
@@ -175,6 +257,7 @@ class MultipleSelectUI extends BaseUI {
    * Reset DOM structure.
    */
   reset() {
+    this.searchedText = '';
     this.searchInput.reset();
     this.selectAllUI.reset();
     this.clearAllUI.reset();
@@ -188,7 +271,8 @@ class MultipleSelectUI extends BaseUI {
       return;
     }
 
-    this.itemsBox.loadData(valueToItems(this.items, this.options.value));
+    valueToItems(this.items, this.options.value);
+    this.updateVisibleItems();
     super.update();
   }
 
@@ -202,12 +286,16 @@ class MultipleSelectUI extends BaseUI {
     this.searchInput.destroy();
     this.clearAllUI.destroy();
     this.selectAllUI.destroy();
+    this.sortUI.destroy();
 
     this.searchInput = null;
     this.clearAllUI = null;
     this.selectAllUI = null;
+    this.sortUI = null;
+    this.textComparator = null;
     this.itemsBox = null;
     this.items = null;
+    this.visibleItems = null;
     super.destroy();
   }
 
@@ -218,15 +306,30 @@ class MultipleSelectUI extends BaseUI {
    * @param {Event} event DOM event.
    */
   onInput(event) {
-    const value = event.target.value.toLowerCase();
-    let filteredItems;
+    this.searchedText = event.target.value;
+    this.updateVisibleItems();
+    this.runLocalHooks('search', this.searchedText, this);
+  }
 
-    if (value === '') {
-      filteredItems = [...this.items];
-    } else {
-      filteredItems = arrayFilter(this.items, item => (`${item.value}`).toLowerCase().indexOf(value) >= 0);
+  /**
+   * Update the list of displayed options (based on the searched text and the sort order) and load it into the items
+   * box.
+   *
+   * @private
+   */
+  updateVisibleItems() {
+    const { searchedText, textComparator } = this;
+    let visibleItems = this.items;
+
+    if (searchedText !== '') {
+      visibleItems = arrayFilter(visibleItems, item => textComparator.contains(item.value, searchedText));
+    }
+    // Items are already sorted by value, so only the other sort orders need sorting.
+    this.visibleItems = this.options.sortBy === 'value' ? [...visibleItems] : sortItems(visibleItems, this.options.sortBy);
+
+    if (this.itemsBox) {
+      this.itemsBox.loadData(this.visibleItems);
     }
-    this.itemsBox.loadData(filteredItems);
   }
 
   /**
@@ -276,8 +379,9 @@ class MultipleSelectUI extends BaseUI {
    */
   onSelectAllClick(event) {
     event.preventDefault();
-    arrayEach(this.itemsBox.getSourceData(), (row) => {
-      row.checked = true;
+    // Only the options matching the searched text are selected.
+    arrayEach(this.visibleItems, (item) => {
+      item.checked = true;
     });
     this.itemsBox.render();
   }
@@ -290,17 +394,48 @@ class MultipleSelectUI extends BaseUI {
    */
   onClearAllClick(event) {
     event.preventDefault();
-    arrayEach(this.itemsBox.getSourceData(), (row) => {
-      row.checked = false;
+    arrayEach(this.visibleItems, (item) => {
+      item.checked = false;
     });
     this.itemsBox.render();
   }
+
+  /**
+   * On click listener for "Sort by" link.
+   *
+   * @private
+   * @param {DOMEvent} event
+   */
+  onSortClick(event) {
+    event.preventDefault();
+    this.setSortOrder(this.options.sortBy === 'value' ? 'count' : 'value');
+  }
 }
 
 export default MultipleSelectUI;
 
 /**
- * Pick up object items based on selected values.
+ * Get text (the key of the i18n dictionary) of the "Sort by" link which switches to the other sort order.
+ *
+ * @param {String} sortBy Current sort order.
+ * @returns {String}
+ */
+function sortLinkText(sortBy) {
+  return sortBy === 'value' ? FILTERS_BUTTONS_SORT_BY_COUNT : FILTERS_BUTTONS_SORT_BY_VALUE;
+}
+
+/**
+ * Get all values represented by the item (the items may group many values, see {@link groupValues}).
+ *
+ * @param {Object} item
+ * @returns {Array}
+ */
+function getItemValues(item) {
+  return item.values || [item.value];
+}
+
+/**
+ * Pick up object items based on selected values. The item is checked when any of its values is selected.
  *
  * @param {Array} availableItems Base collection to compare values.
  * @param selectedValue Flat array with selected values.
@@ -310,7 +445,7 @@ function valueToItems(availableItems, selectedValue) {
   const arrayAssertion = createArrayAssertion(selectedValue);
 
   return arrayMap(availableItems, (item) => {
-    item.checked = arrayAssertion(item.value);
+    item.checked = getItemValues(item).some(value => arrayAssertion(value));
 
     return item;
   });
@@ -327,7 +462,7 @@ function itemsToValue(availableItems) {
 
   arrayEach(availableItems, (item) => {
     if (item.checked) {
-      items.push(item.value);
+      items.push(...getItemValues(item));
     }
   });
 
@@ -1,7 +1,10 @@
+import moment from 'moment';
 import { getComparisonFunction } from 'handsontable/helpers/feature';
 import { arrayUnique, arrayEach } from 'handsontable/helpers/array';
+import { stringify } from 'handsontable/helpers/mixed';
 
 const sortCompare = getComparisonFunction();
+const columnStatisticsCache = new WeakMap();
 
 /**
  * Comparison function for sorting purposes.
@@ -89,19 +92,61 @@ export function unifyColumnValues(values) {
   } else {
     unifiedValues = arrayUnique(unifiedValues);
   }
-  unifiedValues = unifiedValues.sort((a, b) => {
-    if (typeof a === 'number' && typeof b === 'number') {
-      return a - b;
-    }
+  unifiedValues = unifiedValues.sort(compareColumnValues);
 
-    if (a === b) {
-      return 0;
-    }
+  return unifiedValues;
+}
+
+/**
+ * Comparison function used to sort the unique column values.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {Number}
+ */
+export function compareColumnValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+
+  if (a === b) {
+    return 0;
+  }
+
+  return a > b ? 1 : -1;
+}
 
-    return a > b ? 1 : -1;
+/**
+ * Count occurrences of the column values in one pass.
+ *
+ * @param {Array} values An array of values.
+ * @param {Map} [counts] Map with the already counted occurrences (used for counting the values in chunks).
+ * @returns {Map} Returns map where keys are the unique values and values are the numbers of their occurrences.
+ */
+export function countColumnValues(values, counts = new Map()) {
+  arrayEach(values, (value) => {
+    counts.set(value, (counts.get(value) || 0) + 1);
   });
 
-  return unifiedValues;
+  return counts;
+}
+
+/**
+ * Sort the list items (objects with `value` and `count` keys) by value (ascending) or by count (descending, items
+ * with the same count are sorted by value). The passed array is not modified.
+ *
+ * @param {Array} items List items.
+ * @param {String} [sortBy='value'] Sort order, `'value'` or `'count'`.
+ * @returns {Array}
+ */
+export function sortItems(items, sortBy = 'value') {
+  return items.slice().sort((a, b) => {
+    if (sortBy === 'count' && a.count !== b.count) {
+      return (b.count || 0) - (a.count || 0);
+    }
+
+    return compareColumnValues(a.value, b.value);
+  });
 }
 
 /**
@@ -140,3 +185,228 @@ export function intersectValues(base, selected, defaultEmptyValue, callback) {
 
   return result;
 }
+
+/**
+ * Create the items of the values list from the column values. The values which are equal according to the text
+ * comparator (eq. `'Zürich'` and `'zurich'` when the comparison is accent and case insensitive) are grouped into one
+ * item, which is checked when any of its values is selected.
+ *
+ * @param {Array} values An array of the unique column values (see {@link unifyColumnValues}).
+ * @param {Array} selected An array of selected values.
+ * @param {Object} textComparator Text comparator (see {@link createTextComparator}).
+ * @param {String} defaultEmptyValue Default value for empty cells.
+ * @param {Function} [callback] A callback function which is invoked for every item in an array.
+ * @returns {Array} Returns an array of objects with keys `checked`, `value` (the first value of the group), `values`
+ *                  (all values of the group) and `visualValue`.
+ */
+export function groupValues(values, selected, textComparator, defaultEmptyValue, callback) {
+  const groups = new Map();
+  const selectedItemsAssertion = values === selected ? () => true : createArrayAssertion(selected);
+  const result = [];
+
+  arrayEach(values, (value) => {
+    const text = textComparator.normalize(value);
+
+    if (groups.has(text)) {
+      groups.get(text).push(value);
+    } else {
+      groups.set(text, [value]);
+    }
+  });
+
+  groups.forEach((groupedValues) => {
+    const [value] = groupedValues;
+    const item = {
+      checked: groupedValues.some(groupedValue => selectedItemsAssertion(groupedValue)),
+      value,
+      values: groupedValues,
+      visualValue: toVisualValue(value, defaultEmptyValue),
+    };
+
+    if (callback) {
+      callback(item);
+    }
+
+    result.push(item);
+  });
+
+  return result;
+}
+
+const PATTERN_CACHE_LIMIT = 100;
+const patternCache = new Map();
+
+/**
+ * Create regular expression from the pattern used by the pattern based conditions (eq. `matches_regex` or `like`).
+ * In the wildcard mode the `*` char matches any sequence of chars, the `?` char matches any single char and
+ * the whole value has to match the pattern.
+ *
+ * @param {*} pattern Regular expression source or wildcard pattern.
+ * @param {Object} [options] Options with keys:
+ *  * `wildcard` Boolean, Treat the pattern as a wildcard pattern.
+ *  * `caseSensitive` Boolean, Create case sensitive regular expression.
+ * @returns {RegExp|null} Returns `null` when the pattern is not a valid regular expression.
+ */
+export function createPatternRegExp(pattern, { wildcard = false, caseSensitive = false } = {}) {
+  const flags = caseSensitive ? '' : 'i';
+  let source = pattern === null || pattern === void 0 ? '' : `${pattern}`;
+
+  if (wildcard) {
+    source = `^${source.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`;
+  }
+
+  const cacheKey = `${flags}/${source}`;
+
+  if (patternCache.has(cacheKey)) {
+    return patternCache.get(cacheKey);
+  }
+
+  let regExp = null;
+
+  try {
+    regExp = new RegExp(source, flags);
+  } catch (ex) {
+    regExp = null;
+  }
+
+  if (patternCache.size >= PATTERN_CACHE_LIMIT) {
+    patternCache.clear();
+  }
+  patternCache.set(cacheKey, regExp);
+
+  return regExp;
+}
+
+/**
+ * Check if the pattern is a valid regular expression.
+ *
+ * @param {*} pattern Regular expression source.
+ * @returns {Boolean}
+ */
+export function isValidPattern(pattern) {
+  return createPatternRegExp(pattern) !== null;
+}
+
+/**
+ * Check if the value is a non-negative integer (eq. number of days typed for the relative date conditions).
+ *
+ * @param {*} value Typed value.
+ * @returns {Boolean}
+ */
+export function isNonNegativeInteger(value) {
+  return /^\s*\d+\s*$/.test(`${value === null || value === void 0 ? '' : value}`);
+}
+
+/**
+ * Check if the date value of the data row is within the range of days (inclusive). The range is computed relatively
+ * to the current date every time the function is called.
+ *
+ * @param {Object} dataRow Object with `value` and `meta` keys.
+ * @param {moment} from Date where the range starts.
+ * @param {moment} to Date where the range ends.
+ * @returns {Boolean}
+ */
+export function isDateInRange(dataRow, from, to) {
+  const date = moment(dataRow.value, dataRow.meta.dateFormat);
+
+  if (!date.isValid()) {
+    return false;
+  }
+
+  return date.isBetween(from.clone().startOf('day'), to.clone().endOf('day'), null, '[]');
+}
+
+/**
+ * Check if the value is a number from `0` to `100` (eq. percent typed for the `top_percent` condition).
+ *
+ * @param {*} value Typed value.
+ * @returns {Boolean}
+ */
+export function isPercent(value) {
+  const number = toNumericValue(value);
+
+  return !isNaN(number) && number >= 0 && number <= 100;
+}
+
+/**
+ * Convert the value into the number. Empty and not numeric values are converted into `NaN`.
+ *
+ * @param {*} value Cell value.
+ * @returns {Number}
+ */
+export function toNumericValue(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    return NaN;
+  }
+
+  return Number(value);
+}
+
+/**
+ * Get statistics of the column data set used by the column-dependent conditions. The statistics are cached per data
+ * set, so they are computed once per filtering.
+ *
+ * @param {Array} columnData Column data set (objects with `value` and `meta` keys).
+ * @returns {Object} Returns object with keys `numbers` (numeric values sorted ascending), `average` (`NaN` when there
+ *                   are no numeric values) and `counts` (Map with the number of occurrences of each not empty value).
+ */
+export function getColumnStatistics(columnData) {
+  let statistics = columnStatisticsCache.get(columnData);
+
+  if (statistics) {
+    return statistics;
+  }
+  const numbers = [];
+  const counts = new Map();
+  let sum = 0;
+
+  arrayEach(columnData, (dataRow) => {
+    if (dataRow === void 0 || toEmptyString(dataRow.value) === '') {
+      return;
+    }
+    const number = toNumericValue(dataRow.value);
+    const key = stringify(dataRow.value);
+
+    if (!isNaN(number)) {
+      numbers.push(number);
+      sum += number;
+    }
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  numbers.sort((a, b) => a - b);
+
+  statistics = {
+    numbers,
+    average: numbers.length ? sum / numbers.length : NaN,
+    counts,
+  };
+  columnStatisticsCache.set(columnData, statistics);
+
+  return statistics;
+}
+
+/**
+ * Check if the numeric value of the data row belongs to the highest (or lowest) values of the column. Values equal to
+ * the last counted value are matched too.
+ *
+ * @param {Object} dataRow Object with `value` and `meta` keys.
+ * @param {Array} columnData Column data set.
+ * @param {Number} count Number of the counted values.
+ * @param {Boolean} [fromBottom=false] If `true` the lowest values are counted.
+ * @returns {Boolean}
+ */
+export function isInExtremeValues(dataRow, columnData, count, fromBottom = false) {
+  const { numbers } = getColumnStatistics(columnData);
+  const value = toNumericValue(dataRow.value);
+
+  if (isNaN(value) || count <= 0 || !numbers.length) {
+    return false;
+  }
+  const limit = Math.min(count, numbers.length);
+
+  return fromBottom ? value <= numbers[limit - 1] : value >= numbers[numbers.length - limit];
+}
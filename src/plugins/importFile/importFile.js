@@ -0,0 +1,311 @@
+import BasePlugin from 'handsontable/plugins/_base';
+import { registerPlugin } from 'handsontable/plugins';
+import Hooks from 'handsontable/pluginHooks';
+import { arrayEach, arrayMap } from 'handsontable/helpers/array';
+import { rangeEach } from 'handsontable/helpers/number';
+import { extend } from 'handsontable/helpers/object';
+import { parse } from './parser';
+
+Hooks.getSingleton().register('beforeImport');
+
+export const MODE_REPLACE = 'replace';
+export const MODE_INSERT = 'insert';
+
+const DEFAULT_OPTIONS = {
+  columnDelimiter: ',',
+  rowDelimiter: null,
+  bom: true,
+  encoding: 'utf-8',
+  columnHeaders: false,
+  mapHeaders: false,
+  mode: MODE_REPLACE,
+};
+
+/**
+ * @plugin ImportFile
+ * @pro
+ *
+ * @description
+ * The plugin enables importing data from CSV, TSV (or other delimiter separated values) text, blobs or files. It's the
+ * counterpart of the {@link ExportFile} plugin and it understands the same `columnDelimiter`, `rowDelimiter` and `bom`
+ * options, so the data exported as `csv` can be imported back.
+ *
+ * The imported data can replace the table data or can be inserted as new rows at the selection. Each imported row is
+ * passed through the {@link Hooks#beforeImport} hook where it can be validated (returning `false` skips the row) or
+ * transformed (returning an array replaces the row).
+ *
+ * @example
+ * ```js
+ * const container = document.getElementById('example');
+ * const hot = new Handsontable(container, {
+ *   data: getData(),
+ *   columns: [{data: 'id'}, {data: 'name'}],
+ *   colHeaders: ['ID', 'Name'],
+ * });
+ *
+ * // access to importFile plugin instance
+ * const importPlugin = hot.getPlugin('importFile');
+ *
+ * // replace the table data with CSV text, the header row is matched with the column headers (or `columns[].data`)
+ * importPlugin.importFromString('Name,ID\nFoo,1\nBar,2', {columnHeaders: true, mapHeaders: true});
+ *
+ * // insert rows from the TSV file (eq. from `<input type="file">`) at the selected row
+ * importPlugin.importFromBlob(input.files[0], {columnDelimiter: '\t', mode: 'insert'}).then((rows) => {
+ *   // ...
+ * });
+ * ```
+ */
+class ImportFile extends BasePlugin {
+  /**
+   * Checks if the plugin is enabled in the handsontable settings. This method is executed in {@link Hooks#beforeInit}
+   * hook and if it returns `true` than the {@link ImportFile#enablePlugin} method is called.
+   *
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return true;
+  }
+
+  /**
+   * @typedef ImportOptions
+   * @memberof ImportFile
+   * @type {object}
+   * @property {string} [columnDelimiter=','] Column delimiter.
+   * @property {string} [rowDelimiter=null] Row delimiter. When not defined all kinds of line breaks (CRLF, LF and CR)
+   *                                        are recognized.
+   * @property {boolean} [bom=true] Strip the Byte Order Mark (BOM) from the beginning of the imported text.
+   * @property {string} [encoding='utf-8'] Encoding of the imported blobs and files.
+   * @property {boolean} [columnHeaders=false] Treat the first row as the column headers row (it's not imported).
+   * @property {boolean} [mapHeaders=false] Match the column headers row (requires `columnHeaders`) with the table
+   *                                        columns (by the column header label or the `columns[].data` property).
+   *                                        Imported columns which do not match any table column are skipped.
+   * @property {string} [mode='replace'] Defines how the data is loaded: `'replace'` (replaces the table data) or
+   *                                     `'insert'` (inserts new rows at the selected cell, or at the end of the table
+   *                                     when nothing is selected). The rows mapped by the `mapHeaders` option are
+   *                                     always inserted starting at the first column.
+   */
+
+  /**
+   * Parses text into an array of rows without loading it into the table.
+   *
+   * @param {String} text Text to parse.
+   * @param {ImportOptions} options Import options.
+   * @returns {Array}
+   */
+  parse(text, options = {}) {
+    const { columnDelimiter, rowDelimiter, bom } = this._mergeOptions(options);
+
+    return parse(text, { columnDelimiter, rowDelimiter, bom });
+  }
+
+  /**
+   * Imports data from the text.
+   *
+   * @param {String} text Text to import eq. CSV file content.
+   * @param {ImportOptions} options Import options.
+   * @returns {Array} Returns an array of the imported rows (after the {@link Hooks#beforeImport} hook).
+   */
+  importFromString(text, options = {}) {
+    const _options = this._mergeOptions(options);
+    const rows = this.parse(text, _options);
+    let columnsMap = null;
+
+    if (_options.columnHeaders && rows.length > 0) {
+      const headers = rows.shift();
+
+      if (_options.mapHeaders) {
+        columnsMap = this._createColumnsMap(headers);
+      }
+    }
+
+    const records = [];
+
+    arrayEach(rows, (row, index) => {
+      const record = this.hot.runHooks('beforeImport', columnsMap ? this._mapRow(row, columnsMap) : row, index, _options);
+
+      if (record !== false) {
+        records.push(record);
+      }
+    });
+
+    if (_options.mode === MODE_INSERT) {
+      this._insertRecords(records, columnsMap !== null);
+
+    } else {
+      this._replaceRecords(records);
+    }
+
+    return records;
+  }
+
+  /**
+   * Imports data from the blob object or the file (eq. selected by `<input type="file">`).
+   *
+   * @param {Blob|File} blob Blob or file to import.
+   * @param {ImportOptions} options Import options.
+   * @returns {Promise} Returns promise resolved with an array of the imported rows.
+   */
+  importFromBlob(blob, options = {}) {
+    const { encoding } = this._mergeOptions(options);
+
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+
+      reader.onload = () => {
+        try {
+          resolve(this.importFromString(reader.result, options));
+
+        } catch (error) {
+          reject(error);
+        }
+      };
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(blob, encoding);
+    });
+  }
+
+  /**
+   * Merge options provided by users with defaults.
+   *
+   * @private
+   * @param {ImportOptions} options Import options.
+   * @returns {Object} Returns new options object.
+   */
+  _mergeOptions(options) {
+    return extend(extend({}, DEFAULT_OPTIONS), options);
+  }
+
+  /**
+   * Creates an array which maps the imported columns to the visual column indexes of the table (`null` for columns
+   * which do not match any table column). The headers are compared with the column headers and the column data
+   * properties.
+   *
+   * @private
+   * @param {Array} headers Imported column headers.
+   * @returns {Array}
+   */
+  _createColumnsMap(headers) {
+    const columnsCount = this.hot.countCols();
+
+    return arrayMap(headers, (header) => {
+      let column = null;
+
+      rangeEach(0, columnsCount - 1, (visualColumn) => {
+        if (column === null && (`${this.hot.getColHeader(visualColumn)}` === header || `${this.hot.colToProp(visualColumn)}` === header)) {
+          column = visualColumn;
+        }
+      });
+
+      return column;
+    });
+  }
+
+  /**
+   * Arranges imported values in the order of the table columns.
+   *
+   * @private
+   * @param {Array} row Imported row.
+   * @param {Array} columnsMap Array created by {@link ImportFile#_createColumnsMap}.
+   * @returns {Array}
+   */
+  _mapRow(row, columnsMap) {
+    const result = arrayMap(new Array(this.hot.countCols()), () => null);
+
+    arrayEach(columnsMap, (column, index) => {
+      if (column !== null && index < row.length) {
+        result[column] = row[index];
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Replaces the table data with the imported rows.
+   *
+   * @private
+   * @param {Array} records Imported rows.
+   */
+  _replaceRecords(records) {
+    if (!this.hot.getSettings().columns && typeof this.hot.colToProp(0) !== 'string') {
+      this.hot.loadData(records);
+
+    } else {
+      this.hot.loadData([]);
+      this._setRecords(0, 0, records);
+    }
+
+    this._removeSurplusRows(records.length);
+  }
+
+  /**
+   * Removes the rows left below the imported rows and the spare rows (see the `minSpareRows` and `minRows` options),
+   * so the replaced table contains only the imported data.
+   *
+   * @private
+   * @param {Number} importedRowsCount Number of the imported rows.
+   */
+  _removeSurplusRows(importedRowsCount) {
+    const { minSpareRows, minRows } = this.hot.getSettings();
+    const rowsCount = Math.max(importedRowsCount + minSpareRows, minRows);
+    const surplusRowsCount = this.hot.countRows() - rowsCount;
+
+    if (surplusRowsCount > 0) {
+      this.hot.alter('remove_row', rowsCount, surplusRowsCount, 'importFile');
+    }
+  }
+
+  /**
+   * Inserts imported rows at the selected cell (or at the end of the table when nothing is selected).
+   *
+   * @private
+   * @param {Array} records Imported rows.
+   * @param {Boolean} [isMapped=false] `true` if the rows are arranged in the order of the table columns (see
+   *                                   {@link ImportFile#_mapRow}), so they are inserted starting at the first column.
+   */
+  _insertRecords(records, isMapped = false) {
+    const selectedRange = this.hot.getSelectedRangeLast();
+    let row = this.hot.countRows();
+    let column = 0;
+
+    if (selectedRange) {
+      ({ row, col: column } = selectedRange.getTopLeftCorner());
+    }
+
+    this._setRecords(row, isMapped ? 0 : column, records);
+  }
+
+  /**
+   * Inserts new rows at the specified row and fills them with the imported values (starting at the specified column).
+   *
+   * @private
+   * @param {Number} row Visual row index.
+   * @param {Number} column Visual column index.
+   * @param {Array} records Imported rows.
+   */
+  _setRecords(row, column, records) {
+    if (records.length === 0) {
+      return;
+    }
+    const columnsCount = this.hot.countCols();
+    const changes = [];
+
+    this.hot.alter('insert_row', row, records.length, 'importFile');
+
+    arrayEach(records, (record, rowOffset) => {
+      arrayEach(record, (value, columnOffset) => {
+        if (column + columnOffset < columnsCount) {
+          changes.push([row + rowOffset, column + columnOffset, value]);
+        }
+      });
+    });
+
+    if (changes.length > 0) {
+      this.hot.setDataAtCell(changes, 'importFile');
+    }
+  }
+}
+
+registerPlugin('importFile', ImportFile);
+
+export default ImportFile;
@@ -0,0 +1,97 @@
+const CHAR_CARRIAGE_RETURN = String.fromCharCode(13);
+const CHAR_DOUBLE_QUOTES = String.fromCharCode(34);
+const CHAR_LINE_FEED = String.fromCharCode(10);
+const CHAR_BOM = String.fromCharCode(0xFEFF);
+
+/**
+ * Gets length of the row delimiter which starts at the specified position (`0` if there is no row delimiter). When the
+ * row delimiter is not defined all kinds of line breaks (CRLF, LF and CR) are recognized.
+ *
+ * @param {String} text Parsed text.
+ * @param {Number} index Position in the text.
+ * @param {String|null} rowDelimiter Row delimiter.
+ * @returns {Number}
+ */
+function getRowDelimiterLength(text, index, rowDelimiter) {
+  if (rowDelimiter) {
+    return text.substr(index, rowDelimiter.length) === rowDelimiter ? rowDelimiter.length : 0;
+  }
+  const char = text.charAt(index);
+
+  if (char === CHAR_CARRIAGE_RETURN) {
+    return text.charAt(index + 1) === CHAR_LINE_FEED ? 2 : 1;
+  }
+
+  return char === CHAR_LINE_FEED ? 1 : 0;
+}
+
+/**
+ * Parses CSV (or TSV and other delimiter separated values) text into an array of rows. Parser supports quoted fields
+ * (with escaped double quotes `""`) which may contain the delimiters and line breaks.
+ *
+ * @param {String} text Text to parse.
+ * @param {Object} [options] Parser options.
+ * @param {String} [options.columnDelimiter=','] Column delimiter.
+ * @param {String|null} [options.rowDelimiter=null] Row delimiter. When `null` all kinds of line breaks are recognized.
+ * @param {Boolean} [options.bom=true] Strip the Byte Order Mark (BOM) from the beginning of the text.
+ * @returns {Array} Returns an array of rows where each row is an array of strings.
+ */
+export function parse(text, { columnDelimiter = ',', rowDelimiter = null, bom = true } = {}) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let index = bom && text.charAt(0) === CHAR_BOM ? 1 : 0;
+  let isFieldStarted = false;
+
+  while (index < text.length) {
+    const rowDelimiterLength = getRowDelimiterLength(text, index, rowDelimiter);
+
+    if (text.charAt(index) === CHAR_DOUBLE_QUOTES && !isFieldStarted) {
+      let closingIndex = text.indexOf(CHAR_DOUBLE_QUOTES, index + 1);
+
+      index += 1;
+
+      // Collect the quoted field content, the escaped double quotes (`""`) are unescaped.
+      while (closingIndex !== -1 && text.charAt(closingIndex + 1) === CHAR_DOUBLE_QUOTES) {
+        field += `${text.slice(index, closingIndex)}${CHAR_DOUBLE_QUOTES}`;
+        index = closingIndex + 2;
+        closingIndex = text.indexOf(CHAR_DOUBLE_QUOTES, index);
+      }
+      if (closingIndex === -1) {
+        closingIndex = text.length;
+      }
+      field += text.slice(index, closingIndex);
+      index = closingIndex + 1;
+      isFieldStarted = true;
+
+    } else if (text.substr(index, columnDelimiter.length) === columnDelimiter) {
+      row.push(field);
+      field = '';
+      isFieldStarted = false;
+      index += columnDelimiter.length;
+
+    } else if (rowDelimiterLength > 0) {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      isFieldStarted = false;
+      index += rowDelimiterLength;
+
+    } else {
+      field += text.charAt(index);
+      isFieldStarted = true;
+      index += 1;
+    }
+  }
+
+  // The last row without trailing row delimiter.
+  if (isFieldStarted || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+export default parse;
@@ -0,0 +1,193 @@
+describe('importFile', () => {
+  const id = 'testContainer';
+
+  beforeEach(function() {
+    this.$container = $(`<div id="${id}"></div>`).appendTo('body');
+  });
+
+  afterEach(function() {
+    if (this.$container) {
+      destroy();
+      this.$container.remove();
+    }
+  });
+
+  describe('`parse` method', () => {
+    it('should parse text using the import options', () => {
+      handsontable();
+
+      expect(getPlugin('importFile').parse('a;b|"c|d";e', { columnDelimiter: ';', rowDelimiter: '|' })).toEqual([['a', 'b'], ['c|d', 'e']]);
+    });
+  });
+
+  describe('`importFromString` method', () => {
+    it('should replace the table data by default', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 5),
+      });
+
+      const result = getPlugin('importFile').importFromString('a,b,c\r\n"d\ne",f,"g,h"');
+
+      expect(result).toEqual([['a', 'b', 'c'], ['d\ne', 'f', 'g,h']]);
+      expect(getData()).toEqual([['a', 'b', 'c'], ['d\ne', 'f', 'g,h']]);
+    });
+
+    it('should import data exported by the `exportFile` plugin', () => {
+      handsontable({
+        data: [['a', 'b"c'], ['d\r\ne', 'f,g']],
+      });
+      const csv = getPlugin('exportFile').exportAsString('csv', { columnHeaders: true });
+
+      updateSettings({ colHeaders: true });
+      loadData([]);
+
+      getPlugin('importFile').importFromString(csv, { columnHeaders: true });
+
+      expect(getData()).toEqual([['a', 'b"c'], ['d\r\ne', 'f,g']]);
+    });
+
+    it('should import TSV data', () => {
+      handsontable();
+
+      getPlugin('importFile').importFromString('a\tb\nc\td', { columnDelimiter: '\t' });
+
+      expect(getData()).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+
+    it('should replace the data of the table based on objects', () => {
+      handsontable({
+        data: [{ id: 1, user: { name: 'foo' } }],
+        columns: [{ data: 'id' }, { data: 'user.name' }],
+      });
+
+      getPlugin('importFile').importFromString('2,bar\n3,baz');
+
+      expect(getSourceData()).toEqual([{ id: '2', user: { name: 'bar' } }, { id: '3', user: { name: 'baz' } }]);
+    });
+
+    it('should keep only the imported rows and the spare rows when the `minSpareRows` option is set', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        minSpareRows: 2,
+      });
+
+      getPlugin('importFile').importFromString('a,b\nc,d');
+
+      expect(getData()).toEqual([['a', 'b'], ['c', 'd'], [null, null], [null, null]]);
+    });
+
+    it('should keep only the imported rows and the spare rows of the table based on objects', () => {
+      handsontable({
+        data: [{ id: 1, name: 'foo' }, { id: 2, name: 'bar' }, { id: 3, name: 'baz' }, { id: 4, name: 'qux' }],
+        columns: [{ data: 'id' }, { data: 'name' }],
+        minSpareRows: 1,
+      });
+
+      getPlugin('importFile').importFromString('5,quux');
+
+      expect(getData()).toEqual([['5', 'quux'], [null, null]]);
+    });
+
+    it('should keep the number of rows defined by the `minRows` option', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(5, 2),
+        minRows: 3,
+        minSpareRows: 1,
+      });
+
+      getPlugin('importFile').importFromString('a,b');
+
+      expect(countRows()).toBe(3);
+      expect(getDataAtRow(0)).toEqual(['a', 'b']);
+    });
+
+    it('should map the header row to the table columns when the `mapHeaders` option is enabled', () => {
+      handsontable({
+        data: [{ id: 1, name: 'foo', age: 20 }],
+        columns: [{ data: 'id' }, { data: 'name' }, { data: 'age' }],
+        colHeaders: ['ID', 'Full name', 'Age'],
+      });
+
+      getPlugin('importFile').importFromString('age,Full name,unknown\n30,bar,x\n40,baz,y', { columnHeaders: true, mapHeaders: true });
+
+      expect(getSourceData()).toEqual([{ id: null, name: 'bar', age: '30' }, { id: null, name: 'baz', age: '40' }]);
+    });
+
+    it('should insert rows at the selected cell when the `mode` option is set to `insert`', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(3, 3),
+      });
+
+      selectCell(1, 1);
+      getPlugin('importFile').importFromString('a,b,c\nd,e,f', { mode: 'insert' });
+
+      expect(getData()).toEqual([
+        ['A1', 'B1', 'C1'],
+        [null, 'a', 'b'],
+        [null, 'd', 'e'],
+        ['A2', 'B2', 'C2'],
+        ['A3', 'B3', 'C3'],
+      ]);
+    });
+
+    it('should insert the rows mapped by the `mapHeaders` option in their table columns regardless of the selected column', () => {
+      handsontable({
+        data: [{ id: 1, name: 'foo', age: 20 }, { id: 2, name: 'bar', age: 30 }],
+        columns: [{ data: 'id' }, { data: 'name' }, { data: 'age' }],
+        colHeaders: ['ID', 'Full name', 'Age'],
+      });
+
+      selectCell(1, 1);
+      getPlugin('importFile').importFromString('age,Full name\n40,baz', { columnHeaders: true, mapHeaders: true, mode: 'insert' });
+
+      expect(getSourceData()).toEqual([
+        { id: 1, name: 'foo', age: 20 },
+        { id: null, name: 'baz', age: '40' },
+        { id: 2, name: 'bar', age: 30 },
+      ]);
+    });
+
+    it('should insert rows at the end of the table when nothing is selected', () => {
+      handsontable({
+        data: Handsontable.helper.createSpreadsheetData(2, 2),
+      });
+
+      getPlugin('importFile').importFromString('a,b', { mode: 'insert' });
+
+      expect(getData()).toEqual([['A1', 'B1'], ['A2', 'B2'], ['a', 'b']]);
+    });
+
+    it('should skip or transform rows in the `beforeImport` hook', () => {
+      const beforeImport = jasmine.createSpy('beforeImport').and.callFake((row) => {
+        if (row[0] === 'skip') {
+          return false;
+        }
+
+        return row.map(value => value.toUpperCase());
+      });
+
+      handsontable({
+        beforeImport,
+      });
+
+      const result = getPlugin('importFile').importFromString('name,value\nfoo,bar\nskip,me\nbaz,qux', { columnHeaders: true });
+
+      expect(beforeImport.calls.count()).toBe(3);
+      expect(beforeImport.calls.argsFor(0)[0]).toEqual(['foo', 'bar']);
+      expect(beforeImport.calls.argsFor(0)[1]).toBe(0);
+      expect(result).toEqual([['FOO', 'BAR'], ['BAZ', 'QUX']]);
+      expect(getData()).toEqual([['FOO', 'BAR'], ['BAZ', 'QUX']]);
+    });
+  });
+
+  describe('`importFromBlob` method', () => {
+    it('should import data from the blob object', async() => {
+      handsontable();
+
+      const result = await getPlugin('importFile').importFromBlob(new Blob(['\uFEFFa,b\r\nc,d'], { type: 'text/csv' }));
+
+      expect(result).toEqual([['a', 'b'], ['c', 'd']]);
+      expect(getData()).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+  });
+});
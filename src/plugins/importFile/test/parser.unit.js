@@ -0,0 +1,42 @@
+import { parse } from 'handsontable-pro/plugins/importFile/parser';
+
+describe('ImportFile parser', () => {
+  it('should parse simple values', () => {
+    expect(parse('a,b,c\r\n1,2,3')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+  });
+
+  it('should recognize all kinds of line breaks when the row delimiter is not defined', () => {
+    expect(parse('a\r\nb\nc\rd')).toEqual([['a'], ['b'], ['c'], ['d']]);
+  });
+
+  it('should ignore the trailing row delimiter', () => {
+    expect(parse('a,b\n1,2\n')).toEqual([['a', 'b'], ['1', '2']]);
+    expect(parse('')).toEqual([]);
+  });
+
+  it('should keep empty fields and empty rows', () => {
+    expect(parse(',a,\n\n,')).toEqual([['', 'a', ''], [''], ['', '']]);
+  });
+
+  it('should parse quoted fields with delimiters, line breaks and escaped double quotes', () => {
+    expect(parse('"a,b","c\r\nd","e""f"""\n"",g')).toEqual([['a,b', 'c\r\nd', 'e"f"'], ['', 'g']]);
+  });
+
+  it('should parse fields with double quotes inside unquoted values', () => {
+    expect(parse('a"b,c')).toEqual([['a"b', 'c']]);
+  });
+
+  it('should read unterminated quoted field till the end of the text', () => {
+    expect(parse('a,"b\nc')).toEqual([['a', 'b\nc']]);
+  });
+
+  it('should use the defined delimiters', () => {
+    expect(parse('a\tb;;c\td', { columnDelimiter: '\t', rowDelimiter: ';;' })).toEqual([['a', 'b'], ['c', 'd']]);
+    expect(parse('a\tb\nc', { columnDelimiter: '\t', rowDelimiter: ';;' })).toEqual([['a', 'b\nc']]);
+  });
+
+  it('should strip the BOM only when the `bom` option is enabled', () => {
+    expect(parse('\uFEFFa,b')).toEqual([['a', 'b']]);
+    expect(parse('\uFEFFa,b', { bom: false })).toEqual([['\uFEFFa', 'b']]);
+  });
+});
@@ -7,6 +7,7 @@ import Filters from './filters/filters';
 import Formulas from './formulas/formulas';
 import GanttChart from './ganttChart/ganttChart';
 import HeaderTooltips from './headerTooltips/headerTooltips';
+import ImportFile from './importFile/importFile';
 import MultiColumnSorting from './multiColumnSorting/multiColumnSorting';
 import NestedHeaders from './nestedHeaders/nestedHeaders';
 import NestedRows from './nestedRows/nestedRows';
@@ -27,6 +28,7 @@ export {
   HeaderTooltips,
   HiddenColumns,
   HiddenRows,
+  ImportFile,
   MultiColumnSorting,
   NestedHeaders,
   NestedRows,
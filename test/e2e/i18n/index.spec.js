@@ -850,4 +850,23 @@ describe('i18n', () => {
       });
     });
   });
+
+  describe('phrases of the Pro plugins', () => {
+    it('should expose the dictionary keys of the Pro plugins', () => {
+      expect(Handsontable.languages.dictionaryKeys.CONTEXTMENU_ITEMS_EXPORT_SELECTION_AS_CSV)
+        .toBe('ContextMenu:items.exportSelectionAsCsv');
+      expect(Handsontable.languages.dictionaryKeys.CONTEXTMENU_ITEMS_ROW_ABOVE).toBe('ContextMenu:items.insertRowAbove');
+    });
+
+    it('should use the English phrases for the languages which don\'t translate them', () => {
+      handsontable({
+        language: POLISH_LANGUAGE_CODE,
+        contextMenu: ['export_selection_as_csv'],
+      });
+
+      contextMenu();
+
+      expect($('.htContextMenu tbody td:not(.htSeparator)').text()).toEqual('Export selection as CSV');
+    });
+  });
 });